@@ -0,0 +1,317 @@
+#!/usr/bin/env node
+// ui-agent command line runner for scenario files
+
+const fs = require('fs');
+const path = require('path');
+const { findScenarioFiles, loadScenarioFile } = require('../lib/scenario');
+const { ENGINES, DEFAULT_OUTPUT_DIRS, runScenarios, crawlSite, recordSession } = require('../lib/runner');
+const { parseShard, selectShard, runParallel } = require('../lib/parallel');
+const { readHistory, testHistory, classifyFailures } = require('../lib/history');
+const { formatDuration } = require('../lib/html-report');
+const { validateTraceMode } = require('../lib/tracing');
+const { formatScenario } = require('../lib/recorder');
+const { resolveReporter } = require('../lib/reporters');
+
+const USAGE = `Usage:
+  ui-agent run <files|dirs|globs...> [options]
+  ui-agent validate <files|dirs|globs...>
+  ui-agent crawl --base-url <url> [--max-depth <n>] [--max-pages <n>] [--include <glob>] [--exclude <glob>]
+  ui-agent record [url] [--base-url <url>] [--name <name>] [--output <file>] [--browsers <engine>]
+  ui-agent history [--test <query>] [--limit <n>] [--engine <name>] [--output-dir <dir>]
+
+Options:
+  --engine <name>       ${ENGINES.join(' | ')} (default: playwright)
+  --base-url <url>      Base URL for relative navigate actions
+  --output-dir <dir>    Directory for reports and artifacts
+  --browsers <list>     Comma-separated Playwright engines (chromium,firefox,webkit)
+  --timeout <ms>        How long assertions keep polling (default: 5000)
+  --retries <n>         Retry failed assertions n times; passes after a retry are flagged flaky
+  --workers <n>         Run scenarios in n parallel worker processes (default: 1)
+  --shard <i/n>         Only run the i-th of n equal parts of the scenarios (for CI machines)
+  --reporter <list>     Extra report formats: junit,tap,ctrf,github,markdown
+  --no-history          Don't append this run to <output-dir>/history.jsonl
+  --update-baselines    Record new visual baselines instead of comparing
+  --har <file>          Serve network requests from a HAR file (Playwright)
+  --record-har          Record the session into --har instead of replaying it
+  --trace <mode>        Playwright trace per test: off | on | retain-on-failure (default: off)
+  --fixtures <dir>      Directory upload actions read files from (default: ./fixtures)
+  --seed <value>        Seed for generated form values; the same seed types the same values (default: 1)
+  --fail-on-errors      Fail on console errors, uncaught exceptions and failed requests
+  --auth <file>         Module or JSON file exporting login roles ({ roles, maxAge })
+  --role <name>         Role for scenarios that don't declare one
+  --require <module>    Load page objects or custom assertions before running (repeatable)
+  --max-depth <n>       crawl: how many links deep to follow (default: 2)
+  --max-pages <n>       crawl: stop after this many pages (default: 50)
+  --include <glob>      crawl: only follow matching paths (repeatable)
+  --exclude <glob>      crawl: never follow matching paths (repeatable)
+  --name <name>         record: scenario name (default: Recorded session)
+  --output <file>       record: scenario file to write, .yaml or .json (default: recorded.yaml)
+  --test <query>        history: show every run of the tests matching all words of the query
+  --limit <n>           history: how many runs to show (default: 10)
+  -h, --help            Show this help
+`;
+
+// Exit codes: 0 all passed, 1 test failures, 2 usage or scenario file errors
+function parseArgs(argv) {
+  const options = { patterns: [] };
+  const valueFlags = {
+    '--engine': 'engine',
+    '--base-url': 'baseUrl',
+    '--output-dir': 'outputDir',
+    '--browsers': 'browsers',
+    '--timeout': 'timeout',
+    '--retries': 'retries',
+    '--max-depth': 'maxDepth',
+    '--max-pages': 'maxPages',
+    '--workers': 'workers',
+    '--shard': 'shard',
+    '--har': 'har',
+    '--trace': 'trace',
+    '--fixtures': 'fixturesDir',
+    '--seed': 'seed',
+    '--auth': 'authFile',
+    '--role': 'role',
+    '--reporter': 'reporters',
+    '--name': 'name',
+    '--output': 'output',
+    '--test': 'test',
+    '--limit': 'limit'
+  };
+  const listFlags = {
+    '--include': 'include',
+    '--exclude': 'exclude',
+    '--require': 'require'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+
+    if (valueFlags[flag]) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined) {
+        throw new Error(`Missing value for ${flag}`);
+      }
+      options[valueFlags[flag]] = value;
+    } else if (listFlags[flag]) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined) {
+        throw new Error(`Missing value for ${flag}`);
+      }
+      options[listFlags[flag]] = [...(options[listFlags[flag]] || []), value];
+    } else if (flag === '--update-baselines') {
+      options.updateBaselines = true;
+    } else if (flag === '--record-har') {
+      options.recordHar = true;
+    } else if (flag === '--fail-on-errors') {
+      options.failOnErrors = true;
+    } else if (flag === '--no-history') {
+      options.history = false;
+    } else if (flag === '-h' || flag === '--help') {
+      options.help = true;
+    } else if (flag.startsWith('-')) {
+      throw new Error(`Unknown option: ${flag}`);
+    } else if (!options.command) {
+      options.command = flag;
+    } else {
+      options.patterns.push(argv[i]);
+    }
+  }
+
+  for (const name of ['timeout', 'retries', 'maxDepth', 'maxPages', 'workers', 'limit']) {
+    if (options[name] !== undefined) {
+      options[name] = Number(options[name]);
+      if (!Number.isInteger(options[name]) || options[name] < 0) {
+        throw new Error(`--${name.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`)} must be a non-negative integer`);
+      }
+    }
+  }
+
+  if (options.shard) {
+    options.shard = parseShard(options.shard);
+  }
+
+  if (options.recordHar && !options.har) {
+    throw new Error('--record-har needs --har <file>');
+  }
+  if (options.recordHar && options.workers > 1) {
+    throw new Error('--record-har needs a single worker: several workers would overwrite the same recordings');
+  }
+
+  if (options.trace) {
+    validateTraceMode(options.trace);
+  }
+
+  if (options.browsers) {
+    options.browsers = options.browsers.split(',').map(name => name.trim());
+  }
+
+  if (options.reporters) {
+    options.reporters = options.reporters.split(',').map(name => name.trim());
+  }
+
+  return options;
+}
+
+function loadScenarios(patterns) {
+  const files = findScenarioFiles(patterns);
+  const scenarios = [];
+  let valid = true;
+
+  if (files.length === 0) {
+    throw new Error(`No scenario files matched: ${patterns.join(' ')}`);
+  }
+
+  for (const file of files) {
+    try {
+      scenarios.push(loadScenarioFile(file));
+    } catch (error) {
+      valid = false;
+      console.error(error.code === 'ENOENT' ? `File not found: ${file}` : error.message);
+    }
+  }
+
+  return { scenarios, valid };
+}
+
+function formatRun(startedAt, { commit, branch } = {}) {
+  return `${startedAt}  ${commit ? commit.slice(0, 7) : '-------'}  ${branch || '-'}`;
+}
+
+// Print recent runs and failures, or one test's results across runs with --test
+function printHistory(options) {
+  const outputDir = options.outputDir || DEFAULT_OUTPUT_DIRS[options.engine || 'playwright'];
+  const history = readHistory(path.join(outputDir, 'history.jsonl'));
+  const limit = options.limit || 10;
+
+  if (history.length === 0) {
+    console.error(`No history found in ${outputDir}`);
+    return 2;
+  }
+
+  if (options.test) {
+    const tests = testHistory(history, options.test);
+    if (tests.length === 0) {
+      console.error(`No test matches "${options.test}"`);
+      return 2;
+    }
+    for (const { id, runs } of tests) {
+      console.log(id);
+      for (const entry of runs.slice(-limit)) {
+        const status = entry.flaky ? 'flaky' : entry.status;
+        console.log(`  ${formatRun(entry.startedAt, entry)}  ${status.padEnd(7)} ${formatDuration(entry.durationMs).padStart(6)}` +
+          `${entry.message ? `  ${entry.message}` : ''}`);
+      }
+    }
+    return 0;
+  }
+
+  for (const run of history.slice(-limit)) {
+    console.log(`${formatRun(run.startedAt, run.git || {})}  ${run.summary.passed}/${run.summary.total} passed, ${run.summary.failed} failed, ${run.summary.flaky} flaky`);
+  }
+
+  const { newlyFailing, failing, longFailing } = classifyFailures(history);
+  for (const [title, entries] of [['Newly failing', newlyFailing], ['Failing', failing], ['Long failing', longFailing]]) {
+    if (entries.length > 0) {
+      console.log(`\n${title}:`);
+      entries.forEach(entry => console.log(`  ${entry.id} (${entry.streak} run(s))`));
+    }
+  }
+  return 0;
+}
+
+// Record a manual session into a scenario file runnable by both engines
+async function recordScenario(options) {
+  const url = options.patterns[0] || '/';
+  if (!/^https?:/.test(url) && !options.baseUrl) {
+    throw new Error('record needs an absolute URL or --base-url');
+  }
+
+  const output = options.output || 'recorded.yaml';
+  const scenario = await recordSession({
+    ...options,
+    url,
+    baseUrl: options.baseUrl || new URL(url).origin,
+    name: options.name || 'Recorded session'
+  });
+
+  fs.writeFileSync(output, formatScenario(scenario, output));
+  console.log(`${scenario.actions.length} action(s) saved to ${output}`);
+  return 0;
+}
+
+async function main(argv) {
+  const options = parseArgs(argv);
+
+  if (options.help || !options.command) {
+    console.log(USAGE);
+    return options.help ? 0 : 2;
+  }
+
+  if (!['run', 'validate', 'crawl', 'record', 'history'].includes(options.command)) {
+    console.error(`Unknown command: ${options.command}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.command === 'history') {
+    return printHistory(options);
+  }
+
+  if (options.command === 'crawl') {
+    if (!options.baseUrl) {
+      throw new Error('crawl needs --base-url');
+    }
+    const summary = await crawlSite(options);
+    console.log(`${summary.total - summary.failed}/${summary.total} pages reachable`);
+    return summary.passed ? 0 : 1;
+  }
+
+  if (options.command === 'record') {
+    return recordScenario(options);
+  }
+
+  // Page objects must be defined before scenarios referencing them are validated
+  for (const modulePath of options.require || []) {
+    require(path.resolve(modulePath));
+  }
+
+  if (options.authFile) {
+    options.auth = require(path.resolve(options.authFile));
+  }
+
+  // --require modules may register custom reporters; check names before any browser starts
+  (options.reporters || []).forEach(resolveReporter);
+
+  const { scenarios, valid } = loadScenarios(options.patterns);
+  if (!valid) {
+    return 2;
+  }
+
+  if (options.command === 'validate') {
+    console.log(`${scenarios.length} scenario file(s) valid`);
+    return 0;
+  }
+
+  let selected = scenarios;
+  if (options.shard) {
+    selected = selectShard(scenarios, options.shard);
+    console.log(`Shard ${options.shard.index}/${options.shard.total}: ${selected.length} of ${scenarios.length} scenario(s)`);
+    if (selected.length === 0) {
+      return 0;
+    }
+  }
+
+  const summary = options.workers > 1
+    ? await runParallel(selected, options)
+    : await runScenarios(selected, options);
+  console.log(`${summary.total - summary.failed}/${summary.total} passed (${options.engine || 'playwright'})`);
+  return summary.passed ? 0 : 1;
+}
+
+main(process.argv.slice(2))
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 2;
+  });
@@ -1,11 +1,10 @@
-
-    describe('Example Test', () => {
-      it('performs UI testing', () => {
-        cy.visit('/')
-        cy.get('h1').should('have.text', 'Example Domain')
-        cy.get('a').should('exist')
-        cy.get('a').should('have.attr', 'href', 'https://www.iana.org/domains/example')
-        cy.screenshot('homepage')
-      })
-    })
-    
\ No newline at end of file
+// Generated by UITestingAgent
+describe("Example Test", () => {
+  it("performs UI testing", () => {
+    cy.visit("/");
+    cy.get("h1").should("have.text", "Example Domain");
+    cy.get("a").should("exist");
+    cy.get("a").should("have.attr", "href", "https://www.iana.org/domains/example");
+    cy.screenshot("homepage");
+  });
+});
@@ -0,0 +1,148 @@
+// axe-core options and violation filtering for accessibility checks
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const IMPACT_LEVELS = ['minor', 'moderate', 'serious', 'critical'];
+
+// Loaded from node_modules so checks work without network access
+const AXE_SOURCE_PATH = require.resolve('axe-core/axe.min.js');
+
+/**
+ * Translate agent options into axe.run(context, options) arguments.
+ *
+ * options:
+ * - include / exclude: selector (or list) to scope the check
+ * - tags: WCAG tag sets such as ['wcag2a', 'wcag21aa']
+ * - rules: only run these rule ids
+ * - disableRules: rule ids to skip
+ */
+function buildAxeOptions({ include, exclude, tags, rules, disableRules } = {}) {
+  const context = {};
+  if (include) context.include = [].concat(include);
+  if (exclude) context.exclude = [].concat(exclude);
+
+  const runOptions = {};
+  if (rules && rules.length > 0) {
+    runOptions.runOnly = { type: 'rule', values: rules };
+  } else if (tags && tags.length > 0) {
+    runOptions.runOnly = { type: 'tag', values: tags };
+  }
+
+  if (disableRules && disableRules.length > 0) {
+    runOptions.rules = Object.fromEntries(disableRules.map(id => [id, { enabled: false }]));
+  }
+
+  return {
+    // axe treats an empty context object as "nothing included"
+    context: Object.keys(context).length > 0 ? context : null,
+    runOptions
+  };
+}
+
+/**
+ * Violations whose impact is at or above the threshold ('minor' counts everything).
+ */
+function violationsAtOrAbove(violations, threshold = 'minor') {
+  const minimum = IMPACT_LEVELS.indexOf(threshold);
+  if (minimum === -1) {
+    throw new Error(`Unknown impact threshold: ${threshold} (expected one of: ${IMPACT_LEVELS.join(', ')})`);
+  }
+
+  // axe reports impact null for some best-practice rules; treat those as minor
+  return violations.filter(violation => IMPACT_LEVELS.indexOf(violation.impact || 'minor') >= minimum);
+}
+
+// Compact violation summary kept in testResults and the report
+function summarizeViolation(violation) {
+  return {
+    id: violation.id,
+    impact: violation.impact,
+    description: violation.description,
+    help: violation.help,
+    helpUrl: violation.helpUrl,
+    nodes: violation.nodes.map(node => ({
+      target: targetSelector(node.target),
+      html: node.html,
+      failureSummary: node.failureSummary
+    }))
+  };
+}
+
+// Path and query only, so baselines recorded on one host apply to another
+function pageKey(url) {
+  try {
+    const { pathname, search } = new URL(url);
+    return `${pathname}${search}`;
+  } catch (error) {
+    return url;
+  }
+}
+
+function targetSelector(target) {
+  return [].concat(target).map(part => [].concat(part).join(' >>> ')).join(' ');
+}
+
+/**
+ * One fingerprint per violating node: rule id + target selector + page.
+ */
+function fingerprintViolations(violations, page) {
+  return violations.flatMap(violation => violation.nodes.map(node => {
+    const target = targetSelector(node.target);
+    return {
+      fingerprint: crypto.createHash('sha1').update(`${violation.id}|${target}|${page}`).digest('hex').slice(0, 12),
+      id: violation.id,
+      impact: violation.impact,
+      target,
+      page
+    };
+  }));
+}
+
+/**
+ * Compare current fingerprints for a page with its baseline entries.
+ */
+function diffViolations(current, baseline) {
+  const baselineKeys = new Set(baseline.map(entry => entry.fingerprint));
+  const currentKeys = new Set(current.map(entry => entry.fingerprint));
+
+  return {
+    new: current.filter(entry => !baselineKeys.has(entry.fingerprint)),
+    fixed: baseline.filter(entry => !currentKeys.has(entry.fingerprint)),
+    unchanged: current.filter(entry => baselineKeys.has(entry.fingerprint))
+  };
+}
+
+// Baseline file: { [page]: [fingerprint entries] }
+function loadAccessibilityBaseline(baselinePath) {
+  if (!fs.existsSync(baselinePath)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+}
+
+function saveAccessibilityBaseline(baselinePath, baseline) {
+  fs.mkdirSync(path.dirname(baselinePath), { recursive: true });
+
+  // Sorted keys keep the committed file diff-friendly
+  const sorted = Object.fromEntries(Object.keys(baseline).sort().map(page => [
+    page,
+    [...baseline[page]].sort((a, b) => a.fingerprint.localeCompare(b.fingerprint))
+  ]));
+  fs.writeFileSync(baselinePath, `${JSON.stringify(sorted, null, 2)}\n`);
+}
+
+module.exports = {
+  IMPACT_LEVELS,
+  AXE_SOURCE_PATH,
+  buildAxeOptions,
+  violationsAtOrAbove,
+  summarizeViolation,
+  pageKey,
+  targetSelector,
+  fingerprintViolations,
+  diffViolations,
+  loadAccessibilityBaseline,
+  saveAccessibilityBaseline
+};
@@ -0,0 +1,395 @@
+// Backend-agnostic assertion registry shared by the Playwright and Cypress agents
+//
+// Each assertion type is defined once: the Playwright agent executes it
+// against a locator, the Cypress agents compile it to a `cy.get(...)` chain.
+
+const { literal } = require('./codegen');
+const { playwrightLocator, cypressQuery } = require('./locators');
+
+const registry = new Map();
+
+const DEFAULT_TIMEOUT = 5000;
+const DEFAULT_POLL_INTERVAL = 100;
+
+const NUMERIC_OPERATORS = {
+  '==': { cypress: null, test: (a, b) => a === b },
+  '!=': { cypress: null, test: (a, b) => a !== b },
+  '>': { cypress: 'gt', test: (a, b) => a > b },
+  '>=': { cypress: 'gte', test: (a, b) => a >= b },
+  '<': { cypress: 'lt', test: (a, b) => a < b },
+  '<=': { cypress: 'lte', test: (a, b) => a <= b }
+};
+
+/**
+ * Register an assertion type usable as `testType` by every agent.
+ *
+ * definition:
+ * - read(locator, argument, { timeout }): Playwright only, resolves to the actual
+ *   value; called repeatedly until the assertion passes or times out
+ * - state: true when read() resolves to a boolean that must be true
+ * - run(locator, { timeout }): Playwright only, performs an action instead of reading (e.g. clickable)
+ * - compare(actual, expected): optional custom predicate, replaces the default matching
+ * - argument: true when expectedValue has the form `name=value` (attribute, cssProperty)
+ * - contains: match substrings instead of whole values
+ * - waitFor: element state to wait for before reading ('attached' | 'visible' | null)
+ * - cypress: { chainer, getter } descriptor, or (expected, { negate, argument }) => chain
+ *   suffix string; omit it for assertions that only exist in Playwright
+ */
+function registerAssertion(name, definition) {
+  if (!definition || (!definition.read && !definition.run)) {
+    throw new Error(`Assertion ${name} needs a read() or run() function`);
+  }
+  registry.set(name, { waitFor: 'attached', ...definition, name });
+}
+
+function getAssertion(name) {
+  const assertion = registry.get(name);
+  if (!assertion) {
+    throw new Error(`Unknown test type: ${name}`);
+  }
+  return assertion;
+}
+
+function listAssertions() {
+  return [...registry.keys()];
+}
+
+/**
+ * Split a testType such as 'not.visible' into the registered name and a negation flag.
+ */
+function parseTestType(testType) {
+  const negate = testType.startsWith('not.');
+  const assertion = getAssertion(negate ? testType.slice(4) : testType);
+
+  if (negate && assertion.run) {
+    throw new Error(`Test type ${assertion.name} cannot be negated`);
+  }
+  return { assertion, negate };
+}
+
+// Everything but state checks (visible), actions (clickable) and custom compare() predicates matches an expectedValue
+function expectsValue(assertion) {
+  return !assertion.state && !assertion.run && !assertion.compare;
+}
+
+function needsExpectedValue(testType) {
+  return expectsValue(parseTestType(testType).assertion);
+}
+
+// Without one, text/value/count checks would have nothing to compare against
+function requireExpectedValue(assertion, expectedValue) {
+  if (expectsValue(assertion) && (expectedValue === undefined || expectedValue === null)) {
+    throw new Error(`Test type ${assertion.name} needs an expectedValue`);
+  }
+}
+
+function isKnownTestType(testType) {
+  try {
+    parseTestType(testType);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Marks a string as a regex where files can't hold RegExps: 're:^Welcome'
+const REGEX_PREFIX = 're:';
+
+// { regex: '^Welcome', flags: 'i' }
+function isRegexObject(value) {
+  return Boolean(value) && typeof value === 'object' && !(value instanceof RegExp) && typeof value.regex === 'string';
+}
+
+/**
+ * Classify an expected value: regex (a RegExp, { regex, flags } or a
+ * 're:pattern' string), numeric comparison ('>= 3', '<10') or plain equality.
+ * Other strings are literals, slashes included ('/docs/api/').
+ */
+function parseExpectation(expected) {
+  if (expected instanceof RegExp) {
+    return { kind: 'regex', regex: expected };
+  }
+  if (isRegexObject(expected)) {
+    return { kind: 'regex', regex: new RegExp(expected.regex, expected.flags) };
+  }
+
+  if (typeof expected === 'string') {
+    if (expected.startsWith(REGEX_PREFIX)) {
+      return { kind: 'regex', regex: new RegExp(expected.slice(REGEX_PREFIX.length)) };
+    }
+
+    const numericMatch = expected.match(/^\s*(==|!=|>=|<=|>|<)\s*(-?\d+(?:\.\d+)?)\s*$/);
+    if (numericMatch) {
+      return { kind: 'numeric', operator: numericMatch[1], value: Number(numericMatch[2]) };
+    }
+  }
+
+  if (typeof expected === 'number') {
+    return { kind: 'numeric', operator: '==', value: expected };
+  }
+
+  return { kind: 'equals', value: expected };
+}
+
+// Scenario validator wrapper around parseExpectation(): regexes must compile
+function checkExpectation(expected) {
+  try {
+    parseExpectation(expected);
+    return true;
+  } catch (error) {
+    return `is not a valid regex: ${error.message}`;
+  }
+}
+
+// 'href=/login' -> { argument: 'href', expected: '/login' }; only the first '=' separates
+function splitArgument(assertion, expectedValue) {
+  if (!assertion.argument) {
+    return { argument: undefined, expected: expectedValue };
+  }
+
+  const text = String(expectedValue);
+  const index = text.indexOf('=');
+  if (index === -1) {
+    return { argument: text, expected: undefined };
+  }
+  return { argument: text.slice(0, index), expected: text.slice(index + 1) };
+}
+
+function matches(assertion, actual, expected) {
+  if (assertion.compare) {
+    return assertion.compare(actual, expected);
+  }
+
+  if (assertion.state) {
+    return actual === true;
+  }
+
+  // name-only attribute checks just require the attribute to be present
+  if (assertion.argument && expected === undefined) {
+    return actual !== null && actual !== undefined;
+  }
+
+  const expectation = parseExpectation(expected);
+  if (actual === null || actual === undefined) {
+    return false;
+  }
+
+  switch (expectation.kind) {
+    case 'regex':
+      return expectation.regex.test(String(actual));
+    case 'numeric': {
+      const number = typeof actual === 'number' ? actual : parseFloat(actual);
+      return !Number.isNaN(number) && NUMERIC_OPERATORS[expectation.operator].test(number, expectation.value);
+    }
+    default:
+      return assertion.contains
+        ? String(actual).includes(String(expectation.value))
+        : String(actual) === String(expectation.value);
+  }
+}
+
+/**
+ * Execute an assertion with Playwright, polling until the expected value
+ * matches or the timeout runs out. Resolves to { passed, actual }.
+ */
+async function evaluateAssertion(page, selector, testType, expectedValue, options = {}) {
+  const { timeout = DEFAULT_TIMEOUT, pollInterval = DEFAULT_POLL_INTERVAL } = options;
+  const { assertion, negate } = parseTestType(testType);
+  requireExpectedValue(assertion, expectedValue);
+  const locator = playwrightLocator(page, selector);
+  const deadline = Date.now() + timeout;
+  const remaining = () => Math.max(1, deadline - Date.now());
+
+  if (assertion.run) {
+    await locator.first().waitFor({ state: assertion.waitFor || 'visible', timeout });
+    await assertion.run(locator, { timeout: remaining() });
+    return { passed: true, actual: null };
+  }
+
+  // Negated checks must not wait for the state they assert is absent
+  if (assertion.waitFor && !negate) {
+    await locator.first().waitFor({ state: assertion.waitFor, timeout });
+  }
+
+  const { argument, expected } = splitArgument(assertion, expectedValue);
+
+  for (;;) {
+    const outOfTime = Date.now() + pollInterval > deadline;
+    let actual;
+
+    try {
+      actual = await assertion.read(locator, argument, { timeout: remaining() });
+    } catch (error) {
+      // Elements can detach or re-render between polls; only give up at the deadline
+      if (outOfTime) throw error;
+      await page.waitForTimeout(pollInterval);
+      continue;
+    }
+
+    const passed = matches(assertion, actual, expected) !== negate;
+    if (passed || outOfTime) {
+      return { passed, actual };
+    }
+    await page.waitForTimeout(pollInterval);
+  }
+}
+
+function compileDescriptor(descriptor, assertion, expectedValue, negate) {
+  const not = negate ? 'not.' : '';
+  const { argument, expected } = splitArgument(assertion, expectedValue);
+  const args = argument !== undefined ? [argument] : [];
+
+  if (assertion.state || (assertion.argument && expected === undefined)) {
+    return `.should(${[`${not}${descriptor.chainer}`, ...args].map(literal).join(', ')})`;
+  }
+
+  const expectation = parseExpectation(expected);
+  const getter = typeof descriptor.getter === 'function' ? descriptor.getter(argument) : descriptor.getter;
+
+  if (expectation.kind === 'regex') {
+    if (!getter) {
+      throw new Error(`Test type ${assertion.name} does not support regular expressions in Cypress`);
+    }
+    return `.invoke(${getter.map(literal).join(', ')}).should(${literal(`${not}match`)}, ${literal(expectation.regex)})`;
+  }
+
+  if (expectation.kind === 'numeric') {
+    const operator = NUMERIC_OPERATORS[expectation.operator];
+    const invert = (expectation.operator === '!=') !== negate;
+
+    // Lengths have native chai chainers; other values are parsed inside a retrying callback
+    if (descriptor.chainer === 'have.length') {
+      const chainer = operator.cypress ? `have.length.${operator.cypress}` : 'have.length';
+      return `.should(${literal(`${invert ? 'not.' : ''}${chainer}`)}, ${expectation.value})`;
+    }
+
+    if (!getter) {
+      throw new Error(`Test type ${assertion.name} does not support numeric comparisons in Cypress`);
+    }
+
+    const readValue = `$el.${getter[0]}(${getter.slice(1).map(literal).join(', ')})`;
+    const chai = operator.cypress ? `be.${operator.cypress}` : 'equal';
+    return `.should($el => { expect(parseFloat(${readValue})).to.${invert ? 'not.' : ''}${chai}(${expectation.value}) })`;
+  }
+
+  return `.should(${[`${not}${descriptor.chainer}`, ...args, expectation.value].map(literal).join(', ')})`;
+}
+
+/**
+ * Compile an assertion to a Cypress command chain, e.g.
+ * compileAssertion('h1', 'not.visible') -> cy.get("h1").should("not.be.visible")
+ * The selector may be any locator string (see lib/locators).
+ */
+function compileAssertion(selector, testType, expectedValue, options = {}) {
+  const { assertion, negate } = parseTestType(testType);
+  // Cypress retries the whole chain until its command timeout, like the Playwright polling
+  const subject = cypressQuery(selector, options.timeout ? { timeout: options.timeout } : {});
+
+  if (!assertion.cypress) {
+    throw new Error(`Test type ${assertion.name} has no Cypress translation`);
+  }
+  requireExpectedValue(assertion, expectedValue);
+
+  if (typeof assertion.cypress === 'function') {
+    const { argument, expected } = splitArgument(assertion, expectedValue);
+    return `${subject}${assertion.cypress(expected, { negate, argument })}`;
+  }
+
+  return `${subject}${compileDescriptor(assertion.cypress, assertion, expectedValue, negate)}`;
+}
+
+// Built-in assertion types
+
+registerAssertion('exists', {
+  state: true,
+  read: async locator => (await locator.count()) > 0,
+  waitFor: 'attached',
+  cypress: { chainer: 'exist' }
+});
+
+registerAssertion('visible', {
+  state: true,
+  read: locator => locator.first().isVisible(),
+  waitFor: 'visible',
+  cypress: { chainer: 'be.visible' }
+});
+
+registerAssertion('enabled', {
+  state: true,
+  read: (locator, argument, options) => locator.first().isEnabled(options),
+  cypress: { chainer: 'be.enabled' }
+});
+
+registerAssertion('checked', {
+  state: true,
+  read: (locator, argument, options) => locator.first().isChecked(options),
+  cypress: { chainer: 'be.checked' }
+});
+
+registerAssertion('focused', {
+  state: true,
+  read: (locator, argument, options) => locator.first().evaluate(el => el === document.activeElement, null, options),
+  cypress: { chainer: 'have.focus' }
+});
+
+registerAssertion('text', {
+  read: (locator, argument, options) => locator.first().textContent(options),
+  waitFor: 'visible',
+  cypress: { chainer: 'have.text', getter: ['text'] }
+});
+
+registerAssertion('containsText', {
+  read: (locator, argument, options) => locator.first().textContent(options),
+  contains: true,
+  waitFor: 'visible',
+  cypress: { chainer: 'contain', getter: ['text'] }
+});
+
+registerAssertion('value', {
+  read: (locator, argument, options) => locator.first().inputValue(options),
+  cypress: { chainer: 'have.value', getter: ['val'] }
+});
+
+registerAssertion('attribute', {
+  argument: true,
+  read: (locator, name, options) => locator.first().getAttribute(name, options),
+  cypress: { chainer: 'have.attr', getter: name => ['attr', name] }
+});
+
+registerAssertion('cssProperty', {
+  argument: true,
+  read: (locator, property, options) => locator.first().evaluate(
+    (el, prop) => getComputedStyle(el).getPropertyValue(prop) || getComputedStyle(el)[prop],
+    property,
+    options
+  ),
+  cypress: { chainer: 'have.css', getter: property => ['css', property] }
+});
+
+registerAssertion('count', {
+  read: locator => locator.count(),
+  waitFor: null,
+  cypress: { chainer: 'have.length' }
+});
+
+registerAssertion('clickable', {
+  run: (locator, options) => locator.first().click(options),
+  waitFor: 'visible',
+  cypress: () => '.click()'
+});
+
+module.exports = {
+  DEFAULT_TIMEOUT,
+  DEFAULT_POLL_INTERVAL,
+  NUMERIC_OPERATORS,
+  registerAssertion,
+  getAssertion,
+  listAssertions,
+  parseTestType,
+  isKnownTestType,
+  needsExpectedValue,
+  parseExpectation,
+  checkExpectation,
+  evaluateAssertion,
+  compileAssertion
+};
@@ -0,0 +1,128 @@
+// Named login roles and storage-state reuse for the Playwright agent
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Role types:
+ * - form:    { url, formData, submit, waitFor?, waitForUrl? } logs in through the UI
+ * - actions: { actions: [...] } runs an action list (e.g. a page object's login)
+ * - basic:   { username, password } HTTP basic auth, nothing to store
+ * - inject:  { cookies?, localStorage?, headers? } pre-issued cookies or tokens
+ *
+ * form and actions roles save the resulting storage state and reuse it until
+ * it expires; `check: { url, selector }` verifies a reused session is still
+ * logged in.
+ */
+const ROLE_TYPES = ['form', 'actions', 'basic', 'inject'];
+
+const DEFAULT_MAX_AGE = 60 * 60 * 1000;
+
+function roleType(role) {
+  return role.type || (role.actions ? 'actions' : 'form');
+}
+
+function validateRole(name, role) {
+  const type = roleType(role);
+  if (!ROLE_TYPES.includes(type)) {
+    throw new Error(`Role ${name} has unknown type: ${type} (expected one of: ${ROLE_TYPES.join(', ')})`);
+  }
+
+  const required = {
+    form: ['url', 'formData', 'submit'],
+    actions: ['actions'],
+    basic: ['username', 'password'],
+    inject: []
+  }[type];
+  const missing = required.filter(key => role[key] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Role ${name} (${type}) is missing: ${missing.join(', ')}`);
+  }
+
+  return type;
+}
+
+function getRole(auth, name) {
+  const role = auth && auth.roles && auth.roles[name];
+  if (!role) {
+    const known = auth && auth.roles ? Object.keys(auth.roles).join(', ') : 'none configured';
+    throw new Error(`Unknown role: ${name} (known roles: ${known})`);
+  }
+  validateRole(name, role);
+  return role;
+}
+
+function roleStatePath(stateDir, name) {
+  return path.join(stateDir, `${name.replace(/[^A-Za-z0-9_-]+/g, '-')}.json`);
+}
+
+/**
+ * A saved state is reusable while it is younger than maxAge and none of its
+ * cookies has expired.
+ */
+function isStateFresh(statePath, { maxAge = DEFAULT_MAX_AGE, now = Date.now() } = {}) {
+  if (!fs.existsSync(statePath)) {
+    return false;
+  }
+  if (now - fs.statSync(statePath).mtimeMs > maxAge) {
+    return false;
+  }
+
+  try {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    // Playwright stores session cookies with expires -1
+    return !(state.cookies || []).some(cookie => cookie.expires > 0 && cookie.expires * 1000 <= now);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Storage state for an inject role. Cookies without a url or domain are
+ * scoped to baseUrl, and localStorage entries to its origin.
+ */
+function injectedState(role, baseUrl) {
+  const origin = new URL(baseUrl).origin;
+  const cookies = (role.cookies || []).map(cookie => (
+    cookie.url || cookie.domain ? cookie : { ...cookie, url: origin }
+  ));
+  const localStorage = Object.entries(role.localStorage || {}).map(([name, value]) => ({
+    name,
+    value: typeof value === 'string' ? value : JSON.stringify(value)
+  }));
+
+  return {
+    cookies,
+    origins: localStorage.length > 0 ? [{ origin, localStorage }] : []
+  };
+}
+
+/**
+ * Extra browser.newContext() options for a role.
+ */
+function roleContextOptions(role, { baseUrl, statePath } = {}) {
+  const type = roleType(role);
+
+  if (type === 'basic') {
+    return { httpCredentials: { username: role.username, password: role.password } };
+  }
+  if (type === 'inject') {
+    return {
+      storageState: injectedState(role, baseUrl),
+      ...(role.headers && { extraHTTPHeaders: role.headers })
+    };
+  }
+  return statePath ? { storageState: statePath } : {};
+}
+
+module.exports = {
+  ROLE_TYPES,
+  DEFAULT_MAX_AGE,
+  roleType,
+  validateRole,
+  getRole,
+  roleStatePath,
+  isStateFresh,
+  injectedState,
+  roleContextOptions
+};
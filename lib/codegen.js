@@ -0,0 +1,99 @@
+// Code generation helpers for Cypress spec files
+//
+// Every user-supplied value (selectors, text, URLs, names) goes through
+// literal() so it lands in the generated spec as a valid JavaScript literal,
+// whatever quotes, backslashes or template syntax it contains.
+
+const INDENT = '  ';
+
+/**
+ * Serialize a value as a JavaScript literal.
+ */
+function literal(value) {
+  if (value instanceof RegExp) {
+    // RegExp#toString escapes forward slashes and line terminators in the source
+    return value.toString();
+  }
+  if (value === undefined) {
+    return 'undefined';
+  }
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    throw new Error(`Cannot serialize number: ${value}`);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(literal).join(', ')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).map(([key, item]) => `${literal(key)}: ${literal(item)}`);
+    return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
+  }
+
+  // JSON escapes quotes, backslashes and control characters; U+2028/2029 are
+  // valid in string literals but escaped anyway to keep generated files readable
+  return JSON.stringify(value).replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * Render a call expression with literal arguments, e.g. call('cy.visit', '/') -> cy.visit("/")
+ */
+function call(callee, ...args) {
+  return `${callee}(${args.map(literal).join(', ')})`;
+}
+
+function indent(code, depth = 1) {
+  const prefix = INDENT.repeat(depth);
+  return code.split('\n').map(line => (line ? `${prefix}${line}` : line)).join('\n');
+}
+
+function statement(code) {
+  return code.trimEnd().endsWith(';') ? code : `${code};`;
+}
+
+/**
+ * Render a mocha block such as describe(...) or it(...) with a callback body.
+ */
+function block(fn, title, body) {
+  const head = title === undefined ? `${fn}(() => {` : `${fn}(${literal(title)}, () => {`;
+  const inner = body.length > 0 ? `\n${indent(body.join('\n'))}\n` : '\n';
+  return `${head}${inner}});`;
+}
+
+/**
+ * Render a complete spec file:
+ * renderSpec({ suite, tests: [{ title, steps: ['cy.visit("/")', ...] }] })
+ */
+function renderSpec({ suite, tests, beforeEach = [], header = 'Generated by UITestingAgent' }) {
+  const body = [];
+
+  if (beforeEach.length > 0) {
+    body.push(block('beforeEach', undefined, beforeEach.map(statement)));
+  }
+
+  for (const test of tests) {
+    body.push(block('it', test.title, test.steps.map(statement)));
+  }
+
+  return `// ${header.replace(/[\r\n\u2028\u2029]+/g, ' ')}\n${block('describe', suite, body.join('\n\n').split('\n'))}\n`;
+}
+
+/**
+ * File-system safe spec name derived from a suite name.
+ */
+function specFileName(name, suffix = '.cy.js') {
+  const base = String(name)
+    .toLowerCase()
+    .replace(/\s+/g, '_')
+    .replace(/[^a-z0-9_-]+/g, '-')
+    .replace(/^[-_]+|[-_]+$/g, '');
+  return `${base || 'spec'}${suffix}`;
+}
+
+module.exports = {
+  literal,
+  call,
+  indent,
+  statement,
+  block,
+  renderSpec,
+  specFileName
+};
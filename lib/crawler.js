@@ -0,0 +1,221 @@
+// Same-origin site crawler that builds a route inventory for both generators
+
+const { globToRegExp } = require('./glob');
+
+/**
+ * Parse robots.txt and return the Allow/Disallow rules that apply to `userAgent`
+ * (falling back to the `*` group).
+ */
+function parseRobotsTxt(text, userAgent = '*') {
+  const groups = [];
+  let current = null;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!current || current.rules.length > 0) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+    } else if (current && (field === 'allow' || field === 'disallow')) {
+      current.rules.push({ allow: field === 'allow', path: value });
+    }
+  }
+
+  const agent = userAgent.toLowerCase();
+  const group = groups.find(g => g.agents.includes(agent)) || groups.find(g => g.agents.includes('*'));
+  // An empty Disallow means "allow everything"
+  return group ? group.rules.filter(rule => rule.path !== '') : [];
+}
+
+function robotsPatternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const source = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Robots-style matching: the longest matching rule wins, Allow wins ties.
+ */
+function isAllowedByRobots(rules, urlPath) {
+  let best = null;
+
+  for (const rule of rules) {
+    if (!robotsPatternToRegExp(rule.path).test(urlPath)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+
+  return !best || best.allow;
+}
+
+// Strings are globs over path + query ('/blog/**'); RegExps are tested as-is
+function matchesPattern(pattern, urlPath) {
+  return pattern instanceof RegExp ? pattern.test(urlPath) : globToRegExp(pattern).test(urlPath);
+}
+
+/**
+ * Site Crawler
+ *
+ * Starts at the agent's baseUrl and follows same-origin links breadth-first,
+ * recording each page's status code, title and outgoing links. Pages that
+ * answer 4xx/5xx (or fail to load) are reported as broken links.
+ */
+class SiteCrawler {
+  constructor(page, config = {}) {
+    this.page = page;
+    this.startUrl = config.startUrl;
+    this.maxDepth = config.maxDepth ?? 2;
+    this.maxPages = config.maxPages ?? 50;
+    this.include = config.include || [];
+    this.exclude = config.exclude || [];
+    this.disallow = config.disallow || [];        // extra robots-style Disallow paths
+    this.respectRobotsTxt = config.respectRobotsTxt !== false;
+    this.userAgent = config.userAgent || '*';
+    this.timeout = config.timeout || 30000;
+    this.robotsRules = [];
+  }
+
+  urlPath(url) {
+    return `${url.pathname}${url.search}`;
+  }
+
+  /**
+   * Whether a same-origin URL may be crawled under include/exclude and robots rules.
+   */
+  isAllowed(url) {
+    const urlPath = this.urlPath(url);
+
+    if (this.include.length > 0 && !this.include.some(pattern => matchesPattern(pattern, urlPath))) {
+      return false;
+    }
+    if (this.exclude.some(pattern => matchesPattern(pattern, urlPath))) {
+      return false;
+    }
+    return isAllowedByRobots(this.robotsRules, urlPath);
+  }
+
+  async loadRobotsRules(origin) {
+    const rules = this.disallow.map(disallowed => ({ allow: false, path: disallowed }));
+
+    if (this.respectRobotsTxt) {
+      try {
+        const response = await this.page.request.get(`${origin}/robots.txt`, { timeout: this.timeout });
+        if (response.ok()) {
+          rules.push(...parseRobotsTxt(await response.text(), this.userAgent));
+        }
+      } catch (error) {
+        console.warn(`Could not read robots.txt: ${error.message}`);
+      }
+    }
+
+    this.robotsRules = rules;
+  }
+
+  async visit(url) {
+    try {
+      const response = await this.page.goto(url, { waitUntil: 'domcontentloaded', timeout: this.timeout });
+      const status = response ? response.status() : null;
+      const contentType = response ? response.headers()['content-type'] || '' : '';
+
+      // Only HTML pages have titles and links worth following
+      if (!contentType.includes('html')) {
+        return { status, title: null, links: [] };
+      }
+
+      const title = await this.page.title();
+      const links = await this.page.$$eval('a[href]', anchors => anchors.map(anchor => anchor.href));
+      return { status, title, links };
+    } catch (error) {
+      return { status: null, title: null, links: [], error: error.message.split('\n')[0] };
+    }
+  }
+
+  /**
+   * Crawl and return the route inventory:
+   * { baseUrl, generatedAt, routes: ['/', ...], pages: [...], brokenLinks: [...] }
+   */
+  async crawl() {
+    const start = new URL(this.startUrl);
+    start.hash = '';
+    await this.loadRobotsRules(start.origin);
+
+    const queue = [{ url: start, depth: 0 }];
+    const seen = new Set([start.href]);
+    const referrers = new Map([[start.href, []]]);
+    const pages = [];
+
+    while (queue.length > 0 && pages.length < this.maxPages) {
+      const { url, depth } = queue.shift();
+      console.log(`Crawling ${url.href} (depth ${depth})`);
+
+      const result = await this.visit(url.href);
+      const links = [...new Set(result.links
+        .map(link => {
+          try {
+            const parsed = new URL(link);
+            parsed.hash = '';
+            return parsed;
+          } catch (error) {
+            return null;
+          }
+        })
+        .filter(link => link && ['http:', 'https:'].includes(link.protocol))
+        .map(link => link.href))];
+
+      pages.push({
+        url: url.href,
+        path: this.urlPath(url),
+        depth,
+        status: result.status,
+        title: result.title,
+        links,
+        referrers: referrers.get(url.href),
+        ...(result.error && { error: result.error })
+      });
+
+      if (depth >= this.maxDepth) continue;
+
+      for (const link of links) {
+        const parsed = new URL(link);
+        if (parsed.origin !== start.origin) continue;
+
+        if (!referrers.has(link)) referrers.set(link, []);
+        referrers.get(link).push(url.href);
+
+        if (!seen.has(link) && this.isAllowed(parsed)) {
+          seen.add(link);
+          queue.push({ url: parsed, depth: depth + 1 });
+        }
+      }
+    }
+
+    const isBroken = page => page.status === null || page.status >= 400;
+
+    return {
+      baseUrl: start.origin,
+      generatedAt: new Date().toISOString(),
+      routes: pages.filter(page => !isBroken(page)).map(page => page.path),
+      pages,
+      brokenLinks: pages.filter(isBroken)
+    };
+  }
+}
+
+module.exports = {
+  SiteCrawler,
+  parseRobotsTxt,
+  isAllowedByRobots
+};
@@ -0,0 +1,287 @@
+// Datasets for data-driven scenarios: CSV, JSON and JSONL rows filling
+// ${variable} placeholders in actions, one test per row
+//
+// dataset: { file, columns, rows: [row] }
+// row:     { index, line, values }   index counts from 1, line is where the row starts in file
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+const DATASET_FORMATS = ['.csv', '.json', '.jsonl'];
+
+// ${name}; $${name} is the literal text ${name}
+const PLACEHOLDER = /\$(\$?)\{([^}]*)\}/g;
+
+// How long a value may be in a row title before it's cut
+const TITLE_VALUE_LENGTH = 40;
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields may contain commas, quotes as ""
+ * and line breaks). The first record is the header.
+ */
+function parseCsv(text, file = '<csv>') {
+  const records = [];
+  let record = null;
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let position = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endField = () => {
+    record.fields.push(field);
+    field = '';
+  };
+
+  for (; position < text.length; position++) {
+    const char = text[position];
+    if (record === null) {
+      if (char === '\r' || char === '\n') {
+        // Blank lines separate nothing
+        if (char === '\n') line++;
+        continue;
+      }
+      record = { line, fields: [] };
+    }
+
+    if (quoted) {
+      if (char === '"' && text[position + 1] === '"') {
+        field += '"';
+        position++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[position + 1] === '\n') position++;
+      endField();
+      records.push(record);
+      record = null;
+      line++;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`${file}:${record.line}: unterminated quoted field`);
+  }
+  if (record !== null) {
+    endField();
+    records.push(record);
+  }
+  if (records.length === 0) {
+    throw new Error(`${file}: no header row`);
+  }
+
+  const [header, ...body] = records;
+  const columns = header.fields.map(name => name.trim());
+  const duplicate = columns.find((name, index) => columns.indexOf(name) !== index);
+  if (duplicate !== undefined) {
+    throw new Error(`${file}:${header.line}: duplicate column "${duplicate}"`);
+  }
+
+  const rows = body.map((entry, index) => {
+    if (entry.fields.length !== columns.length) {
+      throw new Error(`${file}:${entry.line}: expected ${columns.length} values (${columns.join(', ')}), got ${entry.fields.length}`);
+    }
+    return {
+      index: index + 1,
+      line: entry.line,
+      values: Object.fromEntries(columns.map((name, column) => [name, entry.fields[column]]))
+    };
+  });
+
+  return { file, columns, rows };
+}
+
+// `where` names the row in the error: 'users.json:3' or 'data[2]'
+function checkRowObject(value, where) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`${where}: each row must be an object of column values`);
+  }
+  return value;
+}
+
+// Columns in the order they first appear
+function columnsOf(rows) {
+  return [...new Set(rows.flatMap(row => Object.keys(row.values)))];
+}
+
+/**
+ * Parse a JSON array of row objects. JSON is valid YAML, so the YAML parser
+ * gives each row its line number.
+ */
+function parseJsonRows(text, file = '<json>') {
+  const lineCounter = new YAML.LineCounter();
+  const doc = YAML.parseDocument(text, { lineCounter, prettyErrors: false });
+  if (doc.errors.length > 0) {
+    const [error] = doc.errors;
+    throw new Error(`${file}:${lineCounter.linePos(error.pos[0]).line}: ${error.message.split('\n')[0]}`);
+  }
+  if (!YAML.isSeq(doc.contents)) {
+    throw new Error(`${file}: expected an array of row objects`);
+  }
+
+  const rows = doc.contents.items.map((item, index) => {
+    const line = lineCounter.linePos(item && item.range ? item.range[0] : 0).line;
+    return { index: index + 1, line, values: checkRowObject(item && item.toJSON(), `${file}:${line}`) };
+  });
+  return { file, columns: columnsOf(rows), rows };
+}
+
+// One JSON object per line; blank lines are skipped
+function parseJsonLines(text, file = '<jsonl>') {
+  const rows = [];
+  text.split(/\r?\n/).forEach((source, offset) => {
+    if (source.trim() === '') {
+      return;
+    }
+    let value;
+    try {
+      value = JSON.parse(source);
+    } catch (error) {
+      throw new Error(`${file}:${offset + 1}: ${error.message}`);
+    }
+    rows.push({ index: rows.length + 1, line: offset + 1, values: checkRowObject(value, `${file}:${offset + 1}`) });
+  });
+  return { file, columns: columnsOf(rows), rows };
+}
+
+/**
+ * Load a dataset file; the format comes from its extension.
+ * `file` is how the dataset is named in errors and reports.
+ */
+function loadDataset(filePath, file = filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (!DATASET_FORMATS.includes(extension)) {
+    throw new Error(`Unsupported dataset format: ${file} (expected ${DATASET_FORMATS.join(', ')})`);
+  }
+
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read dataset ${file}: ${error.code === 'ENOENT' ? 'no such file' : error.message}`);
+  }
+
+  const dataset = extension === '.csv'
+    ? parseCsv(text, file)
+    : extension === '.json' ? parseJsonRows(text, file) : parseJsonLines(text, file);
+  if (dataset.rows.length === 0) {
+    throw new Error(`${file}: the dataset has no rows`);
+  }
+  return dataset;
+}
+
+/**
+ * The dataset for a `data` option: a dataset file, a dataset loadDataset()
+ * returned, or an array of row objects ({ username: 'ada', ... }).
+ */
+function toDataset(data) {
+  if (typeof data === 'string') {
+    return loadDataset(path.resolve(data), data);
+  }
+  if (Array.isArray(data)) {
+    const rows = data.map((values, index) => ({
+      index: index + 1,
+      line: null,
+      values: checkRowObject(values, `data[${index}]`)
+    }));
+    return { file: null, columns: columnsOf(rows), rows };
+  }
+  if (data && Array.isArray(data.rows)) {
+    return data;
+  }
+  throw new Error('data must be a dataset file, or an array of row objects');
+}
+
+// Names of the variables a string uses
+function placeholders(text) {
+  return [...String(text).matchAll(PLACEHOLDER)]
+    .filter(([, escaped]) => !escaped)
+    .map(([, , name]) => name.trim());
+}
+
+function lookup(values, name) {
+  if (!Object.prototype.hasOwnProperty.call(values, name)) {
+    throw new Error(`Unknown variable "${name}" (the data has: ${Object.keys(values).join(', ') || 'no columns'})`);
+  }
+  return values[name];
+}
+
+function interpolateString(text, values) {
+  // A lone placeholder keeps the value's JSON type, so numbers and booleans survive
+  const lone = /^\$\{([^}]*)\}$/.exec(text);
+  if (lone) {
+    return lookup(values, lone[1].trim());
+  }
+  return text.replace(PLACEHOLDER, (match, escaped, name) => {
+    if (escaped) {
+      return match.slice(1);
+    }
+    const value = lookup(values, name.trim());
+    return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Fill ${variable} placeholders in a value (actions, plain objects, arrays and
+ * strings, including object keys) from one row's values. Class instances such
+ * as RegExps and page-object LocatorRefs are passed through unchanged.
+ */
+function interpolate(value, values) {
+  if (typeof value === 'string') {
+    return interpolateString(value, values);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => interpolate(item, values));
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [interpolateString(key, values), interpolate(item, values)]));
+  }
+  return value;
+}
+
+function shorten(value) {
+  const text = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.length > TITLE_VALUE_LENGTH ? `${text.slice(0, TITLE_VALUE_LENGTH - 1)}…` : text;
+}
+
+// 'row 2 (username=ada, role=admin)': test titles, unique per row
+function rowTitle(row) {
+  const values = Object.entries(row.values).map(([name, value]) => `${name}=${shorten(value)}`);
+  return values.length > 0 ? `row ${row.index} (${values.join(', ')})` : `row ${row.index}`;
+}
+
+// What results and reports record about the row a test ran with
+function rowData(dataset, row) {
+  return { file: dataset.file, row: row.index, line: row.line, values: row.values };
+}
+
+module.exports = {
+  DATASET_FORMATS,
+  parseCsv,
+  parseJsonRows,
+  parseJsonLines,
+  loadDataset,
+  toDataset,
+  placeholders,
+  interpolate,
+  rowTitle,
+  rowData
+};
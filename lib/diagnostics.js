@@ -0,0 +1,51 @@
+// Console messages, uncaught exceptions and failed requests collected per navigation
+
+const { parseExpectation } = require('./assertions');
+
+const DEFAULT_DIAGNOSTICS = {
+  consoleLevels: ['error', 'warning'],   // console message types to collect
+  failOnError: false,                    // errors become failed results
+  allow: []                              // known-noisy messages that never fail a run
+};
+
+// Entry kinds that count as errors; console messages count when logged at 'error'
+const ERROR_KINDS = ['pageerror', 'requestfailed', 'response'];
+
+/**
+ * Allow-list entries are substrings, RegExps, { regex, flags } or 're:' strings,
+ * matched against the entry text (which includes the URL for network entries).
+ */
+function isAllowed(text, allow = []) {
+  return allow.some(pattern => {
+    const expectation = parseExpectation(pattern);
+    return expectation.kind === 'regex'
+      ? expectation.regex.test(text)
+      : text.includes(String(pattern));
+  });
+}
+
+function isError(entry) {
+  return ERROR_KINDS.includes(entry.kind) || (entry.kind === 'console' && entry.type === 'error');
+}
+
+/**
+ * Mark allow-listed entries and count what is left.
+ * Returns { entries, errors, warnings }.
+ */
+function summarizeDiagnostics(entries, allow = []) {
+  const marked = entries.map(entry => ({ ...entry, allowed: isAllowed(entry.text, allow) }));
+  const counted = marked.filter(entry => !entry.allowed);
+
+  return {
+    entries: marked,
+    errors: counted.filter(isError).length,
+    warnings: counted.filter(entry => !isError(entry)).length
+  };
+}
+
+module.exports = {
+  DEFAULT_DIAGNOSTICS,
+  isAllowed,
+  isError,
+  summarizeDiagnostics
+};
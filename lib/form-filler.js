@@ -0,0 +1,530 @@
+// Type-aware form filling with a seeded, offline fake data generator
+//
+// describeFormFields() reads every control of a form in the browser,
+// planFormFill() turns those descriptions into fill/check/select steps with
+// values that satisfy (or deliberately break) each control's constraints, and
+// validationChecks() compares the browser's validity state with the plan.
+//
+// The Playwright agent calls these in Node and the page; generated Cypress
+// specs embed them with formFillerSource(), so every function listed in
+// BROWSER_FUNCTIONS may only use each other and the constants embedded there.
+
+const { literal, indent } = require('./codegen');
+
+const DEFAULT_SEED = 1;
+
+// Controls describeFormFields() reports, in document order
+const FIELD_SELECTOR = 'input, select, textarea';
+
+const FAKE_DATA = {
+  firstNames: ['Ada', 'Alan', 'Grace', 'Linus', 'Margaret', 'Dennis', 'Barbara', 'Ken', 'Frances', 'Edsger',
+    'Radia', 'Tim', 'Katherine', 'John', 'Hedy', 'Donald', 'Sophie', 'Niklaus', 'Annie', 'Brian'],
+  lastNames: ['Lovelace', 'Turing', 'Hopper', 'Torvalds', 'Hamilton', 'Ritchie', 'Liskov', 'Thompson', 'Allen',
+    'Dijkstra', 'Perlman', 'Berners-Lee', 'Johnson', 'McCarthy', 'Lamarr', 'Knuth', 'Wilson', 'Wirth', 'Easley', 'Kernighan'],
+  words: ['alpha', 'bright', 'canyon', 'delta', 'ember', 'falcon', 'garden', 'harbor', 'island', 'jasper',
+    'kernel', 'lantern', 'meadow', 'nebula', 'orbit', 'pepper', 'quartz', 'river', 'summit', 'timber',
+    'umbra', 'violet', 'willow', 'xenon', 'yonder', 'zephyr'],
+  cities: ['Springfield', 'Riverton', 'Lakeside', 'Fairview', 'Greenville', 'Kingston', 'Milford', 'Ashland', 'Clayton', 'Dover'],
+  streets: ['Main', 'Oak', 'Maple', 'Cedar', 'Elm', 'Pine', 'Hill', 'Park', 'Lake', 'Church'],
+  countries: ['United States', 'Canada', 'United Kingdom', 'Germany', 'France', 'Japan', 'Australia', 'Brazil', 'India', 'Spain'],
+  companySuffixes: ['Labs', 'Systems', 'Works', 'Industries', 'Partners'],
+  // Reserved for documentation (RFC 2606), so generated addresses never reach anyone
+  domains: ['example.com', 'example.org', 'example.net']
+};
+
+// Input types that take no generated value
+const SKIPPED_TYPES = ['hidden', 'submit', 'button', 'reset', 'image', 'file'];
+
+// Values before and after any realistic min/max of each date and time input type
+const OUT_OF_RANGE = {
+  date: ['1000-01-01', '2999-12-31'],
+  month: ['1000-01', '2999-12'],
+  week: ['1000-W01', '2999-W52'],
+  time: ['00:00', '23:59'],
+  'datetime-local': ['1000-01-01T00:00', '2999-12-31T23:59']
+};
+
+/**
+ * Deterministic random numbers from a string or number seed (FNV-1a hash
+ * feeding mulberry32), so the same seed always fills a form the same way.
+ */
+function createRandom(seed) {
+  let state = 2166136261;
+  for (const char of String(seed)) {
+    state = Math.imul(state ^ char.charCodeAt(0), 16777619);
+  }
+  const next = () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), state | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: list => list[Math.floor(next() * list.length)]
+  };
+}
+
+// Anchored RegExp for an HTML pattern attribute, or null when the browser couldn't compile it either
+function patternRegExp(pattern) {
+  for (const flags of ['v', 'u']) {
+    try {
+      return new RegExp(`^(?:${pattern})$`, flags);
+    } catch (error) {
+      // 'v' needs a recent engine; retry with 'u'
+    }
+  }
+  return null;
+}
+
+/**
+ * A random string matching a regular expression made of literals, classes
+ * ([a-z0-9], \d, \w, \s, .), groups with alternatives and quantifiers.
+ * Throws for anything else (lookarounds, back references, negated classes).
+ */
+function generateFromPattern(pattern, random) {
+  const DIGITS = '0123456789';
+  const LETTERS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
+  const CLASSES = { d: DIGITS, w: `${LETTERS}${DIGITS}_`, s: ' ' };
+  let position = 0;
+
+  const unsupported = what => new Error(`Unsupported pattern syntax (${what}) in ${pattern}`);
+  const range = (from, to) => Array.from({ length: to.charCodeAt(0) - from.charCodeAt(0) + 1 },
+    (unused, offset) => String.fromCharCode(from.charCodeAt(0) + offset)).join('');
+
+  const escaped = () => {
+    const char = pattern[position++];
+    if (CLASSES[char]) return CLASSES[char];
+    if (/[DWSbBk1-9]/.test(char)) throw unsupported(`\\${char}`);
+    return char;
+  };
+
+  const characterClass = () => {
+    if (pattern[position] === '^') throw unsupported('negated class');
+    let chars = '';
+    while (position < pattern.length && pattern[position] !== ']') {
+      const from = pattern[position] === '\\' ? (position++, escaped()) : pattern[position++];
+      if (from.length === 1 && pattern[position] === '-' && pattern[position + 1] && pattern[position + 1] !== ']') {
+        position++;
+        const to = pattern[position] === '\\' ? (position++, escaped()) : pattern[position++];
+        chars += range(from, to);
+      } else {
+        chars += from;
+      }
+    }
+    position++;
+    return { chars };
+  };
+
+  const atom = () => {
+    const char = pattern[position++];
+    if (char === '(') {
+      if (pattern[position] === '?') {
+        if (pattern[position + 1] !== ':') throw unsupported('lookaround or named group');
+        position += 2;
+      }
+      const group = alternatives();
+      position++;
+      return group;
+    }
+    if (char === '[') return characterClass();
+    if (char === '\\') return { chars: escaped() };
+    if (char === '.') return { chars: `${LETTERS}${DIGITS}` };
+    if (char === '^' || char === '$') return { text: '' };
+    return { text: char };
+  };
+
+  const quantified = node => {
+    let min = 1;
+    let max = 1;
+    const char = pattern[position];
+    if (char === '*' || char === '+' || char === '?') {
+      position++;
+      [min, max] = char === '*' ? [0, 3] : char === '+' ? [1, 4] : [0, 1];
+    } else if (char === '{') {
+      const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(position));
+      if (!match) return node;
+      position += match[0].length;
+      min = Number(match[1]);
+      max = match[2] ? (match[3] ? Number(match[3]) : min + 3) : min;
+    } else {
+      return node;
+    }
+    if (pattern[position] === '?') position++;   // lazy makes no difference here
+    return { repeat: node, min, max };
+  };
+
+  const sequence = () => {
+    const items = [];
+    while (position < pattern.length && pattern[position] !== '|' && pattern[position] !== ')') {
+      items.push(quantified(atom()));
+    }
+    return { items };
+  };
+
+  function alternatives() {
+    const branches = [sequence()];
+    while (pattern[position] === '|') {
+      position++;
+      branches.push(sequence());
+    }
+    return { branches };
+  }
+
+  const generate = node => {
+    if (node.branches) return generate(random.pick(node.branches));
+    if (node.items) return node.items.map(generate).join('');
+    if (node.repeat) return Array.from({ length: random.int(node.min, node.max) }, () => generate(node.repeat)).join('');
+    if (node.chars !== undefined) return random.pick([...node.chars]);
+    return node.text;
+  };
+
+  const tree = alternatives();
+  if (position < pattern.length) throw unsupported(`unbalanced "${pattern[position]}"`);
+  return generate(tree);
+}
+
+/**
+ * Describe every control in `form` (any container element) for planFormFill().
+ * Runs in the browser; Playwright passes `selector` since it can't see FIELD_SELECTOR.
+ */
+function describeFormFields(form, selector = FIELD_SELECTOR) {
+  return Array.from(form.querySelectorAll(selector), (element, index) => {
+    const label = element.labels && element.labels.length > 0 ? element.labels[0].textContent : '';
+    return {
+      index,
+      tag: element.tagName.toLowerCase(),
+      type: element.tagName === 'INPUT' ? element.type : element.tagName.toLowerCase(),
+      name: element.name || '',
+      id: element.id || '',
+      label: (label || element.getAttribute('aria-label') || element.getAttribute('placeholder') || '').trim(),
+      autocomplete: element.getAttribute('autocomplete') || '',
+      pattern: element.getAttribute('pattern') || '',
+      min: element.getAttribute('min') || '',
+      max: element.getAttribute('max') || '',
+      step: element.getAttribute('step') || '',
+      minLength: element.minLength > 0 ? element.minLength : null,
+      maxLength: element.maxLength >= 0 ? element.maxLength : null,
+      value: element.value,
+      required: Boolean(element.required),
+      disabled: Boolean(element.disabled),
+      readOnly: Boolean(element.readOnly),
+      options: element.tagName === 'SELECT'
+        ? Array.from(element.options, option => ({ value: option.value, label: option.label, disabled: option.disabled }))
+        : []
+    };
+  });
+}
+
+// How fields are named in plans and reports: name, id, or tag and position
+function fieldKey(field) {
+  return field.name || field.id || `${field.tag}-${field.index}`;
+}
+
+function toNumber(value) {
+  return value === '' || value === null || value === undefined || Number.isNaN(Number(value)) ? null : Number(value);
+}
+
+function numberValue(field, random) {
+  const step = toNumber(field.step) && field.step !== 'any' ? Number(field.step) : 1;
+  const min = toNumber(field.min);
+  const max = toNumber(field.max);
+  const low = min ?? (max !== null ? max - 100 : field.type === 'range' ? 0 : 1);
+  const high = max ?? (field.type === 'range' ? 100 : low + 99);
+  // Valid values are step multiples counted from min (or 0)
+  const base = min ?? 0;
+  const first = base + Math.ceil((low - base) / step) * step;
+  const value = first + random.int(0, Math.max(0, Math.floor((high - first) / step))) * step;
+  const decimals = (String(step).split('.')[1] || '').length;
+  return String(Number(value.toFixed(decimals)));
+}
+
+function dateValue(field, random) {
+  const pad = (number, length = 2) => String(number).padStart(length, '0');
+  const day = text => Date.UTC(Number(text.slice(0, 4)), Number(text.slice(5, 7)) - 1, Number(text.slice(8, 10) || 1)) / 86400000;
+  // Week and time bounds aren't days; clamp() applies those
+  const dayBounds = ['date', 'month', 'datetime-local'].includes(field.type);
+  const min = dayBounds && field.min ? day(field.min) : day('2000-01-01');
+  const max = dayBounds && field.max ? day(field.max) : day('2030-12-31');
+  const date = new Date(random.int(min, Math.max(min, max)) * 86400000);
+  const ymd = `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+  const time = `${pad(random.int(8, 17))}:${pad(random.int(0, 59))}`;
+  const clamp = value => (field.min && value < field.min ? field.min : field.max && value > field.max ? field.max : value);
+
+  switch (field.type) {
+    case 'month':
+      return clamp(ymd.slice(0, 7));
+    case 'week':
+      return clamp(`${ymd.slice(0, 4)}-W${pad(random.int(1, 52))}`);
+    case 'time':
+      return clamp(time);
+    case 'datetime-local':
+      return clamp(`${ymd}T${time}`);
+    default:
+      return ymd;
+  }
+}
+
+// A realistic value for a text-like field, guessed from its autocomplete, name, id and label
+function textValue(field, random) {
+  const { firstNames, lastNames, words, cities, streets, countries, companySuffixes, domains } = FAKE_DATA;
+  const hint = `${field.autocomplete} ${field.name} ${field.id} ${field.label}`.toLowerCase();
+  const first = random.pick(firstNames);
+  const last = random.pick(lastNames);
+  const word = () => random.pick(words);
+  const capitalize = text => text[0].toUpperCase() + text.slice(1);
+
+  if (field.type === 'email' || /e-?mail/.test(hint)) {
+    return `${first}.${last}${random.int(1, 99)}@${random.pick(domains)}`.toLowerCase();
+  }
+  if (field.type === 'url' || /url|website|homepage/.test(hint)) return `https://www.${random.pick(domains)}/${word()}`;
+  if (field.type === 'tel' || /phone|mobile|\btel/.test(hint)) return `+1 555 ${random.int(100, 999)} ${random.int(1000, 9999)}`;
+  if (field.type === 'password' || /password/.test(hint)) return `${capitalize(word())}-${word()}-${random.int(10, 99)}!`;
+  if (/given|first.?name|fname/.test(hint)) return first;
+  if (/family|last.?name|surname|lname/.test(hint)) return last;
+  if (/user.?name|login|nickname/.test(hint)) return `${first}${random.int(10, 999)}`.toLowerCase();
+  if (/organi[sz]ation|company|employer/.test(hint)) return `${capitalize(word())} ${random.pick(companySuffixes)}`;
+  if (/postal|post.?code|zip/.test(hint)) return String(random.int(10000, 99999));
+  if (/address-level2|city|town/.test(hint)) return random.pick(cities);
+  if (/country/.test(hint)) return random.pick(countries);
+  if (/street|address/.test(hint)) return `${random.int(1, 999)} ${random.pick(streets)} Street`;
+  if (/name/.test(hint)) return `${first} ${last}`;
+
+  const sentence = Array.from({ length: field.type === 'textarea' ? random.int(8, 14) : random.int(2, 3) }, word).join(' ');
+  return field.type === 'textarea' ? `${capitalize(sentence)}.` : sentence;
+}
+
+/**
+ * A valid value for one field: satisfies its type, min/max/step,
+ * minlength/maxlength and pattern where it can.
+ */
+function generateFieldValue(field, random) {
+  let value;
+  if (field.type === 'number' || field.type === 'range') {
+    value = numberValue(field, random);
+  } else if (OUT_OF_RANGE[field.type]) {
+    value = dateValue(field, random);
+  } else if (field.type === 'color') {
+    value = `#${random.int(0, 0xffffff).toString(16).padStart(6, '0')}`;
+  } else {
+    value = textValue(field, random);
+    if (field.maxLength !== null && value.length > field.maxLength) {
+      value = value.slice(0, field.maxLength).trim();
+    }
+    while (field.minLength !== null && value.length < field.minLength) {
+      value += random.pick([...'abcdefghijklmnopqrstuvwxyz']);
+    }
+  }
+
+  const regExp = field.pattern ? patternRegExp(field.pattern) : null;
+  if (regExp && !regExp.test(value)) {
+    // A few tries, so length limits can reject an unlucky draw
+    for (let attempt = 0; attempt < 10; attempt++) {
+      let candidate;
+      try {
+        candidate = generateFromPattern(field.pattern, random);
+      } catch (error) {
+        return { value, warning: error.message };
+      }
+      const fits = (field.maxLength === null || candidate.length <= field.maxLength) &&
+        (field.minLength === null || candidate.length >= field.minLength);
+      if (regExp.test(candidate) && fits) {
+        return { value: candidate };
+      }
+    }
+    return { value, warning: `No value generated for pattern ${field.pattern}` };
+  }
+  return { value };
+}
+
+/**
+ * A value the browser should reject for one field, with the ValidityState
+ * flag it trips, or null when the field has no constraint to break.
+ */
+function invalidFieldValue(field) {
+  const max = toNumber(field.max);
+  const min = toNumber(field.min);
+
+  if (field.type === 'email') return { value: 'not-an-email', reason: 'typeMismatch' };
+  if (field.type === 'url') return { value: 'not a url', reason: 'typeMismatch' };
+  // Browsers clamp range inputs, so those can't be out of range
+  if (field.type === 'number' && max !== null) return { value: String(max + 1), reason: 'rangeOverflow' };
+  if (field.type === 'number' && min !== null) return { value: String(min - 1), reason: 'rangeUnderflow' };
+  if (OUT_OF_RANGE[field.type] && field.max) return { value: OUT_OF_RANGE[field.type][1], reason: 'rangeOverflow' };
+  if (OUT_OF_RANGE[field.type] && field.min) return { value: OUT_OF_RANGE[field.type][0], reason: 'rangeUnderflow' };
+
+  const regExp = field.pattern ? patternRegExp(field.pattern) : null;
+  const mismatch = regExp && ['!', 'invalid value', '0'].find(candidate => !regExp.test(candidate));
+  if (mismatch) return { value: mismatch, reason: 'patternMismatch' };
+  if (field.minLength !== null && field.minLength > 1) return { value: 'x'.repeat(field.minLength - 1), reason: 'tooShort' };
+  if (field.required) return { value: '', reason: 'valueMissing' };
+  return null;
+}
+
+/**
+ * Steps that fill the described fields:
+ * [{ index, field, action: 'fill' | 'check' | 'uncheck' | 'select' | 'none', value, invalid, reason, warning }]
+ *
+ * options.seed: makes the values reproducible; each field draws from its own
+ *   stream, so adding a field doesn't change the others
+ * options.invalid: true, or names/ids of fields that get a value the browser rejects
+ */
+function planFormFill(fields, { seed, invalid = [] } = {}) {
+  const steps = [];
+  const radioGroups = new Set();
+
+  for (const field of fields) {
+    if (field.disabled || field.readOnly || SKIPPED_TYPES.includes(field.type)) {
+      continue;
+    }
+    const key = fieldKey(field);
+    const random = createRandom(`${seed}:${key}`);
+    const breakIt = invalid === true || (Array.isArray(invalid) && (invalid.includes(field.name) || invalid.includes(field.id)));
+    const step = { index: field.index, field: key, invalid: false };
+
+    if (field.type === 'radio') {
+      if (radioGroups.has(key)) continue;
+      radioGroups.add(key);
+      const group = field.name ? fields.filter(other => other.type === 'radio' && other.name === field.name && !other.disabled) : [field];
+      if (breakIt && group.some(radio => radio.required)) {
+        steps.push({ ...step, action: 'none', invalid: true, reason: 'valueMissing' });
+      } else {
+        const choice = random.pick(group);
+        steps.push({ ...step, index: choice.index, action: 'check', value: choice.value });
+      }
+    } else if (field.type === 'checkbox') {
+      if (breakIt && field.required) {
+        steps.push({ ...step, action: 'uncheck', invalid: true, reason: 'valueMissing' });
+      } else {
+        steps.push({ ...step, action: field.required || random.next() < 0.5 ? 'check' : 'uncheck' });
+      }
+    } else if (field.tag === 'select') {
+      const choices = field.options.filter(option => !option.disabled && option.value !== '');
+      const placeholder = field.options.find(option => option.value === '');
+      if (breakIt && field.required && placeholder) {
+        steps.push({ ...step, action: 'select', value: '', invalid: true, reason: 'valueMissing' });
+      } else if (choices.length > 0) {
+        steps.push({ ...step, action: 'select', value: random.pick(choices).value });
+      }
+    } else {
+      const broken = breakIt ? invalidFieldValue(field) : null;
+      if (broken) {
+        steps.push({ ...step, action: 'fill', type: field.type, value: broken.value, invalid: true, reason: broken.reason });
+      } else {
+        const { value, warning } = generateFieldValue(field, random);
+        steps.push({ ...step, action: 'fill', type: field.type, value, ...(warning && { warning }),
+          ...(breakIt && { warning: `${key} has no constraint to break, filled with a valid value` }) });
+      }
+    }
+  }
+
+  return steps;
+}
+
+/**
+ * Validity of every control in `form`, indexed like describeFormFields().
+ * Runs in the browser, like describeFormFields().
+ */
+function validationState(form, selector = FIELD_SELECTOR) {
+  return Array.from(form.querySelectorAll(selector), (element, index) => ({
+    index,
+    tag: element.tagName.toLowerCase(),
+    name: element.name || '',
+    id: element.id || '',
+    valid: element.validity.valid,
+    message: element.validationMessage
+  }));
+}
+
+/**
+ * Compare the browser's validity with the plan: fields filled with invalid
+ * values must be invalid, the others valid. `expectation` may map field names
+ * to text their validation message must contain (which also expects them invalid).
+ * Returns [{ field, expected, actual, passed }].
+ */
+function validationChecks(plan, states, expectation) {
+  const messages = expectation && typeof expectation === 'object' ? expectation : {};
+  const check = (field, state, invalid) => {
+    const text = messages[field];
+    const expectInvalid = invalid || text !== undefined;
+    const actual = !state ? 'no such field' : state.valid ? 'valid' : `invalid: ${state.message}`;
+    const passed = Boolean(state) && (expectInvalid
+      ? !state.valid && (text === undefined || state.message.toLowerCase().includes(String(text).toLowerCase()))
+      : state.valid);
+    return { field, expected: expectInvalid ? `invalid${text === undefined ? '' : `: ${text}`}` : 'valid', actual, passed };
+  };
+
+  const checks = plan.map(step => check(step.field, states[step.index], step.invalid));
+  for (const field of Object.keys(messages)) {
+    if (!checks.some(existing => existing.field === field)) {
+      checks.push(check(field, states.find(state => fieldKey(state) === field), true));
+    }
+  }
+  return checks;
+}
+
+/**
+ * Submit the form the way a user would: click its submit button, so the
+ * browser validates first. Runs in the browser.
+ */
+function submitForm(container) {
+  const form = container.tagName === 'FORM' ? container : container.closest('form') || container.querySelector('form');
+  const button = (form || container).querySelector('[type=submit], button:not([type])');
+  if (button) {
+    button.click();
+  } else if (form) {
+    form.requestSubmit();
+  } else {
+    throw new Error('No form or submit button to submit');
+  }
+}
+
+const BROWSER_FUNCTIONS = [
+  createRandom,
+  patternRegExp,
+  generateFromPattern,
+  describeFormFields,
+  fieldKey,
+  toNumber,
+  numberValue,
+  dateValue,
+  textValue,
+  generateFieldValue,
+  invalidFieldValue,
+  planFormFill,
+  validationState,
+  validationChecks,
+  submitForm
+];
+
+/**
+ * Source of an expression evaluating to
+ * { describeFormFields, planFormFill, validationState, validationChecks, submitForm },
+ * for generated Cypress specs.
+ */
+function formFillerSource() {
+  const body = [
+    `const FIELD_SELECTOR = ${literal(FIELD_SELECTOR)};`,
+    `const SKIPPED_TYPES = ${literal(SKIPPED_TYPES)};`,
+    `const OUT_OF_RANGE = ${literal(OUT_OF_RANGE)};`,
+    `const FAKE_DATA = ${literal(FAKE_DATA)};`,
+    ...BROWSER_FUNCTIONS.map(String),
+    'return { describeFormFields, planFormFill, validationState, validationChecks, submitForm };'
+  ];
+  return ['(() => {', indent(body.join('\n')), '})()'].join('\n');
+}
+
+module.exports = {
+  DEFAULT_SEED,
+  FIELD_SELECTOR,
+  FAKE_DATA,
+  createRandom,
+  generateFromPattern,
+  describeFormFields,
+  planFormFill,
+  validationState,
+  validationChecks,
+  submitForm,
+  formFillerSource
+};
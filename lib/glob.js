@@ -0,0 +1,30 @@
+// Glob patterns for scenario files and crawler URL filters
+
+/**
+ * Minimal glob support (`*`, `**`, `?`), used where the shell doesn't expand
+ * patterns for us. `*` stops at '/', `**` crosses directories.
+ */
+function globToRegExp(pattern) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // `**/` matches zero or more directories
+      source += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += pattern[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+module.exports = {
+  globToRegExp
+};
@@ -0,0 +1,325 @@
+// Run history: one JSONL line per run with git metadata, trend analysis and the trend page
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { allTests, suiteLabel } = require('./results');
+const { escapeHtml, formatDuration } = require('./html-report');
+const { renderSparkline } = require('./performance');
+
+const DEFAULT_HISTORY_LIMIT = 200;
+
+// A test failing in at least this many consecutive runs is long-failing rather than new
+const LONG_FAILING_RUNS = 3;
+
+function git(args, cwd) {
+  try {
+    return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Commit and branch of the working tree. CI checkouts are often a detached
+ * HEAD, so the branch falls back to the CI's own variables.
+ */
+function gitMetadata(cwd = process.cwd()) {
+  const commit = git(['rev-parse', 'HEAD'], cwd) || process.env.GITHUB_SHA || null;
+  let branch = git(['rev-parse', '--abbrev-ref', 'HEAD'], cwd);
+  if (!branch || branch === 'HEAD') {
+    branch = process.env.GITHUB_HEAD_REF || process.env.GITHUB_REF_NAME || process.env.CI_COMMIT_REF_NAME || null;
+  }
+  const status = commit ? git(['status', '--porcelain'], cwd) : null;
+
+  return { commit, branch, dirty: status === null ? null : status.length > 0 };
+}
+
+// Stable identity of a test across runs
+function testId(test) {
+  return `${suiteLabel(test)} > ${test.name}`;
+}
+
+/**
+ * The history entry for a normalized run (lib/results): totals and one
+ * compact record per test, without steps or attachments.
+ */
+function historyEntry(run, gitInfo = gitMetadata()) {
+  return {
+    startedAt: run.startedAt,
+    durationMs: run.durationMs,
+    engine: run.engine,
+    git: gitInfo,
+    summary: run.summary,
+    tests: allTests(run).map(test => ({
+      id: testId(test),
+      status: test.status,
+      flaky: test.flaky,
+      durationMs: test.durationMs,
+      ...(test.error && { message: test.error.message })
+    }))
+  };
+}
+
+function readHistory(historyPath) {
+  if (!fs.existsSync(historyPath)) {
+    return [];
+  }
+  return fs.readFileSync(historyPath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+/**
+ * Append a run, rewriting the file only once it holds more than `limit` runs.
+ */
+function appendHistory(historyPath, entry, limit = DEFAULT_HISTORY_LIMIT) {
+  fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+  fs.appendFileSync(historyPath, `${JSON.stringify(entry)}\n`);
+
+  const history = readHistory(historyPath);
+  if (history.length > limit) {
+    const trimmed = history.slice(-limit);
+    fs.writeFileSync(historyPath, trimmed.map(run => `${JSON.stringify(run)}\n`).join(''));
+    return trimmed;
+  }
+  return history;
+}
+
+// Every word of the query must appear in the test id, in any order and case
+function matchesQuery(id, query) {
+  const haystack = id.toLowerCase();
+  return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => haystack.includes(word));
+}
+
+/**
+ * Per-run results of the tests matching a query:
+ * [{ id, runs: [{ startedAt, commit, branch, status, flaky, durationMs, message }] }]
+ */
+function testHistory(history, query) {
+  const byTest = new Map();
+
+  for (const run of history) {
+    for (const test of run.tests) {
+      if (!matchesQuery(test.id, query)) {
+        continue;
+      }
+      if (!byTest.has(test.id)) {
+        byTest.set(test.id, []);
+      }
+      byTest.get(test.id).push({
+        startedAt: run.startedAt,
+        commit: run.git && run.git.commit,
+        branch: run.git && run.git.branch,
+        status: test.status,
+        flaky: test.flaky,
+        durationMs: test.durationMs,
+        message: test.message
+      });
+    }
+  }
+
+  return [...byTest].map(([id, runs]) => ({ id, runs }));
+}
+
+// How many runs in a row, ending with the latest, a test has failed
+function failureStreak(history, id) {
+  let streak = 0;
+  for (let index = history.length - 1; index >= 0; index--) {
+    const test = history[index].tests.find(entry => entry.id === id);
+    if (!test || test.status !== 'failed') {
+      break;
+    }
+    streak++;
+  }
+  return streak;
+}
+
+/**
+ * Split the latest run's failures into newly failing (passed or absent in
+ * the run before) and long-failing (failed LONG_FAILING_RUNS or more runs in a row).
+ */
+function classifyFailures(history) {
+  const latest = history[history.length - 1];
+  if (!latest) {
+    return { newlyFailing: [], failing: [], longFailing: [] };
+  }
+
+  const result = { newlyFailing: [], failing: [], longFailing: [] };
+  for (const test of latest.tests.filter(entry => entry.status === 'failed')) {
+    const streak = failureStreak(history, test.id);
+    const since = history[history.length - streak];
+    const entry = { id: test.id, message: test.message, streak, since: since.startedAt, sinceCommit: since.git && since.git.commit };
+
+    if (streak === 1) {
+      result.newlyFailing.push(entry);
+    } else if (streak >= LONG_FAILING_RUNS) {
+      result.longFailing.push(entry);
+    } else {
+      result.failing.push(entry);
+    }
+  }
+  return result;
+}
+
+/**
+ * Slowest tests of the latest run, with their average over the whole history.
+ */
+function slowestTests(history, count = 10) {
+  const latest = history[history.length - 1];
+  if (!latest) {
+    return [];
+  }
+
+  return [...latest.tests]
+    .sort((a, b) => b.durationMs - a.durationMs)
+    .slice(0, count)
+    .map(test => {
+      const durations = history
+        .map(run => run.tests.find(entry => entry.id === test.id))
+        .filter(Boolean)
+        .map(entry => entry.durationMs);
+      return {
+        id: test.id,
+        durationMs: test.durationMs,
+        averageMs: Math.round(durations.reduce((total, value) => total + value, 0) / durations.length)
+      };
+    });
+}
+
+function passRate(run) {
+  return run.summary.total > 0 ? Math.round((run.summary.passed / run.summary.total) * 100) : 0;
+}
+
+function shortCommit(gitInfo) {
+  return gitInfo && gitInfo.commit ? `${gitInfo.commit.slice(0, 7)}${gitInfo.dirty ? '*' : ''}` : '';
+}
+
+function renderFailureTable(title, entries) {
+  if (entries.length === 0) {
+    return '';
+  }
+  return `
+    <h2>${title}</h2>
+    <table>
+      <tr><th>Test</th><th>Failing for</th><th>Since</th><th>Message</th></tr>
+      ${entries.map(entry => `
+        <tr>
+          <td>${escapeHtml(entry.id)}</td>
+          <td>${entry.streak} run(s)</td>
+          <td>${escapeHtml(entry.since)} ${escapeHtml(entry.sinceCommit ? entry.sinceCommit.slice(0, 7) : '')}</td>
+          <td>${escapeHtml(entry.message || '')}</td>
+        </tr>
+      `).join('')}
+    </table>`;
+}
+
+/**
+ * Trend page: pass rate over time, new and long-standing failures, slowest
+ * tests and a status grid of every test over the last `columns` runs.
+ */
+function renderHistoryPage(history, { columns = 30 } = {}) {
+  const recent = history.slice(-columns);
+  const { newlyFailing, failing, longFailing } = classifyFailures(history);
+  const testIds = [...new Set(recent.flatMap(run => run.tests.map(test => test.id)))].sort();
+  const cell = (run, id) => {
+    const test = run.tests.find(entry => entry.id === id);
+    if (!test) {
+      return '<td class="cell-none"></td>';
+    }
+    const status = test.flaky ? 'flaky' : test.status;
+    const title = `${run.startedAt} ${shortCommit(run.git)} ${status} ${formatDuration(test.durationMs)}${test.message ? ` ${test.message}` : ''}`;
+    return `<td class="cell-${status}" title="${escapeHtml(title)}"></td>`;
+  };
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>UI Test History</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 0; padding: 20px; }
+    h1, h2 { color: #333; }
+    table { border-collapse: collapse; margin-bottom: 20px; }
+    th, td { text-align: left; padding: 6px 8px; border: 1px solid #ddd; }
+    th { background-color: #4CAF50; color: white; }
+    .grid td { padding: 0; width: 14px; height: 14px; }
+    .grid td.name { width: auto; padding: 2px 8px; white-space: nowrap; }
+    .cell-passed { background: #4CAF50; }
+    .cell-failed { background: #d33; }
+    .cell-flaky { background: #e6b800; }
+    .cell-skipped { background: #bbb; }
+    .cell-none { background: #fff; }
+  </style>
+</head>
+<body>
+  <h1>UI Test History</h1>
+  <h2>Pass rate (last ${recent.length} runs)</h2>
+  ${renderSparkline(recent.map(passRate), { width: 480, height: 80 })}
+  <table>
+    <tr><th>Started</th><th>Branch</th><th>Commit</th><th>Engine</th><th>Passed</th><th>Failed</th><th>Flaky</th><th>Duration</th></tr>
+    ${[...recent].reverse().map(run => `
+      <tr>
+        <td>${escapeHtml(run.startedAt)}</td>
+        <td>${escapeHtml((run.git && run.git.branch) || '')}</td>
+        <td>${escapeHtml(shortCommit(run.git))}</td>
+        <td>${escapeHtml(run.engine)}</td>
+        <td>${run.summary.passed} / ${run.summary.total} (${passRate(run)}%)</td>
+        <td>${run.summary.failed}</td>
+        <td>${run.summary.flaky}</td>
+        <td>${formatDuration(run.durationMs)}</td>
+      </tr>
+    `).join('')}
+  </table>
+  ${renderFailureTable('Newly failing', newlyFailing)}
+  ${renderFailureTable('Failing', failing)}
+  ${renderFailureTable(`Long failing (${LONG_FAILING_RUNS}+ runs)`, longFailing)}
+  <h2>Slowest tests (latest run)</h2>
+  <table>
+    <tr><th>Test</th><th>Duration</th><th>Average</th></tr>
+    ${slowestTests(history).map(test => `
+      <tr><td>${escapeHtml(test.id)}</td><td>${formatDuration(test.durationMs)}</td><td>${formatDuration(test.averageMs)}</td></tr>
+    `).join('')}
+  </table>
+  <h2>Per-test history</h2>
+  <table class="grid">
+    ${testIds.map(id => `
+      <tr><td class="name">${escapeHtml(id)}</td>${recent.map(run => cell(run, id)).join('')}</tr>
+    `).join('')}
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Append a run to <outputDir>/history.jsonl and regenerate history.html.
+ * Options: { path, limit } or false to skip.
+ */
+function recordRun(run, outputDir, options = {}) {
+  if (options === false) {
+    return null;
+  }
+
+  const historyPath = options.path || path.join(outputDir, 'history.jsonl');
+  const history = appendHistory(historyPath, historyEntry(run), options.limit);
+  const pagePath = path.join(outputDir, 'history.html');
+  fs.writeFileSync(pagePath, renderHistoryPage(history));
+  return pagePath;
+}
+
+module.exports = {
+  DEFAULT_HISTORY_LIMIT,
+  LONG_FAILING_RUNS,
+  gitMetadata,
+  testId,
+  historyEntry,
+  readHistory,
+  appendHistory,
+  testHistory,
+  classifyFailures,
+  slowestTests,
+  renderHistoryPage,
+  recordRun
+};
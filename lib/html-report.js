@@ -0,0 +1,334 @@
+// Self-contained HTML report for a normalized run (lib/results), shared by every agent
+//
+// Styles and the filter script are inlined and screenshots are embedded as
+// data URIs, so the report works opened straight from disk; videos are too
+// large to embed and are linked relative to the report.
+
+const fs = require('fs');
+const path = require('path');
+const { suiteLabel, summarize } = require('./results');
+
+// Screenshots above this size are linked instead of embedded
+const EMBED_LIMIT = 2 * 1024 * 1024;
+
+// Selectors, console messages and error text are arbitrary strings
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) {
+    return '';
+  }
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+// Artifact path relative to the report so it opens from disk
+function relativePath(filePath, reportDir) {
+  return path.relative(reportDir, path.resolve(filePath)).split(path.sep).join('/');
+}
+
+function imageSource(item, reportDir, embed) {
+  if (embed && fs.existsSync(item.path) && fs.statSync(item.path).size <= EMBED_LIMIT) {
+    return `data:${item.contentType};base64,${fs.readFileSync(item.path).toString('base64')}`;
+  }
+  return relativePath(item.path, reportDir);
+}
+
+function renderAttachment(item, { reportDir, embedImages }) {
+  const href = escapeHtml(relativePath(item.path, reportDir));
+  const name = escapeHtml(item.name);
+
+  if (item.contentType.startsWith('image/')) {
+    const src = escapeHtml(imageSource(item, reportDir, embedImages));
+    return `<figure><a href="${href}" target="_blank"><img src="${src}" alt="${name}" loading="lazy" /></a><figcaption>${name}</figcaption></figure>`;
+  }
+  if (item.contentType.startsWith('video/')) {
+    return `<figure><video controls preload="metadata" src="${href}"></video><figcaption>${name}</figcaption></figure>`;
+  }
+  if (item.contentType === 'application/zip') {
+    return `<div class="attachment-link"><a href="${href}">${name}</a> &ndash; <code>npx playwright show-trace ${escapeHtml(item.path)}</code></div>`;
+  }
+  return `<div class="attachment-link"><a href="${href}" target="_blank">${name}</a></div>`;
+}
+
+function renderAttachments(attachments, options) {
+  return attachments.length > 0
+    ? `<div class="attachments">${attachments.map(item => renderAttachment(item, options)).join('')}</div>`
+    : '';
+}
+
+// 'flaky' is a status of its own in the filters
+function displayStatus(test) {
+  return test.flaky ? 'flaky' : test.status;
+}
+
+function statusLabel(test) {
+  if (test.flaky) {
+    return `FLAKY (${test.retries + 1} attempts)`;
+  }
+  return { passed: 'PASS', failed: 'FAIL', skipped: 'SKIP' }[test.status];
+}
+
+function renderError(error) {
+  if (!error) {
+    return '';
+  }
+  return `<div class="error">${escapeHtml(error.message)}</div>` +
+    (error.stack ? `<details><summary>Stack trace</summary><pre>${escapeHtml(error.stack)}</pre></details>` : '');
+}
+
+/**
+ * Steps as a timeline: each bar is placed by its start time within the test,
+ * so waits and slow actions stand out. Steps without timing get no bar.
+ */
+function renderTimeline(steps) {
+  if (steps.length === 0) {
+    return '';
+  }
+
+  const timed = steps.filter(step => step.startedAt && step.durationMs !== null && step.durationMs !== undefined);
+  const start = Math.min(...timed.map(step => Date.parse(step.startedAt)));
+  const end = Math.max(...timed.map(step => Date.parse(step.startedAt) + step.durationMs));
+  const span = Math.max(end - start, 1);
+
+  return `<div class="timeline">${steps.map(step => {
+    const hasTiming = timed.includes(step);
+    const offset = hasTiming ? ((Date.parse(step.startedAt) - start) / span) * 100 : 0;
+    const width = hasTiming ? Math.max((step.durationMs / span) * 100, 0.5) : 0;
+
+    return `
+      <div class="step step-${step.status}">
+        <span class="step-title">${escapeHtml(step.title)}</span>
+        <span class="step-track">${hasTiming ? `<span class="step-bar" style="margin-left:${offset.toFixed(2)}%;width:${width.toFixed(2)}%"></span>` : ''}</span>
+        <span class="step-duration">${formatDuration(step.durationMs)}</span>
+        ${step.error ? `<div class="step-error">${escapeHtml(step.error.message)}</div>` : ''}
+      </div>`;
+  }).join('')}</div>`;
+}
+
+// The dataset row a data-driven test ran with, and where it is in the dataset
+function renderData(data) {
+  if (!data) {
+    return '';
+  }
+  const source = data.file ? `${data.file}${data.line ? `:${data.line}` : ''}, row ${data.row}` : `row ${data.row}`;
+  const values = Object.entries(data.values).map(([name, value]) =>
+    `<span class="data-value"><code>${escapeHtml(name)}</code> = ${escapeHtml(typeof value === 'string' ? value : JSON.stringify(value))}</span>`);
+  return `<div class="data">Data (${escapeHtml(source)}): ${values.join('')}</div>`;
+}
+
+function renderTest(test, index, options) {
+  const status = displayStatus(test);
+  const details = renderData(test.data) + renderError(test.error) + renderTimeline(test.steps) + renderAttachments(test.attachments, options);
+  const dataValues = test.data ? Object.values(test.data.values).map(value => (typeof value === 'string' ? value : JSON.stringify(value))) : [];
+  const search = [test.name, test.selector, test.type, test.page, test.suite, ...dataValues].filter(Boolean).join(' ').toLowerCase();
+
+  return `
+    <tbody class="test status-${status}" data-status="${status}" data-page="${escapeHtml(test.page || '')}"
+      data-search="${escapeHtml(search)}" data-order="${index}">
+      <tr>
+        <td${test.selector && test.selector !== test.name ? ` title="${escapeHtml(test.selector)}"` : ''}>${escapeHtml(test.name)}</td>
+        <td>${escapeHtml(test.type)}</td>
+        <td>${test.expected !== undefined ? escapeHtml(test.expected) : ''}</td>
+        <td>${test.actual !== undefined ? escapeHtml(test.actual) : ''}</td>
+        <td>${statusLabel(test)}</td>
+        <td>${formatDuration(test.durationMs)}</td>
+      </tr>
+      ${details ? `<tr class="details"><td colspan="6">${details}</td></tr>` : ''}
+    </tbody>`;
+}
+
+function renderSuite(suite, index, options) {
+  const summary = summarize(suite.tests);
+  return `
+    <section class="suite" data-failed="${summary.failed}" data-order="${index}">
+      <h2>${escapeHtml(suiteLabel(suite))}</h2>
+      <p>${suite.file ? `${escapeHtml(suite.file)} &middot; ` : ''}Passed: <span class="passed">${summary.passed}</span> / ${summary.total}
+        &middot; ${formatDuration(suite.durationMs)}</p>
+      ${renderAttachments(suite.attachments, options)}
+      <table>
+        <thead>
+          <tr>
+            <th>Test</th>
+            <th>Type</th>
+            <th>Expected</th>
+            <th>Actual</th>
+            <th>Status</th>
+            <th>Duration</th>
+          </tr>
+        </thead>
+        ${suite.tests.map((test, testIndex) => renderTest(test, testIndex, options)).join('')}
+      </table>
+    </section>`;
+}
+
+function renderToolbar(run) {
+  const pages = [...new Set(run.suites.flatMap(suite => suite.tests.map(test => test.page)).filter(Boolean))].sort();
+
+  return `
+  <div class="toolbar">
+    <input type="search" id="filter-text" placeholder="Search tests, selectors, pages" />
+    <select id="filter-status">
+      <option value="">All statuses</option>
+      <option value="failed">Failed</option>
+      <option value="flaky">Flaky</option>
+      <option value="passed">Passed</option>
+      <option value="skipped">Skipped</option>
+    </select>
+    ${pages.length > 0 ? `
+    <select id="filter-page">
+      <option value="">All pages</option>
+      ${pages.map(page => `<option value="${escapeHtml(page)}">${escapeHtml(page)}</option>`).join('')}
+    </select>` : ''}
+    <label><input type="checkbox" id="failures-first" checked /> Failures first</label>
+    <span id="filter-count"></span>
+  </div>`;
+}
+
+// Runs in the browser; kept dependency-free so the report needs no server
+const REPORT_SCRIPT = `
+(function () {
+  var text = document.getElementById('filter-text');
+  var status = document.getElementById('filter-status');
+  var page = document.getElementById('filter-page');
+  var failuresFirst = document.getElementById('failures-first');
+  var rank = { failed: 0, flaky: 1, skipped: 2, passed: 3 };
+
+  function sortChildren(parent, selector, key) {
+    var items = Array.prototype.slice.call(parent.querySelectorAll(selector));
+    items.sort(function (a, b) { return key(a) - key(b); });
+    items.forEach(function (item) { parent.appendChild(item); });
+  }
+
+  function order() {
+    var byFailures = failuresFirst.checked;
+    document.querySelectorAll('section.suite table').forEach(function (table) {
+      sortChildren(table, ':scope > tbody.test', function (test) {
+        var position = Number(test.dataset.order);
+        return byFailures ? rank[test.dataset.status] * 100000 + position : position;
+      });
+    });
+    sortChildren(document.getElementById('suites'), ':scope > section.suite', function (suite) {
+      var position = Number(suite.dataset.order);
+      return byFailures && Number(suite.dataset.failed) > 0 ? position - 100000 : position;
+    });
+  }
+
+  function filter() {
+    var query = text.value.trim().toLowerCase();
+    var shown = 0;
+    var total = 0;
+    document.querySelectorAll('section.suite').forEach(function (suite) {
+      var visible = 0;
+      suite.querySelectorAll('tbody.test').forEach(function (test) {
+        var match = (!query || test.dataset.search.indexOf(query) !== -1) &&
+          (!status.value || test.dataset.status === status.value) &&
+          (!page || !page.value || test.dataset.page === page.value);
+        test.hidden = !match;
+        visible += match ? 1 : 0;
+        total += 1;
+      });
+      suite.hidden = visible === 0;
+      shown += visible;
+    });
+    document.getElementById('filter-count').textContent = shown + ' of ' + total + ' tests';
+  }
+
+  [text, status, page].forEach(function (input) {
+    if (input) input.addEventListener('input', filter);
+  });
+  failuresFirst.addEventListener('change', order);
+  order();
+  filter();
+})();
+`;
+
+/**
+ * Render a run as a standalone HTML page. `reportDir` is where the page will
+ * be written (video links are relative to it); `sections` are extra HTML
+ * fragments an agent appends (accessibility, performance, ...), and `styles`
+ * CSS rules they need.
+ */
+function renderHtmlReport(run, { title = 'UI Test Results', reportDir = '.', sections = [], styles = '', embedImages = true } = {}) {
+  const { total, passed, failed, skipped, flaky } = run.summary;
+  const options = { reportDir, embedImages };
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 0; padding: 20px; }
+    h1 { color: #333; }
+    h2 { color: #333; margin-top: 30px; }
+    .summary { margin-bottom: 20px; }
+    .passed { color: green; }
+    .failed { color: red; }
+    .flaky { color: #b8860b; }
+    .toolbar { position: sticky; top: 0; background: white; padding: 10px 0; border-bottom: 1px solid #ddd; display: flex; gap: 10px; align-items: center; }
+    .toolbar input[type=search] { flex: 1; max-width: 400px; padding: 5px; }
+    #filter-count { color: #666; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { text-align: left; padding: 8px; border: 1px solid #ddd; vertical-align: top; }
+    th { background-color: #4CAF50; color: white; }
+    tbody.status-failed { background-color: #ffdddd; }
+    tbody.status-flaky { background-color: #fff5cc; }
+    tbody.status-skipped { color: #888; }
+    .error { color: #a00; font-family: monospace; white-space: pre-wrap; }
+    .data { margin-bottom: 6px; color: #444; }
+    .data-value { margin-right: 12px; }
+    pre { background: #f8f8f8; padding: 8px; overflow-x: auto; }
+    .timeline { margin: 8px 0; font-size: 13px; }
+    .step { display: grid; grid-template-columns: 280px 1fr 60px; gap: 8px; align-items: center; padding: 2px 0; }
+    .step-title { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    .step-track { background: #eee; height: 10px; border-radius: 2px; }
+    .step-bar { display: block; height: 10px; border-radius: 2px; background: #4CAF50; }
+    .step-failed .step-bar { background: #d33; }
+    .step-failed .step-title { color: #a00; }
+    .step-error { grid-column: 1 / -1; color: #a00; font-family: monospace; padding-left: 10px; }
+    .step-duration { text-align: right; color: #666; }
+    .attachments { display: flex; flex-wrap: wrap; gap: 10px; margin: 10px 0; }
+    .attachments figure { margin: 0; }
+    .attachments img { max-width: 240px; max-height: 180px; border: 1px solid #ccc; }
+    .attachments video { max-width: 480px; }
+    .attachments .attachment-link { align-self: center; }
+    [hidden] { display: none !important; }
+    ${styles}
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <div class="summary">
+    <p>Passed: <span class="passed">${passed}</span> / ${total}</p>
+    <p>Failed: <span class="failed">${failed}</span> / ${total}</p>
+    <p>Flaky: <span class="flaky">${flaky}</span> (passed only after a retry)</p>
+    ${skipped > 0 ? `<p>Skipped: ${skipped}</p>` : ''}
+    <p>Pass Rate: ${total > 0 ? Math.round((passed / total) * 100) : 0}%</p>
+    <p>Duration: ${formatDuration(run.durationMs)} &middot; ${escapeHtml(run.engine)} &middot; started ${escapeHtml(run.startedAt)}</p>
+  </div>
+  ${renderToolbar(run)}
+  <div id="suites">
+    ${run.suites.map((suite, index) => renderSuite(suite, index, options)).join('')}
+  </div>
+  ${sections.join('\n')}
+  <script>${REPORT_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  EMBED_LIMIT,
+  escapeHtml,
+  formatDuration,
+  relativePath,
+  renderTimeline,
+  renderHtmlReport
+};
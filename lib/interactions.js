@@ -0,0 +1,187 @@
+// Interaction actions shared by both agents: hover, key presses, drag and
+// drop, uploads, scrolling, frames, popups and dialogs
+//
+// The Playwright agent runs these natively; the helpers here translate them
+// into Cypress commands with the same observable result, and explain what
+// Cypress cannot do instead of generating a spec that silently differs.
+
+const path = require('path');
+const { literal, call } = require('./codegen');
+
+const DEFAULT_FIXTURES_DIR = './fixtures';
+
+const SCROLL_POSITIONS = ['top', 'bottom'];
+
+// Playwright modifier names and their Cypress type() sequences
+const MODIFIERS = {
+  Control: '{ctrl}',
+  Shift: '{shift}',
+  Alt: '{alt}',
+  Meta: '{meta}'
+};
+
+// Named keys (Playwright's KeyboardEvent.key names) Cypress can type
+const CYPRESS_KEYS = {
+  Enter: '{enter}',
+  Escape: '{esc}',
+  Backspace: '{backspace}',
+  Delete: '{del}',
+  ArrowUp: '{uparrow}',
+  ArrowDown: '{downarrow}',
+  ArrowLeft: '{leftarrow}',
+  ArrowRight: '{rightarrow}',
+  Home: '{home}',
+  End: '{end}',
+  PageUp: '{pageup}',
+  PageDown: '{pagedown}',
+  Insert: '{insert}',
+  Space: ' ',
+  ...MODIFIERS
+};
+
+/**
+ * Split a key or shortcut such as 'Enter' or 'Control+Shift+K' into its
+ * modifiers and the key pressed last. '+' on its own is the plus key.
+ */
+function parseKey(key) {
+  if (typeof key !== 'string' || key === '') {
+    throw new Error('A key is required, e.g. "Enter" or "Control+A"');
+  }
+
+  const parts = key === '+' || key.endsWith('++')
+    ? [...key.slice(0, -1).split('+').slice(0, -1), '+']
+    : key.split('+');
+  const pressed = parts.pop();
+  const unknown = parts.find(part => !MODIFIERS[part]);
+  if (unknown !== undefined) {
+    throw new Error(`Unknown modifier "${unknown}" in key ${key} (expected ${Object.keys(MODIFIERS).join(', ')})`);
+  }
+  if (pressed === '') {
+    throw new Error(`Key ${key} has no key after its modifiers`);
+  }
+
+  return { modifiers: parts, key: pressed };
+}
+
+// Scenario validator wrapper around parseKey()
+function checkKey(key) {
+  try {
+    parseKey(key);
+    return true;
+  } catch (error) {
+    return `is not a valid key: ${error.message}`;
+  }
+}
+
+/**
+ * Cypress type() sequence for a key or shortcut, e.g. 'Control+A' -> '{ctrl}a'.
+ * Modifiers stay pressed for the rest of the sequence, like a shortcut.
+ */
+function cypressKeySequence(key) {
+  const { modifiers, key: pressed } = parseKey(key);
+  let sequence;
+
+  if (CYPRESS_KEYS[pressed] !== undefined) {
+    sequence = CYPRESS_KEYS[pressed];
+  } else if ([...pressed].length === 1) {
+    // '{' starts a special sequence; Cypress types a literal one as '{{}'.
+    // Shortcut letters are typed lower case, Shift is what makes them capitals
+    const character = modifiers.length > 0 ? pressed.toLowerCase() : pressed;
+    sequence = character === '{' ? '{{}' : character;
+  } else {
+    throw new Error(`Key ${pressed} has no Cypress equivalent (type() supports ${Object.keys(CYPRESS_KEYS).join(', ')} and single characters)`);
+  }
+
+  return modifiers.map(modifier => MODIFIERS[modifier]).join('') + sequence;
+}
+
+/**
+ * Paths of fixture files for an upload, relative to the project root.
+ * Absolute paths are used as they are.
+ */
+function fixturePaths(files, fixturesDir = DEFAULT_FIXTURES_DIR) {
+  const list = [].concat(files || []);
+  if (list.length === 0) {
+    throw new Error('upload needs at least one fixture file');
+  }
+  return list.map(file => (path.isAbsolute(file) ? file : path.join(fixturesDir, file)));
+}
+
+/**
+ * Cypress commands for a scroll action: { selector } scrolls an element into
+ * view (pass its query), { position: 'top' | 'bottom' } or { x, y } scroll the page.
+ */
+function cypressScroll({ x, y, position }, query) {
+  if (query) {
+    return `${query}.scrollIntoView()`;
+  }
+  if (position !== undefined) {
+    if (!SCROLL_POSITIONS.includes(position)) {
+      throw new Error(`Unknown scroll position: ${position} (expected one of: ${SCROLL_POSITIONS.join(', ')})`);
+    }
+    return call('cy.scrollTo', position, { ensureScrollable: false });
+  }
+  // Like window.scrollTo(), scrolling a page that can't scroll is not an error
+  return call('cy.scrollTo', x || 0, y || 0, { ensureScrollable: false });
+}
+
+/**
+ * HTML5 drag and drop between two queries. Cypress has no native drag, so the
+ * drag events are dispatched with one shared DataTransfer, as a browser would.
+ */
+function cypressDragAndDrop(sourceQuery, targetQuery) {
+  return [
+    'cy.window().then(win => {',
+    '  const dataTransfer = new win.DataTransfer();',
+    `  ${sourceQuery}.trigger("dragstart", { dataTransfer });`,
+    `  ${targetQuery}.trigger("dragenter", { dataTransfer }).trigger("dragover", { dataTransfer }).trigger("drop", { dataTransfer });`,
+    `  ${sourceQuery}.trigger("dragend", { dataTransfer });`,
+    '})'
+  ].join('\n');
+}
+
+/**
+ * Cypress runs in a single tab: links open in the same tab and window.open()
+ * navigates the current window, so the popup's page replaces the opener.
+ */
+function cypressPopup(query) {
+  return [
+    'cy.window().then(win => {',
+    '  cy.stub(win, "open").callsFake(url => { win.location.href = url; });',
+    '})',
+    `${query}.invoke("removeAttr", "target").click()`
+  ];
+}
+
+// How dialogs are answered in both engines until a dialog action says otherwise
+const DEFAULT_DIALOG_POLICY = { accept: true, promptText: '' };
+
+/**
+ * Cypress commands answering every later alert/confirm/prompt the way
+ * Playwright's dialog.accept(promptText) / dialog.dismiss() do. Alerts only
+ * have an OK button, so Cypress's default of closing them already matches.
+ */
+function cypressDialogHandling({ accept, promptText }) {
+  const answer = accept ? literal(promptText ?? '') : 'null';
+  return [
+    'cy.removeAllListeners("window:confirm")',
+    `cy.on("window:confirm", () => ${Boolean(accept)})`,
+    // prompt() has no Cypress event; replace it in this and every later page
+    `cy.on("window:before:load", win => { win.prompt = () => ${answer}; })`,
+    `cy.window().then(win => { win.prompt = () => ${answer}; })`
+  ];
+}
+
+module.exports = {
+  DEFAULT_FIXTURES_DIR,
+  SCROLL_POSITIONS,
+  DEFAULT_DIALOG_POLICY,
+  parseKey,
+  checkKey,
+  cypressKeySequence,
+  fixturePaths,
+  cypressScroll,
+  cypressDragAndDrop,
+  cypressPopup,
+  cypressDialogHandling
+};
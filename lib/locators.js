@@ -0,0 +1,382 @@
+// Locator strings beyond CSS, resolved natively by Playwright and compiled to Cypress commands
+//
+//   role=button[name="Save"]   ARIA role, optionally with its accessible name ([exact] to match it fully)
+//   label=Email                form control by its <label>, aria-label or aria-labelledby
+//   text=Sign in               element containing the text ("quoted" for an exact match)
+//   testid=save                [data-testid="save"]
+//   xpath=//h1 or //h1         XPath (Playwright only)
+//   css=.card or .card         CSS, the default
+//
+// Parts chain with ' >> ': each part searches inside the previous one's
+// matches. 'nth=<n>' picks one match (0-based, negative counts from the
+// end), 'frame=<css>' continues inside an iframe and 'shadow=<css>' inside a
+// host element's shadow root.
+
+const { literal, call } = require('./codegen');
+
+const ENGINES = ['css', 'xpath', 'role', 'label', 'text', 'testid', 'nth', 'frame', 'shadow'];
+
+const TEST_ID_ATTRIBUTE = 'data-testid';
+
+// getByRole() options settable as [option] or [option=value] in a role= part
+const ROLE_OPTIONS = {
+  name: 'string',
+  exact: 'boolean',
+  checked: 'boolean',
+  disabled: 'boolean',
+  expanded: 'boolean',
+  pressed: 'boolean',
+  selected: 'boolean',
+  level: 'number',
+  'include-hidden': 'boolean'
+};
+
+// Elements with an implicit ARIA role, for the Cypress translation of role=
+const IMPLICIT_ROLES = {
+  button: ['button', 'input[type="button"]', 'input[type="submit"]', 'input[type="reset"]', 'input[type="image"]', 'summary'],
+  link: ['a[href]', 'area[href]'],
+  heading: ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'],
+  textbox: ['input:not([type])', 'input[type="text"]', 'input[type="email"]', 'input[type="tel"]', 'input[type="url"]', 'textarea'],
+  searchbox: ['input[type="search"]'],
+  spinbutton: ['input[type="number"]'],
+  slider: ['input[type="range"]'],
+  checkbox: ['input[type="checkbox"]'],
+  radio: ['input[type="radio"]'],
+  combobox: ['select:not([multiple])'],
+  listbox: ['select[multiple]'],
+  option: ['option'],
+  img: ['img[alt]:not([alt=""])'],
+  list: ['ul', 'ol'],
+  listitem: ['li'],
+  navigation: ['nav'],
+  main: ['main'],
+  dialog: ['dialog'],
+  table: ['table'],
+  row: ['tr'],
+  cell: ['td'],
+  columnheader: ['th']
+};
+
+// Controls getByLabel() can find
+const LABELLED_ELEMENTS = 'input, select, textarea, [aria-label], [aria-labelledby]';
+
+/**
+ * Split a chain on ' >> ' outside quotes.
+ */
+function splitChain(locator) {
+  const parts = [];
+  let quote = null;
+  let start = 0;
+
+  for (let index = 0; index < locator.length; index++) {
+    const char = locator[index];
+    if (quote) {
+      if (char === '\\') {
+        index++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (/\s/.test(char) && locator.startsWith('>>', index + 1) && /\s/.test(locator[index + 3] || '')) {
+      parts.push(locator.slice(start, index).trim());
+      start = index + 4;
+      index += 3;
+    }
+  }
+
+  // An unterminated quote belongs to the CSS itself, e.g. "a[title='it's']"
+  return quote || parts.length === 0 ? [locator] : [...parts, locator.slice(start).trim()];
+}
+
+function unquote(value) {
+  const match = value.match(/^(["'])([\s\S]*)\1$/);
+  return match ? match[2].replace(/\\([\s\S])/g, '$1') : null;
+}
+
+// 'Sign in' matches as a substring, '"Sign in"' exactly
+function parseText(value) {
+  const quoted = unquote(value.trim());
+  return quoted === null ? { text: value.trim(), exact: false } : { text: quoted, exact: true };
+}
+
+function parseRole(value, locator) {
+  const match = value.match(/^([a-z]+)/);
+  if (!match) {
+    throw new Error(`Invalid locator ${locator}: role= needs a role name, e.g. role=button[name="Save"]`);
+  }
+
+  const options = {};
+  const attribute = /\[\s*([a-z-]+)\s*(?:=\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[^\]]*?))?\s*\]/y;
+  attribute.lastIndex = match[0].length;
+
+  while (attribute.lastIndex < value.length) {
+    const start = attribute.lastIndex;
+    const found = attribute.exec(value);
+    if (!found) {
+      throw new Error(`Invalid locator ${locator}: cannot parse "${value.slice(start)}"`);
+    }
+
+    const [, name, raw] = found;
+    const type = ROLE_OPTIONS[name];
+    if (!type) {
+      throw new Error(`Invalid locator ${locator}: unknown role option "${name}" (expected one of: ${Object.keys(ROLE_OPTIONS).join(', ')})`);
+    }
+
+    const text = raw === undefined ? 'true' : (unquote(raw) ?? raw);
+    if (type === 'boolean' && !['true', 'false'].includes(text)) {
+      throw new Error(`Invalid locator ${locator}: role option "${name}" must be true or false`);
+    }
+    if (type === 'number' && !/^\d+$/.test(text)) {
+      throw new Error(`Invalid locator ${locator}: role option "${name}" must be a number`);
+    }
+
+    const key = name === 'include-hidden' ? 'includeHidden' : name;
+    options[key] = type === 'boolean' ? text === 'true' : type === 'number' ? Number(text) : text;
+  }
+
+  return { role: match[1], options };
+}
+
+function parseStep(part, locator) {
+  const prefixed = part.match(/^([a-z]+)=([\s\S]*)$/);
+  const engine = prefixed && ENGINES.includes(prefixed[1]) ? prefixed[1] : null;
+  const value = engine ? prefixed[2].trim() : part;
+
+  if (!engine) {
+    return /^\(*\/\//.test(part) ? { engine: 'xpath', expression: part } : { engine: 'css', selector: part };
+  }
+  if (value === '') {
+    throw new Error(`Invalid locator ${locator}: ${engine}= needs a value`);
+  }
+
+  switch (engine) {
+    case 'xpath':
+      return { engine, expression: value };
+    case 'text':
+    case 'label':
+      return { engine, ...parseText(value) };
+    case 'testid':
+      return { engine, id: unquote(value) ?? value };
+    case 'role':
+      return { engine, ...parseRole(value, locator) };
+    case 'nth':
+      if (!/^-?\d+$/.test(value)) {
+        throw new Error(`Invalid locator ${locator}: nth= must be an integer`);
+      }
+      return { engine, index: Number(value) };
+    default:
+      return { engine, selector: value };
+  }
+}
+
+/**
+ * Parse a locator string into its chain of steps, e.g.
+ * parseLocator('form >> role=button[name="Save"]') ->
+ * [{ engine: 'css', selector: 'form' }, { engine: 'role', role: 'button', options: { name: 'Save' } }]
+ */
+function parseLocator(locator) {
+  if (typeof locator !== 'string' || locator.trim() === '') {
+    throw new Error(`Locator must be a non-empty string, got: ${JSON.stringify(locator)}`);
+  }
+
+  const steps = splitChain(locator).map(part => parseStep(part, locator));
+  if (steps[0].engine === 'nth') {
+    throw new Error(`Invalid locator ${locator}: nth= picks from a previous part's matches`);
+  }
+  if (steps[steps.length - 1].engine === 'frame') {
+    throw new Error(`Invalid locator ${locator}: frame= must be followed by what to find inside the frame`);
+  }
+  return steps;
+}
+
+// Scenario schema check: true or an error message
+function checkLocator(locator) {
+  if (typeof locator === 'string' && locator.startsWith('@')) {
+    return true;   // page object reference, checked when resolved
+  }
+  try {
+    parseLocator(locator);
+    return true;
+  } catch (error) {
+    return `is not a valid locator: ${error.message}`;
+  }
+}
+
+/**
+ * Resolve a locator string to a Playwright Locator on `page`.
+ */
+function playwrightLocator(page, locator) {
+  let scope = page;
+
+  for (const step of parseLocator(locator)) {
+    switch (step.engine) {
+      case 'css':
+        scope = scope.locator(step.selector);
+        break;
+      case 'xpath':
+        scope = scope.locator(`xpath=${step.expression}`);
+        break;
+      case 'text':
+        scope = scope.getByText(step.text, { exact: step.exact });
+        break;
+      case 'label':
+        scope = scope.getByLabel(step.text, { exact: step.exact });
+        break;
+      case 'testid':
+        scope = scope.locator(`[${TEST_ID_ATTRIBUTE}=${JSON.stringify(step.id)}]`);
+        break;
+      case 'role':
+        scope = scope.getByRole(step.role, step.options);
+        break;
+      case 'nth':
+        scope = scope.nth(step.index);
+        break;
+      case 'frame':
+        scope = scope.frameLocator(step.selector);
+        break;
+      case 'shadow':
+        // Playwright's CSS, text and role engines pierce open shadow roots by themselves
+        scope = scope.locator(step.selector);
+        break;
+    }
+  }
+
+  return scope;
+}
+
+/**
+ * Whether an element's accessible name (or, with labelOnly, its label) matches
+ * like Playwright's: case-insensitive substring, or whole and case-sensitive
+ * when exact. A simplified name computation; runs in the browser from Cypress
+ * specs, so it must stay self-contained.
+ */
+function nameMatches(element, expected, exact, labelOnly) {
+  var normalize = function (text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  };
+  var labelledBy = element.getAttribute('aria-labelledby');
+  var name = '';
+
+  if (labelledBy) {
+    name = labelledBy.split(/\s+/).map(function (id) {
+      var label = element.ownerDocument.getElementById(id);
+      return label ? label.textContent : '';
+    }).join(' ');
+  } else if (element.getAttribute('aria-label')) {
+    name = element.getAttribute('aria-label');
+  } else if (element.labels && element.labels.length > 0) {
+    name = Array.prototype.map.call(element.labels, function (label) { return label.textContent; }).join(' ');
+  } else if (!labelOnly) {
+    if (element.tagName === 'INPUT' && ['button', 'submit', 'reset'].indexOf(element.type) !== -1) {
+      name = element.value;
+    } else if (element.tagName === 'IMG' || (element.tagName === 'INPUT' && element.type === 'image')) {
+      name = element.getAttribute('alt');
+    } else if (['INPUT', 'TEXTAREA', 'SELECT'].indexOf(element.tagName) === -1) {
+      name = element.textContent;
+    }
+    name = normalize(name) || element.getAttribute('title') || '';
+  }
+
+  name = normalize(name);
+  return exact ? name === expected : name.toLowerCase().indexOf(expected.toLowerCase()) !== -1;
+}
+
+function roleSelector(role) {
+  // An explicit role overrides the element's implicit one
+  const implicit = (IMPLICIT_ROLES[role] || []).map(selector => `${selector}:not([role])`);
+  return [...implicit, `[role=${JSON.stringify(role)}]`].join(', ');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Compile a locator string to a Cypress query chain, e.g.
+ * cypressQuery('form >> text=Save') -> cy.get("form").contains("Save", { matchCase: false })
+ * Throws for locators Cypress has no equivalent for.
+ */
+function cypressQuery(locator, options = {}) {
+  const extra = Object.keys(options).length > 0 ? [options] : [];
+  const untranslatable = reason => new Error(`Locator ${locator} has no Cypress translation: ${reason}`);
+  let chain = '';
+
+  // The first query starts from cy, later ones search inside the current subject
+  const query = (command, ...args) => {
+    chain += chain === '' ? call(command === 'find' ? 'cy.get' : `cy.${command}`, ...args) : call(`.${command}`, ...args);
+  };
+  const filterByName = (name, exact, labelOnly) => {
+    chain += `.filter((index, element) => (${nameMatches})(element, ${literal(name)}, ${exact}, ${labelOnly}))`;
+  };
+
+  for (const step of parseLocator(locator)) {
+    switch (step.engine) {
+      case 'css':
+        query('find', step.selector, ...extra);
+        break;
+      case 'testid':
+        query('find', `[${TEST_ID_ATTRIBUTE}=${JSON.stringify(step.id)}]`, ...extra);
+        break;
+      case 'text':
+        if (step.exact) {
+          query('contains', new RegExp(`^\\s*${escapeRegExp(step.text)}\\s*$`), ...extra);
+        } else {
+          query('contains', step.text, { matchCase: false, ...options });
+        }
+        break;
+      case 'label':
+        query('find', LABELLED_ELEMENTS, ...extra);
+        filterByName(step.text, step.exact, true);
+        break;
+      case 'role': {
+        const { name, exact = false, ...rest } = step.options;
+        const unsupported = Object.keys(rest);
+        if (unsupported.length > 0) {
+          throw untranslatable(`role option "${unsupported[0]}" is Playwright only`);
+        }
+        query('find', roleSelector(step.role), ...extra);
+        if (name !== undefined) {
+          filterByName(name, exact, false);
+        }
+        break;
+      }
+      case 'nth':
+        chain += call('.eq', step.index);
+        break;
+      case 'frame':
+        // Same-origin frames only; the body is wrapped so later parts can search it
+        query('find', step.selector, ...extra);
+        chain += `${call('.its', '0.contentDocument.body')}${call('.should', 'not.be.empty')}.then(cy.wrap)`;
+        break;
+      case 'shadow':
+        query('find', step.selector, ...extra);
+        chain += '.shadow()';
+        break;
+      case 'xpath':
+        throw untranslatable('Cypress has no XPath support; use css=, testid=, role=, label= or text=');
+    }
+  }
+
+  return chain;
+}
+
+/**
+ * Prefix a locator with the iframes entered by switchFrame actions, outermost
+ * first, so both engines search inside the current frame.
+ */
+function scopeToFrames(frames, locator) {
+  return [...frames.map(frame => `frame=${frame}`), locator].join(' >> ');
+}
+
+module.exports = {
+  ENGINES,
+  TEST_ID_ATTRIBUTE,
+  IMPLICIT_ROLES,
+  parseLocator,
+  checkLocator,
+  playwrightLocator,
+  cypressQuery,
+  nameMatches,
+  scopeToFrames
+};
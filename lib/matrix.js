@@ -0,0 +1,77 @@
+// Browser × device matrix for the Playwright agent
+
+const { devices } = require('playwright');
+
+const BROWSER_ENGINES = ['chromium', 'firefox', 'webkit'];
+
+const DEFAULT_DEVICES = [
+  { name: 'desktop', width: 1280, height: 720 }
+];
+
+/**
+ * Turn a device entry into Playwright context options.
+ *
+ * Accepts either the name of a Playwright device descriptor ('iPhone 13',
+ * 'Pixel 5', ...) or a viewport object in the same shape as the Cypress
+ * generator's `viewports` config: { name, width, height }.
+ */
+function resolveDevice(device) {
+  if (typeof device === 'string') {
+    const descriptor = devices[device];
+    if (!descriptor) {
+      throw new Error(`Unknown device: ${device}`);
+    }
+    // defaultBrowserType is metadata, not a context option
+    const { defaultBrowserType, ...contextOptions } = descriptor;
+    return { name: device, contextOptions };
+  }
+
+  if (!device || !device.width || !device.height) {
+    throw new Error(`Invalid device entry: ${JSON.stringify(device)}`);
+  }
+
+  const { name, width, height, ...contextOptions } = device;
+  return {
+    name: name || `${width}x${height}`,
+    contextOptions: { ...contextOptions, viewport: { width, height } }
+  };
+}
+
+/**
+ * Build the list of browser/device combinations a scenario runs against.
+ */
+function resolveMatrix({ browsers = ['chromium'], devices: deviceList = DEFAULT_DEVICES } = {}) {
+  const matrix = [];
+
+  for (const browserName of browsers) {
+    if (!BROWSER_ENGINES.includes(browserName)) {
+      throw new Error(`Unknown browser engine: ${browserName}`);
+    }
+
+    for (const device of deviceList) {
+      const { name, contextOptions } = resolveDevice(device);
+      const options = { ...contextOptions };
+
+      // Firefox has no mobile emulation
+      if (browserName === 'firefox') {
+        delete options.isMobile;
+      }
+
+      matrix.push({
+        id: `${browserName}-${name}`.replace(/[^\w.-]+/g, '_'),
+        browserName,
+        deviceName: name,
+        contextOptions: options
+      });
+    }
+  }
+
+  return matrix;
+}
+
+module.exports = {
+  BROWSER_ENGINES,
+  DEFAULT_DEVICES,
+  resolveDevice,
+  resolveMatrix
+};
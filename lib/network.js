@@ -0,0 +1,175 @@
+// Route mocks, HAR replay options and request assertions for the Playwright agent
+
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp } = require('./glob');
+const { parseExpectation, NUMERIC_OPERATORS } = require('./assertions');
+
+// Error codes accepted by Playwright's route.abort()
+const ABORT_ERRORS = [
+  'aborted', 'accessdenied', 'addressunreachable', 'blockedbyclient', 'blockedbyresponse',
+  'connectionaborted', 'connectionclosed', 'connectionfailed', 'connectionrefused',
+  'connectionreset', 'internetdisconnected', 'namenotresolved', 'timedout', 'failed'
+];
+
+const HAR_MODES = ['replay', 'record'];
+
+/**
+ * URL patterns are RegExps or globs. Globs without a scheme ('/api/users',
+ * '*.png') match on any origin.
+ */
+function urlMatcher(pattern) {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+  if (pattern.includes('://') || pattern.startsWith('**')) {
+    return globToRegExp(pattern);
+  }
+  return globToRegExp(`**${pattern.startsWith('/') ? '' : '/'}${pattern}`);
+}
+
+/**
+ * Translate a mock definition into route.fulfill() options.
+ *
+ * mock: { status, json, body, file, headers, contentType }
+ */
+function fulfillOptions(mock) {
+  const options = { status: mock.status ?? 200 };
+
+  if (mock.headers) options.headers = mock.headers;
+  if (mock.contentType) options.contentType = mock.contentType;
+
+  if (mock.json !== undefined) {
+    options.json = mock.json;
+  } else if (mock.file) {
+    options.path = mock.file;
+  } else if (mock.body !== undefined) {
+    options.body = String(mock.body);
+  }
+
+  return options;
+}
+
+// abort: true -> 'failed'; strings must be one of Playwright's error codes
+function abortError(abort) {
+  const error = abort === true ? 'failed' : abort;
+  if (!ABORT_ERRORS.includes(error)) {
+    throw new Error(`Unknown abort error: ${error} (expected one of: ${ABORT_ERRORS.join(', ')})`);
+  }
+  return error;
+}
+
+// JSON bodies first, then form-encoded
+function parseBody(postData) {
+  try {
+    return JSON.parse(postData);
+  } catch (error) {
+    return Object.fromEntries(new URLSearchParams(postData));
+  }
+}
+
+// Every key in `expected` must match; extra keys in `actual` are ignored
+function isSubset(expected, actual) {
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) &&
+      expected.length === actual.length &&
+      expected.every((item, index) => isSubset(item, actual[index]));
+  }
+  if (expected && typeof expected === 'object') {
+    return actual !== null && typeof actual === 'object' &&
+      Object.entries(expected).every(([key, value]) => isSubset(value, actual[key]));
+  }
+  return expected === actual;
+}
+
+/**
+ * Match a request body: regexes (RegExp, { regex } or 're:' strings) are tested
+ * against the raw body, other objects are partial matches against the parsed
+ * body, and other values must equal it.
+ */
+function bodyMatches(expected, postData) {
+  if (expected === undefined) {
+    return true;
+  }
+  if (postData === null || postData === undefined) {
+    return false;
+  }
+
+  const expectation = parseExpectation(expected);
+  if (expectation.kind === 'regex') {
+    return expectation.regex.test(postData);
+  }
+  return expected && typeof expected === 'object'
+    ? isSubset(expected, parseBody(postData))
+    : postData === String(expected);
+}
+
+/**
+ * Requests (as recorded by the agent) matching a URL pattern, method and body.
+ */
+function findRequests(requests, url, { method, body } = {}) {
+  const matcher = urlMatcher(url);
+  return requests.filter(request =>
+    matcher.test(request.url) &&
+    (!method || request.method === method.toUpperCase()) &&
+    bodyMatches(body, request.postData));
+}
+
+/**
+ * count: undefined means "at least once", numbers are exact, and strings
+ * use the assertion operators ('>= 2').
+ */
+function countMatches(count, actual) {
+  if (count === undefined) {
+    return actual > 0;
+  }
+
+  const expectation = parseExpectation(count);
+  if (expectation.kind !== 'numeric') {
+    throw new Error(`Invalid request count: ${count}`);
+  }
+  return NUMERIC_OPERATORS[expectation.operator].test(actual, expectation.value);
+}
+
+/**
+ * The HAR for one browser/device and role, next to the configured path:
+ * 'session.har' -> 'session.chromium-desktop.har', 'session.chromium-desktop.admin.har'
+ */
+function harPathFor(harPath, { target, role = null }) {
+  const extension = path.extname(harPath) || '.har';
+  const base = harPath.slice(0, harPath.length - path.extname(harPath).length);
+  const key = [target, role].filter(Boolean).map(part => part.replace(/[^A-Za-z0-9_.-]+/g, '-')).join('.');
+  return `${base}.${key}${extension}`;
+}
+
+/**
+ * Move one context's recording into the HAR at `harPath`. With `append`, its
+ * pages and entries are added to those already there instead of replacing them.
+ * Recordings must sit next to `harPath`: attached bodies are relative to the HAR.
+ */
+function mergeHar(recordingPath, harPath, { append = false } = {}) {
+  if (!append || !fs.existsSync(harPath)) {
+    fs.renameSync(recordingPath, harPath);
+    return;
+  }
+
+  const har = JSON.parse(fs.readFileSync(harPath, 'utf8'));
+  const recording = JSON.parse(fs.readFileSync(recordingPath, 'utf8'));
+  har.log.pages = [...(har.log.pages || []), ...(recording.log.pages || [])];
+  har.log.entries = [...har.log.entries, ...recording.log.entries];
+  fs.writeFileSync(harPath, JSON.stringify(har, null, 2));
+  fs.rmSync(recordingPath);
+}
+
+module.exports = {
+  ABORT_ERRORS,
+  HAR_MODES,
+  urlMatcher,
+  fulfillOptions,
+  abortError,
+  bodyMatches,
+  findRequests,
+  countMatches,
+  harPathFor,
+  mergeHar
+};
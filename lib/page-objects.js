@@ -0,0 +1,152 @@
+// Page objects: named locators and reusable action lists shared by both agents
+
+const pages = new Map();
+
+const RESERVED_NAMES = ['name', 'path', 'locators', 'actions'];
+
+/**
+ * A named locator on a page. Agents use `selector`; reports show `label`
+ * ('LoginPage.submit') instead of the raw CSS.
+ */
+class LocatorRef {
+  constructor(pageName, name, selector) {
+    this.pageName = pageName;
+    this.name = name;
+    this.selector = selector;
+  }
+
+  get label() {
+    return `${this.pageName}.${this.name}`;
+  }
+
+  toString() {
+    return this.selector;
+  }
+
+  toJSON() {
+    return this.selector;
+  }
+}
+
+/**
+ * Define a page object.
+ *
+ * definePage({
+ *   name: 'LoginPage',
+ *   path: '/login',
+ *   locators: { username: '#username', submit: '#login-button' },
+ *   actions: {
+ *     // Actions return the same action objects buildTestSuite() takes; selectors
+ *     // and formData keys may use locator names
+ *     login: user => [
+ *       { type: 'fillForm', formData: { username: user.username } },
+ *       { type: 'testElement', selector: 'submit', testType: 'clickable' }
+ *     ]
+ *   }
+ * })
+ *
+ * Every locator is also exposed as a property (LoginPage.submit) for use in
+ * testElement().
+ */
+function definePage({ name, path, locators = {}, actions = {} }) {
+  if (!name || !/^[A-Za-z_]\w*$/.test(name)) {
+    throw new Error(`Page name must be an identifier, got: ${name}`);
+  }
+  if (typeof path !== 'string') {
+    throw new Error(`Page ${name} needs a path`);
+  }
+
+  const page = { name, path, locators: {}, actions: { ...actions } };
+
+  for (const [locatorName, selector] of Object.entries(locators)) {
+    if (RESERVED_NAMES.includes(locatorName)) {
+      throw new Error(`Locator name "${locatorName}" on page ${name} is reserved`);
+    }
+    const ref = new LocatorRef(name, locatorName, selector);
+    page.locators[locatorName] = ref;
+    page[locatorName] = ref;
+  }
+
+  for (const [actionName, action] of Object.entries(page.actions)) {
+    if (typeof action !== 'function') {
+      throw new Error(`Action ${actionName} on page ${name} must be a function returning actions`);
+    }
+  }
+
+  pages.set(name, Object.freeze(page));
+  return pages.get(name);
+}
+
+function getPage(pageOrName) {
+  const name = typeof pageOrName === 'string' ? pageOrName : pageOrName && pageOrName.name;
+  const page = pages.get(name);
+  if (!page) {
+    throw new Error(`Unknown page: ${name}`);
+  }
+  return page;
+}
+
+function hasPage(name) {
+  return pages.has(name);
+}
+
+/**
+ * Resolve a selector argument to { selector, label }. Accepts raw CSS, a
+ * LocatorRef, or an '@Page.locator' reference string (usable from YAML).
+ */
+function resolveLocator(target) {
+  if (target instanceof LocatorRef) {
+    return { selector: target.selector, label: target.label };
+  }
+
+  if (typeof target === 'string' && target.startsWith('@')) {
+    const [pageName, locatorName] = target.slice(1).split('.');
+    const ref = getPage(pageName).locators[locatorName];
+    if (!ref) {
+      throw new Error(`Unknown locator ${locatorName} on page ${pageName}`);
+    }
+    return { selector: ref.selector, label: ref.label };
+  }
+
+  return { selector: target, label: null };
+}
+
+// Within a page's own actions, bare locator names refer to that page's locators
+function resolveActionSelectors(page, action) {
+  const resolved = { ...action };
+
+  if (typeof action.selector === 'string' && page.locators[action.selector]) {
+    resolved.selector = page.locators[action.selector];
+  }
+
+  if (action.formData) {
+    resolved.formData = Object.fromEntries(Object.entries(action.formData).map(([key, value]) => [
+      page.locators[key] ? page.locators[key].selector : key,
+      value
+    ]));
+  }
+
+  return resolved;
+}
+
+/**
+ * Expand an action defined on a page into a plain action list.
+ */
+function expandPageAction(pageOrName, actionName, args = []) {
+  const page = getPage(pageOrName);
+  const action = page.actions[actionName];
+  if (!action) {
+    throw new Error(`Unknown action ${actionName} on page ${page.name}`);
+  }
+
+  return [].concat(action(...args)).map(step => resolveActionSelectors(page, step));
+}
+
+module.exports = {
+  LocatorRef,
+  definePage,
+  getPage,
+  hasPage,
+  resolveLocator,
+  expandPageAction
+};
@@ -0,0 +1,203 @@
+// Worker pool and CI sharding for scenario runs
+
+const { fork } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const { resolveReporter } = require('./reporters');
+const { DEFAULT_OUTPUT_DIRS } = require('./runner');
+
+const WORKER_PATH = path.join(__dirname, 'worker.js');
+
+/**
+ * Parse a `--shard` value such as '2/4' (1-based).
+ */
+function parseShard(value) {
+  const match = String(value).match(/^(\d+)\/(\d+)$/);
+  const index = match && Number(match[1]);
+  const total = match && Number(match[2]);
+
+  if (!match || total < 1 || index < 1 || index > total) {
+    throw new Error(`Invalid shard: ${value} (expected i/n with 1 <= i <= n, e.g. 2/4)`);
+  }
+  return { index, total };
+}
+
+/**
+ * Items belonging to one shard. Assignment is round-robin over the (sorted)
+ * input, so every machine computes the same split from the same file list.
+ */
+function selectShard(items, { index, total }) {
+  return items.filter((item, position) => position % total === index - 1);
+}
+
+// Split items round-robin into at most `count` non-empty groups
+function partition(items, count) {
+  const groups = Array.from({ length: Math.max(1, Math.min(count, items.length)) }, () => []);
+  items.forEach((item, position) => groups[position % groups.length].push(item));
+  return groups;
+}
+
+function readJson(filePath, fallback) {
+  return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : fallback;
+}
+
+// Forward a worker's output line by line so parallel logs stay readable
+function prefixLines(input, output, prefix) {
+  readline.createInterface({ input }).on('line', line => output.write(`${prefix}${line}\n`));
+}
+
+function runWorker(id, scenarios, options) {
+  return new Promise(resolve => {
+    const started = Date.now();
+    const child = fork(WORKER_PATH, [], { silent: true });
+    let message = null;
+    let settled = false;
+
+    const finish = result => {
+      if (settled) return;
+      settled = true;
+      resolve({
+        id,
+        outputDir: options.outputDir,
+        scenarios: scenarios.map(scenario => scenario.name),
+        durationMs: Date.now() - started,
+        ...result
+      });
+    };
+
+    prefixLines(child.stdout, process.stdout, `[worker-${id}] `);
+    prefixLines(child.stderr, process.stderr, `[worker-${id}] `);
+
+    child.on('message', received => {
+      message = received;
+    });
+    child.on('error', error => finish({ error: error.message }));
+    child.on('exit', code => finish(message || { error: `worker exited with code ${code}` }));
+
+    child.send({ scenarios, options });
+  });
+}
+
+async function mergePlaywrightReports(workers, outputDir, durationMs, { reporters, history }) {
+  const UITestingAgent = require('../testing-agent-playwright');
+  const agent = new UITestingAgent({ outputDir, reporters, history });
+
+  for (const worker of workers) {
+    agent.testResults.push(...readJson(path.join(worker.outputDir, 'report.json'), []));
+    agent.artifacts.push(...readJson(path.join(worker.outputDir, 'artifacts.json'), []));
+    agent.performanceResults.push(...readJson(path.join(worker.outputDir, 'performance.json'), []));
+    Object.assign(agent.accessibilityDiff, readJson(path.join(worker.outputDir, 'accessibility-diff.json'), {}));
+
+    // A crashed worker must not look like a smaller, passing run
+    if (worker.error) {
+      agent.testResults.push({
+        selector: null,
+        name: `worker-${worker.id}`,
+        testType: 'worker',
+        error: worker.error,
+        passed: false,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  agent.durationMs = durationMs;
+  await agent.generateReport();
+
+  const failed = agent.testResults.filter(test => !test.passed).length;
+  return { total: agent.testResults.length, failed };
+}
+
+async function mergeCypressReports(workers, outputDir, durationMs, { reporters, history }) {
+  const UITestingAgent = require('../testing-agent-cypress');
+  const agent = new UITestingAgent({ outputDir, reporters, history });
+  const reports = workers.map(worker => readJson(path.join(worker.outputDir, 'report.json'), null));
+  const sum = key => reports.reduce((total, report) => total + ((report && report[key]) || 0), 0);
+
+  agent.testResults = {
+    totalTests: sum('totalTests'),
+    totalPassed: sum('totalPassed'),
+    totalFailed: sum('totalFailed'),
+    totalPending: sum('totalPending'),
+    totalSkipped: sum('totalSkipped'),
+    // Wall-clock time of the pool; per-spec durations stay in runs[].stats
+    totalDuration: durationMs,
+    runs: reports.flatMap(report => (report && report.runs) || [])
+  };
+  await agent.generateReport();
+
+  // Workers without a report crashed or Cypress itself could not run
+  const crashed = workers.filter((worker, index) => worker.error || !reports[index]).length;
+  return { total: agent.testResults.totalTests + crashed, failed: agent.testResults.totalFailed + crashed };
+}
+
+/**
+ * Run scenarios across `options.workers` child processes, each with its own
+ * browser and output directory (<outputDir>/workers/worker-<n>), then merge
+ * their reports into <outputDir>. Visual and accessibility baselines and role
+ * logins stay in <outputDir>/baselines and <outputDir>/.auth for every worker.
+ */
+async function runParallel(scenarios, options = {}) {
+  const engine = options.engine || 'playwright';
+  const outputDir = options.outputDir || DEFAULT_OUTPUT_DIRS[engine];
+  const started = Date.now();
+
+  if (options.recordHar && (options.workers || 1) > 1) {
+    throw new Error('HAR recording needs a single worker: several workers would overwrite the same recordings');
+  }
+  // Reporters only run on the merged results, so check them before spawning any worker
+  (options.reporters || []).forEach(resolveReporter);
+
+  // Functions in auth modules can't cross the process boundary; workers reload authFile
+  const { auth, ...workerOptions } = options;
+  // Extra report formats and history are only written for the merged run
+  workerOptions.reporters = [];
+  workerOptions.history = false;
+  const groups = partition(scenarios, options.workers || 1);
+  console.log(`Running ${scenarios.length} scenario(s) on ${groups.length} worker(s)`);
+
+  // Baselines and saved logins are shared: the same ones a serial run of <outputDir> uses,
+  // whatever the worker count or shard split
+  const workers = await Promise.all(groups.map((group, index) => runWorker(index + 1, group, {
+    ...workerOptions,
+    outputDir: path.join(outputDir, 'workers', `worker-${index + 1}`),
+    // Cypress empties its asset folders before each run; one set per worker keeps the others' files
+    ...(engine === 'cypress' && { assetsDir: path.join(outputDir, 'workers', `worker-${index + 1}`, 'assets') }),
+    baselineDir: options.baselineDir || path.join(outputDir, 'baselines'),
+    authStateDir: options.authStateDir || path.join(outputDir, '.auth')
+  })));
+
+  const durationMs = Date.now() - started;
+  fs.mkdirSync(outputDir, { recursive: true });
+  const { total, failed } = engine === 'cypress'
+    ? await mergeCypressReports(workers, outputDir, durationMs, options)
+    : await mergePlaywrightReports(workers, outputDir, durationMs, options);
+
+  const summary = {
+    passed: failed === 0,
+    total,
+    failed,
+    durationMs,
+    shard: options.shard || null,
+    workers: workers.map(({ id, scenarios: names, durationMs: workerDuration, error }) => ({
+      id,
+      scenarios: names,
+      durationMs: workerDuration,
+      ...(error && { error })
+    }))
+  };
+  fs.writeFileSync(path.join(outputDir, 'summary.json'), JSON.stringify(summary, null, 2));
+
+  return summary;
+}
+
+module.exports = {
+  parseShard,
+  selectShard,
+  partition,
+  mergePlaywrightReports,
+  mergeCypressReports,
+  runParallel
+};
@@ -0,0 +1,181 @@
+// Web performance metrics, per-route budgets and trend history
+
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp } = require('./glob');
+
+const PERFORMANCE_METRICS = {
+  ttfb: 'ms',
+  domContentLoaded: 'ms',
+  load: 'ms',
+  lcp: 'ms',
+  cls: '',
+  tbt: 'ms',
+  transferSize: 'bytes',
+  requestCount: ''
+};
+
+/**
+ * Collect metrics inside the page. Runs in the browser: Playwright evaluates
+ * it with page.evaluate() and Cypress specs embed its source in cy.window(),
+ * so it must stay self-contained. Metrics a browser doesn't support are null.
+ */
+function collectPerformanceMetrics(win) {
+  var performance = win.performance;
+  var supported = (win.PerformanceObserver && win.PerformanceObserver.supportedEntryTypes) || [];
+
+  // LCP, layout shifts and long tasks are only exposed through buffered observers
+  function observe(type) {
+    if (supported.indexOf(type) === -1) {
+      return Promise.resolve(null);
+    }
+    return new Promise(function (resolve) {
+      var entries = [];
+      var observer = new win.PerformanceObserver(function (list) {
+        entries = entries.concat(list.getEntries());
+      });
+      observer.observe({ type: type, buffered: true });
+      win.setTimeout(function () {
+        observer.disconnect();
+        resolve(entries);
+      }, 50);
+    });
+  }
+
+  return Promise.all([observe('largest-contentful-paint'), observe('layout-shift'), observe('longtask')])
+    .then(function (observed) {
+      var navigation = performance.getEntriesByType('navigation')[0];
+      var resources = performance.getEntriesByType('resource');
+      var lcp = observed[0];
+      var shifts = observed[1];
+      var longTasks = observed[2];
+
+      function round(value) {
+        return value === null || value === undefined ? null : Math.round(value);
+      }
+
+      return {
+        ttfb: navigation ? round(navigation.responseStart) : null,
+        domContentLoaded: navigation ? round(navigation.domContentLoadedEventEnd) : null,
+        load: navigation ? round(navigation.loadEventEnd) : null,
+        lcp: lcp && lcp.length > 0 ? round(lcp[lcp.length - 1].startTime) : null,
+        cls: shifts ? Number(shifts
+          .filter(function (shift) { return !shift.hadRecentInput; })
+          .reduce(function (total, shift) { return total + shift.value; }, 0)
+          .toFixed(4)) : null,
+        // Blocking time beyond 50ms per long task, as in Total Blocking Time
+        tbt: longTasks ? round(longTasks.reduce(function (total, task) {
+          return total + Math.max(0, task.duration - 50);
+        }, 0)) : null,
+        transferSize: resources.reduce(function (total, resource) {
+          return total + (resource.transferSize || 0);
+        }, navigation ? navigation.transferSize || 0 : 0),
+        requestCount: resources.length + (navigation ? 1 : 0)
+      };
+    });
+}
+
+function validateBudget(budget, route = 'budget') {
+  for (const metric of Object.keys(budget)) {
+    if (!Object.prototype.hasOwnProperty.call(PERFORMANCE_METRICS, metric)) {
+      throw new Error(`Unknown performance metric in ${route}: ${metric} (expected one of: ${Object.keys(PERFORMANCE_METRICS).join(', ')})`);
+    }
+  }
+  return budget;
+}
+
+/**
+ * Merge every budget whose route glob matches the URL path; later entries
+ * override earlier ones, so list '**' first and specific routes after it.
+ *
+ * budgets: { '**': { lcp: 2500 }, '/checkout/**': { load: 3000 } }
+ */
+function budgetFor(url, budgets = {}) {
+  const { pathname } = new URL(url);
+  return Object.entries(budgets)
+    .filter(([route]) => globToRegExp(route).test(pathname))
+    .reduce((merged, [route, budget]) => ({ ...merged, ...validateBudget(budget, route) }), {});
+}
+
+/**
+ * Compare metrics with a budget. Metrics the browser didn't report are
+ * listed with value null and never count as breaches.
+ */
+function checkBudget(metrics, budget) {
+  return Object.entries(budget).map(([metric, limit]) => {
+    const value = metrics[metric] ?? null;
+    return { metric, value, limit, passed: value === null || value <= limit };
+  });
+}
+
+function formatMetric(metric, value) {
+  if (value === null || value === undefined) {
+    return 'n/a';
+  }
+  const unit = PERFORMANCE_METRICS[metric];
+  if (unit === 'bytes') {
+    return `${(value / 1024).toFixed(1)} KB`;
+  }
+  return unit ? `${value} ${unit}` : String(value);
+}
+
+/**
+ * Append this run's measurements to the history file, keeping the last `limit` runs.
+ */
+function appendPerformanceHistory(historyPath, run, limit = 20) {
+  const history = fs.existsSync(historyPath) ? JSON.parse(fs.readFileSync(historyPath, 'utf8')) : [];
+  history.push(run);
+
+  const trimmed = history.slice(-limit);
+  fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+  fs.writeFileSync(historyPath, JSON.stringify(trimmed, null, 2));
+  return trimmed;
+}
+
+/**
+ * Values of one metric for one page/browser/device across history runs.
+ */
+function metricTrend(history, { page, browser, device }, metric) {
+  return history.map(run => {
+    const entry = run.pages.find(item => item.page === page && item.browser === browser && item.device === device);
+    return entry ? entry.metrics[metric] ?? null : null;
+  });
+}
+
+/**
+ * Inline SVG line chart for the HTML report; gaps (null) are skipped.
+ */
+function renderSparkline(values, { width = 160, height = 40 } = {}) {
+  const points = values
+    .map((value, index) => ({ value, index }))
+    .filter(point => point.value !== null);
+
+  if (points.length === 0) {
+    return '';
+  }
+
+  const max = Math.max(...points.map(point => point.value));
+  const min = Math.min(...points.map(point => point.value));
+  const range = max - min || 1;
+  const step = values.length > 1 ? width / (values.length - 1) : 0;
+  const coordinates = points.map(point => {
+    const x = (point.index * step).toFixed(1);
+    const y = (height - 2 - ((point.value - min) / range) * (height - 4)).toFixed(1);
+    return `${x},${y}`;
+  });
+
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    `<polyline fill="none" stroke="#4CAF50" stroke-width="2" points="${coordinates.join(' ')}" /></svg>`;
+}
+
+module.exports = {
+  PERFORMANCE_METRICS,
+  collectPerformanceMetrics,
+  validateBudget,
+  budgetFor,
+  checkBudget,
+  formatMetric,
+  appendPerformanceHistory,
+  metricTrend,
+  renderSparkline
+};
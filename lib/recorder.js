@@ -0,0 +1,424 @@
+// Session recorder: turns clicks, typing, selects and navigations in a headed browser into a scenario
+
+const path = require('path');
+const YAML = require('yaml');
+
+// Name of the binding the in-page script reports events through
+const RECORDER_BINDING = '__uiAgentRecord';
+
+// A navigation this soon after a click is caused by it and not recorded
+const NAVIGATION_GRACE_MS = 3000;
+
+const TEST_ID_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-cy'];
+
+// Hotkeys (with Alt, matched on event.code) that turn the next click into an assertion
+const ASSERTION_HOTKEYS = {
+  KeyV: 'visible',
+  KeyT: 'containsText',
+  KeyE: 'value'
+};
+
+/**
+ * Selectors for an element, most robust first: test ids, ARIA role and
+ * label, form field attributes, a stable id, then link targets and titles.
+ * Selectors stay plain CSS so the Cypress agent can compile them too.
+ *
+ * info: { tag, id, testId: [attribute, value], role, ariaLabel, name, placeholder, href, alt, title }
+ *
+ * Also runs in the page (see recorderScript()), so it must stay self-contained.
+ */
+function selectorCandidates(info) {
+  var candidates = [];
+  var quote = function (value) {
+    return '"' + value.replace(/["\\]/g, '\\$&') + '"';
+  };
+  var usable = function (value) {
+    return typeof value === 'string' && value !== '' && !/[\r\n]/.test(value);
+  };
+
+  if (info.testId && usable(info.testId[1])) {
+    candidates.push('[' + info.testId[0] + '=' + quote(info.testId[1]) + ']');
+  }
+  if (usable(info.ariaLabel)) {
+    candidates.push((info.role ? '[role=' + quote(info.role) + ']' : info.tag) + '[aria-label=' + quote(info.ariaLabel) + ']');
+  }
+  if (['input', 'select', 'textarea'].indexOf(info.tag) !== -1) {
+    if (usable(info.name)) {
+      candidates.push(info.tag + '[name=' + quote(info.name) + ']');
+    }
+    if (usable(info.placeholder)) {
+      candidates.push(info.tag + '[placeholder=' + quote(info.placeholder) + ']');
+    }
+  }
+  // Ids with long digit runs are usually generated per render
+  if (usable(info.id) && /^[A-Za-z][\w-]*$/.test(info.id) && !/\d{3,}/.test(info.id)) {
+    candidates.push('#' + info.id);
+  }
+  if (info.tag === 'a' && usable(info.href)) {
+    candidates.push('a[href=' + quote(info.href) + ']');
+  }
+  if (info.tag === 'img' && usable(info.alt)) {
+    candidates.push('img[alt=' + quote(info.alt) + ']');
+  }
+  if (usable(info.title)) {
+    candidates.push(info.tag + '[title=' + quote(info.title) + ']');
+  }
+  return candidates;
+}
+
+/**
+ * In-page half of the recorder: reports interactions through the binding and
+ * shows an overlay with assertion buttons. Serialized into an init script.
+ */
+function installRecorder(selectorCandidates, binding, testIdAttributes, hotkeys) {
+  if (window !== window.top || window.__uiAgentRecorder) {
+    return;
+  }
+  window.__uiAgentRecorder = true;
+
+  var INTERACTIVE = 'a, button, input, select, textarea, label, summary, [role], [onclick], ' +
+    testIdAttributes.map(function (name) { return '[' + name + ']'; }).join(', ');
+  var NON_TEXT_INPUTS = ['checkbox', 'radio', 'button', 'submit', 'reset', 'image', 'file'];
+  var assertMode = null;
+  var highlighted = null;
+  var overlay = null;
+  var status = null;
+
+  function send(event) {
+    window[binding](event);
+  }
+
+  function isUnique(selector, element) {
+    try {
+      var matches = document.querySelectorAll(selector);
+      return matches.length === 1 && matches[0] === element;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  function describe(element) {
+    var testId = null;
+    testIdAttributes.some(function (name) {
+      if (element.hasAttribute(name)) {
+        testId = [name, element.getAttribute(name)];
+      }
+      return testId;
+    });
+    return {
+      tag: element.tagName.toLowerCase(),
+      id: element.id,
+      testId: testId,
+      role: element.getAttribute('role'),
+      ariaLabel: element.getAttribute('aria-label'),
+      name: element.getAttribute('name'),
+      placeholder: element.getAttribute('placeholder'),
+      href: element.getAttribute('href'),
+      alt: element.getAttribute('alt'),
+      title: element.getAttribute('title')
+    };
+  }
+
+  // tag:nth-of-type() steps up to the nearest ancestor with a unique selector of its own
+  function cssPath(element) {
+    var steps = [];
+    for (var current = element; current && current !== document.documentElement; current = current.parentElement) {
+      var own = selectorCandidates(describe(current)).filter(function (selector) {
+        return isUnique(selector, current);
+      })[0];
+      if (own && current !== element) {
+        steps.unshift(own);
+        break;
+      }
+
+      var tag = current.tagName.toLowerCase();
+      var sameTag = current.parentElement
+        ? Array.prototype.filter.call(current.parentElement.children, function (child) { return child.tagName === current.tagName; })
+        : [current];
+      steps.unshift(sameTag.length > 1 ? tag + ':nth-of-type(' + (sameTag.indexOf(current) + 1) + ')' : tag);
+    }
+    return steps.join(' > ');
+  }
+
+  function selectorFor(element) {
+    var unique = selectorCandidates(describe(element)).filter(function (selector) {
+      return isUnique(selector, element);
+    });
+    return unique.length > 0 ? unique[0] : cssPath(element);
+  }
+
+  function isTextField(element) {
+    var tag = element.tagName.toLowerCase();
+    return tag === 'textarea' || (tag === 'input' && NON_TEXT_INPUTS.indexOf((element.type || '').toLowerCase()) === -1);
+  }
+
+  function inOverlay(element) {
+    return overlay && overlay.contains(element);
+  }
+
+  function unhighlight() {
+    if (highlighted) {
+      highlighted.element.style.outline = highlighted.outline;
+      highlighted = null;
+    }
+  }
+
+  function setAssertMode(testType) {
+    assertMode = testType;
+    unhighlight();
+    if (status) {
+      status.textContent = testType
+        ? 'Click an element to assert ' + testType + ' (Esc cancels)'
+        : 'Recording \u2013 Alt+V visible, Alt+T text, Alt+E value';
+    }
+  }
+
+  function recordAssertion(element) {
+    var event = { kind: 'assert', testType: assertMode };
+    if (assertMode === 'value') {
+      element = element.closest('input, select, textarea') || element;
+      event.expectedValue = element.value;
+    } else if (assertMode === 'containsText') {
+      // The first line survives whitespace differences between engines
+      event.expectedValue = (element.textContent || '').trim().split(/\s*\n\s*/)[0];
+    }
+    event.selector = selectorFor(element);
+    send(event);
+  }
+
+  document.addEventListener('click', function (event) {
+    if (inOverlay(event.target)) {
+      return;
+    }
+    // A label forwards its click to the control as an untrusted click; that is the one to replay
+    if (!event.isTrusted) {
+      var control = event.target;
+      if (!assertMode && control.labels && control.labels.length > 0 && !isTextField(control)) {
+        send({ kind: 'click', selector: selectorFor(control) });
+      }
+      return;
+    }
+    if (assertMode) {
+      event.preventDefault();
+      event.stopImmediatePropagation();
+      recordAssertion(event.target);
+      setAssertMode(null);
+      return;
+    }
+
+    var element = event.target.closest(INTERACTIVE) || event.target;
+    // Focusing a text field is not an action
+    if (isTextField(element) || (element.tagName === 'LABEL' && element.control)) {
+      return;
+    }
+    send({ kind: 'click', selector: selectorFor(element) });
+  }, true);
+
+  document.addEventListener('change', function (event) {
+    var element = event.target;
+    if (inOverlay(element)) {
+      return;
+    }
+    if (element.tagName === 'SELECT') {
+      send({ kind: 'select', selector: selectorFor(element), value: element.value });
+    } else if (isTextField(element)) {
+      send({ kind: 'fill', selector: selectorFor(element), value: element.value });
+    }
+  }, true);
+
+  document.addEventListener('keydown', function (event) {
+    if (event.altKey && hotkeys[event.code]) {
+      event.preventDefault();
+      setAssertMode(hotkeys[event.code]);
+      return;
+    }
+    if (event.key === 'Escape' && assertMode) {
+      setAssertMode(null);
+      return;
+    }
+
+    // Enter submits the form: record the typed value and a click on its submit button
+    var element = event.target;
+    if (event.key === 'Enter' && isTextField(element) && element.tagName !== 'TEXTAREA') {
+      send({ kind: 'fill', selector: selectorFor(element), value: element.value });
+      var submit = element.form && element.form.querySelector('button[type="submit"], input[type="submit"], button:not([type])');
+      if (submit) {
+        send({ kind: 'click', selector: selectorFor(submit) });
+      } else {
+        send({ kind: 'warning', message: 'Enter pressed in a field without a submit button; the key press was not recorded' });
+      }
+    }
+  }, true);
+
+  document.addEventListener('mouseover', function (event) {
+    if (!assertMode || inOverlay(event.target)) {
+      return;
+    }
+    unhighlight();
+    highlighted = { element: event.target, outline: event.target.style.outline };
+    event.target.style.outline = '2px solid #e91e63';
+  }, true);
+
+  function button(label, onClick) {
+    var element = document.createElement('button');
+    element.type = 'button';
+    element.textContent = label;
+    element.setAttribute('style', 'margin-left:6px;font:inherit;cursor:pointer');
+    element.addEventListener('click', onClick);
+    return element;
+  }
+
+  function showOverlay() {
+    overlay = document.createElement('div');
+    overlay.setAttribute('style', 'position:fixed;right:12px;bottom:12px;z-index:2147483647;padding:6px 8px;' +
+      'background:#222;color:#fff;font:12px sans-serif;border-radius:4px;box-shadow:0 2px 6px rgba(0,0,0,.3)');
+    status = document.createElement('span');
+    overlay.appendChild(status);
+    overlay.appendChild(button('Visible', function () { setAssertMode('visible'); }));
+    overlay.appendChild(button('Text', function () { setAssertMode('containsText'); }));
+    overlay.appendChild(button('Value', function () { setAssertMode('value'); }));
+    overlay.appendChild(button('Stop', function () { send({ kind: 'stop' }); }));
+    document.documentElement.appendChild(overlay);
+    setAssertMode(null);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', showOverlay);
+  } else {
+    showOverlay();
+  }
+}
+
+// Init script source for context.addInitScript()
+function recorderScript() {
+  return `(${installRecorder})(${selectorCandidates}, ${JSON.stringify(RECORDER_BINDING)}, ` +
+    `${JSON.stringify(TEST_ID_ATTRIBUTES)}, ${JSON.stringify(ASSERTION_HOTKEYS)});`;
+}
+
+/**
+ * URL as a navigate action writes it: relative to baseUrl when it's on the
+ * same origin and under the base path, absolute otherwise.
+ */
+function relativeUrl(url, baseUrl) {
+  if (!baseUrl) {
+    return url;
+  }
+  const base = new URL(baseUrl);
+  const target = new URL(url);
+  const basePath = base.pathname.replace(/\/$/, '');
+
+  if (target.origin !== base.origin || (basePath && target.pathname !== basePath && !target.pathname.startsWith(`${basePath}/`))) {
+    return url;
+  }
+  return `${target.pathname.slice(basePath.length) || '/'}${target.search}${target.hash}`;
+}
+
+/**
+ * Turns recorder events into the action objects runTestSuite() and
+ * buildTestSuite() take. Consecutive fields are merged into one fillForm.
+ */
+class SessionRecorder {
+  constructor({ baseUrl = null, onAction = () => {} } = {}) {
+    this.baseUrl = baseUrl;
+    this.onAction = onAction;
+    this.actions = [];
+    this.values = new Map();   // last recorded value per field on the current page
+    this.lastClick = null;
+    this.stopped = new Promise(resolve => {
+      this.resolveStopped = resolve;
+    });
+  }
+
+  add(action) {
+    const last = this.actions[this.actions.length - 1];
+    if (action.type === 'fillForm' && last && last.type === 'fillForm') {
+      Object.assign(last.formData, action.formData);
+    } else {
+      this.actions.push(action);
+    }
+    this.onAction(action);
+  }
+
+  // Events sent by the in-page script
+  handle(event, now = Date.now()) {
+    switch (event.kind) {
+      case 'click':
+        this.lastClick = now;
+        this.add({ type: 'testElement', selector: event.selector, testType: 'clickable' });
+        break;
+      case 'fill':
+        // Enter and the change event that follows report the same value
+        if (this.values.get(event.selector) !== event.value) {
+          this.values.set(event.selector, event.value);
+          this.add({ type: 'fillForm', formData: { [event.selector]: event.value } });
+        }
+        break;
+      case 'select':
+        this.add({ type: 'select', selector: event.selector, value: event.value });
+        break;
+      case 'assert':
+        this.add({
+          type: 'testElement',
+          selector: event.selector,
+          testType: event.testType,
+          ...(event.expectedValue !== undefined && { expectedValue: event.expectedValue })
+        });
+        break;
+      case 'warning':
+        console.warn(`Recorder: ${event.message}`);
+        break;
+      case 'stop':
+        this.stop();
+        break;
+      default:
+        console.warn(`Recorder: unknown event ${event.kind}`);
+    }
+  }
+
+  // Main frame navigations; ones caused by a click replay by themselves
+  navigated(url, now = Date.now()) {
+    if (!/^https?:/.test(url)) {
+      return;
+    }
+    this.values.clear();
+    if (this.lastClick !== null && now - this.lastClick < NAVIGATION_GRACE_MS) {
+      return;
+    }
+
+    const target = relativeUrl(url, this.baseUrl);
+    const last = this.actions[this.actions.length - 1];
+    if (!(last && last.type === 'navigate' && last.url === target)) {
+      this.add({ type: 'navigate', url: target });
+    }
+  }
+
+  stop() {
+    this.resolveStopped();
+  }
+
+  toScenario(name) {
+    return {
+      name,
+      ...(this.baseUrl && { baseUrl: this.baseUrl }),
+      actions: this.actions
+    };
+  }
+}
+
+// Scenario file contents; JSON for .json files, YAML otherwise
+function formatScenario(scenario, file = '') {
+  return path.extname(file) === '.json'
+    ? `${JSON.stringify(scenario, null, 2)}\n`
+    : YAML.stringify(scenario);
+}
+
+module.exports = {
+  RECORDER_BINDING,
+  NAVIGATION_GRACE_MS,
+  ASSERTION_HOTKEYS,
+  selectorCandidates,
+  recorderScript,
+  relativeUrl,
+  SessionRecorder,
+  formatScenario
+};
@@ -0,0 +1,251 @@
+// Machine-readable report formats, all rendered from the normalized run in lib/results
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { summarize, allTests, suiteLabel } = require('./results');
+
+// Terminal colours in error messages (chalk, Cypress's displayError)
+const ANSI_ESCAPES = /\u001b\[[0-9;?]*[ -\/]*[@-~]/g;
+
+// Control characters XML 1.0 forbids even when escaped; tab, newline and carriage return are allowed
+const INVALID_XML_CHARS = /[\x00-\x08\x0B\x0C\x0E-\x1F]/g;
+
+function escapeXml(text) {
+  return String(text)
+    .replace(ANSI_ESCAPES, '')
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function seconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+}
+
+function renderJUnit(run) {
+  const suites = run.suites.map(suite => {
+    const label = suiteLabel(suite);
+    const summary = summarize(suite.tests);
+    const cases = suite.tests.map(test => {
+      const attributes = `name="${escapeXml(test.name)}" classname="${escapeXml(label)}" time="${seconds(test.durationMs)}"`;
+      if (test.status === 'failed') {
+        const message = test.error ? test.error.message : 'failed';
+        return `    <testcase ${attributes}>\n      <failure message="${escapeXml(message)}" type="${escapeXml(test.type)}">` +
+          `${escapeXml((test.error && test.error.stack) || message)}</failure>\n    </testcase>`;
+      }
+      if (test.status === 'skipped') {
+        return `    <testcase ${attributes}>\n      <skipped />\n    </testcase>`;
+      }
+      return `    <testcase ${attributes} />`;
+    });
+
+    return `  <testsuite name="${escapeXml(label)}" tests="${summary.total}" failures="${summary.failed}" ` +
+      `skipped="${summary.skipped}" time="${seconds(suite.durationMs)}"${suite.file ? ` file="${escapeXml(suite.file)}"` : ''}>\n${cases.join('\n')}\n  </testsuite>`;
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<testsuites name="${escapeXml(run.tool)}" tests="${run.summary.total}" failures="${run.summary.failed}" ` +
+    `skipped="${run.summary.skipped}" time="${seconds(run.durationMs)}" timestamp="${run.startedAt}">\n` +
+    `${suites.join('\n')}\n</testsuites>\n`;
+}
+
+// TAP version 13 with a YAML diagnostic block for failures
+function renderTap(run) {
+  const tests = allTests(run);
+  const lines = ['TAP version 13', `1..${tests.length}`];
+
+  tests.forEach((test, index) => {
+    const description = `${suiteLabel(test)} > ${test.name}`.replace(/#/g, '\\#');
+    const directive = test.status === 'skipped' ? ' # SKIP' : '';
+    lines.push(`${test.status === 'failed' ? 'not ok' : 'ok'} ${index + 1} - ${description}${directive}`);
+
+    if (test.status === 'failed' || test.flaky) {
+      const diagnostic = {
+        message: test.error ? test.error.message : undefined,
+        type: test.type,
+        ...(test.expected !== undefined && { expected: test.expected }),
+        ...(test.actual !== undefined && { actual: test.actual }),
+        ...(test.flaky && { flaky: true, retries: test.retries }),
+        ...(test.data && { data: test.data }),
+        duration_ms: test.durationMs,
+        ...(test.error && test.error.stack && { stack: test.error.stack })
+      };
+      const yaml = YAML.stringify(JSON.parse(JSON.stringify(diagnostic))).trimEnd();
+      lines.push('  ---', ...yaml.split('\n').map(line => `  ${line}`), '  ...');
+    }
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+// Common Test Report Format (https://ctrf.io)
+function renderCtrf(run) {
+  const start = Date.parse(run.startedAt);
+  const report = {
+    results: {
+      tool: { name: run.tool },
+      summary: {
+        tests: run.summary.total,
+        passed: run.summary.passed,
+        failed: run.summary.failed,
+        pending: 0,
+        skipped: run.summary.skipped,
+        other: 0,
+        start,
+        stop: start + (run.durationMs || 0)
+      },
+      tests: allTests(run).map(test => ({
+        name: test.name,
+        status: test.status,
+        duration: test.durationMs,
+        ...(test.error && { message: test.error.message }),
+        ...(test.error && test.error.stack && { trace: test.error.stack }),
+        suite: test.suite,
+        type: test.type,
+        ...(test.browser && { browser: test.device ? `${test.browser} / ${test.device}` : test.browser }),
+        flaky: test.flaky,
+        retries: test.retries,
+        ...(test.data && { extra: { data: test.data } })
+      })),
+      environment: { engine: run.engine }
+    }
+  };
+  return `${JSON.stringify(report, null, 2)}\n`;
+}
+
+// Workflow command escaping: https://github.com/actions/toolkit/blob/main/packages/core/src/command.ts
+function escapeData(text) {
+  return String(text).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+function escapeProperty(text) {
+  return escapeData(text).replace(/:/g, '%3A').replace(/,/g, '%2C');
+}
+
+// ::error / ::warning workflow commands; GitHub shows them on the run summary
+function renderGitHub(run) {
+  const lines = allTests(run)
+    .filter(test => test.status === 'failed' || test.flaky)
+    .map(test => {
+      const level = test.status === 'failed' ? 'error' : 'warning';
+      const title = `${suiteLabel(test)}: ${test.name}${test.flaky ? ' (flaky)' : ''}`;
+      const message = test.error
+        ? test.error.message
+        : test.status === 'failed' ? 'failed' : `passed after ${test.retries} retr${test.retries === 1 ? 'y' : 'ies'}`;
+      return `::${level} title=${escapeProperty(title)}::${escapeData(message)}`;
+    });
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
+
+function escapeMarkdownCell(text) {
+  return String(text ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function renderMarkdown(run) {
+  const { total, passed, failed, skipped, flaky } = run.summary;
+  const lines = [
+    `## ${failed > 0 ? '❌' : '✅'} UI test results`,
+    '',
+    `**${passed}/${total} passed** · ${failed} failed · ${flaky} flaky · ${skipped} skipped · ` +
+      `${((run.durationMs || 0) / 1000).toFixed(1)}s`,
+    ''
+  ];
+
+  const suiteRows = run.suites.map(suite => {
+    const summary = summarize(suite.tests);
+    return `| ${escapeMarkdownCell(suiteLabel(suite))} | ${summary.passed} | ${summary.failed} | ${summary.flaky} |`;
+  });
+  lines.push('| Suite | Passed | Failed | Flaky |', '| --- | --- | --- | --- |', ...suiteRows, '');
+
+  const failures = allTests(run).filter(test => test.status === 'failed');
+  if (failures.length > 0) {
+    lines.push('### Failures', '', '| Suite | Test | Message |', '| --- | --- | --- |');
+    lines.push(...failures.map(test => (
+      `| ${escapeMarkdownCell(suiteLabel(test))} | ${escapeMarkdownCell(test.name)} | ${escapeMarkdownCell(test.error ? test.error.message : 'failed')} |`
+    )), '');
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Built-in reporters. `file` is written to the output directory; reporters
+ * without one print to stdout. `githubStepSummary` also appends the output to
+ * $GITHUB_STEP_SUMMARY when running in GitHub Actions.
+ */
+const REPORTERS = {
+  junit: { file: 'junit.xml', render: renderJUnit },
+  tap: { file: 'report.tap', render: renderTap },
+  ctrf: { file: 'ctrf-report.json', render: renderCtrf },
+  github: { file: null, render: renderGitHub },
+  markdown: { file: 'summary.md', render: renderMarkdown, githubStepSummary: true }
+};
+
+/**
+ * Register a reporter usable by name in the `reporters` option.
+ */
+function registerReporter(name, reporter) {
+  if (typeof reporter.render !== 'function') {
+    throw new Error(`Reporter ${name} must have a render(run, options) function`);
+  }
+  REPORTERS[name] = reporter;
+}
+
+// 'junit', { name: 'junit', file: 'results/junit.xml' } or an inline { render, file }
+function resolveReporter(entry) {
+  const spec = typeof entry === 'string' ? { name: entry } : entry;
+  const base = spec.name ? REPORTERS[spec.name] : {};
+  if (!base) {
+    throw new Error(`Unknown reporter: ${spec.name} (expected one of: ${Object.keys(REPORTERS).join(', ')})`);
+  }
+
+  const reporter = { ...base, ...spec };
+  if (typeof reporter.render !== 'function') {
+    throw new Error(`Reporter ${spec.name || '(inline)'} must have a render(run, options) function`);
+  }
+  return reporter;
+}
+
+/**
+ * Render every configured reporter for a run. Returns the written file paths.
+ */
+function writeReports(run, reporters, outputDir) {
+  const written = [];
+
+  for (const entry of reporters) {
+    const reporter = resolveReporter(entry);
+    const output = reporter.render(run, reporter.options || {});
+
+    if (reporter.file) {
+      const filePath = path.resolve(outputDir, reporter.file);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, output);
+      written.push(filePath);
+    } else if (output) {
+      process.stdout.write(output);
+    }
+
+    if (reporter.githubStepSummary && process.env.GITHUB_STEP_SUMMARY) {
+      fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, output);
+    }
+  }
+
+  return written;
+}
+
+module.exports = {
+  REPORTERS,
+  escapeXml,
+  renderJUnit,
+  renderTap,
+  renderCtrf,
+  renderGitHub,
+  renderMarkdown,
+  registerReporter,
+  resolveReporter,
+  writeReports
+};
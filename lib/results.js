@@ -0,0 +1,286 @@
+// Normalized run/suite/test/step result model, with adapters for each engine
+//
+// run:        { tool, engine, startedAt, durationMs, summary, suites: [suite] }
+// suite:      { name, file, browser, device, durationMs, tests: [test], attachments: [attachment] }
+// test:       { name, suite, browser, device, page, type, selector, status, flaky, retries,
+//               durationMs, error: { message, stack } | null, expected, actual,
+//               timestamp, steps: [step], attachments: [attachment], data }
+// data:       { file, row, line, values } | null, the dataset row of a data-driven test
+// step:       { title, status, startedAt, durationMs, error: { message, stack } | null }
+// attachment: { name, contentType, path }
+//
+// Every report writer (HTML, JUnit, TAP, CTRF, ...) renders this model, so it
+// must not depend on which engine produced the run.
+
+const path = require('path');
+
+const TEST_STATUSES = ['passed', 'failed', 'skipped'];
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webm': 'video/webm',
+  '.mp4': 'video/mp4',
+  '.html': 'text/html',
+  '.zip': 'application/zip'
+};
+
+function attachment(name, filePath) {
+  return {
+    name,
+    contentType: CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+    path: filePath
+  };
+}
+
+/**
+ * Split an error string (Cypress displayError, error.stack) into its first
+ * line and the stack frames after it.
+ */
+function parseError(text, stack) {
+  if (!text) {
+    return null;
+  }
+  const [message, ...rest] = String(text).split('\n');
+  return { message, stack: stack || (rest.length > 0 ? text : null) };
+}
+
+function summarize(tests) {
+  const count = status => tests.filter(test => test.status === status).length;
+  return {
+    total: tests.length,
+    passed: count('passed'),
+    failed: count('failed'),
+    skipped: count('skipped'),
+    flaky: tests.filter(test => test.flaky).length
+  };
+}
+
+function allTests(run) {
+  return run.suites.flatMap(suite => suite.tests);
+}
+
+function createRun({ engine, startedAt = Date.now(), durationMs, suites }) {
+  const tests = suites.flatMap(suite => suite.tests);
+  return {
+    tool: 'ui-agent',
+    engine,
+    startedAt: new Date(startedAt).toISOString(),
+    durationMs: durationMs ?? tests.reduce((total, test) => total + test.durationMs, 0),
+    summary: summarize(tests),
+    suites
+  };
+}
+
+// Suite name qualified with the browser/device it ran on; accepts a suite or one of its tests
+function suiteLabel(item) {
+  const name = item.tests ? item.name : item.suite;
+  return item.browser && item.device ? `${name} (${item.browser} / ${item.device})` : name;
+}
+
+// 'text .welcome-message', 'visible LoginPage.submit', 'visual dashboard'
+function testTitle(result) {
+  const target = result.locator || result.selector || result.name;
+  return target ? `${result.testType} ${target}` : result.testType;
+}
+
+function playwrightError(result) {
+  if (result.passed) {
+    return null;
+  }
+  if (result.error) {
+    return parseError(result.error, result.stack);
+  }
+  return {
+    message: result.expected !== undefined ? `expected ${result.expected}, got ${result.actual}` : 'failed',
+    stack: null
+  };
+}
+
+// The agent records the actions before a result and each assertion attempt as steps
+function playwrightSteps(result) {
+  return (result.steps || []).map(step => ({
+    title: step.title,
+    status: step.status,
+    startedAt: step.startedAt,
+    durationMs: step.durationMs,
+    error: step.error ? { message: step.error, stack: null } : null
+  }));
+}
+
+function playwrightAttachments(result) {
+  const visual = result.visual
+    ? ['baseline', 'actual', 'diff'].filter(name => result.visual[name]).map(name => attachment(name, result.visual[name]))
+    : [];
+  const failure = [
+    ['failure screenshot', result.failureScreenshot],
+    ['DOM snapshot', result.domSnapshot],
+    ['trace', result.trace]
+  ].filter(([, filePath]) => filePath).map(([name, filePath]) => attachment(name, filePath));
+
+  return [...visual, ...failure];
+}
+
+/**
+ * Adapter for the Playwright agent's flat testResults array: one test per
+ * recorded result, one suite per runTestSuite() name and browser/device.
+ *
+ * artifacts: [{ name, path, browser, device, suite? }] screenshots and videos;
+ * entries without a suite are attached to every suite of that browser/device.
+ */
+function fromPlaywright(testResults, { startedAt, durationMs, artifacts = [] } = {}) {
+  const suites = new Map();
+
+  for (const result of testResults) {
+    const name = result.suite || 'default';
+    const key = `${name}\u0000${result.browser}\u0000${result.device}`;
+    if (!suites.has(key)) {
+      suites.set(key, {
+        name,
+        file: null,
+        browser: result.browser || null,
+        device: result.device || null,
+        durationMs: 0,
+        tests: [],
+        attachments: []
+      });
+    }
+
+    const suite = suites.get(key);
+    suite.durationMs += result.durationMs || 0;
+    suite.tests.push({
+      name: testTitle(result),
+      suite: name,
+      browser: suite.browser,
+      device: suite.device,
+      page: result.page || null,
+      type: result.testType,
+      selector: result.selector || null,
+      status: result.passed ? 'passed' : 'failed',
+      flaky: Boolean(result.flaky),
+      retries: result.attempts ? result.attempts - 1 : 0,
+      durationMs: result.durationMs || 0,
+      error: playwrightError(result),
+      expected: result.expected,
+      actual: result.actual,
+      timestamp: result.timestamp,
+      steps: playwrightSteps(result),
+      attachments: playwrightAttachments(result),
+      data: result.data || null
+    });
+  }
+
+  for (const artifact of artifacts) {
+    for (const suite of suites.values()) {
+      if (suite.browser === artifact.browser && suite.device === artifact.device &&
+          (!artifact.suite || artifact.suite === suite.name)) {
+        suite.attachments.push(attachment(artifact.name, artifact.path));
+      }
+    }
+  }
+
+  return createRun({ engine: 'playwright', startedAt, durationMs, suites: [...suites.values()] });
+}
+
+const CYPRESS_STATUSES = { passed: 'passed', failed: 'failed', pending: 'skipped', skipped: 'skipped' };
+
+// Cypress names screenshots '<describe> -- <test> (failed).png'
+function screenshotBelongsTo(screenshot, test) {
+  if (screenshot.testId !== undefined) {
+    return screenshot.testId === test.testId;
+  }
+  return path.basename(screenshot.path).startsWith([].concat(test.title).join(' -- '));
+}
+
+/**
+ * Adapter for the object cypress.run() resolves with (also what
+ * CypressTestAgent gets for its generated specs). Suites are the describe
+ * blocks of each spec; each test's attempts become its steps.
+ *
+ * dataRows: Map of '<suite>\u0000<test>' to the dataset row of data-driven
+ * tests, which cypress.run() doesn't report.
+ */
+function fromCypressRun(results, { dataRows = new Map() } = {}) {
+  const suites = [];
+
+  for (const run of results.runs || []) {
+    const file = run.spec.relative || run.spec.name;
+    const bySuite = new Map();
+    const screenshots = run.screenshots || [];
+
+    for (const test of run.tests || []) {
+      const title = [].concat(test.title);
+      const name = title.length > 1 ? title.slice(0, -1).join(' > ') : file;
+      if (!bySuite.has(name)) {
+        bySuite.set(name, {
+          name,
+          file,
+          browser: results.browserName || null,
+          device: null,
+          durationMs: 0,
+          tests: [],
+          attachments: run.video ? [attachment('video', run.video)] : []
+        });
+      }
+
+      const attempts = test.attempts || [];
+      const durationMs = test.duration ??
+        attempts.reduce((total, attempt) => total + (attempt.wallClockDuration || 0), 0);
+      const status = CYPRESS_STATUSES[test.state] || 'skipped';
+      const suite = bySuite.get(name);
+
+      suite.durationMs += durationMs;
+      suite.tests.push({
+        name: title[title.length - 1],
+        suite: name,
+        browser: suite.browser,
+        device: null,
+        page: null,
+        type: 'cypress',
+        selector: null,
+        status,
+        flaky: status === 'passed' && attempts.length > 1,
+        retries: Math.max(0, attempts.length - 1),
+        durationMs,
+        error: parseError(test.displayError),
+        expected: undefined,
+        actual: undefined,
+        timestamp: null,
+        steps: attempts.length > 1 ? attempts.map((attempt, index) => ({
+          title: `attempt ${index + 1}`,
+          status: CYPRESS_STATUSES[attempt.state] || 'skipped',
+          startedAt: attempt.wallClockStartedAt || null,
+          durationMs: attempt.wallClockDuration ?? null,
+          error: attempt.error ? { message: attempt.error.message, stack: attempt.error.stack || null } : null
+        })) : [],
+        attachments: screenshots
+          .filter(screenshot => screenshotBelongsTo(screenshot, test))
+          .map(screenshot => attachment(screenshot.name || path.basename(screenshot.path), screenshot.path)),
+        data: dataRows.get(`${name}\u0000${title[title.length - 1]}`) || null
+      });
+    }
+
+    suites.push(...bySuite.values());
+  }
+
+  return createRun({
+    engine: 'cypress',
+    startedAt: results.startedTestsAt ? Date.parse(results.startedTestsAt) : undefined,
+    durationMs: results.totalDuration,
+    suites
+  });
+}
+
+module.exports = {
+  TEST_STATUSES,
+  attachment,
+  parseError,
+  summarize,
+  allTests,
+  createRun,
+  suiteLabel,
+  testTitle,
+  fromPlaywright,
+  fromCypressRun
+};
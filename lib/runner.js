@@ -0,0 +1,215 @@
+// Run loaded scenarios with either agent backend
+
+const { getPage } = require('./page-objects');
+const { interpolate } = require('./datasets');
+
+const ENGINES = ['playwright', 'cypress'];
+
+const DEFAULT_OUTPUT_DIRS = {
+  playwright: './test-results',
+  cypress: './cypress/results'
+};
+
+/**
+ * Resolve relative navigate URLs (and page object paths) against a scenario-level
+ * baseUrl. Without one the agent uses the configured baseUrl; with neither,
+ * relative URLs are rejected instead of becoming 'undefined/path'.
+ */
+function resolveActions(scenario, { baseUrl } = {}) {
+  // Without data, only $${...} escapes are left to fill in
+  const actions = scenario.dataset ? scenario.actions : interpolate(scenario.actions, {});
+  if (!scenario.baseUrl) {
+    if (!baseUrl) {
+      actions.forEach(action => checkAbsolute(action, scenario));
+    }
+    return actions;
+  }
+
+  return actions.map(action => {
+    if (action.type === 'navigate' && !action.url.startsWith('http')) {
+      return { ...action, url: `${scenario.baseUrl.replace(/\/$/, '')}${action.url}` };
+    }
+    if (action.type === 'open') {
+      return { type: 'navigate', url: `${scenario.baseUrl.replace(/\/$/, '')}${getPage(action.page).path}` };
+    }
+    return action;
+  });
+}
+
+function checkAbsolute(action, scenario) {
+  const url = action.type === 'open' ? getPage(action.page).path : action.type === 'navigate' && action.url;
+  // A row may fill in a whole URL; the agent checks those when it navigates
+  if (url && !url.startsWith('http') && !url.startsWith('${')) {
+    throw new Error(`Scenario ${scenario.name}: relative URL ${url} needs a baseUrl (set one in the scenario or pass --base-url)`);
+  }
+}
+
+async function runWithPlaywright(scenarios, options) {
+  // Required lazily so the Cypress engine doesn't need Playwright installed
+  const UITestingAgent = require('../testing-agent-playwright');
+  const agent = new UITestingAgent({
+    baseUrl: options.baseUrl,
+    outputDir: options.outputDir || DEFAULT_OUTPUT_DIRS.playwright,
+    browsers: options.browsers,
+    updateBaselines: options.updateBaselines,
+    baselineDir: options.baselineDir,
+    timeout: options.timeout,
+    retries: options.retries,
+    har: options.har && { path: options.har, mode: options.recordHar ? 'record' : 'replay' },
+    trace: options.trace,
+    fixturesDir: options.fixturesDir,
+    seed: options.seed,
+    diagnostics: { failOnError: options.failOnErrors || false },
+    // Parallel workers keep logins where the top-level run does
+    auth: options.auth && options.authStateDir ? { stateDir: options.authStateDir, ...options.auth } : options.auth,
+    role: options.role,
+    reporters: options.reporters,
+    history: options.history
+  });
+
+  await agent.runMatrix(async () => {
+    for (const scenario of scenarios) {
+      try {
+        // Scenarios share a context unless they run as a different role
+        const role = scenario.role || options.role || null;
+        if (role !== agent.role) {
+          await agent.useRole(role);
+        }
+        await agent.runTestSuite(scenario.name, resolveActions(scenario, options), { data: scenario.dataset });
+      } catch (error) {
+        agent.recordResult({
+          selector: null,
+          testType: 'scenario',
+          error: error.message,
+          stack: error.stack,
+          passed: false
+        });
+        console.error(`Scenario "${scenario.name}" failed: ${error.message}`);
+      }
+    }
+  });
+
+  await agent.generateReport();
+
+  const failed = agent.testResults.filter(test => !test.passed).length;
+  return { passed: failed === 0, total: agent.testResults.length, failed };
+}
+
+async function runWithCypress(scenarios, options) {
+  const withRole = scenarios.find(scenario => scenario.role) || (options.role && scenarios[0]);
+  if (withRole) {
+    throw new Error(`Scenario "${withRole.name}" declares a role; roles are only supported by the Playwright engine`);
+  }
+  if (options.trace && options.trace !== 'off') {
+    throw new Error('Tracing is only supported by the Playwright engine');
+  }
+
+  const UITestingAgent = require('../testing-agent-cypress');
+  const agent = new UITestingAgent({
+    baseUrl: options.baseUrl,
+    outputDir: options.outputDir || DEFAULT_OUTPUT_DIRS.cypress,
+    fixturesDir: options.fixturesDir,
+    seed: options.seed,
+    assetsDir: options.assetsDir,
+    timeout: options.timeout,
+    retries: options.retries,
+    reporters: options.reporters,
+    history: options.history
+  });
+
+  try {
+    await agent.initialize();
+
+    for (const scenario of scenarios) {
+      await agent.buildTestSuite(scenario.name, resolveActions(scenario, options), { data: scenario.dataset });
+    }
+
+    const results = await agent.runTests();
+    await agent.generateReport();
+
+    // cypress.run resolves with { status: 'failed' } when Cypress itself could not run
+    if (results.status === 'failed') {
+      console.error(`Cypress run failed: ${results.message}`);
+      return { passed: false, total: 0, failed: results.failures || 1 };
+    }
+
+    return {
+      passed: results.totalFailed === 0,
+      total: results.totalTests,
+      failed: results.totalFailed
+    };
+  } finally {
+    await agent.close();
+  }
+}
+
+async function crawlSite(options) {
+  const UITestingAgent = require('../testing-agent-playwright');
+  const agent = new UITestingAgent({
+    baseUrl: options.baseUrl,
+    outputDir: options.outputDir || DEFAULT_OUTPUT_DIRS.playwright
+  });
+
+  try {
+    await agent.initialize();
+    const inventory = await agent.crawl({
+      maxDepth: options.maxDepth,
+      maxPages: options.maxPages,
+      include: options.include,
+      exclude: options.exclude
+    });
+    await agent.generateReport();
+
+    return {
+      passed: inventory.brokenLinks.length === 0,
+      total: inventory.pages.length,
+      failed: inventory.brokenLinks.length
+    };
+  } finally {
+    await agent.close();
+  }
+}
+
+/**
+ * Record a manual session (Playwright, headed) and resolve with the scenario.
+ * Ctrl+C ends the recording like the overlay's Stop button.
+ */
+async function recordSession(options) {
+  const UITestingAgent = require('../testing-agent-playwright');
+  const agent = new UITestingAgent({
+    baseUrl: options.baseUrl,
+    outputDir: options.outputDir || DEFAULT_OUTPUT_DIRS.playwright,
+    browsers: options.browsers && options.browsers.slice(0, 1)
+  });
+  const stop = () => agent.stopRecording();
+  process.once('SIGINT', stop);
+
+  try {
+    return await agent.record({ url: options.url, name: options.name });
+  } finally {
+    process.removeListener('SIGINT', stop);
+    await agent.close();
+  }
+}
+
+async function runScenarios(scenarios, options = {}) {
+  const engine = options.engine || 'playwright';
+
+  if (engine === 'playwright') {
+    return runWithPlaywright(scenarios, options);
+  }
+  if (engine === 'cypress') {
+    return runWithCypress(scenarios, options);
+  }
+
+  throw new Error(`Unknown engine: ${engine} (expected one of: ${ENGINES.join(', ')})`);
+}
+
+module.exports = {
+  ENGINES,
+  DEFAULT_OUTPUT_DIRS,
+  resolveActions,
+  runScenarios,
+  crawlSite,
+  recordSession
+};
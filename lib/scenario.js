@@ -0,0 +1,549 @@
+// Declarative scenario files (YAML or JSON) for both agents
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { isKnownTestType, needsExpectedValue, listAssertions, checkExpectation } = require('./assertions');
+const { globToRegExp } = require('./glob');
+const { hasPage } = require('./page-objects');
+const { ABORT_ERRORS } = require('./network');
+const { checkLocator } = require('./locators');
+const { SCROLL_POSITIONS, checkKey } = require('./interactions');
+const { PERFORMANCE_METRICS } = require('./performance');
+const { loadDataset, placeholders, interpolate } = require('./datasets');
+
+function knownPage(name) {
+  return hasPage(name) || 'is not a defined page object (load its module with --require)';
+}
+
+/**
+ * Schemas for each action type, keyed by `type`. These are the same action
+ * objects `buildTestSuite(suiteName, actions)` accepts, so a scenario file is
+ * just a serialized action list.
+ */
+const ACTION_SCHEMAS = {
+  navigate: {
+    type: 'object',
+    properties: {
+      url: { type: 'string' }
+    },
+    required: ['url']
+  },
+  testElement: {
+    type: 'object',
+    properties: {
+      selector: { type: 'string', validate: checkLocator },
+      testType: {
+        type: 'string',
+        validate: value => isKnownTestType(value) ||
+          `must be one of: ${listAssertions().join(', ')} (optionally prefixed with "not.")`
+      },
+      // Scalars, or a regex as { regex, flags }
+      expectedValue: {
+        type: ['string', 'number', 'boolean', 'object'],
+        validate: checkExpectation,
+        properties: {
+          regex: { type: 'string', validate: regex => checkExpectation({ regex }) },
+          flags: { type: 'string', validate: flags => checkExpectation({ regex: '', flags }) }
+        },
+        required: ['regex']
+      },
+      timeout: { type: 'number' },
+      retries: { type: 'number' }
+    },
+    required: ['selector', 'testType'],
+    validateObject: ({ testType, expectedValue }) => expectedValue !== undefined || !isKnownTestType(testType) ||
+      !needsExpectedValue(testType) || `is missing required property "expectedValue" (testType ${testType} compares against it)`
+  },
+  // Explicit formData, and/or values generated for every field of `form` (lib/form-filler)
+  fillForm: {
+    type: 'object',
+    properties: {
+      formData: {
+        type: 'object',
+        additionalProperties: { type: ['string', 'number', 'boolean'] }
+      },
+      form: { type: 'string', validate: checkLocator },
+      seed: { type: ['number', 'string'] },
+      invalid: { type: ['boolean', 'array'], items: { type: 'string' } },
+      expectValidation: { type: ['boolean', 'object'], additionalProperties: { type: 'string' } },
+      submit: {
+        type: ['boolean', 'string'],
+        validate: value => typeof value === 'boolean' || checkLocator(value)
+      }
+    }
+  },
+  // Picks the option with this value, or with this visible text as `label`
+  select: {
+    type: 'object',
+    properties: {
+      selector: { type: 'string', validate: checkLocator },
+      value: { type: 'string' },
+      label: { type: 'string' }
+    },
+    required: ['selector']
+  },
+  hover: {
+    type: 'object',
+    properties: {
+      selector: { type: 'string', validate: checkLocator }
+    },
+    required: ['selector']
+  },
+  // A key or shortcut ('Enter', 'Control+A'), sent to `selector` or the focused element
+  press: {
+    type: 'object',
+    properties: {
+      key: { type: 'string', validate: checkKey },
+      selector: { type: 'string', validate: checkLocator }
+    },
+    required: ['key']
+  },
+  dragAndDrop: {
+    type: 'object',
+    properties: {
+      source: { type: 'string', validate: checkLocator },
+      target: { type: 'string', validate: checkLocator }
+    },
+    required: ['source', 'target']
+  },
+  // Files are relative to the fixtures directory (--fixtures, default ./fixtures)
+  upload: {
+    type: 'object',
+    properties: {
+      selector: { type: 'string', validate: checkLocator },
+      files: { type: ['string', 'array'], items: { type: 'string' } }
+    },
+    required: ['selector', 'files']
+  },
+  // Scrolls `selector` into view, or the page to `position` or `x`/`y`
+  scroll: {
+    type: 'object',
+    properties: {
+      selector: { type: 'string', validate: checkLocator },
+      position: { type: 'string', enum: SCROLL_POSITIONS },
+      x: { type: 'number' },
+      y: { type: 'number' }
+    }
+  },
+  // Later actions run inside the iframe matching CSS `selector`; without one, back in the page
+  switchFrame: {
+    type: 'object',
+    properties: {
+      selector: { type: 'string' }
+    }
+  },
+  // Clicks `selector` and continues in the tab or window it opens until closePopup
+  popup: {
+    type: 'object',
+    properties: {
+      selector: { type: 'string', validate: checkLocator }
+    },
+    required: ['selector']
+  },
+  closePopup: {
+    type: 'object',
+    properties: {}
+  },
+  // How later alert/confirm/prompt dialogs are answered
+  dialog: {
+    type: 'object',
+    properties: {
+      accept: { type: 'boolean' },
+      promptText: { type: 'string' }
+    },
+    required: ['accept']
+  },
+  screenshot: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' }
+    },
+    required: ['name']
+  },
+  wait: {
+    type: 'object',
+    properties: {
+      milliseconds: { type: 'number' }
+    },
+    required: ['milliseconds']
+  },
+  performanceBudget: {
+    type: 'object',
+    properties: {
+      budget: {
+        type: 'object',
+        properties: Object.fromEntries(Object.keys(PERFORMANCE_METRICS).map(metric => [metric, { type: 'number' }]))
+      }
+    },
+    required: ['budget']
+  },
+  // Page objects are defined in JavaScript and loaded with `ui-agent --require`
+  open: {
+    type: 'object',
+    properties: {
+      page: { type: 'string', validate: knownPage }
+    },
+    required: ['page']
+  },
+  pageAction: {
+    type: 'object',
+    properties: {
+      page: { type: 'string', validate: knownPage },
+      action: { type: 'string' },
+      args: { type: 'array' }
+    },
+    required: ['page', 'action']
+  },
+  // Network mocks (Playwright only); `url` is a glob such as '**/api/users*'
+  mock: {
+    type: 'object',
+    properties: {
+      url: { type: 'string' },
+      method: { type: 'string' },
+      status: { type: 'number' },
+      json: {},
+      body: { type: 'string' },
+      file: { type: 'string' },
+      headers: { type: 'object', additionalProperties: { type: 'string' } },
+      contentType: { type: 'string' },
+      delay: { type: 'number' },
+      abort: {
+        type: ['boolean', 'string'],
+        validate: value => value === true || value === false || ABORT_ERRORS.includes(value) ||
+          `must be true or one of: ${ABORT_ERRORS.join(', ')}`
+      },
+      times: { type: 'number' }
+    },
+    required: ['url']
+  },
+  unmock: {
+    type: 'object',
+    properties: {
+      url: { type: 'string' }
+    },
+    required: ['url']
+  },
+  expectRequest: {
+    type: 'object',
+    properties: {
+      url: { type: 'string' },
+      method: { type: 'string' },
+      body: {},
+      count: { type: ['number', 'string'] },
+      timeout: { type: 'number' }
+    },
+    required: ['url']
+  }
+};
+
+const SCENARIO_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    description: { type: 'string' },
+    baseUrl: { type: 'string' },
+    role: { type: 'string' },
+    // Dataset file (CSV, JSON or JSONL, relative to the scenario) whose rows fill ${variable} placeholders
+    data: { type: 'string' },
+    actions: {
+      type: 'array',
+      minItems: 1,
+      items: { discriminator: 'type', mapping: ACTION_SCHEMAS }
+    }
+  },
+  required: ['name', 'actions']
+};
+
+class ScenarioValidationError extends Error {
+  constructor(file, errors) {
+    super(errors.map(error => `${file}:${error.line}:${error.column} ${error.message}`).join('\n'));
+    this.name = 'ScenarioValidationError';
+    this.file = file;
+    this.errors = errors;
+  }
+}
+
+function typeOf(node) {
+  if (YAML.isMap(node)) return 'object';
+  if (YAML.isSeq(node)) return 'array';
+  if (YAML.isScalar(node)) {
+    if (node.value === null) return 'null';
+    return typeof node.value;
+  }
+  return 'unknown';
+}
+
+// typeOf() for the values a dataset row fills in
+function valueType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Type, enum and custom checks of a scalar schema, shared by the file's own
+ * values and the values dataset rows fill in. Returns error messages.
+ */
+function checkValue(value, type, schema, location) {
+  const allowedTypes = [].concat(schema.type || []);
+  if (allowedTypes.length > 0 && !allowedTypes.includes(type)) {
+    return [`${location} must be ${allowedTypes.join(' or ')}, got ${type}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${location} must be one of: ${schema.enum.join(', ')}`);
+  }
+  // Custom checks return true or an error message
+  if (schema.validate && type !== 'object' && type !== 'array') {
+    const outcome = schema.validate(value);
+    if (outcome !== true) {
+      errors.push(`${location} ${outcome}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate a parsed YAML node against a schema, collecting every error with
+ * the line/column of the offending node. Strings with ${variable} placeholders
+ * are collected into `templates` instead: they're checked once per dataset row.
+ */
+function validateNode(node, schema, location, report, templates = []) {
+  if (schema.discriminator) {
+    if (!YAML.isMap(node)) {
+      report(node, `${location} must be an object`);
+      return;
+    }
+
+    const tag = node.get(schema.discriminator);
+    const variant = schema.mapping[tag];
+    if (!variant) {
+      const target = node.get(schema.discriminator, true) || node;
+      report(target, `${location}.${schema.discriminator} must be one of: ${Object.keys(schema.mapping).join(', ')}`);
+      return;
+    }
+
+    validateNode(node, {
+      ...variant,
+      properties: { [schema.discriminator]: { type: 'string' }, ...variant.properties }
+    }, location, report, templates);
+    return;
+  }
+
+  const actualType = typeOf(node);
+  if (actualType === 'string' && placeholders(node.value).length > 0) {
+    templates.push({ node, schema, location });
+    return;
+  }
+
+  const allowedTypes = [].concat(schema.type || []);
+  if (allowedTypes.length > 0 && !allowedTypes.includes(actualType)) {
+    report(node, `${location} must be ${allowedTypes.join(' or ')}, got ${actualType}`);
+    return;
+  }
+  if (YAML.isScalar(node)) {
+    checkValue(node.value, actualType, schema, location).forEach(message => report(node, message));
+  }
+
+  if (actualType === 'array') {
+    if (schema.minItems && node.items.length < schema.minItems) {
+      report(node, `${location} must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      node.items.forEach((item, index) => validateNode(item, schema.items, `${location}[${index}]`, report, templates));
+    }
+  }
+
+  if (actualType === 'object') {
+    for (const key of schema.required || []) {
+      if (!node.has(key)) {
+        report(node, `${location} is missing required property "${key}"`);
+      }
+    }
+    // Checks spanning several properties return true or an error message
+    if (schema.validateObject) {
+      const outcome = schema.validateObject(node.toJSON());
+      if (outcome !== true) {
+        report(node, `${location} ${outcome}`);
+      }
+    }
+
+    // Schemas without properties (mock JSON, request bodies) accept any content
+    if (!schema.properties && !schema.additionalProperties) {
+      return;
+    }
+
+    for (const pair of node.items) {
+      const key = YAML.isScalar(pair.key) ? pair.key.value : String(pair.key);
+      const propertySchema = (schema.properties && schema.properties[key]) || schema.additionalProperties;
+
+      // formData keys are locators, and may come from the data too
+      if (propertySchema && propertySchema === schema.additionalProperties && placeholders(key).length > 0) {
+        templates.push({ node: pair.key, schema: {}, location: `${location} key "${key}"` });
+      }
+
+      if (!propertySchema) {
+        report(pair.key, `${location} has unknown property "${key}"`);
+      } else if (pair.value === null) {
+        report(pair.key, `${location}.${key} must not be empty`);
+      } else {
+        validateNode(pair.value, propertySchema, `${location}.${key}`, report, templates);
+      }
+    }
+  }
+}
+
+/**
+ * Check the placeholders of a scenario with `data` against every row of its
+ * dataset: each variable must be a column, and each filled-in value must
+ * pass the checks the placeholder skipped.
+ */
+function validateTemplates(templates, dataset, report) {
+  for (const { node, schema, location } of templates) {
+    const unknown = placeholders(node.value).filter(name => !dataset.columns.includes(name));
+    if (unknown.length > 0) {
+      report(node, `${location} uses unknown variable(s) ${unknown.join(', ')} (${dataset.file} has: ${dataset.columns.join(', ')})`);
+      continue;
+    }
+
+    for (const row of dataset.rows) {
+      let value;
+      try {
+        value = interpolate(node.value, row.values);
+      } catch (error) {
+        // A JSON row without one of the columns other rows have
+        report(node, `${location}: ${error.message} in ${dataset.file}:${row.line}`);
+        continue;
+      }
+      checkValue(value, valueType(value), schema, location)
+        .forEach(message => report(node, `${message} in ${dataset.file}:${row.line}`));
+    }
+  }
+}
+
+/**
+ * Parse and validate scenario source text. JSON is valid YAML, so both
+ * formats go through the same parser and get the same line numbers.
+ *
+ * A scenario with `data` also loads its dataset (relative to options.baseDir,
+ * default: the working directory) into `dataset`; see lib/datasets.
+ */
+function parseScenario(source, file = '<scenario>', { baseDir = process.cwd() } = {}) {
+  const lineCounter = new YAML.LineCounter();
+  const doc = YAML.parseDocument(source, { lineCounter, prettyErrors: false });
+  const errors = [];
+
+  const report = (node, message) => {
+    const offset = node && node.range ? node.range[0] : 0;
+    const { line, col } = lineCounter.linePos(offset);
+    errors.push({ line, column: col, message });
+  };
+
+  // Without prettyErrors the parser leaves linePos unset; the offset is always there
+  for (const error of doc.errors) {
+    const { line, col } = lineCounter.linePos(error.pos[0]);
+    errors.push({ line, column: col, message: error.message.split('\n')[0] });
+  }
+
+  let dataset = null;
+  if (errors.length === 0) {
+    if (!doc.contents) {
+      errors.push({ line: 1, column: 1, message: 'scenario file is empty' });
+    } else {
+      const templates = [];
+      validateNode(doc.contents, SCENARIO_SCHEMA, 'scenario', report, templates);
+      dataset = loadScenarioData(doc, baseDir, templates, report);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ScenarioValidationError(file, errors);
+  }
+
+  return { ...doc.toJS(), file, ...(dataset && { dataset }) };
+}
+
+// Placeholders fill actions (and a baseUrl) only; the rest of the scenario is the same for every row
+function loadScenarioData(doc, baseDir, templates, report) {
+  const fillable = templates.filter(({ location }) => /^scenario\.(actions\[|baseUrl\b)/.test(location));
+  for (const { node, location } of templates.filter(template => !fillable.includes(template))) {
+    report(node, `${location} can't use \${...} placeholders (only actions and baseUrl are filled from data)`);
+  }
+
+  const dataNode = YAML.isMap(doc.contents) && doc.contents.get('data', true);
+  if (!dataNode || typeof dataNode.value !== 'string') {
+    for (const { node, location } of fillable) {
+      report(node, `${location} uses \${${placeholders(node.value)[0]}} but the scenario has no data (write $\${...} for the literal text)`);
+    }
+    return null;
+  }
+
+  let dataset;
+  try {
+    dataset = loadDataset(path.resolve(baseDir, dataNode.value), path.relative(process.cwd(), path.resolve(baseDir, dataNode.value)));
+  } catch (error) {
+    report(dataNode, `scenario.data could not be loaded: ${error.message}`);
+    return null;
+  }
+  validateTemplates(fillable, dataset, report);
+  return dataset;
+}
+
+const SCENARIO_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+function listFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const entryPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(entryPath) : [entryPath];
+  });
+}
+
+/**
+ * Expand file, directory and glob arguments into a sorted list of scenario files.
+ */
+function findScenarioFiles(patterns) {
+  const files = new Set();
+
+  for (const pattern of patterns) {
+    if (!/[*?]/.test(pattern)) {
+      if (fs.existsSync(pattern) && fs.statSync(pattern).isDirectory()) {
+        listFiles(pattern)
+          .filter(file => SCENARIO_EXTENSIONS.includes(path.extname(file)))
+          .forEach(file => files.add(path.resolve(file)));
+      } else {
+        files.add(path.resolve(pattern));
+      }
+      continue;
+    }
+
+    const normalized = pattern.split(path.sep).join('/');
+    const staticPrefix = normalized.slice(0, normalized.search(/[*?]/));
+    const rootDir = staticPrefix.includes('/') ? staticPrefix.slice(0, staticPrefix.lastIndexOf('/') + 1) : '.';
+    const matcher = globToRegExp(path.posix.normalize(normalized));
+
+    if (!fs.existsSync(rootDir)) continue;
+
+    listFiles(rootDir)
+      .filter(file => matcher.test(path.posix.normalize(file.split(path.sep).join('/'))))
+      .forEach(file => files.add(path.resolve(file)));
+  }
+
+  return [...files].sort();
+}
+
+function loadScenarioFile(filePath) {
+  return parseScenario(fs.readFileSync(filePath, 'utf8'), path.relative(process.cwd(), filePath), {
+    baseDir: path.dirname(filePath)
+  });
+}
+
+module.exports = {
+  ACTION_SCHEMAS,
+  SCENARIO_SCHEMA,
+  ScenarioValidationError,
+  parseScenario,
+  loadScenarioFile,
+  findScenarioFiles
+};
@@ -0,0 +1,43 @@
+// Playwright trace modes and failure artifacts for failed assertions
+
+const TRACE_MODES = ['off', 'on', 'retain-on-failure'];
+
+// DOM snapshots are cut at this many characters
+const MAX_SNAPSHOT_LENGTH = 20000;
+
+function validateTraceMode(mode) {
+  if (!TRACE_MODES.includes(mode)) {
+    throw new Error(`Unknown trace mode: ${mode} (expected one of: ${TRACE_MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+function shouldKeepTrace(mode, passed) {
+  return mode === 'on' || (mode === 'retain-on-failure' && !passed);
+}
+
+// File-system safe name for a test's artifacts, e.g. '004-LoginPage-submit'
+function artifactName(index, label) {
+  const slug = String(label).replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+  return `${String(index).padStart(3, '0')}-${slug || 'test'}`;
+}
+
+/**
+ * The element's parent as HTML, so the snapshot shows what surrounds the
+ * failing selector; document.body is captured as is. Runs in the browser via
+ * evaluate(), so it must stay self-contained.
+ */
+function captureSurroundings(element, maxLength) {
+  var context = element === document.body || !element.parentElement ? element : element.parentElement;
+  var html = context.outerHTML;
+  return html.length > maxLength ? html.slice(0, maxLength) + '\n<!-- truncated -->' : html;
+}
+
+module.exports = {
+  TRACE_MODES,
+  MAX_SNAPSHOT_LENGTH,
+  validateTraceMode,
+  shouldKeepTrace,
+  artifactName,
+  captureSurroundings
+};
@@ -0,0 +1,119 @@
+// Screenshot baselines and pixel comparison for visual regression testing
+
+const fs = require('fs');
+const path = require('path');
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
+
+const DEFAULT_OPTIONS = {
+  threshold: 0.1,         // per-pixel colour sensitivity passed to pixelmatch (0..1)
+  maxDiffPercentage: 0,   // share of differing pixels still accepted as a pass
+  ignoreRegions: [],      // [{ x, y, width, height }] excluded from the comparison
+  mask: []                // selectors painted over by Playwright before capture
+};
+
+/**
+ * Paint a region fully transparent so it compares equal in both images.
+ */
+function clearRegion(png, { x, y, width, height }) {
+  const startX = Math.max(0, Math.floor(x));
+  const startY = Math.max(0, Math.floor(y));
+  const endX = Math.min(png.width, Math.ceil(x + width));
+  const endY = Math.min(png.height, Math.ceil(y + height));
+
+  for (let row = startY; row < endY; row++) {
+    for (let col = startX; col < endX; col++) {
+      const idx = (png.width * row + col) << 2;
+      png.data[idx] = 0;
+      png.data[idx + 1] = 0;
+      png.data[idx + 2] = 0;
+      png.data[idx + 3] = 0;
+    }
+  }
+}
+
+/**
+ * Compare two PNG buffers pixel by pixel.
+ *
+ * Returns the number and share of differing pixels and a PNG buffer that
+ * highlights them. Images of different sizes never match.
+ */
+function compareImages(baselineBuffer, actualBuffer, options = {}) {
+  const { threshold, ignoreRegions } = { ...DEFAULT_OPTIONS, ...options };
+  const baseline = PNG.sync.read(baselineBuffer);
+  const actual = PNG.sync.read(actualBuffer);
+
+  if (baseline.width !== actual.width || baseline.height !== actual.height) {
+    return {
+      sizeMismatch: true,
+      diffPixels: null,
+      diffPercentage: 100,
+      diffBuffer: null,
+      error: `Image size differs: baseline ${baseline.width}x${baseline.height}, actual ${actual.width}x${actual.height}`
+    };
+  }
+
+  for (const region of ignoreRegions) {
+    clearRegion(baseline, region);
+    clearRegion(actual, region);
+  }
+
+  const { width, height } = baseline;
+  const diff = new PNG({ width, height });
+  const diffPixels = pixelmatch(baseline.data, actual.data, diff.data, width, height, { threshold });
+
+  return {
+    sizeMismatch: false,
+    diffPixels,
+    diffPercentage: (diffPixels / (width * height)) * 100,
+    diffBuffer: PNG.sync.write(diff)
+  };
+}
+
+/**
+ * Check a freshly captured screenshot against its stored baseline.
+ *
+ * The first run (or any run in update mode) records the screenshot as the
+ * new baseline; later runs compare against it and write a diff image next
+ * to the screenshot.
+ */
+function checkBaseline({ screenshotPath, baselinePath, diffPath, update = false, ...options }) {
+  const { maxDiffPercentage } = { ...DEFAULT_OPTIONS, ...options };
+
+  if (update || !fs.existsSync(baselinePath)) {
+    fs.mkdirSync(path.dirname(baselinePath), { recursive: true });
+    fs.copyFileSync(screenshotPath, baselinePath);
+    return {
+      status: update ? 'updated' : 'recorded',
+      passed: true,
+      diffPixels: 0,
+      diffPercentage: 0,
+      diffPath: null
+    };
+  }
+
+  const comparison = compareImages(
+    fs.readFileSync(baselinePath),
+    fs.readFileSync(screenshotPath),
+    options
+  );
+
+  if (comparison.diffBuffer) {
+    fs.writeFileSync(diffPath, comparison.diffBuffer);
+  }
+
+  return {
+    status: 'compared',
+    passed: !comparison.sizeMismatch && comparison.diffPercentage <= maxDiffPercentage,
+    diffPixels: comparison.diffPixels,
+    diffPercentage: comparison.diffPercentage,
+    diffPath: comparison.diffBuffer ? diffPath : null,
+    error: comparison.error
+  };
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  compareImages,
+  checkBaseline
+};
@@ -0,0 +1,25 @@
+// Child process entry for runParallel(): runs one share of the scenarios
+
+const path = require('path');
+const { runScenarios } = require('./runner');
+
+process.once('message', async ({ scenarios, options }) => {
+  let message;
+
+  try {
+    // Page objects and custom assertions register themselves when required
+    for (const modulePath of options.require || []) {
+      require(path.resolve(modulePath));
+    }
+
+    const summary = await runScenarios(scenarios, {
+      ...options,
+      auth: options.authFile ? require(path.resolve(options.authFile)) : undefined
+    });
+    message = { summary };
+  } catch (error) {
+    message = { error: error.message };
+  }
+
+  process.send(message, () => process.disconnect());
+});
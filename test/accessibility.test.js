@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {
+  AXE_SOURCE_PATH,
+  buildAxeOptions,
+  violationsAtOrAbove,
+  pageKey,
+  fingerprintViolations,
+  diffViolations,
+  loadAccessibilityBaseline,
+  saveAccessibilityBaseline
+} = require('../lib/accessibility');
+
+test('axe-core is loaded from node_modules', () => {
+  assert.ok(fs.existsSync(AXE_SOURCE_PATH));
+});
+
+test('buildAxeOptions() scopes the check and selects rules', () => {
+  assert.deepStrictEqual(buildAxeOptions(), { context: null, runOptions: {} });
+  assert.deepStrictEqual(
+    buildAxeOptions({ include: 'main', exclude: ['.ad'], tags: ['wcag2a', 'wcag21aa'], disableRules: ['color-contrast'] }),
+    {
+      context: { include: ['main'], exclude: ['.ad'] },
+      runOptions: {
+        runOnly: { type: 'tag', values: ['wcag2a', 'wcag21aa'] },
+        rules: { 'color-contrast': { enabled: false } }
+      }
+    }
+  );
+  // explicit rules win over tags
+  assert.deepStrictEqual(
+    buildAxeOptions({ rules: ['image-alt'], tags: ['wcag2a'] }).runOptions,
+    { runOnly: { type: 'rule', values: ['image-alt'] } }
+  );
+});
+
+test('violationsAtOrAbove() applies the impact threshold', () => {
+  const violations = [
+    { id: 'a', impact: 'minor' },
+    { id: 'b', impact: 'serious' },
+    { id: 'c', impact: 'critical' },
+    { id: 'd', impact: null }
+  ];
+
+  assert.deepStrictEqual(violationsAtOrAbove(violations).map(v => v.id), ['a', 'b', 'c', 'd']);
+  assert.deepStrictEqual(violationsAtOrAbove(violations, 'serious').map(v => v.id), ['b', 'c']);
+  assert.throws(() => violationsAtOrAbove(violations, 'severe'), /Unknown impact threshold/);
+});
+
+test('fingerprints identify violations by rule, target and page', () => {
+  const violations = [
+    { id: 'image-alt', impact: 'critical', nodes: [{ target: ['img.logo'] }, { target: [['iframe#x', 'img']] }] }
+  ];
+  const entries = fingerprintViolations(violations, pageKey('https://staging.example.com/about?tab=1#top'));
+
+  assert.deepStrictEqual(entries.map(entry => [entry.target, entry.page]), [
+    ['img.logo', '/about?tab=1'],
+    ['iframe#x >>> img', '/about?tab=1']
+  ]);
+  // host-independent: the same page on another origin gets the same fingerprints
+  assert.deepStrictEqual(
+    fingerprintViolations(violations, pageKey('http://localhost:3000/about?tab=1')),
+    entries
+  );
+});
+
+test('diffViolations() splits new, fixed and unchanged violations', () => {
+  const [a, b, c] = fingerprintViolations([
+    { id: 'label', impact: 'serious', nodes: [{ target: ['#a'] }, { target: ['#b'] }, { target: ['#c'] }] }
+  ], '/');
+
+  const diff = diffViolations([b, c], [a, b]);
+  assert.deepStrictEqual(diff, { new: [c], fixed: [a], unchanged: [b] });
+});
+
+test('accessibility baselines round-trip sorted through disk', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-'));
+  const baselinePath = path.join(dir, 'nested', 'accessibility.json');
+  const entries = fingerprintViolations([
+    { id: 'label', impact: 'serious', nodes: [{ target: ['#b'] }, { target: ['#a'] }] }
+  ], '/contact');
+
+  assert.deepStrictEqual(loadAccessibilityBaseline(baselinePath), {});
+  saveAccessibilityBaseline(baselinePath, { '/contact': entries, '/': [] });
+
+  const saved = loadAccessibilityBaseline(baselinePath);
+  assert.deepStrictEqual(Object.keys(saved), ['/', '/contact']);
+  assert.deepStrictEqual(new Set(saved['/contact']), new Set(entries));
+  fs.rmSync(dir, { recursive: true });
+});
@@ -0,0 +1,170 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseScenario } = require('../lib/scenario');
+const {
+  evaluateAssertion,
+  compileAssertion,
+  parseExpectation,
+  registerAssertion
+} = require('../lib/assertions');
+
+// Minimal stand-in for a Playwright page whose element text changes on every read
+function fakePage(texts, { count = 1 } = {}) {
+  let reads = 0;
+  const element = {
+    waitFor: async () => {},
+    textContent: async () => {
+      const value = texts[Math.min(reads, texts.length - 1)];
+      reads++;
+      if (value instanceof Error) throw value;
+      return value;
+    },
+    getAttribute: () => element.textContent(),
+    isVisible: async () => count > 0
+  };
+  return {
+    get reads() {
+      return reads;
+    },
+    waitForTimeout: async () => {},
+    locator: () => ({ first: () => element, count: async () => count })
+  };
+}
+
+test('assertions poll until the expected value appears', async () => {
+  const page = fakePage(['Loading…', 'Loading…', 'Welcome']);
+  const result = await evaluateAssertion(page, 'h1', 'text', 'Welcome', { timeout: 1000, pollInterval: 1 });
+
+  assert.deepStrictEqual(result, { passed: true, actual: 'Welcome' });
+  assert.strictEqual(page.reads, 3);
+});
+
+test('assertions fail with the last actual value once the timeout runs out', async () => {
+  const page = fakePage(['Loading…']);
+  const result = await evaluateAssertion(page, 'h1', 'text', 'Welcome', { timeout: 20, pollInterval: 5 });
+
+  assert.deepStrictEqual(result, { passed: false, actual: 'Loading…' });
+});
+
+test('read errors are retried until the deadline', async () => {
+  const page = fakePage([new Error('detached'), 'Welcome']);
+  const result = await evaluateAssertion(page, 'h1', 'text', 'Welcome', { timeout: 1000, pollInterval: 1 });
+  assert.strictEqual(result.passed, true);
+
+  await assert.rejects(
+    evaluateAssertion(fakePage([new Error('detached')]), 'h1', 'text', 'Welcome', { timeout: 5, pollInterval: 5 }),
+    /detached/
+  );
+});
+
+test('negation, regex and numeric expectations', async () => {
+  const options = { timeout: 0, pollInterval: 1 };
+
+  assert.strictEqual((await evaluateAssertion(fakePage(['Hello']), 'p', 'not.text', 'Bye', options)).passed, true);
+  assert.strictEqual((await evaluateAssertion(fakePage(['Hello']), 'p', 'text', { regex: '^hel', flags: 'i' }, options)).passed, true);
+  assert.strictEqual((await evaluateAssertion(fakePage(['42 items']), 'p', 'text', '>= 40', options)).passed, true);
+  assert.strictEqual((await evaluateAssertion(fakePage([''], { count: 3 }), 'li', 'count', '< 3', options)).passed, false);
+  assert.strictEqual((await evaluateAssertion(fakePage([''], { count: 0 }), 'li', 'not.exists', undefined, options)).passed, true);
+});
+
+test('path-like expected values compare literally', async () => {
+  const options = { timeout: 0, pollInterval: 1 };
+
+  assert.strictEqual((await evaluateAssertion(fakePage(['/docs/api/']), 'a', 'attribute', 'href=/docs/api/', options)).passed, true);
+  // As a regex, /docs/api/ would have matched inside a longer path
+  assert.strictEqual((await evaluateAssertion(fakePage(['/v2/docs/api/index']), 'a', 'attribute', 'href=/docs/api/', options)).passed, false);
+  assert.strictEqual((await evaluateAssertion(fakePage(['/v2/docs/api/index']), 'a', 'attribute', 'href=re:/docs/api/', options)).passed, true);
+});
+
+test('scenario files check that regex expectations compile', () => {
+  const scenario = parseScenario(`
+name: Docs
+actions:
+  - { type: testElement, selector: a, testType: attribute, expectedValue: "href=/docs/api/" }
+  - { type: testElement, selector: h1, testType: text, expectedValue: { regex: "^welcome", flags: i } }
+`, 'docs.yaml');
+  assert.deepStrictEqual(scenario.actions[1].expectedValue, { regex: '^welcome', flags: 'i' });
+
+  assert.throws(() => parseScenario(`
+name: Bad
+actions:
+  - { type: testElement, selector: h1, testType: text, expectedValue: "re:(" }
+  - { type: testElement, selector: h1, testType: text, expectedValue: { regex: a, flags: q } }
+`, 'bad.yaml'), error => {
+    assert.match(error.message, /bad\.yaml:4:\d+ scenario\.actions\[0\]\.expectedValue is not a valid regex: .*Unterminated group/);
+    assert.match(error.message, /bad\.yaml:5:\d+ scenario\.actions\[1\]\.expectedValue\.flags is not a valid regex: Invalid flags/);
+    return true;
+  });
+});
+
+test('value assertions require an expectedValue; name-only attribute checks test presence', async () => {
+  const options = { timeout: 0 };
+  for (const testType of ['text', 'not.text', 'containsText', 'value', 'count', 'cssProperty']) {
+    await assert.rejects(evaluateAssertion(fakePage(['x']), 'h1', testType, undefined, options), new RegExp(`Test type ${testType.replace('not.', '')} needs an expectedValue`));
+    assert.throws(() => compileAssertion('h1', testType), /needs an expectedValue/);
+  }
+  assert.strictEqual((await evaluateAssertion(fakePage(['x']), 'h1', 'visible', undefined, options)).passed, true);
+
+  assert.strictEqual((await evaluateAssertion(fakePage(['']), 'button', 'attribute', 'disabled', options)).passed, true);
+  assert.strictEqual((await evaluateAssertion(fakePage([null]), 'button', 'attribute', 'disabled', options)).passed, false);
+  assert.strictEqual(compileAssertion('button', 'attribute', 'disabled'), 'cy.get("button").should("have.attr", "disabled")');
+
+  assert.throws(() => parseScenario(`
+name: Missing
+actions:
+  - { type: testElement, selector: h1, testType: text }
+  - { type: testElement, selector: li, testType: not.count }
+  - { type: testElement, selector: h1, testType: visible }
+  - { type: testElement, selector: button, testType: attribute, expectedValue: disabled }
+`, 'missing.yaml'), error => {
+    assert.deepStrictEqual(error.message.split('\n'), [
+      'missing.yaml:4:5 scenario.actions[0] is missing required property "expectedValue" (testType text compares against it)',
+      'missing.yaml:5:5 scenario.actions[1] is missing required property "expectedValue" (testType not.count compares against it)'
+    ]);
+    return true;
+  });
+});
+
+test('parseExpectation() classifies expected values', () => {
+  assert.deepStrictEqual(parseExpectation('re:a+'), { kind: 'regex', regex: /a+/ });
+  assert.deepStrictEqual(parseExpectation({ regex: 'a+', flags: 'g' }), { kind: 'regex', regex: /a+/g });
+  // Slashes don't make a regex: paths and URLs compare exactly
+  assert.deepStrictEqual(parseExpectation('/a+/g'), { kind: 'equals', value: '/a+/g' });
+  assert.deepStrictEqual(parseExpectation('>= 3'), { kind: 'numeric', operator: '>=', value: 3 });
+  assert.deepStrictEqual(parseExpectation(5), { kind: 'numeric', operator: '==', value: 5 });
+  assert.deepStrictEqual(parseExpectation('a/b'), { kind: 'equals', value: 'a/b' });
+});
+
+test('compileAssertion() emits Cypress chains', () => {
+  assert.strictEqual(compileAssertion('h1', 'not.visible'), 'cy.get("h1").should("not.be.visible")');
+  assert.strictEqual(compileAssertion('li', 'count', '>= 2'), 'cy.get("li").should("have.length.gte", 2)');
+  assert.strictEqual(
+    compileAssertion('a', 'attribute', 'href=re:^https'),
+    'cy.get("a").invoke("attr", "href").should("match", /^https/)'
+  );
+  assert.strictEqual(
+    compileAssertion('a', 'attribute', 'href=/docs/api/'),
+    'cy.get("a").should("have.attr", "href", "/docs/api/")'
+  );
+  assert.strictEqual(
+    compileAssertion('h1', 'text', 'Hi', { timeout: 10000 }),
+    'cy.get("h1", { "timeout": 10000 }).should("have.text", "Hi")'
+  );
+  assert.throws(() => compileAssertion('button', 'not.clickable'), /cannot be negated/);
+  assert.throws(() => compileAssertion('h1', 'bogus'), /Unknown test type: bogus/);
+});
+
+test('custom assertion types are shared by both engines', async () => {
+  registerAssertion('shout', {
+    read: locator => locator.first().textContent(),
+    compare: actual => actual === actual.toUpperCase(),
+    cypress: (expected, { negate }) => `.invoke("text").should(${negate ? '"not.match"' : '"match"'}, /^[^a-z]*$/)`
+  });
+
+  const result = await evaluateAssertion(fakePage(['HEY']), 'p', 'shout', undefined, { timeout: 0 });
+  assert.strictEqual(result.passed, true);
+  assert.strictEqual(compileAssertion('p', 'not.shout'), 'cy.get("p").invoke("text").should("not.match", /^[^a-z]*$/)');
+
+  registerAssertion('playwrightOnly', { read: () => true });
+  assert.throws(() => compileAssertion('p', 'playwrightOnly'), /no Cypress translation/);
+});
@@ -0,0 +1,129 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { EventEmitter } = require('node:events');
+const UITestingAgent = require('../testing-agent-playwright');
+const { validateRole, roleStatePath, isStateFresh, roleContextOptions } = require('../lib/auth');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+}
+
+// Fake browser whose contexts record what happened on their page
+function fakeBrowser() {
+  const contexts = [];
+  return {
+    contexts,
+    newContext: async options => {
+      const page = new EventEmitter();
+      const context = { options, calls: [], closed: false };
+      Object.assign(page, {
+        goto: async url => context.calls.push(['goto', url]),
+        locator: selector => ({
+          evaluateAll: async fn => fn([{ tagName: 'INPUT', type: 'text', value: '' }]),
+          fill: async value => context.calls.push(['fill', selector, value]),
+          click: async () => context.calls.push(['click', selector])
+        }),
+        waitForLoadState: async () => {},
+        video: () => null
+      });
+      Object.assign(context, {
+        newPage: async () => page,
+        storageState: async ({ path: statePath }) => fs.writeFileSync(statePath, JSON.stringify({ cookies: [], origins: [] })),
+        close: async () => {
+          context.closed = true;
+        }
+      });
+      contexts.push(context);
+      return context;
+    }
+  };
+}
+
+test('validateRole() checks the fields each role type needs', () => {
+  assert.strictEqual(validateRole('admin', { url: '/login', formData: {}, submit: '#go' }), 'form');
+  assert.strictEqual(validateRole('api', { type: 'inject', cookies: [] }), 'inject');
+  assert.throws(() => validateRole('viewer', { type: 'basic', username: 'v' }), /Role viewer \(basic\) is missing: password/);
+  assert.throws(() => validateRole('x', { type: 'oauth' }), /unknown type: oauth/);
+  assert.strictEqual(path.basename(roleStatePath('/tmp/auth', 'qa lead')), 'qa-lead.json');
+});
+
+test('isStateFresh() rejects old files and expired cookies', () => {
+  const dir = tempDir();
+  const statePath = path.join(dir, 'admin.json');
+  const now = Date.now();
+
+  assert.strictEqual(isStateFresh(statePath), false);
+
+  fs.writeFileSync(statePath, JSON.stringify({ cookies: [{ name: 'sid', expires: -1 }] }));
+  assert.strictEqual(isStateFresh(statePath, { maxAge: 60000, now }), true);
+  assert.strictEqual(isStateFresh(statePath, { maxAge: 60000, now: now + 120000 }), false);
+
+  fs.writeFileSync(statePath, JSON.stringify({ cookies: [{ name: 'sid', expires: now / 1000 - 10 }] }));
+  assert.strictEqual(isStateFresh(statePath, { maxAge: 60000, now }), false);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('roleContextOptions() builds basic auth and injected state', () => {
+  assert.deepStrictEqual(
+    roleContextOptions({ type: 'basic', username: 'u', password: 'p' }),
+    { httpCredentials: { username: 'u', password: 'p' } }
+  );
+  assert.deepStrictEqual(roleContextOptions({
+    type: 'inject',
+    cookies: [{ name: 'sid', value: 'abc' }, { name: 'pref', value: '1', domain: '.example.com', path: '/' }],
+    localStorage: { token: 'jwt', user: { id: 1 } },
+    headers: { Authorization: 'Bearer jwt' }
+  }, { baseUrl: 'https://example.com/app' }), {
+    storageState: {
+      cookies: [
+        { name: 'sid', value: 'abc', url: 'https://example.com' },
+        { name: 'pref', value: '1', domain: '.example.com', path: '/' }
+      ],
+      origins: [{
+        origin: 'https://example.com',
+        localStorage: [{ name: 'token', value: 'jwt' }, { name: 'user', value: '{"id":1}' }]
+      }]
+    },
+    extraHTTPHeaders: { Authorization: 'Bearer jwt' }
+  });
+});
+
+test('useRole() logs in once and reuses the saved session', async () => {
+  const dir = tempDir();
+  const agent = new UITestingAgent({
+    baseUrl: 'https://example.com',
+    outputDir: dir,
+    performance: false,
+    auth: {
+      roles: {
+        admin: { url: '/login', formData: { '#user': 'admin', '#password': 'secret' }, submit: '#login' }
+      }
+    }
+  });
+  agent.browser = fakeBrowser();
+  agent.target = { id: 'chromium-desktop', contextOptions: {} };
+
+  await agent.useRole('admin');
+  const [login] = agent.browser.contexts;
+  assert.deepStrictEqual(login.calls, [
+    ['goto', 'https://example.com/login'],
+    ['fill', '#user', 'admin'],
+    ['fill', '#password', 'secret'],
+    ['click', '#login']
+  ]);
+  assert.ok(fs.existsSync(path.join(dir, '.auth', 'admin.json')));
+
+  await agent.useRole('admin');
+  const reused = agent.browser.contexts[1];
+  assert.strictEqual(login.closed, true);
+  assert.strictEqual(reused.options.storageState, path.join(dir, '.auth', 'admin.json'));
+  assert.deepStrictEqual(reused.calls, []);
+
+  await agent.useRole(null);
+  assert.strictEqual(agent.browser.contexts[2].options.storageState, undefined);
+  await assert.rejects(agent.useRole('viewer'), /Unknown role: viewer \(known roles: admin\)/);
+  fs.rmSync(dir, { recursive: true });
+});
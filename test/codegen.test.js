@@ -0,0 +1,171 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const vm = require('node:vm');
+const UITestingAgent = require('../testing-agent-cypress');
+const CypressTestAgent = require('../testing-agent-cypress-1');
+const { literal, specFileName } = require('../lib/codegen');
+
+const NASTY_STRINGS = [
+  "a[href='x']",
+  'input[name="email"]',
+  "it's",
+  'back\\slash',
+  'C:\\new\\table',
+  '`backtick` ${process.exit(1)}',
+  '</script><script>alert(1)</script>',
+  'line\nbreak\r\nand\ttab',
+  'separators \u2028 \u2029',
+  '{enter}{selectall}',
+  '*/ /* // comment',
+  'emoji 🚀 and ümlaut',
+  "'); process.exit(1); ('"
+];
+
+// Execute a generated spec against recording stand-ins for mocha and cy.
+// Elements cy.get() finds are <select>s when the selector starts with "select"
+function runSpec(source) {
+  const calls = [];
+  const titles = [];
+  let selector = null;
+  const element = tag => {
+    const $el = { first: () => $el, is: query => query === tag };
+    return $el;
+  };
+  const chain = new Proxy({}, {
+    get: (target, command) => (...args) => {
+      if (command === 'then') {
+        args[0](element(selector.startsWith('select') ? 'select' : 'input'));
+        return chain;
+      }
+      if (command === 'get') {
+        selector = args[0];
+      }
+      // cy.wrap($el) continues the chain on the element cy.get() found
+      if (command !== 'wrap') {
+        // JSON copy drops the sandbox realm's prototypes so deepStrictEqual can compare
+        calls.push(JSON.parse(JSON.stringify([command, ...args])));
+      }
+      return chain;
+    }
+  });
+  const register = (title, fn) => {
+    titles.push(title);
+    fn();
+  };
+
+  vm.runInNewContext(source, {
+    describe: register,
+    context: register,
+    it: register,
+    // The dialog defaults every spec starts with are covered in test/interactions.test.js
+    beforeEach: () => {},
+    cy: chain,
+    expect: () => chain
+  });
+
+  return { calls, titles };
+}
+
+function createAgent() {
+  return new UITestingAgent({ baseUrl: 'https://example.com' });
+}
+
+test('literal() round-trips nasty strings', () => {
+  for (const value of NASTY_STRINGS) {
+    assert.strictEqual(vm.runInThisContext(`(${literal(value)})`), value);
+  }
+});
+
+test('literal() serializes regular expressions, numbers and objects', () => {
+  assert.deepStrictEqual(
+    vm.runInThisContext(`(${literal({ a: [1, true, null], "b'c": 'd' })})`),
+    { a: [1, true, null], "b'c": 'd' }
+  );
+  assert.strictEqual(vm.runInThisContext(`(${literal(/a\/b'c/gi)})`).toString(), "/a\\/b'c/gi");
+  assert.throws(() => literal(NaN));
+});
+
+test('generated specs parse and pass values through unchanged', () => {
+  for (const value of NASTY_STRINGS) {
+    const agent = createAgent();
+    const actions = [
+      agent.generateNavigationAction(`/search?q=${value}`),
+      agent.generateElementTest(value, 'text', value),
+      agent.generateElementTest(value, 'attribute', `data-x=${value}`),
+      ...agent.generateFormFillAction({ [value]: value, [`select${value}`]: value }),
+      agent.generateScreenshotAction(value)
+    ];
+    const source = agent.renderTest(value, actions);
+
+    assert.doesNotThrow(() => new vm.Script(source), `spec for ${JSON.stringify(value)} does not parse`);
+
+    const { calls, titles } = runSpec(source);
+    assert.deepStrictEqual(titles, [value, 'performs UI testing']);
+    assert.deepStrictEqual(calls, [
+      ['visit', `/search?q=${value}`],
+      ['get', value], ['should', 'have.text', value],
+      ['get', value], ['should', 'have.attr', 'data-x', value],
+      ['get', value], ['clear'], ['type', value, { parseSpecialCharSequences: false }],
+      ['get', `select${value}`], ['select', value],
+      ['screenshot', value]
+    ]);
+  }
+});
+
+test('buildTestSuite output is deterministic and formatted', async () => {
+  const render = () => {
+    const agent = createAgent();
+    return agent.renderTest('Example Test', [
+      agent.generateNavigationAction('/'),
+      agent.generateElementTest('h1', 'text', 'Example Domain'),
+      'cy.wait(100)'
+    ]);
+  };
+
+  assert.strictEqual(render(), render());
+  assert.strictEqual(render(), [
+    '// Generated by UITestingAgent',
+    'describe("Example Test", () => {',
+    '  beforeEach(() => {',
+    '    cy.removeAllListeners("window:confirm");',
+    '    cy.on("window:confirm", () => true);',
+    '    cy.on("window:before:load", win => { win.prompt = () => ""; });',
+    '    cy.window().then(win => { win.prompt = () => ""; });',
+    '  });',
+    '',
+    '  it("performs UI testing", () => {',
+    '    cy.visit("/");',
+    '    cy.get("h1").should("have.text", "Example Domain");',
+    '    cy.wait(100);',
+    '  });',
+    '});',
+    ''
+  ].join('\n'));
+});
+
+test('unknown action types fail generation instead of being dropped', () => {
+  const agent = createAgent();
+  assert.throws(() => agent.generateActions([{ type: 'navigate', url: '/' }, { type: 'teleport' }]), /^Error: Unknown action type: teleport$/);
+  assert.throws(() => agent.generateActions([{ type: 'mock', url: '/api' }]), /mock is only supported by the Playwright agent/);
+});
+
+test('spec file names are file-system safe', () => {
+  assert.strictEqual(specFileName('Example Test'), 'example_test.cy.js');
+  assert.strictEqual(specFileName('../../etc/passwd'), 'etc-passwd.cy.js');
+  assert.strictEqual(specFileName("it's a test", '_a11y.cy.js'), 'it-s_a_test_a11y.cy.js');
+  assert.strictEqual(specFileName('***'), 'spec.cy.js');
+});
+
+test('auto-generated route specs parse with nasty routes and selectors', () => {
+  const agent = Object.create(CypressTestAgent.prototype);
+  Object.assign(agent, {
+    baseUrl: 'https://example.com',
+    viewports: [{ width: 375, height: 667, name: "phone's" }],
+    selectors: { clickable: "a[href='x'], button", input: 'input[name="q"]', form: 'form' }
+  });
+
+  for (const route of NASTY_STRINGS) {
+    const source = agent.generateTestContent(`/${route}`, 'route');
+    assert.doesNotThrow(() => new vm.Script(source), `route spec for ${JSON.stringify(route)} does not parse`);
+  }
+});
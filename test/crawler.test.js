@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SiteCrawler, parseRobotsTxt, isAllowedByRobots } = require('../lib/crawler');
+
+// Fake Playwright page serving a small site: { path: { status, title, links } }
+function fakeSite(site, robotsTxt = '') {
+  let current = null;
+  const visited = [];
+  return {
+    visited,
+    request: {
+      get: async () => ({ ok: () => robotsTxt !== '', text: async () => robotsTxt })
+    },
+    goto: async url => {
+      const { pathname, search } = new URL(url);
+      visited.push(`${pathname}${search}`);
+      current = site[`${pathname}${search}`] || { status: 404, title: 'Not Found', links: [] };
+      return {
+        status: () => current.status || 200,
+        headers: () => ({ 'content-type': 'text/html' })
+      };
+    },
+    title: async () => current.title,
+    $$eval: async () => current.links.map(link => new URL(link, 'https://example.com').href)
+  };
+}
+
+test('parseRobotsTxt() picks the matching user-agent group', () => {
+  const robots = [
+    'User-agent: googlebot',
+    'Disallow: /',
+    '',
+    'User-agent: *',
+    'Disallow: /admin # private',
+    'Allow: /admin/help',
+    'Disallow:'
+  ].join('\n');
+
+  const rules = parseRobotsTxt(robots);
+  assert.deepStrictEqual(rules, [
+    { allow: false, path: '/admin' },
+    { allow: true, path: '/admin/help' }
+  ]);
+  assert.strictEqual(isAllowedByRobots(rules, '/admin/users'), false);
+  assert.strictEqual(isAllowedByRobots(rules, '/admin/help/faq'), true);
+  assert.strictEqual(isAllowedByRobots(rules, '/about'), true);
+  assert.strictEqual(isAllowedByRobots(parseRobotsTxt(robots, 'Googlebot'), '/about'), false);
+});
+
+test('robots wildcards and end anchors', () => {
+  const rules = [{ allow: false, path: '/*.pdf$' }, { allow: false, path: '/search?*q=' }];
+  assert.strictEqual(isAllowedByRobots(rules, '/files/report.pdf'), false);
+  assert.strictEqual(isAllowedByRobots(rules, '/files/report.pdf?download=1'), true);
+  assert.strictEqual(isAllowedByRobots(rules, '/search?lang=en&q=shoes'), false);
+});
+
+test('crawl() follows same-origin links within depth and reports broken pages', async () => {
+  const page = fakeSite({
+    '/': { title: 'Home', links: ['/about', '/blog/', 'https://other.com/x', '/about#team', 'mailto:hi@example.com'] },
+    '/about': { title: 'About', links: ['/', '/missing', '/admin'] },
+    '/blog/': { title: 'Blog', links: ['/blog/post-1'] },
+    '/blog/post-1': { title: 'Post', links: ['/blog/post-2'] },
+    '/admin': { title: 'Admin', links: [] }
+  }, 'User-agent: *\nDisallow: /admin');
+
+  const crawler = new SiteCrawler(page, { startUrl: 'https://example.com/', maxDepth: 2 });
+  const inventory = await crawler.crawl();
+
+  assert.deepStrictEqual(page.visited, ['/', '/about', '/blog/', '/missing', '/blog/post-1']);
+  assert.deepStrictEqual(inventory.routes, ['/', '/about', '/blog/', '/blog/post-1']);
+  assert.deepStrictEqual(inventory.brokenLinks.map(broken => [broken.path, broken.status, broken.referrers]), [
+    ['/missing', 404, ['https://example.com/about']]
+  ]);
+  assert.deepStrictEqual(inventory.pages[0].links, [
+    'https://example.com/about',
+    'https://example.com/blog/',
+    'https://other.com/x'
+  ]);
+});
+
+test('crawl() honors include/exclude patterns and the page limit', async () => {
+  const site = {
+    '/': { title: 'Home', links: ['/blog/a', '/blog/b', '/shop/c', '/blog/drafts/d'] }
+  };
+
+  const filtered = fakeSite(site);
+  await new SiteCrawler(filtered, {
+    startUrl: 'https://example.com/',
+    include: ['/', '/blog/**'],
+    exclude: [/drafts/]
+  }).crawl();
+  assert.deepStrictEqual(filtered.visited, ['/', '/blog/a', '/blog/b']);
+
+  const limited = fakeSite(site);
+  const inventory = await new SiteCrawler(limited, { startUrl: 'https://example.com/', maxPages: 2 }).crawl();
+  assert.strictEqual(inventory.pages.length, 2);
+});
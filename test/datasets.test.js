@@ -0,0 +1,214 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('node:vm');
+const PlaywrightAgent = require('../testing-agent-playwright');
+const CypressAgent = require('../testing-agent-cypress');
+const { parseScenario } = require('../lib/scenario');
+const { resolveActions } = require('../lib/runner');
+const { fromCypressRun } = require('../lib/results');
+const { renderHtmlReport } = require('../lib/html-report');
+const { LocatorRef, definePage, resolveLocator } = require('../lib/page-objects');
+const { parseCsv, parseJsonRows, parseJsonLines, loadDataset, interpolate, rowTitle } = require('../lib/datasets');
+
+function dataDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'datasets-'));
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+  return dir;
+}
+
+test('parseCsv() reads quoted fields and keeps each row\'s line', () => {
+  const dataset = parseCsv('﻿user,note\r\nada,"hi, ""you""\nthere"\n\nbob,\n', 'users.csv');
+  assert.deepStrictEqual(dataset, {
+    file: 'users.csv',
+    columns: ['user', 'note'],
+    rows: [
+      { index: 1, line: 2, values: { user: 'ada', note: 'hi, "you"\nthere' } },
+      { index: 2, line: 5, values: { user: 'bob', note: '' } }
+    ]
+  });
+
+  assert.throws(() => parseCsv('a,b\n1,2\n3\n', 'x.csv'), /^Error: x\.csv:3: expected 2 values \(a, b\), got 1$/);
+  assert.throws(() => parseCsv('a,a\n1,2\n', 'x.csv'), /x\.csv:1: duplicate column "a"/);
+  assert.throws(() => parseCsv('a\n"open\n', 'x.csv'), /x\.csv:2: unterminated quoted field/);
+});
+
+test('JSON and JSONL datasets keep value types and line numbers', () => {
+  assert.deepStrictEqual(parseJsonRows('[\n  { "q": "shoes", "count": 3 },\n  { "q": "hats", "all": true }\n]', 'q.json'), {
+    file: 'q.json',
+    columns: ['q', 'count', 'all'],
+    rows: [
+      { index: 1, line: 2, values: { q: 'shoes', count: 3 } },
+      { index: 2, line: 3, values: { q: 'hats', all: true } }
+    ]
+  });
+  assert.deepStrictEqual(parseJsonLines('{"q":"a"}\n\n{"q":"b"}\n', 'q.jsonl').rows.map(row => [row.index, row.line]), [[1, 1], [2, 3]]);
+
+  assert.throws(() => parseJsonRows('{ "q": 1 }', 'q.json'), /q\.json: expected an array of row objects/);
+  assert.throws(() => parseJsonRows('[\n  { "q": "a" },\n  { "q" "b" }\n]', 'q.json'), /^Error: q\.json:3: /);
+  assert.throws(() => parseJsonLines('{"q":"a"}\n["b"]', 'q.jsonl'), /q\.jsonl:2: each row must be an object/);
+  assert.throws(() => parseJsonLines('{"q":', 'q.jsonl'), /q\.jsonl:1: /);
+  assert.throws(() => loadDataset('rows.xlsx'), /Unsupported dataset format: rows\.xlsx \(expected \.csv, \.json, \.jsonl\)/);
+  assert.throws(() => loadDataset(path.join(os.tmpdir(), 'missing.csv'), 'missing.csv'), /Cannot read dataset missing\.csv: no such file/);
+});
+
+test('interpolate() fills placeholders in values and keys', () => {
+  const values = { field: 'Email', email: 'ada@example.com', count: 2, remember: false };
+  assert.deepStrictEqual(interpolate([
+    { type: 'fillForm', formData: { 'label=${field}': '${email}', '#remember': '${remember}' } },
+    { type: 'testElement', selector: 'li', testType: 'count', expectedValue: '${count}' },
+    { type: 'testElement', selector: 'p', testType: 'text', expectedValue: 'Sent to ${ email } ($${email})' }
+  ], values), [
+    { type: 'fillForm', formData: { 'label=Email': 'ada@example.com', '#remember': false } },
+    { type: 'testElement', selector: 'li', testType: 'count', expectedValue: 2 },
+    { type: 'testElement', selector: 'p', testType: 'text', expectedValue: 'Sent to ada@example.com (${email})' }
+  ]);
+  assert.throws(() => interpolate('${user}', values), /Unknown variable "user" \(the data has: field, email, count, remember\)/);
+  assert.strictEqual(rowTitle({ index: 3, values: { q: 'x'.repeat(50), n: 1 } }), `row 3 (q=${'x'.repeat(39)}…, n=1)`);
+});
+
+test('scenario data is validated against every row', () => {
+  const dir = dataDir({
+    'users.csv': 'user,type,wait\nada,visible,100\nbob,shiny,200\n',
+    'waits.json': '[{ "wait": 100 }, { "wait": "soon" }]'
+  });
+  const scenario = parseScenario(`
+name: Login
+data: users.csv
+baseUrl: https://\${user}.example.com
+actions:
+  - { type: fillForm, formData: { "#user": "\${user}" } }
+  - { type: testElement, selector: "#price", testType: text, expectedValue: "$\${amount}" }
+`, 'login.yaml', { baseDir: dir });
+  assert.deepStrictEqual(scenario.dataset.rows.map(row => row.values.user), ['ada', 'bob']);
+  assert.strictEqual(scenario.dataset.file, path.relative(process.cwd(), path.join(dir, 'users.csv')));
+
+  assert.throws(() => parseScenario(`
+name: Bad \${user}
+data: users.csv
+actions:
+  - { type: testElement, selector: h1, testType: "\${type}" }
+  - { type: testElement, selector: "\${nope}", testType: visible }
+`, 'bad.yaml', { baseDir: dir }), error => {
+    assert.match(error.message, /bad\.yaml:2:7 scenario\.name can't use \$\{\.\.\.\} placeholders/);
+    assert.match(error.message, /bad\.yaml:5:\d+ scenario\.actions\[0\]\.testType must be one of: .* in .*users\.csv:3$/m);
+    assert.doesNotMatch(error.message, /users\.csv:2/);
+    assert.match(error.message, /bad\.yaml:6:\d+ scenario\.actions\[1\]\.selector uses unknown variable\(s\) nope \(.*users\.csv has: user, type, wait\)/);
+    return true;
+  });
+
+  assert.throws(() => parseScenario(`
+name: Typed
+data: waits.json
+actions:
+  - { type: wait, milliseconds: "\${wait}" }
+`, 'typed.yaml', { baseDir: dir }), /typed\.yaml:5:\d+ scenario\.actions\[0\]\.milliseconds must be number, got string in .*waits\.json:1/);
+
+  assert.throws(() => parseScenario(`
+name: No data
+actions:
+  - { type: navigate, url: "/\${page}" }
+  - { type: navigate, url: /missing }
+`, 'plain.yaml'), /plain\.yaml:4:\d+ scenario\.actions\[0\]\.url uses \$\{page\} but the scenario has no data/);
+  assert.throws(() => parseScenario('name: Gone\ndata: gone.csv\nactions: [{ type: navigate, url: / }]\n', 'gone.yaml', { baseDir: dir }),
+    /gone\.yaml:2:7 scenario\.data could not be loaded: Cannot read dataset .*gone\.csv: no such file/);
+
+  // Without data, $${...} is still the literal text
+  const plain = parseScenario('name: Price\nactions:\n  - { type: navigate, url: "/$${id}" }\n', 'price.yaml');
+  assert.deepStrictEqual(resolveActions(plain, { baseUrl: 'https://shop.test' }), [{ type: 'navigate', url: '/${id}' }]);
+});
+
+test('Playwright agent runs a suite per row and attributes failures to the row', async () => {
+  const agent = new PlaywrightAgent({ performance: false });
+  const ran = [];
+  agent.runActions = async actions => {
+    ran.push(actions);
+    if (actions[0].url === '/users/bob') {
+      throw new Error('Timed out waiting for #profile');
+    }
+    agent.recordResult({ selector: '#profile', testType: 'visible', passed: true });
+  };
+
+  const results = await agent.runTestSuite('Profile', [{ type: 'navigate', url: '/users/${user}' }], {
+    data: { file: 'users.csv', columns: ['user'], rows: [
+      { index: 1, line: 2, values: { user: 'ada' } },
+      { index: 2, line: 3, values: { user: 'bob' } }
+    ] }
+  });
+
+  assert.deepStrictEqual(ran, [[{ type: 'navigate', url: '/users/ada' }], [{ type: 'navigate', url: '/users/bob' }]]);
+  assert.deepStrictEqual(results.map(result => [result.suite, result.testType, result.passed, result.data]), [
+    ['Profile > row 1 (user=ada)', 'visible', true, { file: 'users.csv', row: 1, line: 2, values: { user: 'ada' } }],
+    ['Profile > row 2 (user=bob)', 'scenario', false, { file: 'users.csv', row: 2, line: 3, values: { user: 'bob' } }]
+  ]);
+  assert.strictEqual(results[1].error, 'Timed out waiting for #profile');
+
+  // Plain row objects work too; an unknown variable fails only that row
+  const inline = await agent.runTestSuite('Search', [{ type: 'navigate', url: '/?q=${query}' }], { data: [{ query: 'hats' }, { q: 'x' }] });
+  assert.deepStrictEqual(inline.map(result => [result.suite, result.passed]), [
+    ['Search > row 1 (query=hats)', true],
+    ['Search > row 2 (q=x)', false]
+  ]);
+  assert.match(inline[1].error, /Unknown variable "query"/);
+  assert.strictEqual(agent.row, null);
+});
+
+test('rows keep page-object locators intact', async () => {
+  const ProfilePage = definePage({ name: 'ProfilePage', path: '/profile', locators: { heading: 'h1.profile-name' } });
+  const agent = new PlaywrightAgent({ performance: false });
+  const ran = [];
+  agent.runActions = async actions => {
+    ran.push(actions);
+  };
+
+  await agent.runTestSuite('Profile', [
+    { type: 'navigate', url: '/users/${user}' },
+    { type: 'testElement', selector: ProfilePage.heading, testType: 'text', expectedValue: '${user}' }
+  ], { data: [{ user: 'ada' }] });
+
+  const [, check] = ran[0];
+  assert.ok(check.selector instanceof LocatorRef);
+  assert.deepStrictEqual(resolveLocator(check.selector), { selector: 'h1.profile-name', label: 'ProfilePage.heading' });
+  assert.strictEqual(check.expectedValue, 'ada');
+});
+
+test('Cypress agent generates a test per row and reports its values', () => {
+  const agent = new CypressAgent({ baseUrl: 'https://shop.test' });
+  const dataset = { file: 'search.jsonl', columns: ['q', 'count'], rows: [
+    { index: 1, line: 1, values: { q: 'shoes', count: 3 } },
+    { index: 2, line: 2, values: { q: 'hats "wool"', count: 0 } }
+  ] };
+  const spec = agent.renderDataDrivenTest('Search', [
+    { type: 'navigate', url: '/search?q=${q}' },
+    { type: 'testElement', selector: '.result', testType: 'count', expectedValue: '${count}' }
+  ], dataset);
+
+  assert.match(spec, /it\("row 1 \(q=shoes, count=3\)", \(\) => \{\n {4}cy\.visit\("\/search\?q=shoes"\);/);
+  assert.match(spec, /it\("row 2 \(q=hats \\"wool\\", count=0\)", \(\) => \{/);
+  assert.match(spec, /\.should\("have\.length", 0\)/);
+  assert.doesNotThrow(() => new vm.Script(spec));
+
+  const run = fromCypressRun({
+    runs: [{
+      spec: { relative: 'cypress/e2e/search.cy.js' },
+      tests: [
+        { title: ['Search', 'row 1 (q=shoes, count=3)'], state: 'passed', duration: 10, attempts: [{ state: 'passed' }] },
+        { title: ['Search', 'row 2 (q=hats "wool", count=0)'], state: 'failed', duration: 12, displayError: 'AssertionError: expected 2 to equal 0', attempts: [{ state: 'failed' }] }
+      ]
+    }]
+  }, { dataRows: agent.dataRows });
+  const [passed, failed] = run.suites[0].tests;
+  assert.deepStrictEqual(passed.data, { file: 'search.jsonl', row: 1, line: 1, values: { q: 'shoes', count: 3 } });
+  assert.strictEqual(failed.data.line, 2);
+
+  const html = renderHtmlReport(run);
+  assert.match(html, /Data \(search\.jsonl:2, row 2\): <span class="data-value"><code>q<\/code> = hats &quot;wool&quot;<\/span>/);
+
+  assert.throws(() => agent.renderDataDrivenTest('Search', [{ type: 'press', key: '${key}' }], {
+    file: 'keys.csv', columns: ['key'], rows: [{ index: 1, line: 2, values: { key: 'F5' } }]
+  }), /Search, row 1 \(key=F5\) \(keys\.csv:2\): Key F5 has no Cypress equivalent/);
+});
@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const UITestingAgent = require('../testing-agent-playwright');
+const { isAllowed, summarizeDiagnostics } = require('../lib/diagnostics');
+
+test('isAllowed() matches substrings and regexes', () => {
+  assert.ok(isAllowed('Download the React DevTools for a better experience', ['React DevTools']));
+  assert.ok(isAllowed('404 GET https://example.com/favicon.ico', [/favicon\.ico$/]));
+  assert.ok(isAllowed('ResizeObserver loop limit exceeded', ['re:^ResizeObserver']));
+  assert.ok(!isAllowed('TypeError: x is undefined', ['ResizeObserver']));
+  assert.ok(isAllowed('GET /api/v2/users failed', ['/api/v2/']));
+  assert.ok(!isAllowed('GET /apiXv2Xusers failed', ['/api.v2./']));
+});
+
+test('summarizeDiagnostics() skips allow-listed entries when counting', () => {
+  const { entries, errors, warnings } = summarizeDiagnostics([
+    { kind: 'console', type: 'error', text: 'Failed to load widget' },
+    { kind: 'console', type: 'warning', text: 'Deprecated API' },
+    { kind: 'pageerror', type: 'error', text: 'TypeError: x is undefined' },
+    { kind: 'response', type: 'error', text: '404 GET https://example.com/favicon.ico' }
+  ], ['favicon.ico']);
+
+  assert.strictEqual(errors, 2);
+  assert.strictEqual(warnings, 1);
+  assert.deepStrictEqual(entries.map(entry => entry.allowed), [false, false, false, true]);
+});
+
+test('page events are recorded per navigation and fail the run when configured', async () => {
+  const agent = new UITestingAgent({
+    baseUrl: 'https://example.com',
+    diagnostics: { failOnError: true, allow: ['favicon'] },
+    performance: false
+  });
+  const page = new EventEmitter();
+  page.goto = async () => {};
+  agent.page = page;
+  agent.listenForDiagnostics();
+
+  await agent.navigateTo('/');
+  page.emit('console', { type: () => 'info', text: () => 'ignored level', location: () => ({}) });
+  page.emit('pageerror', new Error('boom'));
+
+  await agent.navigateTo('/about');
+  page.emit('response', {
+    status: () => 404,
+    url: () => 'https://example.com/favicon.ico',
+    request: () => ({ method: () => 'GET' })
+  });
+  agent.recordDiagnostics();
+
+  const [home, about] = agent.testResults;
+  assert.strictEqual(home.name, 'https://example.com/');
+  assert.strictEqual(home.passed, false);
+  assert.deepStrictEqual(home.diagnostics.map(entry => entry.kind), ['pageerror']);
+  assert.strictEqual(about.name, 'https://example.com/about');
+  assert.strictEqual(about.passed, true);
+  assert.strictEqual(about.actual, '0 error(s), 0 warning(s)');
+});
+
+test('popups get the same listeners as the page that opened them', async () => {
+  const agent = new UITestingAgent({
+    baseUrl: 'https://example.com',
+    diagnostics: { failOnError: true },
+    performance: false
+  });
+  const popup = new EventEmitter();
+  popup.waitForLoadState = async () => {};
+  const page = new EventEmitter();
+  page.goto = async () => {};
+  page.waitForEvent = async () => popup;
+  page.locator = () => ({ click: async () => {} });
+  agent.page = page;
+  agent.watchPage(page);
+
+  await agent.navigateTo('/');
+  await agent.openPopup('#help');
+  popup.emit('console', {
+    type: () => 'error',
+    text: () => 'Help widget failed to load',
+    location: () => ({ url: 'https://example.com/help.js', lineNumber: 3 })
+  });
+  popup.emit('request', {
+    url: () => 'https://example.com/api/help',
+    method: () => 'GET',
+    postData: () => null,
+    resourceType: () => 'fetch'
+  });
+  const answers = [];
+  popup.emit('dialog', {
+    type: () => 'confirm',
+    message: () => 'Leave?',
+    accept: async text => answers.push(['accept', text]),
+    dismiss: async () => answers.push(['dismiss'])
+  });
+  agent.recordDiagnostics();
+
+  assert.strictEqual(agent.page, popup);
+  const [home] = agent.testResults;
+  assert.strictEqual(home.passed, false);
+  assert.deepStrictEqual(home.diagnostics.map(entry => [entry.kind, entry.text, entry.location]), [
+    ['console', 'Help widget failed to load', 'https://example.com/help.js:3']
+  ]);
+  assert.deepStrictEqual(agent.requests.map(request => `${request.method} ${request.url}`), ['GET https://example.com/api/help']);
+  assert.deepStrictEqual(answers, [['accept', '']]);
+});
@@ -0,0 +1,279 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const vm = require('node:vm');
+const PlaywrightAgent = require('../testing-agent-playwright');
+const CypressAgent = require('../testing-agent-cypress');
+const { parseScenario } = require('../lib/scenario');
+const {
+  createRandom,
+  generateFromPattern,
+  planFormFill,
+  validationChecks,
+  formFillerSource
+} = require('../lib/form-filler');
+
+// Field descriptor as describeFormFields() returns it
+function field(index, overrides) {
+  return {
+    index,
+    tag: 'input',
+    type: 'text',
+    name: '',
+    id: '',
+    label: '',
+    autocomplete: '',
+    pattern: '',
+    min: '',
+    max: '',
+    step: '',
+    minLength: null,
+    maxLength: null,
+    value: '',
+    required: false,
+    disabled: false,
+    readOnly: false,
+    options: [],
+    ...overrides
+  };
+}
+
+const signup = [
+  field(0, { type: 'email', name: 'email', required: true }),
+  field(1, { name: 'zip', pattern: '[0-9]{5}(-[0-9]{4})?' }),
+  field(2, { type: 'number', name: 'age', min: '18', max: '99' }),
+  field(3, { type: 'date', name: 'start', min: '2024-01-01', max: '2024-01-31' }),
+  field(4, { type: 'radio', name: 'plan', value: 'free' }),
+  field(5, { type: 'radio', name: 'plan', value: 'pro' }),
+  field(6, { tag: 'select', type: 'select', name: 'country', required: true, options: [
+    { value: '', label: 'Choose', disabled: false },
+    { value: 'fr', label: 'France', disabled: false }
+  ] }),
+  field(7, { name: 'nickname', minLength: 4, maxLength: 6 }),
+  field(8, { name: 'locked', readOnly: true }),
+  field(9, { type: 'hidden', name: 'token' })
+];
+
+const byField = plan => Object.fromEntries(plan.map(step => [step.field, step]));
+
+test('generateFromPattern() produces strings the pattern accepts', () => {
+  const random = createRandom('patterns');
+  for (const pattern of ['[A-Z]{2}\\d{3}', '(abc|x+)-[a-f0-9]{4,8}', '\\w+@example\\.(com|org)', 'v?\\d\\.\\d{1,2}']) {
+    for (let i = 0; i < 20; i++) {
+      assert.match(generateFromPattern(pattern, random), new RegExp(`^(?:${pattern})$`));
+    }
+  }
+  assert.throws(() => generateFromPattern('(?=a)a', random), /Unsupported pattern syntax \(lookaround or named group\)/);
+  assert.throws(() => generateFromPattern('[^a]', random), /negated class/);
+});
+
+test('planFormFill() generates values that satisfy each field', () => {
+  const steps = byField(planFormFill(signup, { seed: 7 }));
+
+  assert.match(steps.email.value, /^[a-z.-]+\d+@example\.(com|org|net)$/);
+  assert.match(steps.zip.value, /^[0-9]{5}(-[0-9]{4})?$/);
+  assert.ok(Number(steps.age.value) >= 18 && Number(steps.age.value) <= 99);
+  assert.ok(steps.start.value >= '2024-01-01' && steps.start.value <= '2024-01-31');
+  assert.strictEqual(steps.plan.action, 'check');
+  assert.ok([4, 5].includes(steps.plan.index));
+  assert.deepStrictEqual([steps.country.action, steps.country.value], ['select', 'fr']);
+  assert.ok(steps.nickname.value.length >= 4 && steps.nickname.value.length <= 6);
+  // Read-only and hidden fields are left alone
+  assert.strictEqual(steps.locked, undefined);
+  assert.strictEqual(steps.token, undefined);
+});
+
+test('planFormFill() is reproducible per seed and per field', () => {
+  assert.deepStrictEqual(planFormFill(signup, { seed: 'abc' }), planFormFill(signup, { seed: 'abc' }));
+  assert.notDeepStrictEqual(planFormFill(signup, { seed: 1 }), planFormFill(signup, { seed: 2 }));
+
+  // A new field doesn't change the values of the others
+  const extended = [field(0, { name: 'company' }), ...signup.map(other => ({ ...other, index: other.index + 1 }))];
+  const before = byField(planFormFill(signup, { seed: 3 }));
+  const after = byField(planFormFill(extended, { seed: 3 }));
+  assert.strictEqual(after.email.value, before.email.value);
+  assert.strictEqual(after.zip.value, before.zip.value);
+});
+
+test('planFormFill() breaks the requested fields with the constraint they violate', () => {
+  const steps = byField(planFormFill(signup, { seed: 1, invalid: true }));
+  assert.deepStrictEqual(
+    Object.values(steps).map(step => [step.field, step.invalid, step.reason]),
+    [
+      ['email', true, 'typeMismatch'],
+      ['zip', true, 'patternMismatch'],
+      ['age', true, 'rangeOverflow'],
+      ['start', true, 'rangeOverflow'],
+      ['plan', false, undefined],
+      ['country', true, 'valueMissing'],
+      ['nickname', true, 'tooShort']
+    ]
+  );
+
+  const notes = planFormFill([field(0, { name: 'notes' })], { seed: 1, invalid: true });
+  assert.strictEqual(notes[0].invalid, false);
+  assert.match(notes[0].warning, /notes has no constraint to break, filled with a valid value/);
+
+  const onlyEmail = byField(planFormFill(signup, { seed: 1, invalid: ['email'] }));
+  assert.strictEqual(onlyEmail.email.value, 'not-an-email');
+  assert.strictEqual(onlyEmail.zip.invalid, false);
+});
+
+test('validationChecks() compares validity and messages with the plan', () => {
+  const plan = [
+    { index: 0, field: 'email', invalid: true },
+    { index: 1, field: 'zip', invalid: false }
+  ];
+  const states = [
+    { index: 0, name: 'email', id: '', tag: 'input', valid: false, message: 'Please include an "@" in the email address.' },
+    { index: 1, name: 'zip', id: '', tag: 'input', valid: false, message: 'Please match the requested format.' },
+    { index: 2, name: 'terms', id: '', tag: 'input', valid: false, message: 'Please check this box.' }
+  ];
+
+  assert.deepStrictEqual(validationChecks(plan, states, { email: 'include an "@"', terms: 'check this box' }), [
+    { field: 'email', expected: 'invalid: include an "@"', actual: 'invalid: Please include an "@" in the email address.', passed: true },
+    { field: 'zip', expected: 'valid', actual: 'invalid: Please match the requested format.', passed: false },
+    { field: 'terms', expected: 'invalid: check this box', actual: 'invalid: Please check this box.', passed: true }
+  ]);
+  assert.strictEqual(validationChecks([], states, { phone: 'x' })[0].actual, 'no such field');
+});
+
+test('formFillerSource() plans the same values in a generated spec', () => {
+  const formFiller = vm.runInNewContext(formFillerSource());
+  const inSpec = formFiller.planFormFill(signup, { seed: 42, invalid: ['zip'] });
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(inSpec)), planFormFill(signup, { seed: 42, invalid: ['zip'] }));
+});
+
+test('fillForm actions validate in scenario files', () => {
+  const scenario = parseScenario(`
+name: Signup
+actions:
+  - { type: fillForm, form: "form#signup", seed: 3, invalid: [email], expectValidation: { email: "@" }, submit: true }
+  - { type: fillForm, form: "role=form[name=Signup]", formData: { "#email": ada@example.com }, submit: "text=Sign up" }
+`, 'signup.yaml');
+  assert.strictEqual(scenario.actions.length, 2);
+
+  assert.throws(() => parseScenario(`
+name: Bad
+actions:
+  - { type: fillForm, form: "text=" }
+  - { type: fillForm, form: form, invalid: email }
+`, 'bad.yaml'), error => {
+    assert.match(error.message, /bad\.yaml:4:\d+ scenario\.actions\[0\]\.form is not a valid locator/);
+    assert.match(error.message, /bad\.yaml:5:\d+ scenario\.actions\[1\]\.invalid must be/);
+    return true;
+  });
+});
+
+test('Playwright agent fills the plan, then explicit values, then checks and submits', async () => {
+  const calls = [];
+  const agent = new PlaywrightAgent({ seed: 5, performance: false });
+  const fields = [
+    field(0, { type: 'email', name: 'email', required: true }),
+    field(1, { type: 'checkbox', name: 'terms', required: true })
+  ];
+  const fakeLocator = name => ({
+    evaluate: async (fn, arg) => {
+      calls.push(['evaluate', name, fn.name]);
+      return fn.name === 'describeFormFields'
+        ? fields
+        : [{ index: 0, name: 'email', id: '', tag: 'input', valid: false, message: 'Enter an email' },
+          { index: 1, name: 'terms', id: '', tag: 'input', valid: true, message: '' }];
+    },
+    evaluateAll: async fn => fn([{ tagName: 'INPUT', type: 'email', value: '' }]),
+    locator: () => ({ nth: index => fakeLocator(`${name} field ${index}`) }),
+    fill: async value => calls.push(['fill', name, value]),
+    check: async () => calls.push(['check', name]),
+    uncheck: async () => calls.push(['uncheck', name])
+  });
+  agent.page = { locator: fakeLocator };
+
+  const plan = await agent.fillForm({ '#email': 'ada@example' }, {
+    form: 'form#signup',
+    invalid: ['email'],
+    expectValidation: true,
+    submit: true
+  });
+
+  assert.deepStrictEqual(plan.map(step => [step.field, step.action, step.value]), [
+    ['email', 'fill', 'not-an-email'],
+    ['terms', 'check', undefined]
+  ]);
+  assert.deepStrictEqual(calls, [
+    ['evaluate', 'form#signup', 'describeFormFields'],
+    ['fill', 'form#signup field 0', 'not-an-email'],
+    ['check', 'form#signup field 1'],
+    ['fill', '#email', 'ada@example'],
+    ['evaluate', 'form#signup', 'validationState'],
+    ['evaluate', 'form#signup', 'submitForm']
+  ]);
+  assert.deepStrictEqual(agent.testResults.map(result => [result.testType, result.name, result.passed]), [
+    ['validation', 'email', true],
+    ['validation', 'terms', true]
+  ]);
+  await assert.rejects(agent.fillForm(undefined, { submit: true }), /fillForm needs formData or a form/);
+});
+
+test('Cypress agent generates form filling that runs the same plan', () => {
+  const agent = new CypressAgent({ baseUrl: 'https://shop.test', seed: 'ci' });
+  const [step] = agent.generateActions([
+    agent.fillForm({ '#coupon': 'SAVE10' }, { form: 'form#signup', invalid: ['email'], expectValidation: true, submit: 'text=Sign up' })
+  ]);
+
+  assert.match(step, /^cy\.get\("form#signup"\)\.then\(\$form => \{\n {2}const formFiller = \(\(\) => \{/);
+  assert.match(step, /formFiller\.planFormFill\(formFiller\.describeFormFields\(\$form\[0\]\), \{ "seed": "ci", "invalid": \["email"\] \}\);/);
+  assert.match(step, /\n {2}cy\.get\("#coupon"\)\.then\(\$el => \{\n[\s\S]*\n {6}cy\.wrap\(\$el\)\.clear\(\)\.type\("SAVE10", \{ "parseSpecialCharSequences": false \}\);\n {4}\}\n {2}\}\);/);
+  assert.match(step, /formFiller\.validationChecks\(plan, formFiller\.validationState\(\$form\[0\]\), true\)/);
+  assert.match(step, /\n {2}cy\.contains\("Sign up", \{ "matchCase": false \}\)\.click\(\);\n\}\)$/);
+  assert.doesNotThrow(() => new vm.Script(agent.renderTest('Signup', [step])));
+
+  // Without a form, a submit selector is clicked after the fields are filled
+  const search = agent.generateActions([agent.fillForm({ '#q': 'hats', '#all': true }, { submit: 'button#search' })]);
+  assert.deepStrictEqual(search.slice(1), ['cy.get("#all").check()', 'cy.get("button#search").click()']);
+  assert.match(search[0], /^cy\.get\("#q"\)\.then\(\$el => \{/);
+
+  assert.throws(() => agent.generateActions([agent.fillForm(undefined)]), /fillForm needs formData or a form/);
+  assert.throws(() => agent.generateActions([agent.fillForm({ a: 'b' }, { submit: true })]), /fillForm needs a form to submit/);
+});
+
+// Run one generated formData fill against a stand-in for the jQuery elements
+// cy.get() finds ({ tag, type, value }); returns the commands run on them
+function fillElements(step, elements) {
+  const calls = [];
+  const $ = found => ({
+    length: found.length,
+    first: () => $(found.slice(0, 1)),
+    is: query => (query === 'select' ? found[0].tag === 'select' : ['radio', 'checkbox'].includes(found[0].type)),
+    filter: keep => $(found.filter((element, index) => keep(index, element))),
+    attr: name => found[0][name],
+    found
+  });
+  const wrap = $el => new Proxy({}, {
+    get: (target, command) => (...args) => {
+      calls.push([command, $el.found.map(element => element.value), ...args]);
+      return wrap($el);
+    }
+  });
+  vm.runInNewContext(step, { cy: { get: () => ({ then: fn => fn($(elements)) }), wrap } });
+  return JSON.parse(JSON.stringify(calls));
+}
+
+test('Cypress formData fills branch on the element like the Playwright agent', () => {
+  const agent = new CypressAgent({ baseUrl: 'https://shop.test' });
+  const fill = (value, elements) => {
+    const [step] = agent.generateActions([agent.fillForm({ 'input[name=plan]': value })]);
+    return fillElements(step, elements);
+  };
+  const radios = [{ tag: 'input', type: 'radio', value: 'free' }, { tag: 'input', type: 'radio', value: 'pro' }];
+
+  assert.deepStrictEqual(fill('pro', radios), [['check', ['pro']]]);
+  assert.deepStrictEqual(fill('yes', [{ tag: 'input', type: 'checkbox', value: 'yes' }]), [['check', ['yes']]]);
+  assert.throws(() => fill('gold', radios), /No radio in input\[name=plan\] has the value gold/);
+  assert.deepStrictEqual(fill('fr', [{ tag: 'select', type: 'select-one', value: '' }]), [['select', [''], 'fr']]);
+  assert.deepStrictEqual(fill('{pro}', [{ tag: 'input', type: 'text', value: 'x' }]), [
+    ['clear', ['x']],
+    ['type', ['x'], '{pro}', { parseSpecialCharSequences: false }]
+  ]);
+  assert.deepStrictEqual(fill('', [{ tag: 'textarea', type: 'textarea', value: 'x' }]), [['clear', ['x']]]);
+  // Booleans check or uncheck without looking at the element
+  assert.deepStrictEqual(agent.generateActions([agent.fillForm({ '#terms': false })]), ['cy.get("#terms").uncheck()']);
+});
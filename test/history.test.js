@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { fromPlaywright } = require('../lib/results');
+const {
+  historyEntry,
+  readHistory,
+  appendHistory,
+  testHistory,
+  classifyFailures,
+  slowestTests,
+  renderHistoryPage
+} = require('../lib/history');
+
+const git = { commit: '0123456789abcdef', branch: 'main', dirty: false };
+
+// One history entry where the given tests fail
+function runWith(failing = [], durations = {}) {
+  const results = ['h1', '#cart', '.footer'].map(selector => ({
+    selector,
+    testType: 'visible',
+    passed: !failing.includes(selector),
+    error: failing.includes(selector) ? `${selector} hidden` : undefined,
+    suite: 'Shop',
+    browser: 'chromium',
+    device: 'desktop',
+    durationMs: durations[selector] || 100
+  }));
+  return historyEntry(fromPlaywright(results), git);
+}
+
+test('appendHistory() appends JSONL lines and trims to the limit', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+  try {
+    const historyPath = path.join(dir, 'history.jsonl');
+    for (let index = 0; index < 4; index++) {
+      appendHistory(historyPath, { ...runWith(), startedAt: `run-${index}` }, 3);
+    }
+
+    const history = readHistory(historyPath);
+    assert.deepStrictEqual(history.map(run => run.startedAt), ['run-1', 'run-2', 'run-3']);
+    assert.strictEqual(fs.readFileSync(historyPath, 'utf8').trim().split('\n').length, 3);
+    assert.deepStrictEqual(history[0].git, git);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('classifyFailures() separates new from long-standing failures', () => {
+  const history = [
+    runWith([]),
+    runWith(['#cart']),
+    runWith(['#cart', '.footer']),
+    runWith(['#cart', '.footer', 'h1'])
+  ];
+  const { newlyFailing, failing, longFailing } = classifyFailures(history);
+
+  assert.deepStrictEqual(newlyFailing.map(entry => entry.id), ['Shop (chromium / desktop) > visible h1']);
+  assert.deepStrictEqual(failing.map(entry => [entry.id, entry.streak]), [['Shop (chromium / desktop) > visible .footer', 2]]);
+  assert.deepStrictEqual(longFailing.map(entry => [entry.id, entry.streak]), [['Shop (chromium / desktop) > visible #cart', 3]]);
+  assert.strictEqual(longFailing[0].message, '#cart hidden');
+});
+
+test('testHistory() matches every query word in any order', () => {
+  const history = [runWith(), runWith(['h1'])];
+  const [match, ...rest] = testHistory(history, 'H1 visible');
+
+  assert.strictEqual(rest.length, 0);
+  assert.strictEqual(match.id, 'Shop (chromium / desktop) > visible h1');
+  assert.deepStrictEqual(match.runs.map(run => run.status), ['passed', 'failed']);
+  assert.strictEqual(match.runs[1].commit, git.commit);
+});
+
+test('slowestTests() ranks the latest run and averages over history', () => {
+  const history = [runWith([], { '#cart': 1000 }), runWith([], { '#cart': 3000, h1: 500 })];
+
+  assert.deepStrictEqual(slowestTests(history, 2), [
+    { id: 'Shop (chromium / desktop) > visible #cart', durationMs: 3000, averageMs: 2000 },
+    { id: 'Shop (chromium / desktop) > visible h1', durationMs: 500, averageMs: 300 }
+  ]);
+});
+
+test('renderHistoryPage() shows runs, failures and a status grid', () => {
+  const html = renderHistoryPage([runWith(), runWith(['h1'])]);
+
+  assert.match(html, /<h2>Newly failing<\/h2>/);
+  assert.match(html, /0123456/);
+  assert.strictEqual((html.match(/class="cell-failed"/g) || []).length, 1);
+  assert.match(html, /<svg/);
+});
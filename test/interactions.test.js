@@ -0,0 +1,215 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const vm = require('node:vm');
+const PlaywrightAgent = require('../testing-agent-playwright');
+const CypressAgent = require('../testing-agent-cypress');
+const { parseScenario } = require('../lib/scenario');
+const { parseKey, cypressKeySequence, fixturePaths, cypressDialogHandling } = require('../lib/interactions');
+
+// Fake page whose locators record their chain and the interactions called on them
+function fakePage(calls) {
+  const scope = chain => {
+    const locator = { chain };
+    locator.locator = (...args) => scope([...chain, ['locator', ...args]]);
+    locator.frameLocator = (...args) => scope([...chain, ['frameLocator', ...args]]);
+    for (const method of ['hover', 'press', 'setInputFiles', 'selectOption', 'scrollIntoViewIfNeeded', 'click', 'dragTo']) {
+      locator[method] = async (...args) => calls.push([method, chain, ...args.map(arg => (arg && arg.chain) || arg)]);
+    }
+    return locator;
+  };
+  return Object.assign(scope([]), {
+    keyboard: { press: async key => calls.push(['keyboard.press', key]) },
+    evaluate: async (fn, arg) => calls.push(['evaluate', arg])
+  });
+}
+
+test('parseKey() splits shortcuts and rejects unknown modifiers', () => {
+  assert.deepStrictEqual(parseKey('Control+Shift+K'), { modifiers: ['Control', 'Shift'], key: 'K' });
+  assert.deepStrictEqual(parseKey('Control++'), { modifiers: ['Control'], key: '+' });
+  assert.deepStrictEqual(parseKey('+'), { modifiers: [], key: '+' });
+  assert.throws(() => parseKey('Ctrl+A'), /Unknown modifier "Ctrl" in key Ctrl\+A/);
+  assert.throws(() => parseKey('Shift+'), /Key Shift\+ has no key after its modifiers/);
+});
+
+test('cypressKeySequence() types the same keys Playwright presses', () => {
+  assert.strictEqual(cypressKeySequence('Enter'), '{enter}');
+  assert.strictEqual(cypressKeySequence('Control+A'), '{ctrl}a');
+  assert.strictEqual(cypressKeySequence('Meta+Shift+ArrowLeft'), '{meta}{shift}{leftarrow}');
+  assert.strictEqual(cypressKeySequence('{'), '{{}');
+  assert.throws(() => cypressKeySequence('Tab'), /Key Tab has no Cypress equivalent/);
+});
+
+test('fixturePaths() resolves uploads against the fixtures directory', () => {
+  assert.deepStrictEqual(fixturePaths('avatar.png'), ['fixtures/avatar.png']);
+  assert.deepStrictEqual(fixturePaths(['a.csv', '/tmp/b.csv'], 'cypress/fixtures'), ['cypress/fixtures/a.csv', '/tmp/b.csv']);
+  assert.throws(() => fixturePaths([]), /upload needs at least one fixture file/);
+});
+
+test('cypressDialogHandling() answers confirm and prompt like accept()/dismiss()', () => {
+  assert.deepStrictEqual(cypressDialogHandling({ accept: true, promptText: 'Ada "L"' }).slice(1), [
+    'cy.on("window:confirm", () => true)',
+    'cy.on("window:before:load", win => { win.prompt = () => "Ada \\"L\\""; })',
+    'cy.window().then(win => { win.prompt = () => "Ada \\"L\\""; })'
+  ]);
+  assert.match(cypressDialogHandling({ accept: false }).join('\n'), /=> false\)[\s\S]*win\.prompt = \(\) => null;/);
+});
+
+test('interaction actions validate in scenario files', () => {
+  const scenario = parseScenario(`
+name: Checkout
+actions:
+  - { type: hover, selector: nav >> text=Shop }
+  - { type: press, key: Control+K }
+  - { type: upload, selector: 'input[type=file]', files: [a.png, b.png] }
+  - { type: select, selector: '#size', label: Large }
+  - { type: switchFrame, selector: 'iframe#pay' }
+  - { type: switchFrame }
+  - { type: closePopup }
+  - { type: dialog, accept: true, promptText: Ada }
+`, 'checkout.yaml');
+  assert.strictEqual(scenario.actions.length, 8);
+
+  assert.throws(() => parseScenario(`
+name: Bad
+actions:
+  - { type: press, key: Ctrl+K }
+  - { type: scroll, position: middle }
+  - { type: dialog }
+  - { type: closePopup, selector: x }
+`, 'bad.yaml'), error => {
+    assert.match(error.message, /bad\.yaml:4:\d+ scenario\.actions\[0\]\.key is not a valid key: Unknown modifier "Ctrl"/);
+    assert.match(error.message, /bad\.yaml:5:\d+ scenario\.actions\[1\]\.position must be one of: top, bottom/);
+    assert.match(error.message, /bad\.yaml:6:\d+ scenario\.actions\[2\] is missing required property "accept"/);
+    assert.match(error.message, /bad\.yaml:7:\d+ scenario\.actions\[3\] has unknown property "selector"/);
+    return true;
+  });
+});
+
+test('Cypress agent generates interactions, scoped to the current frame', () => {
+  const agent = new CypressAgent({ baseUrl: 'https://shop.test', fixturesDir: 'cypress/fixtures' });
+  const steps = agent.generateActions([
+    agent.hover('nav >> text=Shop'),
+    agent.pressKey('Control+K'),
+    agent.pressKey('Enter', '#search'),
+    agent.selectOption('#size', { label: 'Large' }),
+    agent.uploadFiles('input[type=file]', 'avatar.png'),
+    agent.scroll({ position: 'bottom' }),
+    agent.switchFrame('iframe#pay'),
+    agent.testElement('#card', 'visible'),
+    agent.dragAndDrop('#card', '#drop'),
+    agent.switchFrame(),
+    agent.openPopup('a[target=_blank]'),
+    agent.scroll({ selector: 'footer' }),
+    agent.closePopup(),
+    agent.handleDialogs({ accept: false })
+  ]);
+
+  assert.deepStrictEqual(steps.slice(0, 6), [
+    'cy.get("nav").contains("Shop", { "matchCase": false }).trigger("mouseover").trigger("mouseenter", { bubbles: false })',
+    'cy.focused().type("{ctrl}k")',
+    'cy.get("#search").type("{enter}")',
+    'cy.get("#size").select("Large")',
+    'cy.get("input[type=file]").selectFile("cypress/fixtures/avatar.png")',
+    'cy.scrollTo("bottom", { "ensureScrollable": false })'
+  ]);
+  assert.strictEqual(steps[6], 'cy.get("iframe#pay").its("0.contentDocument.body").should("not.be.empty").then(cy.wrap).find("#card").should("be.visible")');
+  assert.match(steps[7], /const dataTransfer = new win\.DataTransfer\(\);\n {2}cy\.get\("iframe#pay"\)\.its/);
+  assert.strictEqual(steps[11], 'cy.get("a[target=_blank]").invoke("removeAttr", "target").click()');
+  assert.strictEqual(steps[12], 'cy.get("footer").scrollIntoView()');
+  assert.strictEqual(steps[13], 'cy.go("back")');
+  assert.doesNotThrow(() => new vm.Script(agent.renderTest('Interactions', steps)));
+});
+
+test('Cypress agent rejects interactions it cannot reproduce', () => {
+  const agent = new CypressAgent({});
+  assert.throws(() => agent.generateActions([agent.closePopup()]), /closePopup: no popup is open/);
+  assert.throws(() => agent.generateActions([{ type: 'select', selector: '#size' }]), /select on #size needs a value or a label/);
+  assert.throws(() => agent.generateActions([agent.pressKey('F5')]), /Key F5 has no Cypress equivalent/);
+});
+
+test('Playwright agent runs interactions inside the current frame', async () => {
+  const calls = [];
+  const agent = new PlaywrightAgent({ fixturesDir: 'fixtures', performance: false });
+  agent.page = fakePage(calls);
+
+  await agent.runActions([
+    { type: 'press', key: 'Control+K' },
+    { type: 'switchFrame', selector: 'iframe#pay' },
+    { type: 'upload', selector: 'input[type=file]', files: 'id.png' },
+    { type: 'select', selector: '#country', label: 'France' },
+    { type: 'switchFrame' },
+    { type: 'dragAndDrop', source: '#a', target: '#b' },
+    { type: 'scroll', x: 0, y: 400 }
+  ]);
+
+  const inFrame = [['frameLocator', 'iframe#pay']];
+  assert.deepStrictEqual(calls, [
+    ['keyboard.press', 'Control+K'],
+    ['setInputFiles', [...inFrame, ['locator', 'input[type=file]']], ['fixtures/id.png']],
+    ['selectOption', [...inFrame, ['locator', '#country']], { label: 'France' }],
+    ['dragTo', [['locator', '#a']], [['locator', '#b']]],
+    ['evaluate', { position: undefined, x: 0, y: 400 }]
+  ]);
+  assert.deepStrictEqual(agent.steps.map(step => step.title), [
+    'press Control+K',
+    'switchFrame iframe#pay',
+    'upload id.png to input[type=file]',
+    'select France in #country',
+    'switchFrame main',
+    'drag #a to #b',
+    'scroll 0,400'
+  ]);
+});
+
+// What confirm() and prompt() return, as { confirm, prompt }, when each engine answers dialogs
+async function playwrightAnswers(agent) {
+  const answers = {};
+  const dialog = type => ({
+    type: () => type,
+    message: () => 'Are you sure?',
+    accept: async text => { answers[type] = type === 'confirm' ? true : text; },
+    dismiss: async () => { answers[type] = type === 'confirm' ? false : null; }
+  });
+  await agent.answerDialog(dialog('confirm'));
+  await agent.answerDialog(dialog('prompt'));
+  return answers;
+}
+
+function cypressAnswers(spec) {
+  const listeners = {};
+  const win = {};
+  const cy = new Proxy({
+    removeAllListeners: event => { listeners[event] = []; },
+    on: (event, listener) => { (listeners[event] = listeners[event] || []).push(listener); },
+    window: () => ({ then: fn => fn(win) })
+  }, { get: (commands, name) => commands[name] || (() => cy) });
+  const run = (title, fn) => fn();
+  vm.runInNewContext(spec, { describe: run, it: run, beforeEach: fn => fn(), cy });
+
+  // A page loaded after the commands ran; Cypress accepts confirm() unless a listener returns false
+  const page = {};
+  (listeners['window:before:load'] || []).forEach(listener => listener(page));
+  return { confirm: (listeners['window:confirm'] || []).every(listener => listener() !== false), prompt: page.prompt() };
+}
+
+test('both engines answer dialogs the same way, by default and per dialog action', async () => {
+  const cases = [
+    [[], { confirm: true, prompt: '' }],
+    [[{ type: 'dialog', accept: true, promptText: 'Ada' }], { confirm: true, prompt: 'Ada' }],
+    [[{ type: 'dialog', accept: false }], { confirm: false, prompt: null }],
+    [[{ type: 'dialog', accept: false }, { type: 'dialog', accept: true }], { confirm: true, prompt: '' }]
+  ];
+
+  for (const [actions, expected] of cases) {
+    const playwright = new PlaywrightAgent({ performance: false });
+    actions.forEach(action => playwright.handleDialogs(action));
+    assert.deepStrictEqual(await playwrightAnswers(playwright), expected);
+
+    const cypress = new CypressAgent({ baseUrl: 'https://shop.test' });
+    const spec = cypress.renderTest('Dialogs', cypress.generateActions(actions));
+    assert.deepStrictEqual(cypressAnswers(spec), expected);
+  }
+
+  const agent = new PlaywrightAgent({ performance: false });
+  await assert.rejects(agent.closePopup(), /closePopup: no popup is open/);
+});
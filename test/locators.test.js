@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const vm = require('node:vm');
+const { parseLocator, checkLocator, playwrightLocator, cypressQuery, nameMatches } = require('../lib/locators');
+const { compileAssertion } = require('../lib/assertions');
+
+// Fake page whose locator methods record the chain they were called in
+function fakeScope(calls = []) {
+  const scope = {};
+  for (const method of ['locator', 'getByRole', 'getByText', 'getByLabel', 'frameLocator', 'nth']) {
+    scope[method] = (...args) => fakeScope([...calls, [method, ...args]]);
+  }
+  scope.calls = calls;
+  return scope;
+}
+
+// Minimal element for nameMatches()
+function element(tagName, { attributes = {}, text = '', labels, type, value } = {}) {
+  return {
+    tagName,
+    type,
+    value,
+    labels,
+    textContent: text,
+    getAttribute: name => attributes[name] ?? null,
+    ownerDocument: { getElementById: id => (id === 'heading' ? { textContent: 'Billing  address' } : null) }
+  };
+}
+
+test('parseLocator() reads engines, chains and role options', () => {
+  assert.deepStrictEqual(parseLocator('form#login >> role=button[name="Save \\"draft\\""][exact] >> nth=-1'), [
+    { engine: 'css', selector: 'form#login' },
+    { engine: 'role', role: 'button', options: { name: 'Save "draft"', exact: true } },
+    { engine: 'nth', index: -1 }
+  ]);
+  assert.deepStrictEqual(parseLocator('text="Sign in"'), [{ engine: 'text', text: 'Sign in', exact: true }]);
+  assert.deepStrictEqual(parseLocator('label=Email'), [{ engine: 'label', text: 'Email', exact: false }]);
+  assert.deepStrictEqual(parseLocator('//h1[@id="x"]'), [{ engine: 'xpath', expression: '//h1[@id="x"]' }]);
+  assert.deepStrictEqual(parseLocator('role=heading[level=2]')[0].options, { level: 2 });
+  // ' >> ' inside quotes is part of the value
+  assert.deepStrictEqual(parseLocator('text="a >> b"'), [{ engine: 'text', text: 'a >> b', exact: true }]);
+});
+
+test('parseLocator() rejects malformed locators with the reason', () => {
+  assert.throws(() => parseLocator('role=button[label="x"]'), /unknown role option "label"/);
+  assert.throws(() => parseLocator('role=checkbox[checked=yes]'), /"checked" must be true or false/);
+  assert.throws(() => parseLocator('nth=0'), /nth= picks from a previous part/);
+  assert.throws(() => parseLocator('li >> nth=first'), /nth= must be an integer/);
+  assert.throws(() => parseLocator('frame=iframe'), /frame= must be followed/);
+  assert.throws(() => parseLocator('testid='), /testid= needs a value/);
+  assert.strictEqual(checkLocator('@LoginPage.submit'), true);
+  assert.match(checkLocator('text='), /^is not a valid locator/);
+});
+
+test('playwrightLocator() maps each engine to the Playwright API', () => {
+  const locator = playwrightLocator(fakeScope(), 'frame=iframe#pay >> label="Card number" >> nth=0');
+  assert.deepStrictEqual(locator.calls, [
+    ['frameLocator', 'iframe#pay'],
+    ['getByLabel', 'Card number', { exact: true }],
+    ['nth', 0]
+  ]);
+
+  assert.deepStrictEqual(playwrightLocator(fakeScope(), 'testid=save >> role=button[name=Save]').calls, [
+    ['locator', '[data-testid="save"]'],
+    ['getByRole', 'button', { name: 'Save' }]
+  ]);
+  assert.deepStrictEqual(playwrightLocator(fakeScope(), 'xpath=//main >> text=Welcome').calls, [
+    ['locator', 'xpath=//main'],
+    ['getByText', 'Welcome', { exact: false }]
+  ]);
+});
+
+test('cypressQuery() compiles locators to query chains', () => {
+  assert.strictEqual(cypressQuery('.card'), 'cy.get(".card")');
+  assert.strictEqual(cypressQuery('testid=save', { timeout: 500 }), 'cy.get("[data-testid=\\"save\\"]", { "timeout": 500 })');
+  assert.strictEqual(cypressQuery('form >> text=Sign in'), 'cy.get("form").contains("Sign in", { "matchCase": false })');
+  assert.strictEqual(cypressQuery('text="1+1 = 2"'), 'cy.contains(/^\\s*1\\+1 = 2\\s*$/)');
+  assert.strictEqual(cypressQuery('li >> nth=-1'), 'cy.get("li").eq(-1)');
+  assert.strictEqual(
+    cypressQuery('frame=#pay >> input'),
+    'cy.get("#pay").its("0.contentDocument.body").should("not.be.empty").then(cy.wrap).find("input")'
+  );
+  assert.strictEqual(cypressQuery('shadow=my-app >> button'), 'cy.get("my-app").shadow().find("button")');
+
+  const role = cypressQuery('role=link[name="Docs"]');
+  assert.match(role, /^cy\.get\("a\[href\]:not\(\[role\]\), area\[href\]:not\(\[role\]\), \[role=\\"link\\"\]"\)\.filter\(/);
+  assert.match(role, /\(element, "Docs", false, false\)\)$/);
+  assert.doesNotThrow(() => new vm.Script(role));
+});
+
+test('cypressQuery() explains locators Cypress cannot express', () => {
+  assert.throws(() => cypressQuery('//h1'), /Locator \/\/h1 has no Cypress translation: Cypress has no XPath support/);
+  assert.throws(() => cypressQuery('role=heading[level=2]'), /role option "level" is Playwright only/);
+  assert.throws(() => compileAssertion('xpath=//h1', 'visible'), /no Cypress translation/);
+});
+
+test('nameMatches() follows aria-labelledby, aria-label, labels and text', () => {
+  assert.strictEqual(nameMatches(element('BUTTON', { text: '  Save\n draft ' }), 'save draft', false, false), true);
+  assert.strictEqual(nameMatches(element('BUTTON', { text: 'Save draft' }), 'Save', true, false), false);
+  assert.strictEqual(nameMatches(element('BUTTON', { attributes: { 'aria-label': 'Close' }, text: '×' }), 'Close', true, false), true);
+  assert.strictEqual(nameMatches(element('SECTION', { attributes: { 'aria-labelledby': 'heading' } }), 'Billing address', true, false), true);
+  assert.strictEqual(nameMatches(element('INPUT', { labels: [{ textContent: 'Email' }] }), 'email', false, true), true);
+  assert.strictEqual(nameMatches(element('INPUT', { type: 'submit', value: 'Go' }), 'Go', true, false), true);
+  // Text content is a name, but not a label
+  assert.strictEqual(nameMatches(element('DIV', { text: 'Email' }), 'Email', false, true), false);
+});
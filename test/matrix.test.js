@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { devices } = require('playwright');
+const { DEFAULT_DEVICES, resolveDevice, resolveMatrix } = require('../lib/matrix');
+
+test('resolveDevice() accepts Playwright descriptors and viewport objects', () => {
+  const iphone = resolveDevice('iPhone 13');
+  assert.strictEqual(iphone.name, 'iPhone 13');
+  assert.deepStrictEqual(iphone.contextOptions.viewport, devices['iPhone 13'].viewport);
+  assert.strictEqual(iphone.contextOptions.isMobile, true);
+  // Metadata, not a context option
+  assert.strictEqual('defaultBrowserType' in iphone.contextOptions, false);
+
+  assert.deepStrictEqual(resolveDevice({ name: 'tablet', width: 768, height: 1024, deviceScaleFactor: 2 }), {
+    name: 'tablet',
+    contextOptions: { deviceScaleFactor: 2, viewport: { width: 768, height: 1024 } }
+  });
+  assert.strictEqual(resolveDevice({ width: 375, height: 667 }).name, '375x667');
+});
+
+test('resolveDevice() rejects unknown devices and incomplete viewports', () => {
+  assert.throws(() => resolveDevice('Nokia 3310'), /Unknown device: Nokia 3310/);
+  assert.throws(() => resolveDevice({ name: 'wide', width: 1920 }), /Invalid device entry: \{"name":"wide","width":1920\}/);
+  assert.throws(() => resolveDevice(null), /Invalid device entry: null/);
+});
+
+test('resolveMatrix() crosses every browser with every device', () => {
+  const matrix = resolveMatrix({ browsers: ['chromium', 'firefox', 'webkit'], devices: ['iPhone 13', { name: 'desktop', width: 1280, height: 720 }] });
+
+  assert.deepStrictEqual(matrix.map(target => [target.id, target.browserName, target.deviceName]), [
+    ['chromium-iPhone_13', 'chromium', 'iPhone 13'],
+    ['chromium-desktop', 'chromium', 'desktop'],
+    ['firefox-iPhone_13', 'firefox', 'iPhone 13'],
+    ['firefox-desktop', 'firefox', 'desktop'],
+    ['webkit-iPhone_13', 'webkit', 'iPhone 13'],
+    ['webkit-desktop', 'webkit', 'desktop']
+  ]);
+  assert.deepStrictEqual(matrix[3].contextOptions, { viewport: { width: 1280, height: 720 } });
+});
+
+test('resolveMatrix() drops isMobile for Firefox only', () => {
+  const [chromium, firefox] = resolveMatrix({ browsers: ['chromium', 'firefox'], devices: ['Pixel 5'] });
+
+  assert.strictEqual(chromium.contextOptions.isMobile, true);
+  assert.strictEqual('isMobile' in firefox.contextOptions, false);
+  // Everything else about the device is kept
+  assert.deepStrictEqual(firefox.contextOptions.viewport, devices['Pixel 5'].viewport);
+  assert.strictEqual(firefox.contextOptions.userAgent, devices['Pixel 5'].userAgent);
+  // The shared descriptor is not modified
+  assert.strictEqual(devices['Pixel 5'].isMobile, true);
+});
+
+test('resolveMatrix() defaults to Chromium on desktop and rejects unknown engines', () => {
+  assert.deepStrictEqual(resolveMatrix(), [{
+    id: 'chromium-desktop',
+    browserName: 'chromium',
+    deviceName: DEFAULT_DEVICES[0].name,
+    contextOptions: { viewport: { width: 1280, height: 720 } }
+  }]);
+  assert.throws(() => resolveMatrix({ browsers: ['safari'] }), /Unknown browser engine: safari/);
+  assert.throws(() => resolveMatrix({ devices: ['Nokia 3310'] }), /Unknown device: Nokia 3310/);
+});
@@ -0,0 +1,166 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { EventEmitter } = require('node:events');
+const UITestingAgent = require('../testing-agent-playwright');
+const {
+  urlMatcher,
+  fulfillOptions,
+  abortError,
+  bodyMatches,
+  findRequests,
+  countMatches,
+  harPathFor,
+  mergeHar
+} = require('../lib/network');
+
+const har = entries => ({ log: { version: '1.2', pages: [], entries: entries.map(url => ({ request: { url } })) } });
+const harUrls = harPath => JSON.parse(fs.readFileSync(harPath, 'utf8')).log.entries.map(entry => entry.request.url);
+
+// Fake browser whose contexts write a HAR of `urls` when they close, as routeFromHAR({ update: true }) does
+function harBrowser(urls, routes) {
+  return {
+    newContext: async () => {
+      let recordingPath = null;
+      const page = Object.assign(new EventEmitter(), { video: () => null });
+      return {
+        newPage: async () => page,
+        routeFromHAR: async (harPath, options) => {
+          routes.push([path.basename(harPath), Boolean(options.update)]);
+          recordingPath = options.update ? harPath : null;
+        },
+        close: async () => recordingPath && fs.writeFileSync(recordingPath, JSON.stringify(har([urls.shift()])))
+      };
+    },
+    close: async () => {}
+  };
+}
+
+test('urlMatcher() treats scheme-less globs as any-origin', () => {
+  assert.ok(urlMatcher('/api/users').test('https://example.com/api/users'));
+  assert.ok(urlMatcher('**/api/*').test('http://localhost:3000/api/users'));
+  assert.ok(!urlMatcher('**/api/*').test('http://localhost:3000/api/users/1'));
+  assert.ok(urlMatcher('*.png').test('https://cdn.example.com/img/logo.png'));
+  assert.ok(!urlMatcher('https://example.com/api/*').test('https://other.com/api/users'));
+  assert.ok(urlMatcher(/users\/\d+$/).test('https://example.com/users/42'));
+});
+
+test('fulfillOptions() prefers json, then file, then body', () => {
+  assert.deepStrictEqual(fulfillOptions({ json: { ok: true }, body: 'ignored' }), { status: 200, json: { ok: true } });
+  assert.deepStrictEqual(fulfillOptions({ status: 404, file: 'fixtures/missing.html' }), { status: 404, path: 'fixtures/missing.html' });
+  assert.deepStrictEqual(
+    fulfillOptions({ status: 500, body: 'boom', contentType: 'text/plain' }),
+    { status: 500, contentType: 'text/plain', body: 'boom' }
+  );
+  assert.strictEqual(abortError(true), 'failed');
+  assert.throws(() => abortError('nope'), /Unknown abort error: nope/);
+});
+
+test('bodyMatches() supports partial JSON, form bodies and regexes', () => {
+  const json = JSON.stringify({ user: { name: 'ada', roles: ['admin'] }, remember: true });
+  assert.ok(bodyMatches({ user: { name: 'ada' } }, json));
+  assert.ok(bodyMatches({ user: { roles: ['admin'] } }, json));
+  assert.ok(!bodyMatches({ user: { name: 'bob' } }, json));
+  assert.ok(bodyMatches({ q: 'shoes' }, 'q=shoes&page=2'));
+  assert.ok(bodyMatches('re:"remember":true', json));
+  assert.ok(bodyMatches({ regex: '"NAME":"ADA"', flags: 'i' }, json));
+  assert.ok(!bodyMatches('/"remember":true/', json));
+  assert.ok(!bodyMatches({ q: 'shoes' }, null));
+  assert.ok(bodyMatches(undefined, null));
+});
+
+test('findRequests() and countMatches() filter by method and count', () => {
+  const requests = [
+    { url: 'https://example.com/api/login', method: 'POST', postData: '{"user":"ada"}' },
+    { url: 'https://example.com/api/login', method: 'GET', postData: null },
+    { url: 'https://example.com/api/users', method: 'GET', postData: null }
+  ];
+
+  assert.strictEqual(findRequests(requests, '/api/login').length, 2);
+  assert.strictEqual(findRequests(requests, '/api/login', { method: 'post', body: { user: 'ada' } }).length, 1);
+  assert.strictEqual(countMatches(undefined, 0), false);
+  assert.strictEqual(countMatches(2, 2), true);
+  assert.strictEqual(countMatches('>= 2', 1), false);
+  assert.strictEqual(countMatches('< 1', 0), true);
+  assert.throws(() => countMatches('twice', 2), /Invalid request count/);
+});
+
+test('mockRoute() fulfills matching requests and falls back on other methods', async () => {
+  const routes = [];
+  const agent = new UITestingAgent({ baseUrl: 'https://example.com' });
+  agent.page = { route: async (url, handler) => routes.push({ url, handler }) };
+
+  await agent.mockRoute('/api/users', { method: 'get', status: 201, json: [{ id: 1 }] });
+
+  const fakeRoute = method => {
+    const calls = [];
+    return {
+      calls,
+      request: () => ({ method: () => method }),
+      fulfill: async options => calls.push(['fulfill', options]),
+      fallback: async () => calls.push(['fallback'])
+    };
+  };
+
+  assert.ok(routes[0].url(new URL('https://example.com/api/users')));
+  const get = fakeRoute('GET');
+  const post = fakeRoute('POST');
+  await routes[0].handler(get);
+  await routes[0].handler(post);
+  assert.deepStrictEqual(get.calls, [['fulfill', { status: 201, json: [{ id: 1 }] }]]);
+  assert.deepStrictEqual(post.calls, [['fallback']]);
+});
+
+test('harPathFor() and mergeHar() keep one HAR per browser/device and role', () => {
+  assert.strictEqual(harPathFor('fixtures/session.har', { target: 'chromium-desktop' }), 'fixtures/session.chromium-desktop.har');
+  assert.strictEqual(harPathFor('session', { target: 'webkit-iPhone_13', role: 'qa lead' }), 'session.webkit-iPhone_13.qa-lead.har');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'har-'));
+  const harPath = path.join(dir, 'session.chromium-desktop.har');
+  const record = (urls, options) => {
+    fs.writeFileSync(path.join(dir, 'recording.har'), JSON.stringify(har(urls)));
+    mergeHar(path.join(dir, 'recording.har'), harPath, options);
+  };
+
+  record(['https://a.test/1']);
+  record(['https://a.test/2'], { append: true });
+  assert.deepStrictEqual(harUrls(harPath), ['https://a.test/1', 'https://a.test/2']);
+  record(['https://a.test/3']);
+  assert.deepStrictEqual(harUrls(harPath), ['https://a.test/3']);
+  assert.deepStrictEqual(fs.readdirSync(dir), ['session.chromium-desktop.har']);
+});
+
+test('recording appends every context of a run to its target and role HAR', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'har-'));
+  const routes = [];
+  const run = async (mode, browserName, roles, urls = []) => {
+    const agent = new UITestingAgent({ outputDir: dir, performance: false, har: { path: path.join(dir, 'session.har'), mode } });
+    agent.browser = harBrowser(urls, routes);
+    agent.target = { id: `${browserName}-desktop`, browserName, deviceName: 'desktop', contextOptions: {} };
+    for (const role of roles) {
+      agent.role = role;
+      await agent.openContext();
+    }
+    await agent.close();
+  };
+
+  await run('record', 'chromium', [null, null, 'admin'], ['https://a.test/home', 'https://a.test/cart', 'https://a.test/admin']);
+  assert.deepStrictEqual(harUrls(path.join(dir, 'session.chromium-desktop.har')), ['https://a.test/home', 'https://a.test/cart']);
+  assert.deepStrictEqual(harUrls(path.join(dir, 'session.chromium-desktop.admin.har')), ['https://a.test/admin']);
+
+  // A new recording run starts each HAR afresh
+  await run('record', 'chromium', [null], ['https://a.test/search']);
+  assert.deepStrictEqual(harUrls(path.join(dir, 'session.chromium-desktop.har')), ['https://a.test/search']);
+
+  // Replay uses the target's HAR, or the configured file when the target has none
+  routes.length = 0;
+  await run('replay', 'chromium', [null, 'admin']);
+  await run('replay', 'firefox', [null]);
+  assert.deepStrictEqual(routes, [
+    ['session.chromium-desktop.har', false],
+    ['session.chromium-desktop.admin.har', false],
+    ['session.har', false]
+  ]);
+});
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const UITestingAgent = require('../testing-agent-cypress');
+const { LocatorRef, definePage, resolveLocator, expandPageAction } = require('../lib/page-objects');
+
+const LoginPage = definePage({
+  name: 'LoginPage',
+  path: '/login',
+  locators: {
+    username: '#username',
+    password: '#password',
+    submit: 'button[type="submit"]'
+  },
+  actions: {
+    login: user => [
+      { type: 'fillForm', formData: { username: user.username, password: user.password } },
+      { type: 'testElement', selector: 'submit', testType: 'clickable' }
+    ]
+  }
+});
+
+test('definePage() exposes locators as named references', () => {
+  assert.ok(LoginPage.submit instanceof LocatorRef);
+  assert.strictEqual(LoginPage.submit.label, 'LoginPage.submit');
+  assert.strictEqual(String(LoginPage.submit), 'button[type="submit"]');
+  assert.strictEqual(JSON.stringify({ selector: LoginPage.submit }), '{"selector":"button[type=\\"submit\\"]"}');
+  assert.throws(() => definePage({ name: 'Bad', path: '/', locators: { path: '#x' } }), /reserved/);
+});
+
+test('resolveLocator() accepts CSS, references and @Page.locator strings', () => {
+  assert.deepStrictEqual(resolveLocator('.plain'), { selector: '.plain', label: null });
+  assert.deepStrictEqual(resolveLocator(LoginPage.username), { selector: '#username', label: 'LoginPage.username' });
+  assert.deepStrictEqual(resolveLocator('@LoginPage.password'), { selector: '#password', label: 'LoginPage.password' });
+  assert.throws(() => resolveLocator('@LoginPage.missing'), /Unknown locator missing on page LoginPage/);
+  assert.throws(() => resolveLocator('@NoSuchPage.submit'), /Unknown page: NoSuchPage/);
+});
+
+test('expandPageAction() resolves locator names to selectors', () => {
+  const actions = expandPageAction(LoginPage, 'login', [{ username: 'ada', password: 'secret' }]);
+
+  assert.deepStrictEqual(actions[0].formData, { '#username': 'ada', '#password': 'secret' });
+  assert.strictEqual(actions[1].selector, LoginPage.submit);
+  assert.throws(() => expandPageAction('LoginPage', 'logout'), /Unknown action logout on page LoginPage/);
+});
+
+test('page object actions compile to Cypress commands', () => {
+  const agent = new UITestingAgent({ baseUrl: 'https://example.com' });
+  const steps = agent.generateActions([
+    agent.open(LoginPage),
+    agent.pageAction(LoginPage, 'login', { username: 'ada', password: 'secret' }),
+    agent.testElement(LoginPage.submit, 'visible')
+  ]);
+
+  assert.strictEqual(steps[0], 'cy.visit("/login")');
+  assert.match(steps[1], /^cy\.get\("#username"\)\.then\(\$el => \{\n/);
+  assert.match(steps[1], /\n {4}cy\.wrap\(\$el\)\.clear\(\)\.type\("ada", \{ "parseSpecialCharSequences": false \}\);\n/);
+  assert.match(steps[3], /^cy\.get\("button\[type=\\"submit\\"\]"\)/);
+  assert.deepStrictEqual(agent.testResults.map(result => result.locator), ['LoginPage.submit', 'LoginPage.submit']);
+});
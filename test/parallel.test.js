@@ -0,0 +1,132 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseShard, selectShard, partition, runParallel, mergePlaywrightReports, mergeCypressReports } = require('../lib/parallel');
+
+// Worker output directories as lib/worker.js leaves them: { 'worker-1': { 'report.json': ... } }
+function workerDirs(workers) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'parallel-'));
+  return {
+    dir,
+    workers: Object.entries(workers).map(([name, files], index) => {
+      const outputDir = path.join(dir, 'workers', name);
+      fs.mkdirSync(outputDir, { recursive: true });
+      for (const [file, content] of Object.entries(files)) {
+        fs.writeFileSync(path.join(outputDir, file), JSON.stringify(content));
+      }
+      return { id: index + 1, outputDir, error: null };
+    })
+  };
+}
+
+const readJson = filePath => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+test('parseShard() accepts i/n and rejects out-of-range shards', () => {
+  assert.deepStrictEqual(parseShard('2/4'), { index: 2, total: 4 });
+  assert.throws(() => parseShard('0/4'), /Invalid shard: 0\/4/);
+  assert.throws(() => parseShard('5/4'), /Invalid shard/);
+  assert.throws(() => parseShard('two'), /Invalid shard/);
+});
+
+test('shards cover every item exactly once', () => {
+  const items = Array.from({ length: 10 }, (_, index) => `scenario-${index}`);
+  const shards = [1, 2, 3].map(index => selectShard(items, { index, total: 3 }));
+
+  assert.deepStrictEqual(shards.map(shard => shard.length), [4, 3, 3]);
+  assert.deepStrictEqual(shards.flat().sort(), [...items].sort());
+});
+
+test('partition() never creates empty worker groups', () => {
+  assert.deepStrictEqual(partition(['a', 'b', 'c'], 2), [['a', 'c'], ['b']]);
+  assert.deepStrictEqual(partition(['a'], 4), [['a']]);
+  assert.deepStrictEqual(partition([], 4), [[]]);
+});
+
+test('mergePlaywrightReports() combines results, artifacts and accessibility diffs', async () => {
+  const result = (name, passed, durationMs) => ({
+    selector: `#${name}`, name, suite: 'Checkout', testType: 'visible', passed, durationMs,
+    browser: 'chromium', device: 'desktop', timestamp: '2024-05-01T10:00:00.000Z'
+  });
+  const { dir, workers } = workerDirs({
+    'worker-1': {
+      'report.json': [result('cart', true, 120), result('total', false, 80)],
+      'artifacts.json': [{ name: 'cart', path: 'screenshots/cart.png', suite: 'Checkout', browser: 'chromium', device: 'desktop' }],
+      'accessibility-diff.json': { '/cart': { new: [{ id: 'label', target: '#qty' }], fixed: [], unchanged: [] } }
+    },
+    'worker-2': {
+      'report.json': [result('pay', true, 200)],
+      'artifacts.json': [{ name: 'pay', path: 'screenshots/pay.png', suite: 'Checkout', browser: 'chromium', device: 'desktop' }],
+      'accessibility-diff.json': { '/pay': { new: [], fixed: [{ id: 'image-alt', target: 'img.logo' }], unchanged: [] } }
+    },
+    // Crashed before writing anything
+    'worker-3': {}
+  });
+  workers[2].error = 'Worker exited with code 1';
+
+  const summary = await mergePlaywrightReports(workers, dir, 4321, { reporters: ['ctrf'], history: false });
+
+  assert.deepStrictEqual(summary, { total: 4, failed: 2 });
+  assert.deepStrictEqual(readJson(path.join(dir, 'report.json')).map(test => [test.name, test.passed]), [
+    ['cart', true], ['total', false], ['pay', true], ['worker-3', false]
+  ]);
+  assert.deepStrictEqual(readJson(path.join(dir, 'artifacts.json')).map(artifact => artifact.path), ['screenshots/cart.png', 'screenshots/pay.png']);
+
+  // The pool's wall-clock time, not the sum of the workers'
+  const ctrf = readJson(path.join(dir, 'ctrf-report.json')).results;
+  assert.deepStrictEqual([ctrf.summary.tests, ctrf.summary.passed, ctrf.summary.failed], [4, 2, 2]);
+  assert.strictEqual(ctrf.summary.stop - ctrf.summary.start, 4321);
+  assert.deepStrictEqual(ctrf.tests.map(test => test.duration), [120, 80, 200, 0]);
+
+  const html = fs.readFileSync(path.join(dir, 'report.html'), 'utf8');
+  assert.match(html, /<td>\/cart<\/td>\s*<td>label: <code>#qty<\/code><\/td>/);
+  assert.match(html, /<td>\/pay<\/td>\s*<td>0<\/td>\s*<td>image-alt: <code>img\.logo<\/code><\/td>/);
+});
+
+test('mergeCypressReports() sums totals and counts crashed workers as failed', async () => {
+  const run = (spec, state, duration) => ({
+    spec: { relative: `cypress/e2e/${spec}.cy.js` },
+    stats: { duration },
+    tests: [{ title: [spec, 'loads'], state, duration, attempts: [{ state }] }]
+  });
+  const { dir, workers } = workerDirs({
+    'worker-1': {
+      'report.json': { totalTests: 2, totalPassed: 1, totalFailed: 1, totalPending: 0, totalSkipped: 0, totalDuration: 900, runs: [run('cart', 'passed', 400), run('pay', 'failed', 500)] }
+    },
+    'worker-2': {
+      'report.json': { totalTests: 1, totalPassed: 1, totalFailed: 0, totalPending: 1, totalSkipped: 0, totalDuration: 300, runs: [run('search', 'passed', 300)] }
+    },
+    // Cypress could not start
+    'worker-3': {}
+  });
+
+  const summary = await mergeCypressReports(workers, dir, 1000, { reporters: [], history: false });
+
+  assert.deepStrictEqual(summary, { total: 4, failed: 2 });
+  const report = readJson(path.join(dir, 'report.json'));
+  assert.deepStrictEqual(
+    [report.totalTests, report.totalPassed, report.totalFailed, report.totalPending, report.totalDuration],
+    [3, 2, 1, 1, 1000]
+  );
+  assert.deepStrictEqual(report.runs.map(entry => [entry.spec.relative, entry.stats.duration]), [
+    ['cypress/e2e/cart.cy.js', 400],
+    ['cypress/e2e/pay.cy.js', 500],
+    ['cypress/e2e/search.cy.js', 300]
+  ]);
+  assert.ok(fs.existsSync(path.join(dir, 'report.html')));
+});
+
+test('HAR recording is rejected on more than one worker', async () => {
+  await assert.rejects(runParallel([{ name: 'Home' }], { workers: 2, har: 'session.har', recordHar: true }),
+    /HAR recording needs a single worker/);
+
+  const cli = spawnSync(process.execPath, [path.join(__dirname, '..', 'bin', 'ui-agent.js'), 'run', 'missing.yaml', '--har', 'session.har', '--record-har', '--workers', '2'], {
+    cwd: os.tmpdir(),
+    encoding: 'utf8',
+    timeout: 30000
+  });
+  assert.strictEqual(cli.status, 2);
+  assert.match(cli.stderr, /^--record-har needs a single worker: several workers would overwrite the same recordings/);
+});
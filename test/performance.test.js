@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const vm = require('node:vm');
+const UITestingAgent = require('../testing-agent-cypress');
+const {
+  collectPerformanceMetrics,
+  budgetFor,
+  checkBudget,
+  formatMetric,
+  appendPerformanceHistory,
+  metricTrend,
+  renderSparkline
+} = require('../lib/performance');
+
+// Minimal window with buffered observer entries, as Chromium reports them
+function fakeWindow({ observed = {}, supported = Object.keys(observed) } = {}) {
+  class PerformanceObserver {
+    constructor(callback) {
+      this.callback = callback;
+    }
+
+    observe({ type }) {
+      this.callback({ getEntries: () => observed[type] || [] });
+    }
+
+    disconnect() {}
+  }
+  PerformanceObserver.supportedEntryTypes = supported;
+
+  return {
+    PerformanceObserver,
+    setTimeout: callback => callback(),
+    performance: {
+      getEntriesByType: type => ({
+        navigation: [{ responseStart: 120.4, domContentLoadedEventEnd: 800.2, loadEventEnd: 1500.7, transferSize: 2000 }],
+        resource: [{ transferSize: 1000 }, { transferSize: 0 }]
+      })[type]
+    }
+  };
+}
+
+test('collectPerformanceMetrics() reads timing, LCP, CLS and long tasks', async () => {
+  const metrics = await collectPerformanceMetrics(fakeWindow({
+    observed: {
+      'largest-contentful-paint': [{ startTime: 900.2 }, { startTime: 1200.6 }],
+      'layout-shift': [{ value: 0.05, hadRecentInput: false }, { value: 0.3, hadRecentInput: true }, { value: 0.02 }],
+      longtask: [{ duration: 120 }, { duration: 40 }, { duration: 80 }]
+    }
+  }));
+
+  assert.deepStrictEqual(metrics, {
+    ttfb: 120,
+    domContentLoaded: 800,
+    load: 1501,
+    lcp: 1201,
+    cls: 0.07,
+    tbt: 100,
+    transferSize: 3000,
+    requestCount: 3
+  });
+});
+
+test('unsupported entry types report null', async () => {
+  const metrics = await collectPerformanceMetrics(fakeWindow({ supported: [] }));
+  assert.strictEqual(metrics.lcp, null);
+  assert.strictEqual(metrics.cls, null);
+  assert.strictEqual(metrics.tbt, null);
+  assert.deepStrictEqual(checkBudget(metrics, { lcp: 2500, load: 1000 }), [
+    { metric: 'lcp', value: null, limit: 2500, passed: true },
+    { metric: 'load', value: 1501, limit: 1000, passed: false }
+  ]);
+});
+
+test('budgetFor() merges matching route budgets in order', () => {
+  const budgets = { '**': { lcp: 2500, cls: 0.1 }, '/checkout/**': { lcp: 4000, load: 3000 } };
+  assert.deepStrictEqual(budgetFor('https://example.com/', budgets), { lcp: 2500, cls: 0.1 });
+  assert.deepStrictEqual(budgetFor('https://example.com/checkout/pay?step=2', budgets), { lcp: 4000, cls: 0.1, load: 3000 });
+  assert.throws(() => budgetFor('https://example.com/', { '**': { fcp: 1000 } }), /Unknown performance metric in \*\*: fcp/);
+  assert.strictEqual(formatMetric('transferSize', 2048), '2.0 KB');
+  assert.strictEqual(formatMetric('cls', 0.07), '0.07');
+});
+
+test('history keeps the last runs and feeds the trend chart', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'perf-'));
+  const historyPath = path.join(dir, 'performance-history.json');
+  const target = { page: '/', browser: 'chromium', device: 'desktop' };
+
+  let history;
+  for (const load of [1000, 1200, 900]) {
+    history = appendPerformanceHistory(historyPath, { pages: [{ ...target, metrics: { load } }] }, 2);
+  }
+
+  assert.deepStrictEqual(metricTrend(history, target, 'load'), [1200, 900]);
+  assert.deepStrictEqual(metricTrend(history, { ...target, page: '/about' }, 'load'), [null, null]);
+  assert.match(renderSparkline([1200, null, 900]), /points="0\.0,2\.0 160\.0,38\.0"/);
+  assert.strictEqual(renderSparkline([null]), '');
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('Cypress specs check route budgets after cy.visit()', () => {
+  const agent = new UITestingAgent({
+    baseUrl: 'https://example.com',
+    performance: { budgets: { '/checkout/**': { load: 3000 } } }
+  });
+  const steps = agent.generateActions([agent.navigateTo('/'), agent.navigateTo('/checkout/pay')]);
+
+  assert.strictEqual(steps.length, 3);
+  assert.strictEqual(steps[1], 'cy.visit("/checkout/pay")');
+  assert.match(steps[2], /^cy\.window\(\)\.then\(win => \(function collectPerformanceMetrics/);
+  assert.match(steps[2], /const budget = \{ "load": 3000 \};/);
+  assert.doesNotThrow(() => new vm.Script(steps[2]));
+  assert.throws(() => agent.generatePerformanceCheck({ speed: 1 }), /Unknown performance metric/);
+});
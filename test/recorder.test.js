@@ -0,0 +1,94 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const vm = require('node:vm');
+const CypressAgent = require('../testing-agent-cypress');
+const { parseScenario } = require('../lib/scenario');
+const {
+  NAVIGATION_GRACE_MS,
+  selectorCandidates,
+  recorderScript,
+  relativeUrl,
+  SessionRecorder,
+  formatScenario
+} = require('../lib/recorder');
+
+test('selectorCandidates() prefers test ids, ARIA labels and field attributes over ids', () => {
+  assert.deepStrictEqual(selectorCandidates({
+    tag: 'button',
+    id: 'save',
+    testId: ['data-testid', 'save-button'],
+    role: null,
+    ariaLabel: 'Save "draft"'
+  }), ['[data-testid="save-button"]', 'button[aria-label="Save \\"draft\\""]', '#save']);
+
+  assert.deepStrictEqual(selectorCandidates({ tag: 'input', id: 'field-12345', name: 'email', placeholder: 'you@example.com' }),
+    ['input[name="email"]', 'input[placeholder="you@example.com"]']);
+  assert.deepStrictEqual(selectorCandidates({ tag: 'div', role: 'tab', ariaLabel: 'Billing' }), ['[role="tab"][aria-label="Billing"]']);
+  assert.deepStrictEqual(selectorCandidates({ tag: 'a', href: '/pricing', title: 'multi\nline' }), ['a[href="/pricing"]']);
+});
+
+test('recorderScript() is valid JavaScript', () => {
+  assert.doesNotThrow(() => new vm.Script(recorderScript()));
+});
+
+test('relativeUrl() keeps URLs under the base path relative', () => {
+  assert.strictEqual(relativeUrl('https://shop.test/cart?step=2', 'https://shop.test'), '/cart?step=2');
+  assert.strictEqual(relativeUrl('https://shop.test/app/cart', 'https://shop.test/app/'), '/cart');
+  assert.strictEqual(relativeUrl('https://shop.test/application', 'https://shop.test/app'), 'https://shop.test/application');
+  assert.strictEqual(relativeUrl('https://other.test/', 'https://shop.test'), 'https://other.test/');
+});
+
+test('SessionRecorder merges typing, drops click navigations and records assertions', () => {
+  const recorder = new SessionRecorder({ baseUrl: 'https://shop.test' });
+  let now = 0;
+
+  recorder.navigated('https://shop.test/login', now);
+  recorder.handle({ kind: 'fill', selector: 'input[name="email"]', value: 'a@b.test' }, now);
+  recorder.handle({ kind: 'fill', selector: 'input[name="password"]', value: 'secret' }, now);
+  // Enter reports the value again before the change event does
+  recorder.handle({ kind: 'fill', selector: 'input[name="password"]', value: 'secret' }, now);
+  recorder.handle({ kind: 'click', selector: '[data-testid="login"]' }, now += 100);
+  recorder.navigated('https://shop.test/account', now += 500);
+  recorder.handle({ kind: 'select', selector: 'select[name="size"]', value: 'L' }, now);
+  recorder.handle({ kind: 'assert', selector: 'h1', testType: 'containsText', expectedValue: 'Welcome back' }, now);
+  recorder.navigated('https://shop.test/orders', now += NAVIGATION_GRACE_MS);
+
+  assert.deepStrictEqual(recorder.toScenario('Login'), {
+    name: 'Login',
+    baseUrl: 'https://shop.test',
+    actions: [
+      { type: 'navigate', url: '/login' },
+      { type: 'fillForm', formData: { 'input[name="email"]': 'a@b.test', 'input[name="password"]': 'secret' } },
+      { type: 'testElement', selector: '[data-testid="login"]', testType: 'clickable' },
+      { type: 'select', selector: 'select[name="size"]', value: 'L' },
+      { type: 'testElement', selector: 'h1', testType: 'containsText', expectedValue: 'Welcome back' },
+      { type: 'navigate', url: '/orders' }
+    ]
+  });
+});
+
+test('SessionRecorder resolves stopped on a stop event', async () => {
+  const recorder = new SessionRecorder();
+  recorder.handle({ kind: 'stop' });
+  await recorder.stopped;
+});
+
+test('recorded scenarios validate and compile to a Cypress spec', () => {
+  const recorder = new SessionRecorder({ baseUrl: 'https://shop.test' });
+  recorder.navigated('https://shop.test/', 0);
+  recorder.handle({ kind: 'select', selector: 'select[name="size"]', value: 'L' }, 0);
+  recorder.handle({ kind: 'assert', selector: '#total', testType: 'visible' }, 0);
+  const scenario = recorder.toScenario('Size picker');
+
+  for (const file of ['recorded.yaml', 'recorded.json']) {
+    const parsed = parseScenario(formatScenario(scenario, file), file);
+    assert.deepStrictEqual(parsed.actions, scenario.actions);
+  }
+
+  const agent = new CypressAgent({ baseUrl: 'https://shop.test' });
+  assert.deepStrictEqual(agent.generateActions(scenario.actions), [
+    'cy.visit("/")',
+    'cy.get("select[name=\\"size\\"]").select("L")',
+    'cy.get("#total").should("be.visible")'
+  ]);
+});
@@ -0,0 +1,134 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const YAML = require('yaml');
+const { fromPlaywright } = require('../lib/results');
+const {
+  renderJUnit,
+  renderTap,
+  renderCtrf,
+  renderGitHub,
+  renderMarkdown,
+  resolveReporter,
+  writeReports
+} = require('../lib/reporters');
+const PlaywrightAgent = require('../testing-agent-playwright');
+const CypressAgent = require('../testing-agent-cypress');
+const { runParallel } = require('../lib/parallel');
+
+const testResults = [
+  { selector: '#submit', locator: 'LoginPage.submit', testType: 'visible', passed: true, suite: 'Login', browser: 'chromium', device: 'desktop', durationMs: 120 },
+  { selector: 'h1', testType: 'text', expected: 'Welcome', actual: 'Error <500>', passed: false, suite: 'Login', browser: 'chromium', device: 'desktop', attempts: 1, durationMs: 5000 },
+  { selector: '.toast', testType: 'visible', passed: true, flaky: true, attempts: 2, suite: 'Checkout', browser: 'firefox', device: 'desktop' }
+];
+
+function sampleRun() {
+  return fromPlaywright(testResults, { startedAt: Date.parse('2024-05-01T10:00:00Z'), durationMs: 6000 });
+}
+
+test('renderJUnit groups suites per browser/device and escapes messages', () => {
+  const xml = renderJUnit(sampleRun());
+
+  assert.match(xml, /<testsuites name="ui-agent" tests="3" failures="1" skipped="0" time="6.000"/);
+  assert.match(xml, /<testsuite name="Login \(chromium \/ desktop\)" tests="2" failures="1"/);
+  assert.match(xml, /<failure message="expected Welcome, got Error &lt;500&gt;" type="text">/);
+  assert.match(xml, /<testcase name="visible \.toast" classname="Checkout \(firefox \/ desktop\)" time="0.000" \/>/);
+});
+
+test('renderTap marks failures and attaches YAML diagnostics', () => {
+  const lines = renderTap(sampleRun()).split('\n');
+
+  assert.deepStrictEqual(lines.slice(0, 3), ['TAP version 13', '1..3', 'ok 1 - Login (chromium / desktop) > visible LoginPage.submit']);
+  assert.strictEqual(lines[3], 'not ok 2 - Login (chromium / desktop) > text h1');
+  const end = lines.indexOf('  ...');
+  const diagnostic = YAML.parse(lines.slice(5, end).map(line => line.slice(2)).join('\n'));
+  assert.strictEqual(diagnostic.actual, 'Error <500>');
+});
+
+test('renderCtrf follows the CTRF results layout', () => {
+  const { results } = JSON.parse(renderCtrf(sampleRun()));
+
+  assert.strictEqual(results.summary.tests, 3);
+  assert.strictEqual(results.summary.stop - results.summary.start, 6000);
+  assert.deepStrictEqual(results.tests[2], {
+    name: 'visible .toast',
+    status: 'passed',
+    duration: 0,
+    suite: 'Checkout',
+    type: 'visible',
+    browser: 'firefox / desktop',
+    flaky: true,
+    retries: 1
+  });
+});
+
+test('renderGitHub emits escaped error and flaky warning annotations', () => {
+  const lines = renderGitHub(sampleRun()).trim().split('\n');
+
+  assert.deepStrictEqual(lines, [
+    '::error title=Login (chromium / desktop)%3A text h1::expected Welcome, got Error <500>',
+    '::warning title=Checkout (firefox / desktop)%3A visible .toast (flaky)::passed after 1 retry'
+  ]);
+});
+
+test('renderMarkdown lists suites and failures', () => {
+  const markdown = renderMarkdown(sampleRun());
+
+  assert.match(markdown, /\*\*2\/3 passed\*\* · 1 failed · 1 flaky/);
+  assert.match(markdown, /\| Checkout \(firefox \/ desktop\) \| 1 \| 0 \| 1 \|/);
+  assert.match(markdown, /\| Login \(chromium \/ desktop\) \| text h1 \| expected Welcome, got Error <500> \|/);
+});
+
+test('renderJUnit strips ANSI colours and characters XML forbids', () => {
+  const run = sampleRun();
+  run.suites[0].tests[1].error = {
+    message: '\u001b[31mAssertionError\u001b[39m: expected \u0007bell\u0000',
+    stack: 'AssertionError\n\tat spec.cy.js:3:5\u001b[0m\u000b'
+  };
+
+  const xml = renderJUnit(run);
+  assert.match(xml, /<failure message="AssertionError: expected bell" type="text">AssertionError\n\tat spec\.cy\.js:3:5<\/failure>/);
+  assert.doesNotMatch(xml, /[\x00-\x08\x0B\x0C\x0E-\x1F]/);
+});
+
+test('failed tests without an error still render', () => {
+  const run = sampleRun();
+  run.suites[0].tests[1].error = null;
+
+  assert.match(renderJUnit(run), /<failure message="failed" type="text">failed<\/failure>/);
+  assert.match(renderMarkdown(run), /\| Login \(chromium \/ desktop\) \| text h1 \| failed \|/);
+  assert.match(renderTap(run), /not ok 2 - Login \(chromium \/ desktop\) > text h1/);
+  assert.match(renderGitHub(run), /::error title=Login \(chromium \/ desktop\)%3A text h1::failed$/m);
+});
+
+test('writeReports writes files and rejects unknown reporters', () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reporters-'));
+  try {
+    const written = writeReports(sampleRun(), ['junit', { name: 'ctrf', file: 'ci/ctrf.json' }], outputDir);
+    assert.deepStrictEqual(written, [path.join(outputDir, 'junit.xml'), path.join(outputDir, 'ci', 'ctrf.json')]);
+    assert.ok(fs.existsSync(written[1]));
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+
+  assert.throws(() => resolveReporter('xunit'), /Unknown reporter: xunit/);
+});
+
+test('unknown reporters are rejected before the run starts', async () => {
+  assert.throws(() => new PlaywrightAgent({ reporters: ['junit', 'junt'] }), /Unknown reporter: junt \(expected one of: junit, /);
+  assert.throws(() => new CypressAgent({ reporters: [{ name: 'junt' }] }), /Unknown reporter: junt/);
+  await assert.rejects(runParallel([], { workers: 2, reporters: ['junt'] }), /Unknown reporter: junt/);
+
+  // The CLI exits with a usage error without loading the scenarios
+  const cli = spawnSync(process.execPath, [path.join(__dirname, '..', 'bin', 'ui-agent.js'), 'run', 'missing.yaml', '--reporter', 'junit,junt'], {
+    cwd: os.tmpdir(),
+    encoding: 'utf8',
+    timeout: 30000
+  });
+  assert.strictEqual(cli.status, 2);
+  assert.match(cli.stderr, /^Unknown reporter: junt/);
+  assert.doesNotMatch(cli.stderr, /missing\.yaml/);
+});
@@ -0,0 +1,134 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { fromPlaywright, fromCypressRun, allTests, parseError } = require('../lib/results');
+const { renderHtmlReport, renderTimeline } = require('../lib/html-report');
+
+const playwrightResults = [
+  { selector: '#submit', locator: 'LoginPage.submit', testType: 'visible', passed: true, suite: 'Login', browser: 'chromium', device: 'desktop', durationMs: 120 },
+  {
+    selector: 'h1',
+    testType: 'text',
+    passed: false,
+    error: 'Timeout 5000ms exceeded',
+    stack: 'TimeoutError: Timeout 5000ms exceeded\n    at evaluateAssertion (lib/assertions.js:1:1)',
+    attempts: 2,
+    page: 'https://example.com/login',
+    steps: [
+      { title: 'navigate /login', status: 'passed', startedAt: '2024-05-01T10:00:00.000Z', durationMs: 800 },
+      { title: 'text h1 (attempt 1)', status: 'failed', startedAt: '2024-05-01T10:00:00.800Z', durationMs: 2500, error: 'actual: Loading…' },
+      { title: 'text h1 (attempt 2)', status: 'failed', startedAt: '2024-05-01T10:00:03.300Z', durationMs: 2500, error: 'Timeout 5000ms exceeded' }
+    ],
+    suite: 'Login',
+    browser: 'chromium',
+    device: 'desktop',
+    durationMs: 5000
+  },
+  { name: 'home', testType: 'visual', passed: true, visual: { baseline: 'baselines/home.png', actual: 'shots/home.png' }, suite: 'Home', browser: 'chromium', device: 'desktop' }
+];
+
+// Trimmed cypress.run() result, as Cypress 13 reports it
+const cypressResults = {
+  startedTestsAt: '2024-05-01T10:00:00.000Z',
+  totalDuration: 4200,
+  browserName: 'chrome',
+  runs: [{
+    spec: { name: 'login.cy.js', relative: 'cypress/e2e/login.cy.js' },
+    video: '/project/cypress/videos/login.cy.js.mp4',
+    screenshots: [{ name: null, path: '/project/cypress/screenshots/login.cy.js/Login -- rejects bad passwords (failed).png' }],
+    tests: [
+      { title: ['Login', 'accepts valid credentials'], state: 'passed', duration: 900, attempts: [{ state: 'failed' }, { state: 'passed' }] },
+      { title: ['Login', 'rejects bad passwords'], state: 'failed', duration: 3000, displayError: 'AssertionError: expected <h1> to contain text\n    at Context.eval (webpack:///./cypress/e2e/login.cy.js:5:8)', attempts: [{ state: 'failed' }] },
+      { title: ['Login', 'remembers the user'], state: 'pending', duration: 0, attempts: [] }
+    ]
+  }]
+};
+
+test('fromPlaywright groups results into suites with steps and attachments', () => {
+  const run = fromPlaywright(playwrightResults, {
+    startedAt: 0,
+    durationMs: 6000,
+    artifacts: [{ name: 'video', path: 'videos/a.webm', browser: 'chromium', device: 'desktop' }]
+  });
+
+  assert.deepStrictEqual(run.suites.map(suite => suite.name), ['Login', 'Home']);
+  assert.deepStrictEqual(run.summary, { total: 3, passed: 2, failed: 1, skipped: 0, flaky: 0 });
+
+  const failed = run.suites[0].tests[1];
+  assert.strictEqual(failed.error.message, 'Timeout 5000ms exceeded');
+  assert.match(failed.error.stack, /at evaluateAssertion/);
+  assert.strictEqual(failed.page, 'https://example.com/login');
+  assert.deepStrictEqual(failed.steps.map(step => step.status), ['passed', 'failed', 'failed']);
+  assert.deepStrictEqual(failed.steps[1].error, { message: 'actual: Loading…', stack: null });
+  assert.deepStrictEqual(run.suites[1].tests[0].attachments.map(item => item.contentType), ['image/png', 'image/png']);
+  assert.deepStrictEqual(run.suites.map(suite => suite.attachments[0].contentType), ['video/webm', 'video/webm']);
+});
+
+test('fromCypressRun maps describe blocks, states, errors and screenshots', () => {
+  const run = fromCypressRun(cypressResults);
+  const [passed, failed, pending] = allTests(run);
+
+  assert.strictEqual(run.suites.length, 1);
+  assert.strictEqual(run.suites[0].name, 'Login');
+  assert.strictEqual(run.suites[0].file, 'cypress/e2e/login.cy.js');
+  assert.strictEqual(run.startedAt, '2024-05-01T10:00:00.000Z');
+  assert.strictEqual(passed.flaky, true);
+  assert.strictEqual(failed.error.message, 'AssertionError: expected <h1> to contain text');
+  assert.match(failed.error.stack, /login\.cy\.js:5:8/);
+  assert.strictEqual(failed.attachments.length, 1);
+  assert.strictEqual(passed.attachments.length, 0);
+  assert.strictEqual(pending.status, 'skipped');
+  assert.deepStrictEqual(run.summary, { total: 3, passed: 1, failed: 1, skipped: 1, flaky: 1 });
+});
+
+test('parseError() keeps single-line errors without a stack', () => {
+  assert.deepStrictEqual(parseError('boom'), { message: 'boom', stack: null });
+  assert.strictEqual(parseError(undefined), null);
+});
+
+test('renderHtmlReport escapes content and links artifacts relative to the report', () => {
+  const run = fromCypressRun(cypressResults);
+  const html = renderHtmlReport(run, { reportDir: '/project/cypress/results' });
+
+  assert.match(html, /expected &lt;h1&gt; to contain text/);
+  assert.doesNotMatch(html, /<h1> to contain/);
+  assert.match(html, /<video controls preload="metadata" src="\.\.\/videos\/login\.cy\.js\.mp4">/);
+  // Missing files can't be embedded and fall back to a relative link
+  assert.match(html, /<img src="\.\.\/screenshots\/login\.cy\.js\/Login -- rejects bad passwords \(failed\)\.png"/);
+  assert.match(html, /<summary>Stack trace<\/summary>/);
+});
+
+test('renderHtmlReport embeds screenshots and exposes filter data', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'html-report-'));
+  try {
+    const screenshot = path.join(dir, 'home.png');
+    fs.writeFileSync(screenshot, Buffer.from('fake png'));
+    const run = fromPlaywright(playwrightResults, {
+      artifacts: [{ name: 'home', path: screenshot, browser: 'chromium', device: 'desktop', suite: 'Login' }]
+    });
+    const html = renderHtmlReport(run, { reportDir: dir });
+
+    assert.match(html, /<a href="home\.png" target="_blank"><img src="data:image\/png;base64,ZmFrZSBwbmc="/);
+    assert.match(html, /data-status="failed" data-page="https:\/\/example\.com\/login"/);
+    assert.match(html, /<option value="https:\/\/example\.com\/login">/);
+    assert.match(html, /id="failures-first" checked/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('renderTimeline places steps by start time and marks failures', () => {
+  const html = renderTimeline([
+    { title: 'navigate /', status: 'passed', startedAt: '2024-05-01T10:00:00.000Z', durationMs: 1000, error: null },
+    { title: 'text <h1>', status: 'failed', startedAt: '2024-05-01T10:00:01.000Z', durationMs: 3000, error: { message: 'nope' } },
+    { title: 'attempt 3', status: 'failed', startedAt: null, durationMs: null, error: null }
+  ]);
+
+  assert.match(html, /margin-left:0\.00%;width:25\.00%/);
+  assert.match(html, /margin-left:25\.00%;width:75\.00%/);
+  assert.match(html, /text &lt;h1&gt;/);
+  assert.match(html, /<div class="step-error">nope<\/div>/);
+  assert.strictEqual(renderTimeline([]), '');
+});
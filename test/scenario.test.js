@@ -0,0 +1,154 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const { parseScenario, findScenarioFiles, ScenarioValidationError } = require('../lib/scenario');
+const { resolveActions } = require('../lib/runner');
+const { definePage } = require('../lib/page-objects');
+const PlaywrightAgent = require('../testing-agent-playwright');
+
+const CLI = path.join(__dirname, '..', 'bin', 'ui-agent.js');
+
+function scenarioDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scenarios-'));
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+  return dir;
+}
+
+function validate(args, cwd) {
+  return spawnSync(process.execPath, [CLI, 'validate', ...args], { cwd, encoding: 'utf8', timeout: 30000 });
+}
+
+const VALID = 'name: Home\nactions:\n  - { type: navigate, url: / }\n';
+
+test('valid scenarios parse into action lists', () => {
+  assert.deepStrictEqual(parseScenario(VALID, 'home.yaml'), {
+    name: 'Home',
+    actions: [{ type: 'navigate', url: '/' }],
+    file: 'home.yaml'
+  });
+  assert.deepStrictEqual(parseScenario('{ "name": "Home", "actions": [{ "type": "navigate", "url": "/" }] }', 'home.json').actions, [
+    { type: 'navigate', url: '/' }
+  ]);
+});
+
+test('schema errors in YAML point at the offending line and column', () => {
+  assert.throws(() => parseScenario([
+    'name: Login',
+    'actions:',
+    '  - type: testElement',
+    '    selector: h1',
+    '    testType: sparkle',
+    '  - type: navigate',
+    '  - type: wait',
+    '    milliseconds: soon'
+  ].join('\n'), 'login.yaml'), error => {
+    assert.ok(error instanceof ScenarioValidationError);
+    assert.strictEqual(error.file, 'login.yaml');
+    assert.deepStrictEqual(error.message.split('\n').map(line => line.replace(/ must be one of: .*/, ' must be one of: ...')), [
+      'login.yaml:5:15 scenario.actions[0].testType must be one of: ...',
+      'login.yaml:6:5 scenario.actions[1] is missing required property "url"',
+      'login.yaml:8:19 scenario.actions[2].milliseconds must be number, got string'
+    ]);
+    return true;
+  });
+});
+
+test('YAML and JSON syntax errors report where the parser stopped', () => {
+  assert.throws(
+    () => parseScenario('name: Login\nactions:\n  - type: navigate\n  url: /\n', 'indent.yaml'),
+    /^ScenarioValidationError: indent\.yaml:4:1 All mapping items must start at the same column$/
+  );
+  assert.throws(
+    () => parseScenario('{\n  "name": "Login",\n  "actions": [\n    { "type": "navigate" "url": "/" }\n  ]\n}\n', 'login.json'),
+    /^ScenarioValidationError: login\.json:4:26 Unexpected double-quoted-scalar token/
+  );
+  assert.throws(() => parseScenario('', 'empty.yaml'), /empty\.yaml:1:1 scenario file is empty/);
+});
+
+test('schema errors in JSON point at the offending line and column', () => {
+  assert.throws(() => parseScenario([
+    '{',
+    '  "name": "Login",',
+    '  "actions": [',
+    '    { "type": "navigate", "url": 5 },',
+    '    { "type": "teleport" }',
+    '  ],',
+    '  "retries": 2',
+    '}'
+  ].join('\n'), 'login.json'), error => {
+    assert.deepStrictEqual(error.errors.map(({ line, column }) => `${line}:${column}`), ['4:34', '5:15', '7:3']);
+    assert.match(error.errors[0].message, /^scenario\.actions\[0\]\.url must be string, got number$/);
+    assert.match(error.errors[1].message, /^scenario\.actions\[1\]\.type must be one of: navigate, /);
+    assert.match(error.errors[2].message, /^scenario has unknown property "retries"$/);
+    return true;
+  });
+});
+
+test('relative URLs resolve against the scenario or configured baseUrl, and fail without one', async () => {
+  definePage({ name: 'CartPage', path: '/cart' });
+  const scenario = parseScenario([
+    'name: Cart',
+    'actions:',
+    '  - { type: navigate, url: https://shop.test/ }',
+    '  - { type: open, page: CartPage }'
+  ].join('\n'), 'cart.yaml');
+
+  assert.deepStrictEqual(resolveActions({ ...scenario, baseUrl: 'https://staging.shop.test/' })[1], { type: 'navigate', url: 'https://staging.shop.test/cart' });
+  // The agent prefixes its own baseUrl
+  assert.deepStrictEqual(resolveActions(scenario, { baseUrl: 'https://shop.test' }), scenario.actions);
+  assert.throws(() => resolveActions(scenario), /^Error: Scenario Cart: relative URL \/cart needs a baseUrl \(set one in the scenario or pass --base-url\)$/);
+  assert.throws(() => resolveActions(parseScenario(VALID, 'home.yaml')), /relative URL \/ needs a baseUrl/);
+
+  const agent = new PlaywrightAgent({ performance: false });
+  await assert.rejects(agent.navigateTo('/cart'), /^Error: Relative URL \/cart needs a baseUrl$/);
+});
+
+test('findScenarioFiles() expands directories and globs into a sorted list', () => {
+  const dir = scenarioDir({
+    'login.yaml': VALID,
+    'checkout/cart.yml': VALID,
+    'checkout/pay.json': '{}',
+    'checkout/notes.md': '# not a scenario',
+    'fixtures/users.csv': 'user\nada\n'
+  });
+  const relative = files => files.map(file => path.relative(dir, file).split(path.sep).join('/'));
+
+  assert.deepStrictEqual(relative(findScenarioFiles([dir])), ['checkout/cart.yml', 'checkout/pay.json', 'login.yaml']);
+  assert.deepStrictEqual(relative(findScenarioFiles([path.join(dir, 'checkout', '*.y*ml'), path.join(dir, '**', 'cart.yml')])), ['checkout/cart.yml']);
+  // Explicit files are kept even when missing, so the CLI can report them
+  assert.deepStrictEqual(relative(findScenarioFiles([path.join(dir, 'gone.yaml'), path.join(dir, 'login.yaml')])), ['gone.yaml', 'login.yaml']);
+  assert.deepStrictEqual(findScenarioFiles([path.join(dir, 'nowhere', '*.yaml')]), []);
+});
+
+test('ui-agent validate exits 0 for valid files and 2 for invalid files or usage errors', () => {
+  const dir = scenarioDir({
+    'home.yaml': VALID,
+    'broken/login.yaml': 'name: Login\nactions:\n  - { type: navigate }\n'
+  });
+
+  const valid = validate(['home.yaml'], dir);
+  assert.strictEqual(valid.status, 0, valid.stderr);
+  assert.match(valid.stdout, /1 scenario file\(s\) valid/);
+
+  const invalid = validate(['.'], dir);
+  assert.strictEqual(invalid.status, 2);
+  assert.match(invalid.stderr, /broken\/login\.yaml:3:5 scenario\.actions\[0\] is missing required property "url"/);
+
+  const missing = validate(['gone.yaml'], dir);
+  assert.strictEqual(missing.status, 2);
+  assert.match(missing.stderr, /File not found: .*gone\.yaml/);
+
+  const unmatched = validate(['nowhere/*.yaml'], dir);
+  assert.strictEqual(unmatched.status, 2);
+  assert.match(unmatched.stderr, /No scenario files matched: nowhere\/\*\.yaml/);
+
+  const usage = spawnSync(process.execPath, [CLI, 'frobnicate'], { cwd: dir, encoding: 'utf8', timeout: 30000 });
+  assert.strictEqual(usage.status, 2);
+  assert.match(usage.stderr, /Unknown command: frobnicate/);
+});
@@ -0,0 +1,126 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const UITestingAgent = require('../testing-agent-playwright');
+const { fromPlaywright } = require('../lib/results');
+const { renderHtmlReport } = require('../lib/html-report');
+const { validateTraceMode, shouldKeepTrace, artifactName, captureSurroundings } = require('../lib/tracing');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'tracing-'));
+}
+
+// Agent with a fake context whose tracing calls are recorded
+function fakeAgent(outputDir, trace, page = {}) {
+  const calls = [];
+  const agent = new UITestingAgent({ outputDir, trace, performance: false });
+  agent.target = { id: 'chromium-desktop', browserName: 'chromium', deviceName: 'desktop' };
+  agent.context = {
+    tracing: {
+      startChunk: async () => calls.push(['startChunk']),
+      stopChunk: async options => calls.push(['stopChunk', options && options.path])
+    }
+  };
+  agent.page = page;
+  return { agent, calls };
+}
+
+test('validateTraceMode() and shouldKeepTrace() follow the three modes', () => {
+  assert.strictEqual(validateTraceMode('retain-on-failure'), 'retain-on-failure');
+  assert.throws(() => validateTraceMode('always'), /Unknown trace mode: always \(expected one of: off, on, retain-on-failure\)/);
+  assert.strictEqual(shouldKeepTrace('on', true), true);
+  assert.strictEqual(shouldKeepTrace('retain-on-failure', true), false);
+  assert.strictEqual(shouldKeepTrace('retain-on-failure', false), true);
+  assert.strictEqual(shouldKeepTrace('off', false), false);
+});
+
+test('artifactName() numbers tests and keeps names file-system safe', () => {
+  assert.strictEqual(artifactName(4, 'LoginPage.submit'), '004-LoginPage-submit');
+  assert.strictEqual(artifactName(12, 'button[type="submit"]'), '012-button-type-submit');
+  assert.strictEqual(artifactName(0, '>>>'), '000-test');
+});
+
+test('captureSurroundings() returns the parent HTML, truncated', () => {
+  const body = { outerHTML: '<body><form><input></form></body>' };
+  const form = { outerHTML: '<form><input id="email"><button>Go</button></form>', parentElement: body };
+  const input = { outerHTML: '<input id="email">', parentElement: form };
+  global.document = { body };
+  try {
+    assert.strictEqual(captureSurroundings(input, 1000), form.outerHTML);
+    assert.strictEqual(captureSurroundings(body, 1000), body.outerHTML);
+    assert.strictEqual(captureSurroundings(input, 6), '<form>\n<!-- truncated -->');
+  } finally {
+    delete global.document;
+  }
+});
+
+test('saveTrace() keeps chunks per mode and starts the next one', async () => {
+  const dir = tempDir();
+  try {
+    const { agent, calls } = fakeAgent(dir, 'retain-on-failure');
+    assert.strictEqual(await agent.saveTrace('000-h1', true), null);
+    const tracePath = await agent.saveTrace('001-h2', false);
+
+    assert.strictEqual(tracePath, path.join(dir, 'traces', 'chromium-desktop', '001-h2.zip'));
+    assert.deepStrictEqual(calls, [['stopChunk', undefined], ['startChunk'], ['stopChunk', tracePath], ['startChunk']]);
+
+    const off = fakeAgent(dir, 'off');
+    assert.strictEqual(await off.agent.saveTrace('000-h1', false), null);
+    assert.deepStrictEqual(off.calls, []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('captureFailure() saves a screenshot and the DOM around the selector', async () => {
+  const dir = tempDir();
+  try {
+    const { agent } = fakeAgent(dir, 'off', {
+      screenshot: async ({ path: screenshotPath }) => fs.writeFileSync(screenshotPath, 'png'),
+      locator: selector => ({
+        first: () => ({
+          evaluate: async () => {
+            if (selector === '#missing') {
+              throw new Error('Timeout 1000ms exceeded');
+            }
+            return '<form><button id="go">Go</button></form>';
+          }
+        })
+      }),
+      evaluate: async () => '<body>fallback</body>'
+    });
+
+    const failure = await agent.captureFailure('002-go', '#go');
+    assert.strictEqual(failure.failureScreenshot, path.join(dir, 'failures', 'chromium-desktop', '002-go.png'));
+    assert.strictEqual(fs.readFileSync(failure.domSnapshot, 'utf8'), '<form><button id="go">Go</button></form>');
+
+    const missing = await agent.captureFailure('003-missing', '#missing');
+    assert.strictEqual(fs.readFileSync(missing.domSnapshot, 'utf8'), '<body>fallback</body>');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('failure artifacts and traces become attachments linked from the report', () => {
+  const run = fromPlaywright([{
+    selector: '#go',
+    testType: 'visible',
+    passed: false,
+    error: 'Element is hidden',
+    failureScreenshot: '/out/failures/chromium-desktop/002-go.png',
+    domSnapshot: '/out/failures/chromium-desktop/002-go.html',
+    trace: '/out/traces/chromium-desktop/002-go.zip',
+    suite: 'Login',
+    browser: 'chromium',
+    device: 'desktop'
+  }]);
+  const [attachment, snapshot, trace] = run.suites[0].tests[0].attachments;
+
+  assert.deepStrictEqual([attachment.name, snapshot.contentType, trace.contentType], ['failure screenshot', 'text/html', 'application/zip']);
+
+  const html = renderHtmlReport(run, { reportDir: '/out' });
+  assert.match(html, /<a href="failures\/chromium-desktop\/002-go\.html" target="_blank">DOM snapshot<\/a>/);
+  assert.match(html, /<a href="traces\/chromium-desktop\/002-go\.zip">trace<\/a> &ndash; <code>npx playwright show-trace \/out\/traces\/chromium-desktop\/002-go\.zip<\/code>/);
+});
@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { PNG } = require('pngjs');
+const { compareImages, checkBaseline } = require('../lib/visual-regression');
+
+const WHITE = [255, 255, 255, 255];
+const BLACK = [0, 0, 0, 255];
+
+// PNG buffer whose pixels come from paint(x, y) -> [r, g, b, a]
+function image(width, height, paint = () => WHITE) {
+  const png = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      png.data.set(paint(x, y), (width * y + x) << 2);
+    }
+  }
+  return PNG.sync.write(png);
+}
+
+const blank = image(10, 10);
+// A 3x2 black block at (2, 2) on white: 6 of 100 pixels differ from blank
+const block = image(10, 10, (x, y) => (x >= 2 && x < 5 && y >= 2 && y < 4 ? BLACK : WHITE));
+// The left half a shade off white, below the default threshold
+const faint = image(10, 10, x => (x < 5 ? [250, 250, 250, 255] : WHITE));
+
+test('compareImages() counts differing pixels and draws a diff', () => {
+  assert.strictEqual(compareImages(blank, blank).diffPixels, 0);
+
+  const result = compareImages(blank, block);
+  assert.strictEqual(result.sizeMismatch, false);
+  assert.strictEqual(result.diffPixels, 6);
+  assert.strictEqual(result.diffPercentage, 6);
+
+  const diff = PNG.sync.read(result.diffBuffer);
+  assert.deepStrictEqual([diff.width, diff.height], [10, 10]);
+});
+
+test('compareImages() applies the colour threshold', () => {
+  assert.strictEqual(compareImages(blank, faint).diffPixels, 0);
+  assert.strictEqual(compareImages(blank, faint, { threshold: 0 }).diffPixels, 50);
+});
+
+test('compareImages() masks ignoreRegions in both images', () => {
+  assert.strictEqual(compareImages(blank, block, { ignoreRegions: [{ x: 2, y: 2, width: 3, height: 2 }] }).diffPixels, 0);
+  // Only the covered part of the change is ignored
+  assert.strictEqual(compareImages(blank, block, { ignoreRegions: [{ x: 2, y: 2, width: 2, height: 2 }] }).diffPixels, 2);
+  // Regions reaching past the edge are clipped
+  assert.strictEqual(compareImages(blank, block, { ignoreRegions: [{ x: -5, y: -5, width: 100, height: 100 }] }).diffPixels, 0);
+});
+
+test('compareImages() never matches images of different sizes', () => {
+  assert.deepStrictEqual(compareImages(blank, image(10, 12)), {
+    sizeMismatch: true,
+    diffPixels: null,
+    diffPercentage: 100,
+    diffBuffer: null,
+    error: 'Image size differs: baseline 10x10, actual 10x12'
+  });
+});
+
+test('checkBaseline() records, compares and updates baselines', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'visual-'));
+  const files = {
+    screenshotPath: path.join(dir, 'home.png'),
+    baselinePath: path.join(dir, 'baselines', 'home.png'),
+    diffPath: path.join(dir, 'home-diff.png')
+  };
+
+  // First run: the screenshot becomes the baseline
+  fs.writeFileSync(files.screenshotPath, blank);
+  assert.deepStrictEqual(checkBaseline(files), { status: 'recorded', passed: true, diffPixels: 0, diffPercentage: 0, diffPath: null });
+  assert.deepStrictEqual(fs.readFileSync(files.baselinePath), blank);
+
+  // A change fails the comparison and leaves a diff image
+  fs.writeFileSync(files.screenshotPath, block);
+  const failed = checkBaseline(files);
+  assert.deepStrictEqual([failed.status, failed.passed, failed.diffPixels, failed.diffPath], ['compared', false, 6, files.diffPath]);
+  assert.ok(fs.existsSync(files.diffPath));
+
+  // ...unless it stays within maxDiffPercentage or is masked
+  assert.strictEqual(checkBaseline({ ...files, maxDiffPercentage: 6 }).passed, true);
+  assert.strictEqual(checkBaseline({ ...files, maxDiffPercentage: 5 }).passed, false);
+  assert.strictEqual(checkBaseline({ ...files, ignoreRegions: [{ x: 2, y: 2, width: 3, height: 2 }] }).passed, true);
+
+  // Update mode replaces the baseline, which later runs then match
+  assert.strictEqual(checkBaseline({ ...files, update: true }).status, 'updated');
+  assert.deepStrictEqual(fs.readFileSync(files.baselinePath), block);
+  const compared = checkBaseline(files);
+  assert.deepStrictEqual([compared.status, compared.passed, compared.diffPixels], ['compared', true, 0]);
+
+  // A different size fails without a diff image
+  fs.writeFileSync(files.screenshotPath, image(12, 10));
+  const resized = checkBaseline(files);
+  assert.deepStrictEqual([resized.passed, resized.diffPath], [false, null]);
+  assert.match(resized.error, /Image size differs: baseline 10x10, actual 12x10/);
+});
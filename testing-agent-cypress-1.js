@@ -1,7 +1,14 @@
 // cypress-test-generator.js
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const cypress = require('cypress');
+const { literal } = require('./lib/codegen');
+const { DEFAULT_SEED, FIELD_SELECTOR, formFillerSource } = require('./lib/form-filler');
+const { cypressQuery } = require('./lib/locators');
+const { fromCypressRun } = require('./lib/results');
+const { writeReports } = require('./lib/reporters');
+const { renderHtmlReport } = require('./lib/html-report');
+const { recordRun } = require('./lib/history');
 
 /**
  * UI Testing Agent with Cypress
@@ -17,12 +24,24 @@ class CypressTestAgent {
     this.baseUrl = config.baseUrl || 'http://localhost:3000';
     this.testsDir = config.testsDir || './cypress/e2e/auto-generated';
     this.screenshotsDir = config.screenshotsDir || './cypress/screenshots';
+    this.reportDir = config.reportDir || './cypress/reports';
+    // Extra report formats ('junit', 'tap', 'ctrf', 'github', 'markdown'), see lib/reporters
+    this.reporters = config.reporters || [];
+    // Every run is appended to <reportDir>/history.jsonl ({ path, limit }, or false)
+    this.history = config.history ?? {};
+    this.specFiles = [];
+    this.testResults = null;
     this.viewports = config.viewports || [
       { width: 1920, height: 1080, name: 'desktop' },
       { width: 768, height: 1024, name: 'tablet' },
       { width: 375, height: 667, name: 'mobile' }
     ];
-    this.routes = config.routes || ['/'];
+    // Routes can come from a crawler inventory (routes.json) instead of a hand-maintained list
+    this.routes = config.routes ||
+      (config.routeInventory ? this.loadRouteInventory(config.routeInventory) : ['/']);
+    // Seed for the form values the generated form tests type
+    this.seed = config.seed ?? DEFAULT_SEED;
+    // CSS or locator strings such as 'role=button' (see lib/locators)
     this.selectors = config.selectors || {
       clickable: 'a, button, [role="button"]',
       input: 'input, textarea, select',
@@ -43,11 +62,20 @@ class CypressTestAgent {
     }
   }
 
+  /**
+   * Read the routes from a route inventory written by the Playwright agent's crawl()
+   */
+  loadRouteInventory(inventoryPath) {
+    const inventory = JSON.parse(fs.readFileSync(inventoryPath, 'utf8'));
+    return inventory.routes;
+  }
+
   /**
    * Generate tests for all configured routes
    */
   generateTests() {
     console.log('Generating tests for routes:', this.routes);
+    this.specFiles = [];
     
     this.routes.forEach(route => {
       const routeName = route === '/' ? 'home' : route.replace(/\//g, '_').slice(1);
@@ -58,6 +86,7 @@ class CypressTestAgent {
       
       // Write test file
       fs.writeFileSync(testFilePath, testContent);
+      this.specFiles.push(testFilePath);
       console.log(`Generated test for ${route} at ${testFilePath}`);
     });
   }
@@ -66,23 +95,34 @@ class CypressTestAgent {
    * Generate test content for a specific route
    */
   generateTestContent(route, routeName) {
-    return `
-// Auto-generated test for ${route}
-describe('${routeName} page tests', () => {
-  const viewports = ${JSON.stringify(this.viewports)};
+    // Values are declared once as literals so quotes in routes can't break the spec;
+    // selectors compile to query chains (lib/locators)
+    const query = name => cypressQuery(this.selectors[name]);
+
+    return `// Auto-generated test for ${route.replace(/[\r\n\u2028\u2029]+/g, ' ')}
+const route = ${literal(route)};
+const routeName = ${literal(routeName)};
+const pageUrl = ${literal(`${this.baseUrl}${route}`)};
+const seed = ${literal(this.seed)};
+
+// Seeded form values, see lib/form-filler
+const formFiller = ${formFillerSource()};
+
+describe(\`\${routeName} page tests\`, () => {
+  const viewports = ${literal(this.viewports)};
   
   viewports.forEach(viewport => {
     context(\`Testing on \${viewport.name} (\${viewport.width}x\${viewport.height})\`, () => {
       beforeEach(() => {
         cy.viewport(viewport.width, viewport.height);
-        cy.visit('${this.baseUrl}${route}');
+        cy.visit(pageUrl);
         cy.wait(1000); // Allow page to fully load
       });
       
       it('should load the page correctly', () => {
-        cy.url().should('include', '${route}');
+        cy.url().should('include', route);
         cy.document().its('readyState').should('eq', 'complete');
-        cy.screenshot(\`${routeName}-\${viewport.name}-page-loaded\`);
+        cy.screenshot(\`\${routeName}-\${viewport.name}-page-loaded\`);
       });
       
       it('should have no accessibility violations', () => {
@@ -91,7 +131,7 @@ describe('${routeName} page tests', () => {
       });
       
       it('should test all clickable elements', () => {
-        cy.get('${this.selectors.clickable}').each(($el, index) => {
+        ${query('clickable')}.each(($el, index) => {
           if ($el.is('a') && ($el.attr('href')?.startsWith('http') || $el.attr('target') === '_blank')) {
             // Skip external links and new tabs
             return;
@@ -100,17 +140,17 @@ describe('${routeName} page tests', () => {
           // Take screenshot before clicking
           cy.wrap($el).scrollIntoView()
             .should('be.visible')
-            .screenshot(\`${routeName}-\${viewport.name}-element-\${index}-before-click\`);
+            .screenshot(\`\${routeName}-\${viewport.name}-element-\${index}-before-click\`);
           
           // Attempt click if not an external link
           try {
             cy.wrap($el).click({ force: false });
             cy.wait(500);
-            cy.screenshot(\`${routeName}-\${viewport.name}-element-\${index}-after-click\`);
+            cy.screenshot(\`\${routeName}-\${viewport.name}-element-\${index}-after-click\`);
             
             // Go back if navigation occurred
             cy.url().then(url => {
-              if (!url.includes('${route}')) {
+              if (!url.includes(route)) {
                 cy.go('back');
                 cy.wait(500);
               }
@@ -122,32 +162,49 @@ describe('${routeName} page tests', () => {
       });
       
       it('should test form interactions if forms exist', () => {
-        cy.get('${this.selectors.form}').each(($form, formIndex) => {
+        ${query('form')}.each(($form, formIndex) => {
+          // Valid values for each field's type and constraints, the same for every run
+          const fields = Array.from($form[0].querySelectorAll(${literal(FIELD_SELECTOR)}));
+          const plan = formFiller.planFormFill(formFiller.describeFormFields($form[0]), { seed });
+
           // Fill all inputs in the form
           cy.wrap($form).within(() => {
-            cy.get('${this.selectors.input}').each(($input, inputIndex) => {
+            ${query('input')}.each(($input, inputIndex) => {
               const inputType = $input.attr('type');
               const inputName = $input.attr('name') || $input.attr('id') || \`input-\${inputIndex}\`;
+              // No step for disabled or read-only fields and the radios not picked
+              const step = plan.find(candidate => fields[candidate.index] === $input[0]);
               
               cy.wrap($input).scrollIntoView();
               
-              if (inputType === 'checkbox' || inputType === 'radio') {
-                cy.wrap($input).check({ force: true }).screenshot(\`${routeName}-\${viewport.name}-form-\${formIndex}-\${inputName}-checked\`);
-              } else if (inputType === 'file') {
-                // Skip file inputs
-              } else if ($input.is('select')) {
-                cy.wrap($input).select(1).screenshot(\`${routeName}-\${viewport.name}-form-\${formIndex}-\${inputName}-selected\`);
+              if (inputType === 'file') {
+                // Generated in memory, so no fixture file is needed
+                cy.wrap($input)
+                  .selectFile({ contents: Cypress.Buffer.from('Test file'), fileName: 'test-file.txt' }, { force: true })
+                  .screenshot(\`\${routeName}-\${viewport.name}-form-\${formIndex}-\${inputName}-uploaded\`);
+              } else if (!step) {
+                return;
+              } else if (step.action === 'check' || step.action === 'uncheck') {
+                cy.wrap($input)[step.action]({ force: true }).screenshot(\`\${routeName}-\${viewport.name}-form-\${formIndex}-\${inputName}-\${step.action}ed\`);
+              } else if (step.action === 'select') {
+                cy.wrap($input).select(step.value, { force: true }).screenshot(\`\${routeName}-\${viewport.name}-form-\${formIndex}-\${inputName}-selected\`);
+              } else if (step.type === 'range' || step.type === 'color') {
+                cy.wrap($input)
+                  .invoke('val', step.value)
+                  .trigger('input', { force: true })
+                  .trigger('change', { force: true })
+                  .screenshot(\`\${routeName}-\${viewport.name}-form-\${formIndex}-\${inputName}-filled\`);
               } else {
                 cy.wrap($input)
                   .clear({ force: true })
-                  .type('Test input', { force: true })
-                  .screenshot(\`${routeName}-\${viewport.name}-form-\${formIndex}-\${inputName}-filled\`);
+                  .type(step.value, { force: true, parseSpecialCharSequences: false })
+                  .screenshot(\`\${routeName}-\${viewport.name}-form-\${formIndex}-\${inputName}-filled\`);
               }
             });
           });
           
           // Take screenshot of completed form
-          cy.wrap($form).scrollIntoView().screenshot(\`${routeName}-\${viewport.name}-form-\${formIndex}-filled\`);
+          cy.wrap($form).scrollIntoView().screenshot(\`\${routeName}-\${viewport.name}-form-\${formIndex}-filled\`);
           
           // Don't submit the form - just test filling it
         });
@@ -159,179 +216,72 @@ describe('${routeName} page tests', () => {
   }
 
   /**
-   * Run all generated tests
+   * Run the generated specs. Resolves with whether every test passed.
    */
-  runTests() {
-    try {
-      console.log('Running Cypress tests...');
-      execSync('npx cypress run', { stdio: 'inherit' });
-      console.log('Tests completed successfully');
-      return true;
-    } catch (error) {
-      console.error('Error running tests:', error.message);
+  async runTests() {
+    console.log('Running Cypress tests...');
+    const results = await cypress.run({ spec: this.specFiles });
+
+    // cypress.run resolves with { status: 'failed' } when Cypress itself could not run
+    if (results.status === 'failed') {
+      console.error('Error running tests:', results.message);
       return false;
     }
+
+    this.testResults = results;
+    console.log(`Tests completed: ${results.totalPassed}/${results.totalTests} passed`);
+    return results.totalFailed === 0;
   }
 
   /**
-   * Generate a report from test results
+   * Generate a report from the cypress.run() results
    */
   generateReport() {
     console.log('Generating test report...');
-    
-    // Count screenshots to determine test coverage
-    const screenshotFiles = this.getAllFiles(this.screenshotsDir)
-      .filter(file => file.endsWith('.png'));
-    
-    // Group screenshots by route and viewport
-    const reportData = {};
-    
-    screenshotFiles.forEach(file => {
-      const filename = path.basename(file, '.png');
-      const parts = filename.split('-');
-      
-      if (parts.length >= 2) {
-        const route = parts[0];
-        const viewport = parts[1];
-        
-        if (!reportData[route]) {
-          reportData[route] = {};
-        }
-        
-        if (!reportData[route][viewport]) {
-          reportData[route][viewport] = [];
-        }
-        
-        reportData[route][viewport].push(file);
-      }
-    });
-    
-    // Generate HTML report
-    const reportHtml = this.generateHtmlReport(reportData);
-    const reportPath = path.join('./cypress/reports', 'ui-test-report.html');
-    
-    // Ensure reports directory exists
-    if (!fs.existsSync('./cypress/reports')) {
-      fs.mkdirSync('./cypress/reports', { recursive: true });
-    }
-    
-    fs.writeFileSync(reportPath, reportHtml);
+    fs.mkdirSync(this.reportDir, { recursive: true });
+
+    const run = fromCypressRun(this.testResults);
+    const reportPath = path.join(this.reportDir, 'ui-test-report.html');
+    fs.writeFileSync(reportPath, renderHtmlReport(run, {
+      title: 'UI Testing Report',
+      reportDir: this.reportDir
+    }));
     console.log(`Report generated at ${reportPath}`);
-    
+
+    recordRun(run, this.reportDir, this.history);
+    writeReports(run, this.reporters, this.reportDir);
     return reportPath;
   }
   
-  /**
-   * Generate HTML report from test data
-   */
-  generateHtmlReport(reportData) {
-    let html = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>UI Test Report</title>
-      <style>
-        body { font-family: Arial, sans-serif; margin: 20px; }
-        h1, h2, h3 { color: #333; }
-        .route-section { margin-bottom: 30px; border: 1px solid #ddd; padding: 20px; border-radius: 5px; }
-        .viewport-section { margin-bottom: 20px; }
-        .screenshot { margin-bottom: 10px; }
-        .screenshot img { max-width: 300px; border: 1px solid #ccc; }
-        .summary { background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin-bottom: 30px; }
-      </style>
-    </head>
-    <body>
-      <h1>UI Testing Report</h1>
-      <div class="summary">
-        <h2>Test Summary</h2>
-        <p>Routes tested: ${Object.keys(reportData).length}</p>
-        <p>Viewports tested: ${this.viewports.length}</p>
-        <p>Total screenshots: ${this.getAllFiles(this.screenshotsDir).filter(file => file.endsWith('.png')).length}</p>
-        <p>Generated: ${new Date().toLocaleString()}</p>
-      </div>
-    `;
-    
-    // Add route sections
-    for (const route in reportData) {
-      html += `<div class="route-section">
-        <h2>Route: ${route}</h2>`;
-      
-      // Add viewport sections for this route
-      for (const viewport in reportData[route]) {
-        html += `<div class="viewport-section">
-          <h3>Viewport: ${viewport}</h3>
-          <p>Screenshots: ${reportData[route][viewport].length}</p>
-        `;
-        
-        // List screenshots 
-        reportData[route][viewport].forEach(screenshotPath => {
-          const relativePath = screenshotPath.replace(process.cwd(), '').replace(/\\/g, '/');
-          const filename = path.basename(screenshotPath);
-          
-          html += `<div class="screenshot">
-            <p>${filename}</p>
-            <img src=".${relativePath}" alt="${filename}" />
-          </div>`;
-        });
-        
-        html += `</div>`;
-      }
-      
-      html += `</div>`;
-    }
-    
-    html += `
-    </body>
-    </html>`;
-    
-    return html;
-  }
-  
-  /**
-   * Helper function to recursively get all files in a directory
-   */
-  getAllFiles(dir, fileList = []) {
-    const files = fs.readdirSync(dir);
-    
-    files.forEach(file => {
-      const filePath = path.join(dir, file);
-      
-      if (fs.statSync(filePath).isDirectory()) {
-        this.getAllFiles(filePath, fileList);
-      } else {
-        fileList.push(filePath);
-      }
-    });
-    
-    return fileList;
-  }
-  
   /**
    * Run the complete testing workflow
    */
-  runTestWorkflow() {
+  async runTestWorkflow() {
     console.log('Starting UI testing workflow');
     this.generateTests();
-    const success = this.runTests();
+    const success = await this.runTests();
     
-    if (success) {
+    if (this.testResults) {
       const reportPath = this.generateReport();
-      console.log(`Test workflow completed. Report available at: ${reportPath}`);
+      console.log(`Test workflow completed${success ? '' : ' with failures'}. Report available at: ${reportPath}`);
     } else {
       console.log('Test workflow completed with errors');
     }
+    return success;
   }
 }
 
 module.exports = CypressTestAgent;
 
-// Example usage
-const testAgent = new CypressTestAgent({
-  baseUrl: 'https://example.com',
-  routes: ['/', '/about', '/contact'],
-  viewports: [
-    { width: 1920, height: 1080, name: 'desktop' },
-    { width: 375, height: 667, name: 'mobile' }
-  ]
-});
-testAgent.runTestWorkflow();
\ No newline at end of file
+// Example usage (runs when executed directly)
+if (require.main === module) {
+  const testAgent = new CypressTestAgent({
+    baseUrl: 'https://example.com',
+    routes: ['/', '/about', '/contact'],
+    viewports: [
+      { width: 1920, height: 1080, name: 'desktop' },
+      { width: 375, height: 667, name: 'mobile' }
+    ]
+  });
+  testAgent.runTestWorkflow().catch(console.error);
+}
\ No newline at end of file
@@ -4,6 +4,27 @@ const cypress = require('cypress');
 const fs = require('fs');
 const path = require('path');
 const { exec } = require('child_process');
+const { compileAssertion } = require('./lib/assertions');
+const { literal, call, indent, renderSpec, specFileName } = require('./lib/codegen');
+const { getPage, resolveLocator, expandPageAction } = require('./lib/page-objects');
+const { cypressQuery, scopeToFrames } = require('./lib/locators');
+const {
+  DEFAULT_FIXTURES_DIR,
+  DEFAULT_DIALOG_POLICY,
+  cypressKeySequence,
+  fixturePaths,
+  cypressScroll,
+  cypressDragAndDrop,
+  cypressPopup,
+  cypressDialogHandling
+} = require('./lib/interactions');
+const { DEFAULT_SEED, FIELD_SELECTOR, formFillerSource } = require('./lib/form-filler');
+const { toDataset, interpolate, rowTitle, rowData } = require('./lib/datasets');
+const { collectPerformanceMetrics, validateBudget, budgetFor } = require('./lib/performance');
+const { fromCypressRun } = require('./lib/results');
+const { resolveReporter, writeReports } = require('./lib/reporters');
+const { renderHtmlReport } = require('./lib/html-report');
+const { recordRun } = require('./lib/history');
 
 class UITestingAgent {
   constructor(config) {
@@ -11,6 +32,36 @@ class UITestingAgent {
     this.outputDir = config.outputDir || './cypress/results';
     this.testResults = [];
     this.specFiles = [];
+    // Dataset row of each generated data-driven test, keyed '<suite>\u0000<test title>' like fromCypressRun()
+    this.dataRows = new Map();
+
+    // Cypress retries whole tests, so `retries` applies per test rather than per assertion
+    this.timeout = config.timeout;
+    this.retries = config.retries || 0;
+
+    // Screenshots, videos and downloads go here instead of the project's cypress/ folders,
+    // so concurrent runs don't trash each other's assets
+    this.assetsDir = config.assetsDir || null;
+
+    // Upload fixtures, and the iframes entered with switchFrame while generating
+    // a spec (outermost first; one list per open popup)
+    this.fixturesDir = config.fixturesDir || DEFAULT_FIXTURES_DIR;
+    this.frames = [];
+    this.openers = [];
+
+    // Default seed for generated form values; the spec computes the same values as the Playwright agent
+    this.seed = config.seed ?? DEFAULT_SEED;
+
+    // Per-route budgets ({ '**': { lcp: 2500 } }) checked after every cy.visit()
+    this.performanceBudgets = (config.performance && config.performance.budgets) || {};
+
+    // Extra report formats ('junit', 'tap', 'ctrf', 'github', 'markdown'), see lib/reporters
+    this.reporters = config.reporters || [];
+    // Fail on a typo now rather than after the whole run
+    this.reporters.forEach(resolveReporter);
+
+    // Every run is appended to <outputDir>/history.jsonl ({ path, limit }, or false)
+    this.history = config.history ?? {};
   }
 
   async initialize() {
@@ -37,22 +88,23 @@ class UITestingAgent {
     
     // Create cypress.config.js if it doesn't exist
     if (!fs.existsSync('./cypress.config.js')) {
-      const configContent = `
-      const { defineConfig } = require('cypress')
-
-      module.exports = defineConfig({
-        e2e: {
-          baseUrl: '${this.baseUrl}',
-          video: true,
-          screenshotOnRunFailure: true,
-          reporter: 'junit',
-          reporterOptions: {
-            mochaFile: '${this.outputDir}/results-[hash].xml',
-            toConsole: true,
-          },
-        },
-      })
-      `;
+      const configContent = `const { defineConfig } = require('cypress');
+
+module.exports = defineConfig({
+  e2e: {
+    baseUrl: ${literal(this.baseUrl)},
+    video: true,
+    screenshotOnRunFailure: true,
+    defaultCommandTimeout: ${literal(this.timeout || 4000)},
+    retries: ${literal(this.retries)},
+    reporter: 'junit',
+    reporterOptions: {
+      mochaFile: ${literal(`${this.outputDir}/results-[hash].xml`)},
+      toConsole: true,
+    },
+  },
+});
+`;
       
       fs.writeFileSync('./cypress.config.js', configContent);
     }
@@ -60,69 +112,37 @@ class UITestingAgent {
     console.log('Testing agent initialized');
   }
 
+  // Render a spec without writing it; output is deterministic so specs can be committed
+  renderTest(testName, testActions) {
+    return renderSpec({
+      suite: testName,
+      beforeEach: cypressDialogHandling(DEFAULT_DIALOG_POLICY),
+      tests: [{ title: 'performs UI testing', steps: testActions }]
+    });
+  }
+
   async createTest(testName, testActions) {
-    const specFileName = `${testName.replace(/\s+/g, '_').toLowerCase()}.cy.js`;
-    const specFilePath = `./cypress/e2e/${specFileName}`;
-    
-    // Create the Cypress test file
-    const testContent = `
-    describe('${testName}', () => {
-      it('performs UI testing', () => {
-        ${testActions.join('\n        ')}
-      })
-    })
-    `;
+    return this.writeSpec(testName, this.renderTest(testName, testActions));
+  }
+
+  writeSpec(testName, content) {
+    const specFilePath = `./cypress/e2e/${specFileName(testName)}`;
     
-    fs.writeFileSync(specFilePath, testContent);
+    fs.writeFileSync(specFilePath, content);
     this.specFiles.push(specFilePath);
     
     return specFilePath;
   }
 
-  generateElementTest(selector, testType, expectedValue) {
-    let testAction = '';
-    
-    switch (testType) {
-      case 'exists':
-        testAction = `cy.get('${selector}').should('exist')`;
-        break;
-        
-      case 'text':
-        testAction = `cy.get('${selector}').should('have.text', '${expectedValue}')`;
-        break;
-        
-      case 'attribute':
-        const [attrName, attrValue] = expectedValue.split('=');
-        testAction = `cy.get('${selector}').should('have.attr', '${attrName}', '${attrValue}')`;
-        break;
-        
-      case 'clickable':
-        testAction = `cy.get('${selector}').click()`;
-        break;
-        
-      case 'visible':
-        testAction = `cy.get('${selector}').should('be.visible')`;
-        break;
-        
-      case 'count':
-        testAction = `cy.get('${selector}').should('have.length', ${expectedValue})`;
-        break;
-        
-      case 'containsText':
-        testAction = `cy.get('${selector}').should('contain', '${expectedValue}')`;
-        break;
-        
-      case 'cssProperty':
-        const [property, value] = expectedValue.split('=');
-        testAction = `cy.get('${selector}').should('have.css', '${property}', '${value}')`;
-        break;
-        
-      default:
-        throw new Error(`Unknown test type: ${testType}`);
-    }
+  generateElementTest(target, testType, expectedValue, options = {}) {
+    const { selector, label } = resolveLocator(target);
+
+    // Assertion types are shared with the Playwright agent (lib/assertions.js)
+    const testAction = compileAssertion(scopeToFrames(this.frames, selector), testType, expectedValue, options);
     
     this.testResults.push({
       selector,
+      ...(label && { locator: label }),
       testType,
       expected: expectedValue,
       testAction
@@ -131,53 +151,237 @@ class UITestingAgent {
     return testAction;
   }
   
+  // Query chain for a selector, locator string or page object locator inside the current frame
+  query(target, options) {
+    return cypressQuery(scopeToFrames(this.frames, resolveLocator(target).selector), options);
+  }
+
   generateNavigationAction(url) {
-    const fullUrl = url.startsWith('http') ? url : `${this.baseUrl}${url}`;
-    return `cy.visit('${url}')`;
+    return call('cy.visit', url);
   }
   
-  generateFormFillAction(formData) {
-    const actions = [];
-    
-    for (const [selector, value] of Object.entries(formData)) {
-      if (typeof value === 'boolean') {
-        if (value) {
-          actions.push(`cy.get('${selector}').check()`);
-        } else {
-          actions.push(`cy.get('${selector}').uncheck()`);
-        }
-      } else if (selector.includes('select')) {
-        actions.push(`cy.get('${selector}').select('${value}')`);
-      } else {
-        actions.push(`cy.get('${selector}').clear().type('${value}')`);
-      }
+  generateFormFillAction(formData, options = {}) {
+    if (options.form) {
+      return [this.generateFormGeneration(formData, options)];
     }
-    
+    if (!formData) {
+      throw new Error('fillForm needs formData or a form');
+    }
+    if (options.submit === true || options.expectValidation) {
+      throw new Error('fillForm needs a form to submit it or check its validation');
+    }
+
+    const actions = Object.entries(formData).map(([key, value]) => this.generateFieldFill(key, value));
+    if (options.submit) {
+      actions.push(`${this.query(options.submit)}.click()`);
+    }
+
     return actions;
   }
   
+  /**
+   * Fill one field like the Playwright agent's fillField(): booleans check or
+   * uncheck it, and the spec looks at the element to pick the option of a
+   * select, check the radio or checkbox with that value, or type into it.
+   */
+  generateFieldFill(target, value) {
+    const subject = this.query(target);
+    if (typeof value === 'boolean') {
+      return `${subject}.${value ? 'check' : 'uncheck'}()`;
+    }
+
+    const text = value === null || value === undefined ? '' : String(value);
+    const { selector } = resolveLocator(target);
+    const body = [
+      'if ($el.first().is("select")) {',
+      `  cy.wrap($el)${call('.select', text)};`,
+      '} else if ($el.first().is("[type=radio], [type=checkbox]")) {',
+      `  const match = $el.filter((index, element) => element.value === ${literal(text)});`,
+      '  if (match.length === 0) {',
+      `    throw new Error("No " + $el.first().attr("type") + ${literal(` in ${selector} has the value ${text}`)});`,
+      '  }',
+      '  cy.wrap(match.first()).check();',
+      '} else {',
+      // cy.type() rejects empty strings; '{' must not start a special key sequence
+      text === ''
+        ? '  cy.wrap($el).clear();'
+        : `  cy.wrap($el).clear()${call('.type', text, { parseSpecialCharSequences: false })};`,
+      '}'
+    ];
+    return [`${subject}.then($el => {`, indent(body.join('\n')), '})'].join('\n');
+  }
+
+  /**
+   * fillForm with `form`: the spec describes the form's fields at run time and
+   * plans values with the same seeded generator the Playwright agent uses
+   * (lib/form-filler), then fills explicit formData, checks validation and submits.
+   */
+  generateFormGeneration(formData, { form, seed = this.seed, invalid, expectValidation, submit }) {
+    const lines = [
+      `const formFiller = ${formFillerSource()};`,
+      `const plan = formFiller.planFormFill(formFiller.describeFormFields($form[0]), ${literal({ seed, ...(invalid !== undefined && { invalid }) })});`,
+      'plan.forEach(step => {',
+      `  const field = cy.wrap($form).find(${literal(FIELD_SELECTOR)}).eq(step.index);`,
+      '  if (step.action === "check") {',
+      '    field.check();',
+      '  } else if (step.action === "uncheck") {',
+      '    field.uncheck();',
+      '  } else if (step.action === "select") {',
+      '    field.select(step.value);',
+      '  } else if (step.action === "fill" && (step.type === "range" || step.type === "color")) {',
+      "    // type() can't enter these; Playwright's fill() sets their value the same way",
+      '    field.invoke("val", step.value).trigger("input").trigger("change");',
+      '  } else if (step.action === "fill" && step.value === "") {',
+      '    field.clear();',
+      '  } else if (step.action === "fill") {',
+      '    field.clear().type(step.value, { parseSpecialCharSequences: false });',
+      '  }',
+      '});',
+      ...this.generateFormFillAction(formData || {}).map(action => `${action};`)
+    ];
+
+    if (expectValidation) {
+      lines.push(
+        'cy.wrap($form).then(() => {',
+        `  const checks = formFiller.validationChecks(plan, formFiller.validationState($form[0]), ${literal(expectValidation)});`,
+        '  checks.forEach(check => {',
+        '    expect(check.passed, `${check.field}: expected ${check.expected}, got ${check.actual}`).to.equal(true);',
+        '  });',
+        '});'
+      );
+    }
+    if (submit === true) {
+      lines.push('cy.wrap($form).then(() => formFiller.submitForm($form[0]));');
+    } else if (submit) {
+      lines.push(`${this.query(submit)}.click();`);
+    }
+
+    return [`${this.query(form)}.then($form => {`, indent(lines.join('\n')), '})'].join('\n');
+  }
+
+  /**
+   * Budget check using the same in-page metric collection as the Playwright agent.
+   * Metrics the browser doesn't report (null) are skipped.
+   */
+  generatePerformanceCheck(budget) {
+    validateBudget(budget);
+    return [
+      `cy.window().then(win => (${collectPerformanceMetrics})(win)).then(metrics => {`,
+      `  const budget = ${literal(budget)};`,
+      '  Object.entries(budget).forEach(([metric, limit]) => {',
+      '    if (metrics[metric] !== null) {',
+      '      expect(metrics[metric], metric).to.be.at.most(limit);',
+      '    }',
+      '  });',
+      '})'
+    ].join('\n');
+  }
+
   generateScreenshotAction(name) {
-    return `cy.screenshot('${name}')`;
+    return call('cy.screenshot', name);
   }
   
-  async buildTestSuite(suiteName, actions) {
+  generateActions(actions) {
     const testActions = [];
     
     for (const action of actions) {
-      if (action.type === 'navigate') {
-        testActions.push(this.generateNavigationAction(action.url));
+      if (action.type === 'navigate' || action.type === 'open') {
+        const url = action.type === 'open' ? getPage(action.page).path : action.url;
+        const budget = budgetFor(new URL(url, this.baseUrl || 'http://localhost').href, this.performanceBudgets);
+        testActions.push(this.generateNavigationAction(url));
+        if (Object.keys(budget).length > 0) {
+          testActions.push(this.generatePerformanceCheck(budget));
+        }
+      } else if (action.type === 'performanceBudget') {
+        testActions.push(this.generatePerformanceCheck(action.budget));
+      } else if (action.type === 'pageAction') {
+        // Page object actions expand to plain actions at generation time
+        testActions.push(...this.generateActions(expandPageAction(action.page, action.action, action.args)));
       } else if (action.type === 'testElement') {
-        testActions.push(this.generateElementTest(action.selector, action.testType, action.expectedValue));
+        testActions.push(this.generateElementTest(action.selector, action.testType, action.expectedValue, {
+          timeout: action.timeout
+        }));
       } else if (action.type === 'fillForm') {
-        testActions.push(...this.generateFormFillAction(action.formData));
+        const { type, formData, ...options } = action;
+        testActions.push(...this.generateFormFillAction(formData, options));
+      } else if (action.type === 'select') {
+        const option = action.label ?? action.value;
+        if (option === undefined) {
+          throw new Error(`select on ${resolveLocator(action.selector).selector} needs a value or a label`);
+        }
+        // Cypress's select() matches an option's value or its text
+        testActions.push(`${this.query(action.selector)}${call('.select', option)}`);
+      } else if (action.type === 'hover') {
+        // Cypress can't move the real mouse, so CSS :hover rules don't apply
+        testActions.push(`${this.query(action.selector)}.trigger("mouseover").trigger("mouseenter", { bubbles: false })`);
+      } else if (action.type === 'press') {
+        const subject = action.selector ? this.query(action.selector) : 'cy.focused()';
+        testActions.push(`${subject}${call('.type', cypressKeySequence(action.key))}`);
+      } else if (action.type === 'dragAndDrop') {
+        testActions.push(cypressDragAndDrop(this.query(action.source), this.query(action.target)));
+      } else if (action.type === 'upload') {
+        const files = fixturePaths(action.files, this.fixturesDir);
+        testActions.push(`${this.query(action.selector)}${call('.selectFile', files.length === 1 ? files[0] : files)}`);
+      } else if (action.type === 'scroll') {
+        testActions.push(cypressScroll(action, action.selector && this.query(action.selector)));
+      } else if (action.type === 'switchFrame') {
+        this.frames = action.selector ? [...this.frames, action.selector] : [];
+      } else if (action.type === 'popup') {
+        testActions.push(...cypressPopup(this.query(action.selector)));
+        this.openers.push(this.frames);
+        this.frames = [];
+      } else if (action.type === 'closePopup') {
+        if (this.openers.length === 0) {
+          throw new Error('closePopup: no popup is open');
+        }
+        // The popup replaced the opener in the same tab
+        testActions.push('cy.go("back")');
+        this.frames = this.openers.pop();
+      } else if (action.type === 'dialog') {
+        testActions.push(...cypressDialogHandling(action));
       } else if (action.type === 'screenshot') {
         testActions.push(this.generateScreenshotAction(action.name));
       } else if (action.type === 'wait') {
-        testActions.push(`cy.wait(${action.milliseconds})`);
+        testActions.push(call('cy.wait', Number(action.milliseconds)));
+      } else if (['mock', 'unmock', 'expectRequest'].includes(action.type)) {
+        // Skipping these would silently run the spec against the live backend
+        throw new Error(`Action type ${action.type} is only supported by the Playwright agent`);
+      } else {
+        throw new Error(`Unknown action type: ${action.type}`);
       }
     }
     
-    return await this.createTest(suiteName, testActions);
+    return testActions;
+  }
+  
+  /**
+   * Write a spec for the actions. options.data (see the Playwright agent's
+   * runTestSuite()) makes one test per dataset row, titled
+   * 'row 2 (username=ada)', with ${variable} placeholders filled in.
+   */
+  async buildTestSuite(suiteName, actions, options = {}) {
+    if (options.data) {
+      return this.writeSpec(suiteName, this.renderDataDrivenTest(suiteName, actions, toDataset(options.data)));
+    }
+
+    this.frames = [];
+    this.openers = [];
+    return await this.createTest(suiteName, this.generateActions(actions));
+  }
+
+  renderDataDrivenTest(suiteName, actions, dataset) {
+    const tests = dataset.rows.map(row => {
+      const title = rowTitle(row);
+      this.frames = [];
+      this.openers = [];
+      try {
+        this.dataRows.set(`${suiteName}\u0000${title}`, rowData(dataset, row));
+        return { title, steps: this.generateActions(interpolate(actions, row.values)) };
+      } catch (error) {
+        throw new Error(`${suiteName}, ${title}${row.line ? ` (${dataset.file}:${row.line})` : ''}: ${error.message}`);
+      }
+    });
+    return renderSpec({ suite: suiteName, beforeEach: cypressDialogHandling(DEFAULT_DIALOG_POLICY), tests });
   }
   
   async runTests() {
@@ -186,6 +390,15 @@ class UITestingAgent {
         spec: this.specFiles,
         browser: 'chrome',
         headless: process.env.CI ? true : false,
+        config: {
+          retries: this.retries,
+          ...(this.timeout && { defaultCommandTimeout: this.timeout }),
+          ...(this.assetsDir && {
+            screenshotsFolder: path.join(this.assetsDir, 'screenshots'),
+            videosFolder: path.join(this.assetsDir, 'videos'),
+            downloadsFolder: path.join(this.assetsDir, 'downloads')
+          })
+        },
       }).then(results => {
         this.testResults = results;
         resolve(results);
@@ -197,13 +410,7 @@ class UITestingAgent {
   
   async generateAccessibilityTest(testName) {
     // Create a test that uses cypress-axe for accessibility testing
-    const setupAxe = `
-      cy.injectAxe();
-      cy.checkA11y();
-    `;
-    
-    const specFileName = `${testName.replace(/\s+/g, '_').toLowerCase()}_a11y.cy.js`;
-    const specFilePath = `./cypress/e2e/${specFileName}`;
+    const specFilePath = `./cypress/e2e/${specFileName(testName, '_a11y.cy.js')}`;
     
     // Install cypress-axe if not present
     await new Promise((resolve, reject) => {
@@ -233,15 +440,13 @@ class UITestingAgent {
     }
     
     // Create the test file
-    const testContent = `
-    describe('${testName} Accessibility', () => {
-      it('checks accessibility', () => {
-        cy.visit('/');
-        cy.injectAxe();
-        cy.checkA11y();
-      })
-    })
-    `;
+    const testContent = renderSpec({
+      suite: `${testName} Accessibility`,
+      tests: [{
+        title: 'checks accessibility',
+        steps: [call('cy.visit', '/'), 'cy.injectAxe()', 'cy.checkA11y()']
+      }]
+    });
     
     fs.writeFileSync(specFilePath, testContent);
     this.specFiles.push(specFilePath);
@@ -255,95 +460,35 @@ class UITestingAgent {
       return;
     }
     
+    const flakyTests = this.findFlakyTests();
     const reportPath = path.join(this.outputDir, 'report.json');
-    fs.writeFileSync(reportPath, JSON.stringify(this.testResults, null, 2));
+    fs.writeFileSync(reportPath, JSON.stringify({ ...this.testResults, flakyTests }, null, 2));
     
-    // Create HTML report
+    // Videos and screenshots come from the cypress.run() results
+    const run = fromCypressRun(this.testResults, { dataRows: this.dataRows });
     const htmlReportPath = path.join(this.outputDir, 'report.html');
-    const totalTests = this.testResults.totalTests || 0;
-    const passedTests = this.testResults.totalPassed || 0;
-    const failedTests = this.testResults.totalFailed || 0;
-    
-    const htmlReport = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>UI Test Results</title>
-      <style>
-        body { font-family: Arial, sans-serif; margin: 0; padding: 20px; }
-        h1 { color: #333; }
-        .summary { margin-bottom: 20px; }
-        .passed { color: green; }
-        .failed { color: red; }
-        table { border-collapse: collapse; width: 100%; }
-        th, td { text-align: left; padding: 8px; border: 1px solid #ddd; }
-        tr:nth-child(even) { background-color: #f2f2f2; }
-        th { background-color: #4CAF50; color: white; }
-        .test-failed { background-color: #ffdddd; }
-        .video-section { margin-top: 20px; }
-        .screenshot-section { margin-top: 20px; }
-      </style>
-    </head>
-    <body>
-      <h1>UI Test Results</h1>
-      <div class="summary">
-        <p>Passed: <span class="passed">${passedTests}</span> / ${totalTests}</p>
-        <p>Failed: <span class="failed">${failedTests}</span> / ${totalTests}</p>
-        <p>Pass Rate: ${totalTests > 0 ? Math.round((passedTests / totalTests) * 100) : 0}%</p>
-      </div>
-      <table>
-        <tr>
-          <th>Spec File</th>
-          <th>Tests</th>
-          <th>Passes</th>
-          <th>Failures</th>
-          <th>Duration</th>
-        </tr>
-        ${this.testResults.runs?.map(run => `
-          <tr class="${run.stats.failures > 0 ? 'test-failed' : ''}">
-            <td>${run.spec.name}</td>
-            <td>${run.stats.tests}</td>
-            <td>${run.stats.passes}</td>
-            <td>${run.stats.failures}</td>
-            <td>${run.stats.duration / 1000}s</td>
-          </tr>
-        `).join('') || ''}
-      </table>
-      
-      <div class="video-section">
-        <h2>Test Videos</h2>
-        <ul>
-          ${this.testResults.runs?.map(run => {
-            const videoPath = run.video;
-            if (videoPath) {
-              const videoName = path.basename(videoPath);
-              return `<li><a href="./videos/${videoName}">${run.spec.name} Video</a></li>`;
-            }
-            return '';
-          }).join('') || ''}
-        </ul>
-      </div>
-      
-      <div class="screenshot-section">
-        <h2>Test Screenshots</h2>
-        <ul>
-          ${this.testResults.runs?.map(run => {
-            if (run.screenshots && run.screenshots.length > 0) {
-              return run.screenshots.map(screenshot => {
-                const screenshotName = path.basename(screenshot.path);
-                return `<li><a href="./screenshots/${screenshotName}">${screenshot.name}</a></li>`;
-              }).join('');
-            }
-            return '';
-          }).join('') || ''}
-        </ul>
-      </div>
-    </body>
-    </html>
-    `;
-    
-    fs.writeFileSync(htmlReportPath, htmlReport);
+    fs.writeFileSync(htmlReportPath, renderHtmlReport(run, { reportDir: this.outputDir }));
     console.log(`Report generated at ${htmlReportPath}`);
+
+    const historyPage = recordRun(run, this.outputDir, this.history);
+    if (historyPage) {
+      console.log(`Trend page generated at ${historyPage}`);
+    }
+
+    for (const filePath of writeReports(run, this.reporters, this.outputDir)) {
+      console.log(`Report generated at ${filePath}`);
+    }
+  }
+  
+  // Tests that passed only after Cypress retried them
+  findFlakyTests() {
+    return (this.testResults.runs || []).flatMap(run => (run.tests || [])
+      .filter(test => test.state === 'passed' && test.attempts && test.attempts.length > 1)
+      .map(test => ({
+        spec: run.spec.name,
+        title: [].concat(test.title).join(' > '),
+        attempts: test.attempts.length
+      })));
   }
   
   async close() {
@@ -355,12 +500,54 @@ class UITestingAgent {
     return { type: 'navigate', url };
   }
   
-  testElement(selector, testType, expectedValue) {
-    return { type: 'testElement', selector, testType, expectedValue };
+  testElement(selector, testType, expectedValue, options = {}) {
+    return { type: 'testElement', selector, testType, expectedValue, ...options };
   }
   
-  fillForm(formData) {
-    return { type: 'fillForm', formData };
+  // options: { form, seed, invalid, expectValidation, submit }, see the Playwright agent's fillForm()
+  fillForm(formData, options = {}) {
+    return { type: 'fillForm', ...(formData && { formData }), ...options };
+  }
+
+  // `option` is a value, or { label } for the option's visible text
+  selectOption(selector, option) {
+    return { type: 'select', selector, ...(typeof option === 'object' ? option : { value: option }) };
+  }
+
+  hover(selector) {
+    return { type: 'hover', selector };
+  }
+
+  pressKey(key, selector) {
+    return { type: 'press', key, ...(selector && { selector }) };
+  }
+
+  dragAndDrop(source, target) {
+    return { type: 'dragAndDrop', source, target };
+  }
+
+  uploadFiles(selector, files) {
+    return { type: 'upload', selector, files };
+  }
+
+  scroll(options = {}) {
+    return { type: 'scroll', ...options };
+  }
+
+  switchFrame(selector) {
+    return selector ? { type: 'switchFrame', selector } : { type: 'switchFrame' };
+  }
+
+  openPopup(selector) {
+    return { type: 'popup', selector };
+  }
+
+  closePopup() {
+    return { type: 'closePopup' };
+  }
+
+  handleDialogs({ accept, promptText } = {}) {
+    return { type: 'dialog', accept: Boolean(accept), ...(promptText !== undefined && { promptText }) };
   }
   
   captureScreenshot(name) {
@@ -370,6 +557,18 @@ class UITestingAgent {
   wait(milliseconds) {
     return { type: 'wait', milliseconds };
   }
+  
+  checkPerformance(budget) {
+    return { type: 'performanceBudget', budget };
+  }
+  
+  open(page) {
+    return { type: 'open', page: getPage(page).name };
+  }
+  
+  pageAction(page, action, ...args) {
+    return { type: 'pageAction', page: getPage(page).name, action, args };
+  }
 }
 
 module.exports = UITestingAgent;
@@ -405,5 +604,7 @@ async function runExample() {
   }
 }
 
-// Uncomment to run the example
-runExample().catch(console.error);
\ No newline at end of file
+// Run the example when executed directly
+if (require.main === module) {
+  runExample().catch(console.error);
+}
\ No newline at end of file
@@ -1,8 +1,128 @@
 /// UI Testing Agent using Playwright
 
-const { chromium } = require('playwright');
+const playwright = require('playwright');
 const fs = require('fs');
 const path = require('path');
+const { resolveMatrix } = require('./lib/matrix');
+const { checkBaseline } = require('./lib/visual-regression');
+const { evaluateAssertion, DEFAULT_TIMEOUT, DEFAULT_POLL_INTERVAL } = require('./lib/assertions');
+const {
+  AXE_SOURCE_PATH,
+  buildAxeOptions,
+  violationsAtOrAbove,
+  summarizeViolation,
+  pageKey,
+  targetSelector,
+  fingerprintViolations,
+  diffViolations,
+  loadAccessibilityBaseline,
+  saveAccessibilityBaseline
+} = require('./lib/accessibility');
+const { SiteCrawler } = require('./lib/crawler');
+const { getPage, resolveLocator, expandPageAction } = require('./lib/page-objects');
+const { playwrightLocator, scopeToFrames } = require('./lib/locators');
+const { DEFAULT_FIXTURES_DIR, SCROLL_POSITIONS, DEFAULT_DIALOG_POLICY, parseKey, fixturePaths } = require('./lib/interactions');
+const {
+  DEFAULT_SEED,
+  FIELD_SELECTOR,
+  describeFormFields,
+  planFormFill,
+  validationState,
+  validationChecks,
+  submitForm
+} = require('./lib/form-filler');
+const { toDataset, interpolate, rowTitle, rowData } = require('./lib/datasets');
+const {
+  HAR_MODES,
+  urlMatcher,
+  fulfillOptions,
+  abortError,
+  findRequests,
+  countMatches,
+  harPathFor,
+  mergeHar
+} = require('./lib/network');
+const { DEFAULT_DIAGNOSTICS, isError, summarizeDiagnostics } = require('./lib/diagnostics');
+const {
+  collectPerformanceMetrics,
+  validateBudget,
+  budgetFor,
+  checkBudget,
+  formatMetric,
+  appendPerformanceHistory,
+  metricTrend,
+  renderSparkline
+} = require('./lib/performance');
+const {
+  DEFAULT_MAX_AGE,
+  roleType,
+  validateRole,
+  getRole,
+  roleStatePath,
+  isStateFresh,
+  roleContextOptions
+} = require('./lib/auth');
+const { fromPlaywright } = require('./lib/results');
+const { resolveReporter, writeReports } = require('./lib/reporters');
+const { escapeHtml, renderHtmlReport } = require('./lib/html-report');
+const { recordRun } = require('./lib/history');
+const { RECORDER_BINDING, recorderScript, SessionRecorder } = require('./lib/recorder');
+const {
+  MAX_SNAPSHOT_LENGTH,
+  validateTraceMode,
+  shouldKeepTrace,
+  artifactName,
+  captureSurroundings
+} = require('./lib/tracing');
+
+// Actions that record a result themselves instead of a step
+const ASSERTION_ACTIONS = ['testElement', 'performanceBudget', 'expectRequest'];
+
+// Step title for the report timeline, e.g. 'navigate /login'
+function describeAction(action) {
+  switch (action.type) {
+    case 'navigate':
+      return `navigate ${action.url}`;
+    case 'open':
+      return `open ${action.page}`;
+    case 'fillForm':
+      return `fillForm ${[action.form, ...Object.keys(action.formData || {})].filter(Boolean).join(', ')}`;
+    case 'select':
+      return `select ${action.label ?? action.value} in ${action.selector}`;
+    case 'hover':
+    case 'popup':
+      return `${action.type} ${action.selector}`;
+    case 'press':
+      return action.selector ? `press ${action.key} in ${action.selector}` : `press ${action.key}`;
+    case 'dragAndDrop':
+      return `drag ${action.source} to ${action.target}`;
+    case 'upload':
+      return `upload ${[].concat(action.files).join(', ')} to ${action.selector}`;
+    case 'scroll':
+      return `scroll ${action.selector || action.position || `${action.x || 0},${action.y || 0}`}`;
+    case 'switchFrame':
+      return `switchFrame ${action.selector || 'main'}`;
+    case 'dialog':
+      return `dialog ${action.accept ? 'accept' : 'dismiss'}`;
+    case 'screenshot':
+      return `screenshot ${action.name}`;
+    case 'wait':
+      return `wait ${action.milliseconds}ms`;
+    default:
+      return action.url ? `${action.type} ${action.url}` : action.type;
+  }
+}
+
+const PERFORMANCE_COLUMNS = ['ttfb', 'load', 'lcp', 'cls', 'tbt', 'transferSize', 'requestCount'];
+
+// Styles for the sections renderReportSections() adds to the shared report
+const REPORT_STYLES = `
+  .violation { border-left: 4px solid red; padding-left: 10px; margin-bottom: 15px; }
+  .trend { display: inline-block; margin-right: 10px; font-size: 12px; }
+  details.diagnostics { margin-bottom: 10px; }
+  details.diagnostics summary { cursor: pointer; }
+  .allowed { color: #888; }
+`;
 
 class UITestingAgent {
   constructor(config) {
@@ -12,196 +132,1421 @@ class UITestingAgent {
     this.context = null;
     this.page = null;
     this.testResults = [];
+    this.artifacts = [];   // screenshots and videos, see recordArtifact()
+
+    // Every browser engine × device combination a scenario runs against
+    this.matrix = resolveMatrix({
+      browsers: config.browsers,
+      devices: config.devices
+    });
+    this.target = null;
+    this.suite = null;
+    this.row = null;   // dataset row the suite runs with, see runTestSuite()
+    this.steps = [];   // actions since the last recorded result, see runStep()
+
+    // Auto-waiting policy; testElement() can override timeout and retries per call
+    this.timeout = config.timeout || DEFAULT_TIMEOUT;
+    this.pollInterval = config.pollInterval || DEFAULT_POLL_INTERVAL;
+    this.retries = config.retries || 0;
+
+    // Default runAccessibilityCheck() options (scope, tags, rules, impactThreshold)
+    this.accessibility = config.accessibility || {};
+    this.accessibilityResults = {};   // raw axe results per page
+    this.accessibilityDiff = {};      // new/fixed/unchanged violations per page when a baseline is used
+
+    // Visual regression: captureScreenshot() compares against stored baselines
+    // unless disabled with `visualRegression: false`
+    this.visualRegression = config.visualRegression === false
+      ? null
+      : { ...config.visualRegression };
+    this.baselineDir = config.baselineDir || path.join(this.outputDir, 'baselines');
+    this.updateBaselines = config.updateBaselines || process.env.UPDATE_BASELINES === 'true';
+
+    // Interactions: upload fixtures, the iframes entered with switchFrame() (outermost
+    // first), pages left for popups and how dialogs are answered, see handleDialogs()
+    this.fixturesDir = config.fixturesDir || DEFAULT_FIXTURES_DIR;
+
+    // Default seed for values fillForm() generates, so runs fill forms identically
+    this.seed = config.seed ?? DEFAULT_SEED;
+    this.frames = [];
+    this.openers = [];
+    this.dialogPolicy = null;
+
+    // Playwright trace per testElement(): 'off', 'on' or 'retain-on-failure' (zips in <outputDir>/traces)
+    this.trace = validateTraceMode(config.trace || 'off');
+
+    // Network: HAR record/replay ({ path, mode, url, notFound }), route mocks and
+    // every request the page sends, for expectRequest(). Each browser/device and
+    // role has its own HAR, see routeFromHar()
+    this.har = config.har || null;
+    if (this.har && !HAR_MODES.includes(this.har.mode || 'replay')) {
+      throw new Error(`Unknown HAR mode: ${this.har.mode} (expected one of: ${HAR_MODES.join(', ')})`);
+    }
+    this.harRecording = null;
+    this.harsRecorded = new Set();
+    this.mocks = [];
+    this.requests = [];
+
+    // Console messages, uncaught exceptions and failed/4xx/5xx responses, recorded
+    // per navigation ({ consoleLevels, failOnError, allow })
+    this.diagnostics = { ...DEFAULT_DIAGNOSTICS, ...config.diagnostics };
+    this.navigation = null;
+    this.pageEvents = [];
+
+    // Performance metrics are measured on every navigateTo; per-route budgets
+    // ({ '**': { lcp: 2500 } }) turn breaches into failed results
+    this.performance = config.performance === false
+      ? null
+      : { budgets: {}, historyLimit: 20, ...config.performance };
+    this.performanceResults = [];
+
+    // Named login roles ({ roles, stateDir, maxAge }); `role` is the one new contexts start as
+    this.auth = config.auth
+      ? { stateDir: path.join(this.outputDir, '.auth'), maxAge: DEFAULT_MAX_AGE, ...config.auth }
+      : null;
+    for (const [name, role] of Object.entries((this.auth && this.auth.roles) || {})) {
+      validateRole(name, role);
+    }
+    this.defaultRole = config.role || null;
+    this.role = null;
+
+    // Extra report formats written next to report.html: 'junit', 'tap', 'ctrf',
+    // 'github', 'markdown' or { name, file, options } / a custom { render, file }
+    this.reporters = config.reporters || [];
+    // Fail on a typo now rather than after the whole run
+    this.reporters.forEach(resolveReporter);
+
+    // Every run is appended to <outputDir>/history.jsonl ({ path, limit }, or false)
+    this.history = config.history ?? {};
+
+    // Merged parallel runs set durationMs to the pool's wall-clock time
+    this.startedAt = Date.now();
+    this.durationMs = null;
   }
 
-  async initialize() {
+  async initialize(target = this.matrix[0]) {
     // Create output directory if it doesn't exist
     if (!fs.existsSync(this.outputDir)) {
       fs.mkdirSync(this.outputDir, { recursive: true });
     }
 
+    this.target = target;
+
     // Launch browser
-    this.browser = await chromium.launch({
+    this.browser = await playwright[target.browserName].launch({
     //   headless: process.env.CI ? true : false, // Run headless in CI, with UI locally
         headless: true
     });
     
-    // Create a new context with viewport and device settings
+    // Create a context (logged in when a default role is configured)
+    await this.useRole(this.defaultRole);
+    
+    console.log(`Testing agent initialized (${target.browserName} / ${target.deviceName})`);
+  }
+
+  // Fresh context and page with the target's viewport and device settings
+  async openContext(contextOptions = {}) {
+    if (this.context) {
+      this.recordDiagnostics();
+      await this.context.close();
+      this.saveHarRecording();
+    }
+
     this.context = await this.browser.newContext({
-      viewport: { width: 1280, height: 720 },
-      recordVideo: { dir: path.join(this.outputDir, 'videos') }
+      ...this.target.contextOptions,
+      recordVideo: { dir: path.join(this.outputDir, 'videos', this.target.id) },
+      ...contextOptions
     });
+
+    // Each test gets its own chunk of one trace, see saveTrace()
+    if (this.trace !== 'off') {
+      await this.context.tracing.start({ screenshots: true, snapshots: true });
+      await this.context.tracing.startChunk();
+    }
+
+    if (this.har) {
+      await this.routeFromHar();
+    }
     
     // Create a new page
     this.page = await this.context.newPage();
-    
-    console.log('Testing agent initialized');
+    this.frames = [];
+    this.openers = [];
+
+    // The video is written when the context closes, but its path is known now.
+    // A context can outlive a suite, so the video belongs to the browser/device
+    const video = this.page.video();
+    if (video) {
+      this.recordArtifact('video', await video.path(), { suite: null });
+    }
+
+    this.mocks = [];
+    this.requests = [];
+    this.navigation = null;
+    this.pageEvents = [];
+    this.watchPage(this.page);
+  }
+
+  // Dialog answers, request tracking for expectRequest() and diagnostics, for the
+  // context's page and every popup opened from it
+  watchPage(page) {
+    page.on('dialog', dialog => this.answerDialog(dialog));
+    page.on('request', request => {
+      this.requests.push({
+        url: request.url(),
+        method: request.method(),
+        postData: request.postData(),
+        resourceType: request.resourceType(),
+        timestamp: new Date().toISOString()
+      });
+    });
+    this.listenForDiagnostics(page);
+  }
+
+  /**
+   * Record into or replay the HAR for the current browser/device and role
+   * (harPathFor()). Playwright writes a recording when its context closes, so
+   * each context records to its own file and saveHarRecording() merges it:
+   * the first context of a run replaces the HAR, later ones add to it. Replay
+   * falls back to `har.path` itself when nothing was recorded for the target.
+   */
+  async routeFromHar() {
+    const harPath = harPathFor(this.har.path, { target: this.target.id, role: this.role });
+
+    if (this.har.mode === 'record') {
+      this.harRecording = { harPath, recordingPath: `${harPath.slice(0, -path.extname(harPath).length)}.recording.har` };
+      fs.mkdirSync(path.dirname(harPath), { recursive: true });
+      await this.context.routeFromHAR(this.harRecording.recordingPath, { update: true, url: this.har.url });
+      return;
+    }
+
+    // Replay aborts unknown requests by default
+    await this.context.routeFromHAR(fs.existsSync(harPath) ? harPath : this.har.path, {
+      url: this.har.url,
+      notFound: this.har.notFound
+    });
+  }
+
+  // Merge the closed context's recording into its HAR
+  saveHarRecording() {
+    if (!this.harRecording) {
+      return;
+    }
+    const { harPath, recordingPath } = this.harRecording;
+    mergeHar(recordingPath, harPath, { append: this.harsRecorded.has(harPath) });
+    this.harsRecorded.add(harPath);
+    this.harRecording = null;
+    console.log(`HAR recorded to ${harPath}`);
+  }
+
+  /**
+   * Switch to a fresh context logged in as role `name` (null for anonymous).
+   * Saved sessions are reused until they expire or fail the role's check.
+   */
+  async useRole(name) {
+    this.role = name || null;
+    if (!name) {
+      await this.openContext();
+      return;
+    }
+
+    const role = getRole(this.auth, name);
+    const statePath = roleStatePath(this.auth.stateDir, name);
+    const savesState = ['form', 'actions'].includes(roleType(role));
+
+    if (savesState && isStateFresh(statePath, { maxAge: this.auth.maxAge })) {
+      await this.openContext(roleContextOptions(role, { statePath }));
+      if (!role.check || await this.verifySession(role.check)) {
+        console.log(`Reusing saved session for role ${name}`);
+        return;
+      }
+      console.log(`Saved session for role ${name} is no longer valid, logging in again`);
+    }
+
+    await this.openContext(roleContextOptions(role, { baseUrl: this.baseUrl }));
+    if (savesState) {
+      await this.login(role);
+      fs.mkdirSync(path.dirname(statePath), { recursive: true });
+      await this.context.storageState({ path: statePath });
+      console.log(`Logged in as ${name}, session saved to ${statePath}`);
+    }
+  }
+
+  async login(role) {
+    if (roleType(role) === 'actions') {
+      await this.runActions(role.actions);
+      return;
+    }
+
+    await this.navigateTo(role.url);
+    await this.fillForm(role.formData);
+    await this.locate(role.submit).click();
+
+    if (role.waitForUrl) {
+      const matcher = urlMatcher(role.waitForUrl);
+      await this.page.waitForURL(url => matcher.test(url.href), { timeout: this.timeout });
+    } else if (role.waitFor) {
+      await this.locate(role.waitFor).first().waitFor({ state: 'visible', timeout: this.timeout });
+    } else {
+      await this.page.waitForLoadState('networkidle');
+    }
+  }
+
+  // check: { url, selector } - the selector is only visible while logged in
+  async verifySession(check) {
+    await this.navigateTo(check.url);
+    try {
+      await this.locate(check.selector).first().waitFor({ state: 'visible', timeout: this.timeout });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Run the same scenario once per browser/device combination
+  async runMatrix(scenario) {
+    for (const target of this.matrix) {
+      try {
+        await this.initialize(target);
+        await scenario(this, target);
+      } catch (error) {
+        this.recordResult({
+          selector: null,
+          testType: 'scenario',
+          error: error.message,
+          stack: error.stack,
+          passed: false
+        });
+        console.error(`Scenario failed on ${target.id}: ${error.message}`);
+      } finally {
+        await this.close();
+      }
+    }
+
+    return this.testResults;
+  }
+
+  recordResult(result) {
+    // The actions that led up to a result become its steps in the report
+    const steps = this.steps.splice(0);
+    this.testResults.push({
+      page: this.navigation,
+      ...result,
+      ...(steps.length > 0 && { steps }),
+      suite: this.suite,
+      ...(this.row && { data: this.row }),
+      browser: this.target ? this.target.browserName : null,
+      device: this.target ? this.target.deviceName : null,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  listenForDiagnostics(page = this.page) {
+    const collect = (kind, details) => {
+      this.pageEvents.push({ kind, ...details, timestamp: new Date().toISOString() });
+    };
+
+    page.on('console', message => {
+      if (!this.diagnostics.consoleLevels.includes(message.type())) return;
+      const { url, lineNumber } = message.location();
+      collect('console', {
+        type: message.type(),
+        text: message.text(),
+        location: url ? `${url}:${lineNumber}` : null
+      });
+    });
+    page.on('pageerror', error => {
+      collect('pageerror', { type: 'error', text: error.message, stack: error.stack });
+    });
+    page.on('requestfailed', request => {
+      const failure = request.failure();
+      collect('requestfailed', {
+        type: 'error',
+        text: `${request.method()} ${request.url()} ${failure ? failure.errorText : 'failed'}`
+      });
+    });
+    page.on('response', response => {
+      if (response.status() < 400) return;
+      collect('response', {
+        type: 'error',
+        text: `${response.status()} ${response.request().method()} ${response.url()}`
+      });
+    });
+  }
+
+  /**
+   * Attach the events collected since the last navigation to testResults.
+   * Clean pages are only recorded when failOnError is set.
+   */
+  recordDiagnostics() {
+    if (!this.navigation || (this.pageEvents.length === 0 && !this.diagnostics.failOnError)) {
+      this.pageEvents = [];
+      return;
+    }
+
+    const { entries, errors, warnings } = summarizeDiagnostics(this.pageEvents, this.diagnostics.allow);
+    const passed = !(this.diagnostics.failOnError && errors > 0);
+    this.pageEvents = [];
+
+    this.recordResult({
+      selector: null,
+      name: this.navigation,
+      testType: 'diagnostics',
+      expected: 'no errors',
+      actual: `${errors} error(s), ${warnings} warning(s)`,
+      passed,
+      diagnostics: entries
+    });
+
+    if (errors > 0) {
+      const log = passed ? console.warn : console.error;
+      log(`${errors} console/network error(s) on ${this.navigation}`);
+    }
   }
 
   async navigateTo(url) {
+    if (!url.startsWith('http') && !this.baseUrl) {
+      throw new Error(`Relative URL ${url} needs a baseUrl`);
+    }
     const fullUrl = url.startsWith('http') ? url : `${this.baseUrl}${url}`;
+    this.recordDiagnostics();
+    this.navigation = fullUrl;
     console.log(`Navigating to ${fullUrl}`);
     await this.page.goto(fullUrl, { waitUntil: 'networkidle' });
+
+    if (this.performance) {
+      await this.measurePerformance(fullUrl);
+    }
+  }
+
+  async collectMetrics() {
+    // Evaluated as source so the same function can be embedded in Cypress specs
+    return this.page.evaluate(`(${collectPerformanceMetrics})(window)`);
+  }
+
+  async measurePerformance(url) {
+    try {
+      const metrics = await this.collectMetrics();
+      this.performanceResults.push({
+        page: pageKey(url),
+        url,
+        browser: this.target ? this.target.browserName : null,
+        device: this.target ? this.target.deviceName : null,
+        metrics,
+        timestamp: new Date().toISOString()
+      });
+
+      const budget = budgetFor(url, this.performance.budgets);
+      if (Object.keys(budget).length > 0) {
+        await this.checkPerformanceBudget(budget, metrics, url);
+      }
+    } catch (error) {
+      console.warn(`Could not measure performance for ${url}: ${error.message}`);
+    }
   }
 
-  async captureScreenshot(name) {
-    const screenshotPath = path.join(this.outputDir, 'screenshots', `${name}.png`);
-    await this.page.screenshot({ path: screenshotPath, fullPage: true });
+  /**
+   * Check the current page against a budget such as { lcp: 2500, cls: 0.1 }.
+   */
+  async checkPerformanceBudget(budget, metrics, url = this.page.url()) {
+    const checks = checkBudget(metrics || await this.collectMetrics(), validateBudget(budget));
+    const breaches = checks.filter(check => !check.passed);
+
+    this.recordResult({
+      selector: null,
+      name: url,
+      testType: 'performance',
+      expected: checks.map(check => `${check.metric} <= ${formatMetric(check.metric, check.limit)}`).join(', '),
+      actual: breaches.length > 0
+        ? breaches.map(check => `${check.metric} ${formatMetric(check.metric, check.value)}`).join(', ')
+        : 'within budget',
+      passed: breaches.length === 0,
+      performance: checks
+    });
+
+    if (breaches.length > 0) {
+      console.error(`Performance budget exceeded on ${url}: ${breaches.map(check => check.metric).join(', ')}`);
+    }
+    return breaches.length === 0;
+  }
+
+  async captureScreenshot(name, options = {}) {
+    const screenshotPath = path.join(this.outputDir, 'screenshots', this.target.id, `${name}.png`);
+    const visualOptions = { ...this.visualRegression, ...options };
+    const mask = (visualOptions.mask || []).map(selector => this.locate(selector));
+
+    await this.page.screenshot({ path: screenshotPath, fullPage: true, mask });
     console.log(`Screenshot saved to ${screenshotPath}`);
+    this.recordArtifact(name, screenshotPath);
+
+    if (this.visualRegression && options.compare !== false) {
+      this.compareWithBaseline(name, screenshotPath, visualOptions);
+    }
+
     return screenshotPath;
   }
 
-  async testElement(selector, testType, expectedValue) {
+  compareWithBaseline(name, screenshotPath, visualOptions) {
+    const baselinePath = path.join(this.baselineDir, this.target.id, `${name}.png`);
+    const diffPath = path.join(path.dirname(screenshotPath), `${name}.diff.png`);
+
     try {
-      // Wait for element to be visible
-      await this.page.waitForSelector(selector, { state: 'visible', timeout: 5000 });
-      
-      let result = false;
-      let actualValue = null;
-      
-      switch (testType) {
-        case 'exists':
-          result = await this.page.isVisible(selector);
-          break;
-        case 'text':
-          actualValue = await this.page.textContent(selector);
-          result = actualValue === expectedValue;
-          break;
-        case 'attribute':
-          const [attrName, attrValue] = expectedValue.split('=');
-          actualValue = await this.page.getAttribute(selector, attrName);
-          result = actualValue === attrValue;
-          break;
-        case 'clickable':
-          await this.page.click(selector);
-          result = true;
-          break;
-        default:
-          throw new Error(`Unknown test type: ${testType}`);
-      }
-      
-      this.testResults.push({
-        selector,
-        testType,
-        expected: expectedValue,
-        actual: actualValue,
-        passed: result,
-        timestamp: new Date().toISOString()
+      const comparison = checkBaseline({
+        ...visualOptions,
+        screenshotPath,
+        baselinePath,
+        diffPath,
+        update: this.updateBaselines
+      });
+
+      this.recordResult({
+        selector: null,
+        name,
+        testType: 'visual',
+        expected: `<= ${visualOptions.maxDiffPercentage || 0}% changed`,
+        actual: comparison.status === 'compared'
+          ? `${comparison.diffPercentage.toFixed(2)}% changed`
+          : `baseline ${comparison.status}`,
+        error: comparison.error,
+        passed: comparison.passed,
+        visual: {
+          baseline: baselinePath,
+          actual: screenshotPath,
+          diff: comparison.diffPath,
+          diffPixels: comparison.diffPixels,
+          diffPercentage: comparison.diffPercentage
+        }
       });
-      
-      return result;
+
+      if (!comparison.passed) {
+        console.error(`Visual regression for ${name}: ${comparison.error || `${comparison.diffPixels} pixels differ`}`);
+      }
     } catch (error) {
-      this.testResults.push({
-        selector,
-        testType,
-        expected: expectedValue,
+      this.recordResult({
+        selector: null,
+        name,
+        testType: 'visual',
         error: error.message,
-        passed: false,
-        timestamp: new Date().toISOString()
+        passed: false
       });
-      
-      console.error(`Test failed for ${selector}: ${error.message}`);
-      return false;
+      console.error(`Visual comparison failed for ${name}: ${error.message}`);
     }
   }
+
+  async testElement(target, testType, expectedValue, options = {}) {
+    // Page object locators (LoginPage.submit) are reported by name
+    const { selector, label } = resolveLocator(target);
+    // Regexes are reported as /pattern/flags; RegExp objects don't survive JSON.stringify in report.json
+    const expected = expectedValue instanceof RegExp
+      ? String(expectedValue)
+      : expectedValue && typeof expectedValue.regex === 'string' ? `/${expectedValue.regex}/${expectedValue.flags || ''}` : expectedValue;
+    const retries = options.retries ?? this.retries;
+    const assertionOptions = {
+      timeout: options.timeout ?? this.timeout,
+      pollInterval: this.pollInterval
+    };
+    const attempts = [];
+    const started = Date.now();
+
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+      const attemptStarted = Date.now();
+      try {
+        const { passed, actual } = await evaluateAssertion(
+          this.page,
+          scopeToFrames(this.frames, selector),
+          testType,
+          expectedValue,
+          assertionOptions
+        );
+        attempts.push({ passed, actual });
+      } catch (error) {
+        attempts.push({ passed: false, error: error.message, stack: error.stack });
+      }
+
+      // Each attempt is a step, so retries show up on the report timeline
+      const outcome = attempts[attempts.length - 1];
+      this.steps.push({
+        title: `${testType} ${label || selector}${retries > 0 ? ` (attempt ${attempt})` : ''}`,
+        status: outcome.passed ? 'passed' : 'failed',
+        startedAt: new Date(attemptStarted).toISOString(),
+        durationMs: Date.now() - attemptStarted,
+        ...(!outcome.passed && { error: outcome.error || `actual: ${outcome.actual}` })
+      });
+
+      if (outcome.passed) {
+        break;
+      }
+      if (attempt <= retries) {
+        console.warn(`Retrying ${testType} on ${label || selector} (attempt ${attempt + 1} of ${retries + 1})`);
+      }
+    }
+
+    const { passed: result, actual: actualValue, error, stack } = attempts[attempts.length - 1];
+    const name = artifactName(this.testResults.length, label || selector);
+    const failure = result ? {} : await this.captureFailure(name, selector);
+    const trace = await this.saveTrace(name, result);
+
+    // Passing only after a retry marks the test as flaky
+    this.recordResult({
+      selector,
+      ...(label && { locator: label }),
+      testType,
+      expected,
+      actual: actualValue,
+      error,
+      stack,
+      passed: result,
+      attempts: attempts.length,
+      flaky: result && attempts.length > 1,
+      durationMs: Date.now() - started,
+      retryErrors: attempts.slice(0, -1).map(failed => failed.error || `actual: ${failed.actual}`),
+      ...failure,
+      ...(trace && { trace })
+    });
+
+    if (!result) {
+      console.error(`Test failed for ${label || selector}: ${error || `expected ${expected}, got ${actualValue}`}`);
+    }
+    return result;
+  }
   
-  async fillForm(formData) {
-    for (const [selector, value] of Object.entries(formData)) {
-      await this.page.fill(selector, value);
+  // Save (or discard, per trace mode) the trace chunk since the previous test and start the next one
+  async saveTrace(name, passed) {
+    if (this.trace === 'off' || !this.context) {
+      return null;
+    }
+
+    const tracePath = shouldKeepTrace(this.trace, passed)
+      ? path.join(this.outputDir, 'traces', this.target.id, `${name}.zip`)
+      : null;
+    await this.context.tracing.stopChunk(tracePath ? { path: tracePath } : undefined);
+    await this.context.tracing.startChunk();
+    return tracePath;
+  }
+
+  // Screenshot of the page and the HTML around the failing selector
+  async captureFailure(name, selector) {
+    const dir = path.join(this.outputDir, 'failures', this.target.id);
+    const failure = {};
+    fs.mkdirSync(dir, { recursive: true });
+
+    try {
+      const screenshotPath = path.join(dir, `${name}.png`);
+      await this.page.screenshot({ path: screenshotPath });
+      failure.failureScreenshot = screenshotPath;
+    } catch (error) {
+      console.warn(`Could not capture failure screenshot: ${error.message}`);
     }
+
+    try {
+      let html;
+      try {
+        html = await this.locate(selector).first()
+          .evaluate(captureSurroundings, MAX_SNAPSHOT_LENGTH, { timeout: 1000 });
+      } catch (error) {
+        // Nothing matched the selector, so the whole body is the closest context
+        html = await this.page.evaluate(`(${captureSurroundings})(document.body, ${MAX_SNAPSHOT_LENGTH})`);
+      }
+      const snapshotPath = path.join(dir, `${name}.html`);
+      fs.writeFileSync(snapshotPath, html);
+      failure.domSnapshot = snapshotPath;
+    } catch (error) {
+      console.warn(`Could not capture DOM snapshot: ${error.message}`);
+    }
+
+    return failure;
+  }
+
+  /**
+   * Playwright Locator for a CSS selector, a locator string such as
+   * 'role=button[name="Save"]' (see lib/locators) or a page object locator,
+   * inside the current frame.
+   */
+  locate(target) {
+    return playwrightLocator(this.page, scopeToFrames(this.frames, resolveLocator(target).selector));
+  }
+
+  /**
+   * Fill fields with explicit values ({ selector: value }) and/or generate
+   * values for every field of a form (see lib/form-filler). Explicit values
+   * are filled last, so they override generated ones.
+   *
+   * options.form: selector of the form (or any container) to generate values for
+   * options.seed: makes generated values reproducible (default: the agent's seed)
+   * options.invalid: true, or names/ids of fields to fill with values the browser rejects
+   * options.expectValidation: true to check every generated field's validity
+   *   against the plan, or { fieldName: 'message text' } to also check messages
+   * options.submit: true for the form's submit button, or a selector to click
+   *
+   * Resolves with the generated plan.
+   */
+  async fillForm(formData, options = {}) {
+    const { form, seed = this.seed, invalid, expectValidation, submit } = options;
+    if (!form && !formData) {
+      throw new Error('fillForm needs formData or a form');
+    }
+    if (!form && (submit === true || expectValidation)) {
+      throw new Error('fillForm needs a form to submit it or check its validation');
+    }
+
+    let plan = [];
+    if (form) {
+      const container = this.locate(form);
+      plan = planFormFill(await container.evaluate(describeFormFields, FIELD_SELECTOR), { seed, invalid });
+      const fields = container.locator(FIELD_SELECTOR);
+      for (const step of plan) {
+        if (step.warning) {
+          console.warn(`fillForm ${form}: ${step.warning}`);
+        }
+        await this.applyFillStep(fields.nth(step.index), step);
+      }
+    }
+
+    for (const [key, value] of Object.entries(formData || {})) {
+      await this.fillField(key, value);
+    }
+
+    // Validity is live, so it's checked before a submit can navigate away
+    if (expectValidation) {
+      await this.checkValidation(form, plan, expectValidation);
+    }
+    if (submit === true) {
+      await this.locate(form).evaluate(submitForm);
+    } else if (submit) {
+      await this.locate(submit).click();
+    }
+    return plan;
+  }
+
+  async applyFillStep(field, step) {
+    if (step.action === 'check') {
+      await field.check();
+    } else if (step.action === 'uncheck') {
+      await field.uncheck();
+    } else if (step.action === 'select') {
+      await field.selectOption(step.value);
+    } else if (step.action === 'fill') {
+      await field.fill(step.value);
+    }
+  }
+
+  /**
+   * Fill one field the way its element takes input: true/false (un)checks it,
+   * a select picks the option with that value or label, a radio or checkbox
+   * group checks the box with that value, anything else is typed.
+   */
+  async fillField(target, value) {
+    const locator = this.locate(target);
+    if (typeof value === 'boolean') {
+      await locator.setChecked(value);
+      return;
+    }
+
+    // Nothing matches yet: fill() waits for the field to appear
+    const elements = await locator.evaluateAll(found => found.map(element => ({
+      tag: element.tagName.toLowerCase(),
+      type: element.type,
+      value: element.value
+    })));
+    const [first] = elements;
+
+    if (first && first.tag === 'select') {
+      await locator.selectOption(String(value));
+    } else if (first && (first.type === 'radio' || first.type === 'checkbox')) {
+      const index = elements.findIndex(element => element.value === String(value));
+      if (index === -1) {
+        throw new Error(`No ${first.type} in ${resolveLocator(target).selector} has the value ${value}`);
+      }
+      await locator.nth(index).check();
+    } else {
+      await locator.fill(String(value));
+    }
+  }
+
+  // One result per field: invalid where the plan broke it (or a message is expected), valid elsewhere
+  async checkValidation(form, plan, expectation) {
+    const states = await this.locate(form).evaluate(validationState, FIELD_SELECTOR);
+
+    for (const check of validationChecks(plan, states, expectation)) {
+      this.recordResult({
+        selector: form,
+        name: check.field,
+        testType: 'validation',
+        expected: check.expected,
+        actual: check.actual,
+        passed: check.passed
+      });
+      if (!check.passed) {
+        console.error(`Validation check failed for ${check.field}: expected ${check.expected}, got ${check.actual}`);
+      }
+    }
+  }
+
+  // `option` is a value, or { label } for the option's visible text
+  async selectOption(target, option) {
+    if (option === undefined || (typeof option === 'object' && option.value === undefined && option.label === undefined)) {
+      throw new Error(`select on ${resolveLocator(target).selector} needs a value or a label`);
+    }
+    await this.locate(target).selectOption(option);
+  }
+
+  async hover(target) {
+    await this.locate(target).hover();
+  }
+
+  // A key or shortcut such as 'Enter' or 'Control+A', sent to `target` or the focused element
+  async pressKey(key, target) {
+    parseKey(key);
+    if (target) {
+      await this.locate(target).press(key);
+    } else {
+      await this.page.keyboard.press(key);
+    }
+  }
+
+  async dragAndDrop(source, target) {
+    await this.locate(source).dragTo(this.locate(target));
+  }
+
+  // Set a file input to fixture files, relative to fixturesDir
+  async uploadFiles(target, files) {
+    await this.locate(target).setInputFiles(fixturePaths(files, this.fixturesDir));
+  }
+
+  /**
+   * Scroll `selector` into view, or the page to { position: 'top' | 'bottom' }
+   * or to { x, y }.
+   */
+  async scroll({ selector, position, x = 0, y = 0 } = {}) {
+    if (selector) {
+      await this.locate(selector).scrollIntoViewIfNeeded();
+      return;
+    }
+    if (position !== undefined && !SCROLL_POSITIONS.includes(position)) {
+      throw new Error(`Unknown scroll position: ${position} (expected one of: ${SCROLL_POSITIONS.join(', ')})`);
+    }
+    await this.page.evaluate(({ position, x, y }) => {
+      if (position) {
+        window.scrollTo(0, position === 'top' ? 0 : document.documentElement.scrollHeight);
+      } else {
+        window.scrollTo(x, y);
+      }
+    }, { position, x, y });
+  }
+
+  // Later actions run inside the iframe matching `selector`; null goes back to the page
+  switchFrame(selector) {
+    this.frames = selector ? [...this.frames, selector] : [];
+  }
+
+  // Click `target` and continue in the tab or window it opens
+  async openPopup(target) {
+    const [popup] = await Promise.all([
+      this.page.waitForEvent('popup', { timeout: this.timeout }),
+      this.locate(target).click()
+    ]);
+    this.watchPage(popup);
+    await popup.waitForLoadState();
+    this.openers.push({ page: this.page, frames: this.frames });
+    this.page = popup;
+    this.frames = [];
+  }
+
+  // Close the current popup and continue where openPopup() left off
+  async closePopup() {
+    const opener = this.openers.pop();
+    if (!opener) {
+      throw new Error('closePopup: no popup is open');
+    }
+    await this.page.close();
+    this.page = opener.page;
+    this.frames = opener.frames;
+  }
+
+  /**
+   * Answer later alert/confirm/prompt dialogs: { accept, promptText }.
+   * Until this is called, DEFAULT_DIALOG_POLICY applies, as in the Cypress agent.
+   */
+  handleDialogs({ accept, promptText } = {}) {
+    this.dialogPolicy = { accept: Boolean(accept), promptText };
+  }
+
+  async answerDialog(dialog) {
+    const { accept, promptText } = this.dialogPolicy || DEFAULT_DIALOG_POLICY;
+    try {
+      if (accept) {
+        await dialog.accept(promptText ?? '');
+      } else {
+        await dialog.dismiss();
+      }
+      if (this.dialogPolicy) {
+        console.log(`${accept ? 'Accepted' : 'Dismissed'} ${dialog.type()} dialog: ${dialog.message()}`);
+      }
+    } catch (error) {
+      console.warn(`Could not answer ${dialog.type()} dialog: ${error.message}`);
+    }
+  }
+
+  /**
+   * Answer requests matching `url` (glob or RegExp) without hitting the backend.
+   *
+   * mock: { status, json, body, file, headers, contentType } to fulfill,
+   * or { abort: true | errorCode } to fail the request; plus optional
+   * { method, delay, times }
+   */
+  async mockRoute(url, mock = {}) {
+    const matcher = urlMatcher(url);
+    const method = mock.method && mock.method.toUpperCase();
+    const error = mock.abort ? abortError(mock.abort) : null;
+
+    const matchUrl = requestUrl => matcher.test(requestUrl.href);
+    const handler = async route => {
+      if (method && route.request().method() !== method) {
+        await route.fallback();
+        return;
+      }
+      if (mock.delay) {
+        await new Promise(resolve => setTimeout(resolve, mock.delay));
+      }
+      if (error) {
+        await route.abort(error);
+      } else {
+        await route.fulfill(fulfillOptions(mock));
+      }
+    };
+
+    await this.page.route(matchUrl, handler, { times: mock.times });
+    this.mocks.push({ url: String(url), matchUrl, handler });
+    console.log(`Mocking ${method || 'all'} requests to ${url}`);
+  }
+
+  async unmockRoute(url) {
+    const removed = this.mocks.filter(mock => mock.url === String(url));
+    for (const mock of removed) {
+      await this.page.unroute(mock.matchUrl, mock.handler);
+    }
+    this.mocks = this.mocks.filter(mock => !removed.includes(mock));
+  }
+
+  /**
+   * Assert on requests the page sent: { method, body, count, timeout }.
+   * Waits until the count matches (default: at least one) or the timeout runs out.
+   */
+  async expectRequest(url, expectation = {}) {
+    const timeout = expectation.timeout ?? this.timeout;
+    const deadline = Date.now() + timeout;
+    let matching;
+
+    for (;;) {
+      matching = findRequests(this.requests, url, expectation);
+      if (countMatches(expectation.count, matching.length) || Date.now() + this.pollInterval > deadline) {
+        break;
+      }
+      await this.page.waitForTimeout(this.pollInterval);
+    }
+
+    const passed = countMatches(expectation.count, matching.length);
+    const name = `${expectation.method ? expectation.method.toUpperCase() : 'ANY'} ${url}`;
+
+    this.recordResult({
+      selector: null,
+      name,
+      testType: 'request',
+      expected: expectation.count === undefined ? '>= 1 request' : `${expectation.count} request(s)`,
+      actual: `${matching.length} request(s)`,
+      passed,
+      requests: matching
+    });
+
+    if (!passed) {
+      console.error(`Request assertion failed for ${name}: got ${matching.length} matching request(s)`);
+    }
+    return passed;
+  }
+
+  /**
+   * Navigate to a page object's path and return its actions bound to this agent:
+   * await agent.open(LoginPage).login(user)
+   * Each action waits for the navigation first; `ready` exposes it directly.
+   */
+  open(pageDefinition) {
+    const page = getPage(pageDefinition);
+    const ready = this.navigateTo(page.path);
+    // Failures surface through the first action (or `ready`), not as unhandled rejections
+    ready.catch(() => {});
+
+    const session = { page, ready };
+    for (const actionName of Object.keys(page.actions)) {
+      session[actionName] = async (...args) => {
+        await ready;
+        await this.runActions(expandPageAction(page, actionName, args));
+        return session;
+      };
+    }
+    return session;
   }
   
-  async runAccessibilityCheck() {
-    // Inject axe-core
-    await this.page.addScriptTag({
-      url: 'https://cdnjs.cloudflare.com/ajax/libs/axe-core/4.5.0/axe.min.js'
+  // Discover same-origin routes from baseUrl; pages answering 4xx/5xx are recorded as failures
+  async crawl(options = {}) {
+    const crawler = new SiteCrawler(this.page, { startUrl: this.baseUrl, ...options });
+    const inventory = await crawler.crawl();
+
+    const inventoryPath = path.join(this.outputDir, 'routes.json');
+    fs.writeFileSync(inventoryPath, JSON.stringify(inventory, null, 2));
+    console.log(`Route inventory (${inventory.routes.length} routes) saved to ${inventoryPath}`);
+
+    for (const page of inventory.pages) {
+      const broken = page.status === null || page.status >= 400;
+      this.recordResult({
+        selector: null,
+        name: page.url,
+        testType: 'link',
+        expected: 'status < 400',
+        actual: page.status,
+        error: page.error,
+        passed: !broken,
+        referrers: page.referrers
+      });
+
+      if (broken) {
+        console.error(`Broken link ${page.url} (${page.status || page.error}), linked from: ${page.referrers.join(', ') || 'start page'}`);
+      }
+    }
+
+    return inventory;
+  }
+
+  /**
+   * Record a manual session in a headed browser until Stop is pressed in the
+   * recorder overlay or the window is closed. Resolves with a scenario that
+   * runTestSuite() and the Cypress agent's buildTestSuite() both replay.
+   */
+  async record({ url = '/', name = 'Recorded session' } = {}) {
+    this.target = this.matrix[0];
+    this.recorder = new SessionRecorder({
+      baseUrl: this.baseUrl,
+      onAction: action => console.log(`Recorded ${describeAction(action)}`)
     });
+
+    this.browser = await playwright[this.target.browserName].launch({ headless: false });
+    this.browser.on('disconnected', () => this.stopRecording());
+    this.context = await this.browser.newContext({ ...this.target.contextOptions });
+    await this.context.exposeBinding(RECORDER_BINDING, (source, event) => this.recorder.handle(event));
+    await this.context.addInitScript(recorderScript());
+    this.page = await this.context.newPage();
+    this.page.on('close', () => this.stopRecording());
+
+    const startUrl = url.startsWith('http') ? url : `${this.baseUrl}${url}`;
+    this.recorder.navigated(startUrl);
+    await this.page.goto(startUrl);
+    this.page.on('framenavigated', frame => {
+      if (frame === this.page.mainFrame()) {
+        this.recorder.navigated(frame.url());
+      }
+    });
+
+    console.log('Recording: Alt+V / Alt+T / Alt+E (or the overlay) add an assertion on the next click; press Stop or close the window to finish');
+    await this.recorder.stopped;
+    return this.recorder.toScenario(name);
+  }
+
+  stopRecording() {
+    if (this.recorder) {
+      this.recorder.stop();
+    }
+  }
+
+  /**
+   * Execute the same action objects the Cypress agent's buildTestSuite() accepts.
+   *
+   * options.data: a dataset file (CSV, JSON, JSONL), a dataset from
+   *   lib/datasets or an array of row objects. The actions run once per row
+   *   with ${variable} placeholders filled in, as the suite
+   *   '<suiteName> > row 2 (username=ada)'. A row that throws is recorded as
+   *   a failed test of that row and the next row still runs.
+   */
+  async runTestSuite(suiteName, actions, options = {}) {
+    if (options.data) {
+      const dataset = toDataset(options.data);
+      const results = [];
+      for (const row of dataset.rows) {
+        results.push(...await this.runDataRow(`${suiteName} > ${rowTitle(row)}`, actions, rowData(dataset, row)));
+      }
+      return results;
+    }
+
+    this.suite = suiteName;
+    this.steps = [];
+    console.log(`Running suite: ${suiteName}`);
+
+    // Frames, popups and dialog answers don't carry over from the previous
+    // suite, just as each Cypress spec starts afresh
+    while (this.openers.length > 0) {
+      await this.closePopup();
+    }
+    this.frames = [];
+    this.dialogPolicy = null;
+
+    await this.runActions(actions);
+
+    return this.testResults.filter(test => test.suite === suiteName);
+  }
+
+  async runDataRow(suiteName, actions, data) {
+    // Set before filling in placeholders, so an unknown variable is this row's failure
+    this.suite = suiteName;
+    this.row = data;
+    try {
+      await this.runTestSuite(suiteName, interpolate(actions, data.values));
+    } catch (error) {
+      this.recordResult({
+        selector: null,
+        testType: 'scenario',
+        error: error.message,
+        stack: error.stack,
+        passed: false
+      });
+      console.error(`Suite "${suiteName}" failed${data.line ? ` (${data.file}:${data.line})` : ''}: ${error.message}`);
+    } finally {
+      this.row = null;
+    }
+    return this.testResults.filter(test => test.suite === suiteName);
+  }
+  
+  // Time an action for the report's step timeline
+  async runStep(title, fn) {
+    const step = { title, status: 'passed', startedAt: new Date().toISOString(), durationMs: 0 };
+    const started = Date.now();
+    try {
+      return await fn();
+    } catch (error) {
+      step.status = 'failed';
+      step.error = error.message;
+      throw error;
+    } finally {
+      step.durationMs = Date.now() - started;
+      this.steps.push(step);
+    }
+  }
+
+  async runActions(actions) {
+    for (const action of actions) {
+      // Assertions record results of their own; every other action is a step
+      if (ASSERTION_ACTIONS.includes(action.type) || action.type === 'pageAction') {
+        await this.runAction(action);
+      } else {
+        await this.runStep(describeAction(action), () => this.runAction(action));
+      }
+    }
+  }
+
+  async runAction(action) {
+    if (action.type === 'navigate') {
+      await this.navigateTo(action.url);
+    } else if (action.type === 'open') {
+      await this.navigateTo(getPage(action.page).path);
+    } else if (action.type === 'pageAction') {
+      await this.runActions(expandPageAction(action.page, action.action, action.args));
+    } else if (action.type === 'testElement') {
+      await this.testElement(action.selector, action.testType, action.expectedValue, {
+        timeout: action.timeout,
+        retries: action.retries
+      });
+    } else if (action.type === 'fillForm') {
+      const { type, formData, ...options } = action;
+      await this.fillForm(formData, options);
+    } else if (action.type === 'select') {
+      await this.selectOption(action.selector, action.label !== undefined ? { label: action.label } : action.value);
+    } else if (action.type === 'hover') {
+      await this.hover(action.selector);
+    } else if (action.type === 'press') {
+      await this.pressKey(action.key, action.selector);
+    } else if (action.type === 'dragAndDrop') {
+      await this.dragAndDrop(action.source, action.target);
+    } else if (action.type === 'upload') {
+      await this.uploadFiles(action.selector, action.files);
+    } else if (action.type === 'scroll') {
+      await this.scroll(action);
+    } else if (action.type === 'switchFrame') {
+      this.switchFrame(action.selector);
+    } else if (action.type === 'popup') {
+      await this.openPopup(action.selector);
+    } else if (action.type === 'closePopup') {
+      await this.closePopup();
+    } else if (action.type === 'dialog') {
+      this.handleDialogs(action);
+    } else if (action.type === 'screenshot') {
+      await this.captureScreenshot(action.name);
+    } else if (action.type === 'wait') {
+      await this.page.waitForTimeout(action.milliseconds);
+    } else if (action.type === 'performanceBudget') {
+      await this.checkPerformanceBudget(action.budget);
+    } else if (action.type === 'mock') {
+      const { type, url, ...mock } = action;
+      await this.mockRoute(url, mock);
+    } else if (action.type === 'unmock') {
+      await this.unmockRoute(action.url);
+    } else if (action.type === 'expectRequest') {
+      const { type, url, ...expectation } = action;
+      await this.expectRequest(url, expectation);
+    } else {
+      throw new Error(`Unknown action type: ${action.type}`);
+    }
+  }
+
+  async runAccessibilityCheck(options = {}) {
+    const accessibilityOptions = { impactThreshold: 'minor', ...this.accessibility, ...options };
+    const { context, runOptions } = buildAxeOptions(accessibilityOptions);
+
+    // Inject axe-core from node_modules so the check works offline
+    await this.page.addScriptTag({ path: AXE_SOURCE_PATH });
     
     // Run accessibility tests
-    const accessibilityResults = await this.page.evaluate(() => {
-      return new Promise(resolve => {
-        axe.run((err, results) => {
-          if (err) throw err;
-          resolve(results);
-        });
-      });
-    });
+    const accessibilityResults = await this.page.evaluate(
+      ({ context, runOptions }) => axe.run(context || document, runOptions),
+      { context, runOptions }
+    );
     
-    // Save results
+    // Save results, keeping every page checked during this run
+    const page = pageKey(accessibilityResults.url);
+    this.accessibilityResults[page] = accessibilityResults;
     fs.writeFileSync(
       path.join(this.outputDir, 'accessibility.json'),
-      JSON.stringify(accessibilityResults, null, 2)
+      JSON.stringify(this.accessibilityResults, null, 2)
+    );
+
+    // Violations at or above the impact threshold fail the run; with a
+    // baseline only violations that aren't in it yet count
+    const threshold = accessibilityOptions.impactThreshold;
+    const diff = accessibilityOptions.baseline
+      ? this.compareAccessibilityBaseline(page, accessibilityResults.violations, accessibilityOptions.baseline)
+      : null;
+    const violations = violationsAtOrAbove(
+      diff ? this.onlyNewViolations(accessibilityResults.violations, diff) : accessibilityResults.violations,
+      threshold
     );
+    const expected = diff ? `no new ${threshold}+ violations` : `no ${threshold}+ violations`;
+
+    if (violations.length === 0) {
+      this.recordResult({
+        selector: accessibilityOptions.include ? [].concat(accessibilityOptions.include).join(', ') : null,
+        name: accessibilityResults.url,
+        testType: 'accessibility',
+        expected,
+        actual: diff
+          ? `${diff.unchanged.length} known, ${diff.fixed.length} fixed`
+          : `${accessibilityResults.violations.length} violation(s) below threshold`,
+        passed: true
+      });
+    }
+
+    for (const violation of violations) {
+      this.recordResult({
+        selector: violation.nodes.map(node => targetSelector(node.target)).join(', '),
+        name: accessibilityResults.url,
+        testType: 'accessibility',
+        expected,
+        actual: `${violation.id} (${violation.impact}): ${violation.help}`,
+        passed: false,
+        accessibility: summarizeViolation(violation)
+      });
+    }
+
+    if (violations.length > 0) {
+      console.error(`${violations.length} accessibility violation(s) on ${accessibilityResults.url}`);
+    }
     
     return accessibilityResults;
   }
   
-  async generateReport() {
-    const reportPath = path.join(this.outputDir, 'report.json');
-    fs.writeFileSync(reportPath, JSON.stringify(this.testResults, null, 2));
-    
-    // Generate HTML report
-    const htmlReportPath = path.join(this.outputDir, 'report.html');
-    const passedTests = this.testResults.filter(test => test.passed).length;
-    const totalTests = this.testResults.length;
-    
-    const htmlReport = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>UI Test Results</title>
-      <style>
-        body { font-family: Arial, sans-serif; margin: 0; padding: 20px; }
-        h1 { color: #333; }
-        .summary { margin-bottom: 20px; }
-        .passed { color: green; }
-        .failed { color: red; }
-        table { border-collapse: collapse; width: 100%; }
-        th, td { text-align: left; padding: 8px; border: 1px solid #ddd; }
-        tr:nth-child(even) { background-color: #f2f2f2; }
-        th { background-color: #4CAF50; color: white; }
-        .test-failed { background-color: #ffdddd; }
-      </style>
-    </head>
-    <body>
-      <h1>UI Test Results</h1>
-      <div class="summary">
-        <p>Passed: <span class="passed">${passedTests}</span> / ${totalTests}</p>
-        <p>Failed: <span class="failed">${totalTests - passedTests}</span> / ${totalTests}</p>
-        <p>Pass Rate: ${Math.round((passedTests / totalTests) * 100)}%</p>
-      </div>
-      <table>
-        <tr>
-          <th>Selector</th>
-          <th>Test Type</th>
-          <th>Expected</th>
-          <th>Actual</th>
-          <th>Status</th>
-          <th>Timestamp</th>
-        </tr>
-        ${this.testResults.map(test => `
-          <tr class="${test.passed ? '' : 'test-failed'}">
-            <td>${test.selector}</td>
-            <td>${test.testType}</td>
-            <td>${test.expected || 'N/A'}</td>
-            <td>${test.actual || test.error || 'N/A'}</td>
-            <td>${test.passed ? 'PASS' : 'FAIL'}</td>
-            <td>${test.timestamp}</td>
+  // Record the page's violations on first sight (or in update mode), otherwise diff against them
+  compareAccessibilityBaseline(page, violations, baselineOption) {
+    const baselinePath = typeof baselineOption === 'string'
+      ? baselineOption
+      : path.join(this.baselineDir, 'accessibility.json');
+    const baseline = loadAccessibilityBaseline(baselinePath);
+    const current = fingerprintViolations(violations, page);
+    let diff;
+
+    if (this.updateBaselines || !baseline[page]) {
+      // Re-read so pages parallel workers recorded meanwhile are kept
+      saveAccessibilityBaseline(baselinePath, { ...loadAccessibilityBaseline(baselinePath), [page]: current });
+      diff = { new: [], fixed: [], unchanged: current, recorded: true };
+      console.log(`Accessibility baseline ${this.updateBaselines ? 'updated' : 'recorded'} for ${page}`);
+    } else {
+      diff = diffViolations(current, baseline[page]);
+    }
+
+    this.accessibilityDiff[page] = diff;
+    fs.writeFileSync(
+      path.join(this.outputDir, 'accessibility-diff.json'),
+      JSON.stringify(this.accessibilityDiff, null, 2)
+    );
+
+    return diff;
+  }
+
+  // Narrow violations down to the nodes that are new since the baseline
+  onlyNewViolations(violations, diff) {
+    const newTargets = new Set(diff.new.map(entry => `${entry.id}|${entry.target}`));
+
+    return violations
+      .map(violation => ({
+        ...violation,
+        nodes: violation.nodes.filter(node => newTargets.has(`${violation.id}|${targetSelector(node.target)}`))
+      }))
+      .filter(violation => violation.nodes.length > 0);
+  }
+
+  // Write this run's metrics and append them to the trend history
+  savePerformanceResults() {
+    if (this.performanceResults.length === 0) {
+      return [];
+    }
+
+    fs.writeFileSync(path.join(this.outputDir, 'performance.json'), JSON.stringify(this.performanceResults, null, 2));
+    return appendPerformanceHistory(path.join(this.outputDir, 'performance-history.json'), {
+      timestamp: new Date().toISOString(),
+      pages: this.performanceResults.map(({ page, browser, device, metrics }) => ({ page, browser, device, metrics }))
+    }, this.performance ? this.performance.historyLimit : undefined);
+  }
+
+  // Screenshots and videos, attached to the report's suites by lib/results
+  recordArtifact(name, filePath, { suite = this.suite } = {}) {
+    this.artifacts.push({
+      name,
+      path: filePath,
+      suite,
+      browser: this.target ? this.target.browserName : null,
+      device: this.target ? this.target.deviceName : null
+    });
+  }
+
+  // Agent-specific report sections appended after the test results
+  renderReportSections(performanceHistory) {
+    const accessibilityViolations = this.testResults.filter(test => test.accessibility);
+    const accessibilityPages = Object.entries(this.accessibilityDiff);
+    const diagnosticResults = this.testResults.filter(test => test.diagnostics);
+
+    return [
+      accessibilityViolations.length > 0 ? `
+        <h2>Accessibility Violations</h2>
+        ${accessibilityViolations.map(test => `
+          <div class="violation">
+            <h3 class="failed">${escapeHtml(test.accessibility.id)} (${escapeHtml(test.accessibility.impact)})</h3>
+            <p>${escapeHtml(test.accessibility.help)} on ${escapeHtml(test.name)} (${test.browser} / ${test.device})
+              &ndash; <a href="${escapeHtml(test.accessibility.helpUrl)}">How to fix</a></p>
+            <ul>
+              ${test.accessibility.nodes.map(node => `
+                <li><code>${escapeHtml([].concat(node.target).join(' '))}</code></li>
+              `).join('')}
+            </ul>
+          </div>
+        `).join('')}
+      ` : '',
+      accessibilityPages.length > 0 ? `
+        <h2>Accessibility Baseline</h2>
+        <table>
+          <tr>
+            <th>Page</th>
+            <th>New</th>
+            <th>Fixed</th>
+            <th>Unchanged</th>
           </tr>
+          ${accessibilityPages.map(([page, diff]) => `
+            <tr class="${diff.new.length > 0 ? 'test-failed' : ''}">
+              <td>${escapeHtml(page)}${diff.recorded ? ' (baseline recorded)' : ''}</td>
+              <td>${diff.new.map(entry => `${escapeHtml(entry.id)}: <code>${escapeHtml(entry.target)}</code>`).join('<br>') || 0}</td>
+              <td>${diff.fixed.map(entry => `${escapeHtml(entry.id)}: <code>${escapeHtml(entry.target)}</code>`).join('<br>') || 0}</td>
+              <td>${diff.unchanged.length}</td>
+            </tr>
+          `).join('')}
+        </table>
+      ` : '',
+      this.performanceResults.length > 0 ? `
+        <h2>Performance</h2>
+        <table>
+          <tr>
+            <th>Page</th>
+            <th>Browser / Device</th>
+            ${PERFORMANCE_COLUMNS.map(metric => `<th>${metric}</th>`).join('')}
+            <th>Trend (last ${performanceHistory.length} runs)</th>
+          </tr>
+          ${this.performanceResults.map(result => `
+            <tr>
+              <td>${escapeHtml(result.page)}</td>
+              <td>${result.browser} / ${result.device}</td>
+              ${PERFORMANCE_COLUMNS.map(metric => `<td>${formatMetric(metric, result.metrics[metric])}</td>`).join('')}
+              <td>
+                ${['lcp', 'load'].map(metric => `
+                  <span class="trend" title="${metric}">${metric}<br>${renderSparkline(metricTrend(performanceHistory, result, metric))}</span>
+                `).join('')}
+              </td>
+            </tr>
+          `).join('')}
+        </table>
+      ` : '',
+      diagnosticResults.length > 0 ? `
+        <h2>Console &amp; Network Errors</h2>
+        ${diagnosticResults.map(test => `
+          <details class="diagnostics"${test.passed ? '' : ' open'}>
+            <summary class="${test.passed ? '' : 'failed'}">${escapeHtml(test.name)} (${test.browser} / ${test.device}): ${escapeHtml(test.actual)}</summary>
+            <ul>
+              ${test.diagnostics.map(entry => `
+                <li class="${entry.allowed ? 'allowed' : (isError(entry) ? 'failed' : 'flaky')}">
+                  [${entry.kind === 'console' ? entry.type : entry.kind}] ${escapeHtml(entry.text)}${entry.allowed ? ' (allowed)' : ''}
+                </li>
+              `).join('')}
+            </ul>
+          </details>
         `).join('')}
-      </table>
-    </body>
-    </html>
-    `;
-    
-    fs.writeFileSync(htmlReportPath, htmlReport);
+      ` : ''
+    ];
+  }
+
+  async generateReport() {
+    fs.mkdirSync(this.outputDir, { recursive: true });
+    fs.writeFileSync(path.join(this.outputDir, 'report.json'), JSON.stringify(this.testResults, null, 2));
+    fs.writeFileSync(path.join(this.outputDir, 'artifacts.json'), JSON.stringify(this.artifacts, null, 2));
+
+    const run = fromPlaywright(this.testResults, {
+      startedAt: this.startedAt,
+      durationMs: this.durationMs ?? Date.now() - this.startedAt,
+      artifacts: this.artifacts
+    });
+    const performanceHistory = this.savePerformanceResults();
+
+    const htmlReportPath = path.join(this.outputDir, 'report.html');
+    fs.writeFileSync(htmlReportPath, renderHtmlReport(run, {
+      reportDir: this.outputDir,
+      sections: this.renderReportSections(performanceHistory),
+      styles: REPORT_STYLES
+    }));
     console.log(`Report generated at ${htmlReportPath}`);
+
+    const historyPage = recordRun(run, this.outputDir, this.history);
+    if (historyPage) {
+      console.log(`Trend page generated at ${historyPage}`);
+    }
+
+    for (const filePath of writeReports(run, this.reporters, this.outputDir)) {
+      console.log(`Report generated at ${filePath}`);
+    }
   }
   
   async close() {
-    // Close browser
+    // Events from the last page would otherwise be dropped
+    this.recordDiagnostics();
+
+    // Close browser; the context first, so a HAR recording is written
     if (this.browser) {
+      if (this.context) {
+        await this.context.close();
+        this.saveHarRecording();
+      }
       await this.browser.close();
+      this.browser = null;
+      this.context = null;
     }
     console.log('Testing agent closed');
   }
@@ -240,5 +1585,7 @@ async function runExample() {
   }
 }
 
-// Uncomment to run the example
-runExample().catch(console.error);
\ No newline at end of file
+// Run the example when executed directly
+if (require.main === module) {
+  runExample().catch(console.error);
+}
\ No newline at end of file